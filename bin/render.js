@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+// Headless renderer: node bin/render.js scene.json --out frame.png --width 800 --height 600
+//
+// Uses the same DOM-free core as the browser viewer and writes a PNG with the
+// built-in encoder, so it runs on a bare Node install.
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+const core = require("../public/core.js");
+const project = require("../public/project.js");
+const formats = require("../public/formats.js");
+const {encodePNG} = require("../public/png.js");
+const {applyTimeline, sequenceFileName} = require("../public/animation.js");
+
+const USAGE = `Usage: render <scene.json> [options]
+
+Options:
+  --out <file>        Output PNG (default: frame.png); with --frames, a run of
+                      #s is the frame number (default: <name>_####.png)
+  --frames <range>    Render the scene's animation: all | N | A-B
+  --width <px>        Image width (default: 800)
+  --height <px>       Image height (default: 600)
+  --shading <mode>    flat | gouraud | phong (default: scene setting or phong)
+  --no-specular       Disable the specular highlight
+  --no-shadows        Skip shadow maps
+  --strict            Fail on OBJ files with bad or unsupported statements
+                      (otherwise they are skipped with a warning)
+  -h, --help          Show this help`;
+
+function parseArgs(argv) {
+    const args = {out: "frame.png", width: 800, height: 600};
+    for (let i = 0; i < argv.length; i++) {
+        const a = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${a}`);
+            return argv[++i];
+        };
+        if (a === "-h" || a === "--help") args.help = true;
+        else if (a === "--out") args.out = next();
+        else if (a === "--width") args.width = parseInt(next(), 10);
+        else if (a === "--height") args.height = parseInt(next(), 10);
+        else if (a === "--shading") args.shading = next();
+        else if (a === "--no-specular") args.specular = false;
+        else if (a === "--no-shadows") args.shadows = false;
+        else if (a === "--strict") args.strict = true;
+        else if (a === "--frames") args.frames = next();
+        else if (a.startsWith("-")) throw new Error(`Unknown option: ${a}`);
+        else if (!args.scene) args.scene = a;
+        else throw new Error(`Unexpected argument: ${a}`);
+    }
+    if (!(args.width > 0) || !(args.height > 0)) throw new Error("--width and --height must be positive integers");
+    if (args.frames !== undefined && !/^(all|\d+(-\d+)?)$/.test(args.frames)) throw new Error("--frames must be all, N or A-B");
+    return args;
+}
+
+// [first, last] frame of a --frames range.
+function frameRange(spec, timeline) {
+    if (spec === "all") return [timeline.start, timeline.end];
+    const [first, last = first] = spec.split("-").map(n => parseInt(n, 10));
+    if (last < first) throw new Error(`--frames ${spec}: the range ends before it starts`);
+    return [first, last];
+}
+
+function hexToRgb(hex) {
+    const n = parseInt(String(hex).replace("#", ""), 16);
+    return {r: (n >> 16) & 255, g: (n >> 8) & 255, b: n & 255};
+}
+
+const MAX_OBJ_WARNINGS = 20;
+
+// Load an OBJ (plus any mtllib next to it), STL or PLY the way the viewer
+// does: normalize, then generate smooth normals when the file has none.
+// OBJ and STL problems are listed on stderr; options.strict fails the load
+// on OBJ ones.
+function loadMesh(file, smoothingAngle, options = {}) {
+    const warnings = [];
+    let parsed;
+    try {
+        parsed = formats.parseMeshFile(file, new Uint8Array(fs.readFileSync(file)), {warnings, strict: options.strict});
+    } catch (e) {
+        throw new Error(`${file}: ${e.message}`);
+    }
+    for (const w of warnings.slice(0, MAX_OBJ_WARNINGS)) console.warn(`render: ${file}:${w.line}: ${w.message}`);
+    if (warnings.length > MAX_OBJ_WARNINGS) console.warn(`render: ${file}: ${warnings.length - MAX_OBJ_WARNINGS} more warnings`);
+    const mesh = core.normalizeMesh(parsed);
+    if (!mesh.ns) core.computeVertexNormals(mesh, smoothingAngle);
+
+    let materials = [];
+    if (mesh.materialNames) {
+        const library = {};
+        for (const lib of mesh.mtllibs || []) {
+            const libPath = path.resolve(path.dirname(file), lib);
+            if (fs.existsSync(libPath)) Object.assign(library, core.parseMTL(fs.readFileSync(libPath, "utf8")));
+        }
+        materials = mesh.materialNames.map(name => library[name] || core.createMaterial(name));
+    }
+    return {mesh, materials};
+}
+
+// The viewer's page root: Save Scene writes the bundled meshes' sources
+// relative to it (e.g. "assets/penguin.obj").
+const PUBLIC_DIR = path.join(__dirname, "..", "public");
+
+// File for a mesh `source`: relative to the scene file, else relative to the
+// viewer's page root, else the bundled asset of the same name (the fallback
+// the viewer's fetchProjectMesh uses). Missing files resolve against the
+// scene file, so the error names the path the scene asked for.
+function meshPath(source, baseDir) {
+    const candidates = [
+        path.resolve(baseDir, source),
+        path.resolve(PUBLIC_DIR, source),
+        path.join(PUBLIC_DIR, "assets", path.basename(source)),
+    ];
+    return candidates.find(file => fs.existsSync(file)) || candidates[0];
+}
+
+// scene.json: a project file (see public/project.js). Version 1 is the
+// original scene format: {camera, objects: [{id, parent, name, mesh:
+// "path.obj", position, rotation, scale, color, texture: "checker"}],
+// render: {shading, specular, background}}. Mesh paths are relative to the
+// scene file (see meshPath); `parent` names another object's `id`; objects without a mesh
+// are groups. Projects saved from the viewer (version 2) may embed meshes.
+// options.strict: see loadMesh.
+function loadScene(file, options = {}) {
+    const json = JSON.parse(fs.readFileSync(file, "utf8"));
+    const render = json.render || {};
+    const smoothingAngle = render.smoothingAngle == null ? 60 : render.smoothingAngle;
+    const baseDir = path.dirname(path.resolve(file));
+    const meshCache = new Map();
+
+    const {objects, camera, lighting, animation} = project.restoreProject(json, {
+        checker: core.createCheckerTexture(),
+        resolveMesh: (source) => {
+            const file = meshPath(source, baseDir);
+            if (!meshCache.has(file)) meshCache.set(file, loadMesh(file, smoothingAngle, options));
+            return meshCache.get(file);
+        },
+    });
+    return {scene: {objects, camera, lighting}, render, animation};
+}
+
+function main(argv) {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (e) {
+        console.error(`render: ${e.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (args.help || !args.scene) {
+        (args.help ? console.log : console.error)(USAGE);
+        return args.help ? 0 : 2;
+    }
+
+    const {scene, render, animation} = loadScene(args.scene, {strict: args.strict});
+    const fb = core.createFramebuffer(args.width, args.height);
+    const options = {
+        shading: args.shading || render.shading || "phong",
+        specular: args.specular !== undefined ? args.specular : render.specular !== false,
+        shadows: args.shadows !== undefined ? args.shadows : render.shadows !== false,
+        smoothingAngle: render.smoothingAngle == null ? undefined : render.smoothingAngle,
+        background: render.background ? hexToRgb(render.background) : undefined,
+    };
+    const writePNG = (file) => fs.writeFileSync(file, encodePNG(fb.width, fb.height, fb.color, {deflate: (raw) => zlib.deflateSync(raw)}));
+
+    if (args.frames === undefined) {
+        const {tris, pixels} = core.renderScene(fb, scene, options);
+        writePNG(args.out);
+        console.log(`${args.out}: ${fb.width}x${fb.height}, ${tris.length} triangles, ${pixels} pixels`);
+        return 0;
+    }
+
+    // Each frame is posed from the keys alone, so any range renders the same.
+    if (!animation) throw new Error("--frames: the scene has no animation");
+    const [first, last] = frameRange(args.frames, animation);
+    for (let frame = first; frame <= last; frame++) {
+        applyTimeline(animation, frame, scene);
+        core.renderScene(fb, scene, options);
+        writePNG(sequenceFileName(args.out, frame));
+    }
+    console.log(`${sequenceFileName(args.out, first)} .. ${sequenceFileName(args.out, last)}: ${last - first + 1} frames, ${fb.width}x${fb.height}`);
+    return 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (e) {
+        console.error(`render: ${e.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {loadScene, main};
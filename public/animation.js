@@ -0,0 +1,197 @@
+// Keyframe animation (no DOM): a timeline of per-property tracks that pose
+// object transforms, colors and the camera at a given frame. Shared by the
+// viewer's Timeline panel, project files and the CLI's --frames.
+//
+// timeline: {fps, start, end, loop, tracks: [{target, property, keys}]}
+//   target: an object id, or "camera"
+//   keys:   [{frame, value, interpolation, handles}] sorted by frame. A key's
+//           interpolation (linear | ease | bezier) shapes the segment that
+//           starts at it; bezier `handles` are CSS-style [x1, y1, x2, y2].
+// Values are numbers or flat objects of numbers ({x, y, z}, {r, g, b}).
+// Object rotations are keyed as Euler angles, so a 0 -> 2π turntable spins
+// all the way round instead of taking the short way.
+
+// Node: pull in the core (in the browser core.js is loaded first).
+if (typeof module !== "undefined" && module.exports) {
+    var {setObjectRotation} = require("./core.js");
+}
+
+const INTERPOLATIONS = ["linear", "ease", "bezier"];
+const DEFAULT_BEZIER = [0.25, 0.1, 0.25, 1]; // CSS "ease"
+
+// What Set Key records for an object or the camera.
+const OBJECT_KEY_PROPERTIES = ["position", "rotation", "scale", "color"];
+const CAMERA_KEY_PROPERTIES = ["position", "yaw", "pitch", "pivot", "fov", "orthoHeight"];
+
+function createTimeline(props = {}) {
+    return {fps: 24, start: 0, end: 96, loop: true, tracks: [], ...props};
+}
+
+function cloneValue(v) {
+    return typeof v === "object" && v !== null ? {...v} : v;
+}
+
+function cloneTimeline(timeline) {
+    return {
+        ...timeline,
+        tracks: timeline.tracks.map(t => ({
+            ...t,
+            keys: t.keys.map(k => ({...k, value: cloneValue(k.value), ...(k.handles ? {handles: k.handles.slice()} : {})})),
+        })),
+    };
+}
+
+// y at x on the cubic bezier from (0, 0) to (1, 1) through (x1, y1), (x2, y2).
+function cubicBezier(handles, x) {
+    const [x1, y1, x2, y2] = handles;
+    const curve = (a, b, t) => 3 * a * (1 - t) * (1 - t) * t + 3 * b * (1 - t) * t * t + t * t * t;
+    // x(t) only rises while x1 and x2 stay in 0..1, so bisect for t.
+    let lo = 0;
+    let hi = 1;
+    for (let i = 0; i < 32; i++) {
+        const mid = (lo + hi) / 2;
+        if (curve(x1, x2, mid) < x) lo = mid;
+        else hi = mid;
+    }
+    return curve(y1, y2, (lo + hi) / 2);
+}
+
+// 0..1 progress through the segment starting at `key`, shaped by its interpolation.
+function easeAmount(key, t) {
+    if (key.interpolation === "ease") return t * t * (3 - 2 * t);
+    if (key.interpolation === "bezier") return cubicBezier(key.handles || DEFAULT_BEZIER, t);
+    return t;
+}
+
+function lerpValue(a, b, t) {
+    if (typeof a === "number") return a + (b - a) * t;
+    const out = {};
+    for (const k of Object.keys(a)) out[k] = a[k] + ((k in b ? b[k] : a[k]) - a[k]) * t;
+    return out;
+}
+
+function findTrack(timeline, target, property) {
+    return timeline.tracks.find(t => t.target === target && t.property === property) || null;
+}
+
+// Add a key (or replace the one at the same frame). Returns the key.
+function setKeyframe(timeline, target, property, frame, value, interpolation = "linear", handles = DEFAULT_BEZIER) {
+    if (!INTERPOLATIONS.includes(interpolation)) throw new Error(`Unknown interpolation ${JSON.stringify(interpolation)}`);
+    let track = findTrack(timeline, target, property);
+    if (!track) {
+        track = {target, property, keys: []};
+        timeline.tracks.push(track);
+    }
+    const key = {frame, value: cloneValue(value), interpolation};
+    if (interpolation === "bezier") {
+        const [x1, y1, x2, y2] = handles;
+        key.handles = [Math.min(1, Math.max(0, x1)), y1, Math.min(1, Math.max(0, x2)), y2];
+    }
+    const i = track.keys.findIndex(k => k.frame >= frame);
+    if (i < 0) track.keys.push(key);
+    else if (track.keys[i].frame === frame) track.keys[i] = key;
+    else track.keys.splice(i, 0, key);
+    return key;
+}
+
+// Key every keyable property `target` currently has ("camera" keys the
+// camera). Returns the number of keys set.
+function keyTarget(timeline, target, source, frame, interpolation, handles) {
+    const properties = target === "camera" ? CAMERA_KEY_PROPERTIES : OBJECT_KEY_PROPERTIES;
+    let n = 0;
+    for (const property of properties) {
+        if (source[property] === undefined || source[property] === null) continue;
+        setKeyframe(timeline, target, property, frame, source[property], interpolation, handles);
+        n++;
+    }
+    return n;
+}
+
+// Remove a target's keys at `frame`, dropping tracks left empty. Returns the
+// number of keys removed.
+function removeKeyframes(timeline, target, frame) {
+    let removed = 0;
+    for (const track of timeline.tracks) {
+        if (track.target !== target) continue;
+        const before = track.keys.length;
+        track.keys = track.keys.filter(k => k.frame !== frame);
+        removed += before - track.keys.length;
+    }
+    timeline.tracks = timeline.tracks.filter(t => t.keys.length);
+    return removed;
+}
+
+// Sorted frames that hold keys, for all targets or only the given ones.
+function keyframeFrames(timeline, targets = null) {
+    const frames = new Set();
+    for (const track of timeline.tracks) {
+        if (targets && !targets.includes(track.target)) continue;
+        for (const key of track.keys) frames.add(key.frame);
+    }
+    return Array.from(frames).sort((a, b) => a - b);
+}
+
+// Value at `frame` (may be fractional); held before the first and after the last key.
+function sampleTrack(track, frame) {
+    const keys = track.keys;
+    if (frame <= keys[0].frame) return cloneValue(keys[0].value);
+    for (let i = 0; i < keys.length - 1; i++) {
+        const a = keys[i];
+        const b = keys[i + 1];
+        if (frame < b.frame) return lerpValue(a.value, b.value, easeAmount(a, (frame - a.frame) / (b.frame - a.frame)));
+    }
+    return cloneValue(keys[keys.length - 1].value);
+}
+
+// Pose scene ({objects, camera}) at `frame`. Tracks of deleted objects are skipped.
+function applyTimeline(timeline, frame, scene) {
+    const byId = new Map(scene.objects.map(o => [o.id, o]));
+    for (const track of timeline.tracks) {
+        if (!track.keys.length) continue;
+        const camera = track.target === "camera";
+        const target = camera ? scene.camera : byId.get(track.target);
+        if (!target) continue;
+        const value = sampleTrack(track, frame);
+        if (!camera && track.property === "rotation") setObjectRotation(target, value);
+        else if (track.property === "color") target.color = {r: Math.round(value.r), g: Math.round(value.g), b: Math.round(value.b)};
+        else target[track.property] = value;
+    }
+}
+
+// Frame shown `seconds` after playback started at frame `from`: wraps round
+// when looping, otherwise stops on the end frame.
+function timelineFrameAt(timeline, from, seconds) {
+    const length = timeline.end - timeline.start;
+    const frame = from + seconds * timeline.fps;
+    if (length <= 0) return timeline.start;
+    if (!timeline.loop) return Math.min(frame, timeline.end);
+    return timeline.start + (((frame - timeline.start) % length) + length) % length;
+}
+
+// Output name for one frame of a sequence: the run of #s in `pattern` is
+// the zero-padded frame number ("shot_####.png" -> "shot_0012.png"); without
+// one, "_####" goes before the extension.
+function sequenceFileName(pattern, frame) {
+    if (!pattern.includes("#")) pattern = pattern.replace(/(\.[^./\\]*)?$/, "_####$1");
+    return pattern.replace(/#+/, (run) => String(frame).padStart(run.length, "0"));
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        INTERPOLATIONS,
+        DEFAULT_BEZIER,
+        OBJECT_KEY_PROPERTIES,
+        CAMERA_KEY_PROPERTIES,
+        createTimeline,
+        cloneTimeline,
+        cubicBezier,
+        setKeyframe,
+        keyTarget,
+        removeKeyframes,
+        keyframeFrames,
+        sampleTrack,
+        applyTimeline,
+        timelineFrameAt,
+        sequenceFileName,
+    };
+}
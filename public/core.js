@@ -0,0 +1,2416 @@
+// DOM-free render core: math, OBJ/MTL parsing, mesh prep, clipping, the
+// rasterizer and the scene pipeline. Loaded as a classic <script> in the
+// browser (its functions become globals for index.js) and via require() in
+// Node for the CLI in bin/.
+
+// Node: pull in the math layer (in the browser math.js is loaded first and
+// its functions are already globals).
+if (typeof module !== "undefined" && module.exports) {
+    var {
+        mat4Create, mat4Identity, mat4Copy, mat4Multiply, mat4Compose, mat4Invert, mat4NormalMatrix, mat4Decompose,
+        mat4LookAt, mat4Perspective, mat4Ortho, mat4TransformPoint, mat4TransformDirection, mat4TransformVec4,
+        quatIdentity, quatNormalize, quatFromEuler, quatToEuler, quatRotateVector,
+    } = require("./math.js");
+}
+
+const NEAR_PLANE = 0.15;
+const FAR_PLANE = 1000;
+
+function clamp(v, lo, hi) {
+    return Math.max(lo, Math.min(hi, v));
+}
+
+// -------- Vector Math (no libraries) --------
+function vsub(a, b) {
+    return {x: a.x - b.x, y: a.y - b.y, z: a.z - b.z};
+}
+
+function vcross(a, b) {
+    return {
+        x: a.y*b.z - a.z*b.y,
+        y: a.z*b.x - a.x*b.z,
+        z: a.x*b.y - a.y*b.x,
+    };
+}
+
+function vdot(a, b) {
+    return a.x*b.x + a.y*b.y + a.z*b.z;
+}
+
+function vlen(a) {
+    return Math.sqrt(vdot(a, a));
+}
+
+function vscale(a, s) {
+    return {x: a.x*s, y: a.y*s, z: a.z*s};
+}
+
+function vnormalize(a) {
+    const l = vlen(a);
+    if (l <= 1e-12) return {x: 0, y: 0, z: 0};
+    return vscale(a, 1/l);
+}
+
+function vadd(a, b) {
+    return {x: a.x + b.x, y: a.y + b.y, z: a.z + b.z};
+}
+
+function translate_z({x, y, z}, dz) {
+    return {x, y, z: z + dz};
+}
+
+function rotate_xz({x, y, z}, angle) {
+    const c = Math.cos(angle);
+    const s = Math.sin(angle);
+    return {
+        x: x*c-z*s,
+        y,
+        z: x*s+z*c,
+    };
+}
+
+function rotate_yz({x, y, z}, angle) {
+    // rotate around X axis
+    const c = Math.cos(angle);
+    const s = Math.sin(angle);
+    return {
+        x,
+        y: y*c - z*s,
+        z: y*s + z*c,
+    };
+}
+
+function rotate_xy({x, y, z}, angle) {
+    // rotate around Z axis
+    const c = Math.cos(angle);
+    const s = Math.sin(angle);
+    return {
+        x: x*c - y*s,
+        y: x*s + y*c,
+        z,
+    };
+}
+
+// -------- OBJ Asset Pipeline --------
+function parseOBJIndex(str, count) {
+    let i = parseInt(str, 10);
+    if (Number.isNaN(i)) return -1;
+    // OBJ: 1-based; negative means relative to end
+    return i < 0 ? count + i : i - 1;
+}
+
+const OBJ_INDEX_PLURALS = {vertex: "vertices", texcoord: "texcoords", normal: "normals"};
+
+function objIndexRange(count, what) {
+    return `out of range (${count} ${count === 1 ? what : OBJ_INDEX_PLURALS[what]})`;
+}
+
+// options.warnings: receives {line, kind, message} for every statement that
+// was skipped or only partly read, in line order. Kinds: "number" (bad or
+// missing coordinates, read as 0 so later indices still line up), "index"
+// (bad, zero or dangling face indices; the corner or attribute is dropped),
+// "face" (fewer than three usable corners) and "unsupported" (statements
+// like l, s, vp or curves). options.strict: throw if there were any.
+function parseOBJ(text, options = {}) {
+    // Supports:
+    // - v x y z
+    // - vt u v
+    // - vn x y z
+    // - f i j k
+    // - f i/j/k ... (vertex / texcoord / normal indices)
+    // - v x y z r g b (per-vertex colors, 0..1; a common extension)
+    // - mtllib / usemtl (per-face material names, see parseMTL)
+    // - o / g (named parts, see splitMeshParts)
+    // - polygons (triangulated as a fan)
+    // - negative indices (relative to end)
+    const vertices = [];
+    const colors = [];      // per vertex: {r, g, b} or null
+    let sawColors = false;
+    const uvs = [];
+    const normals = [];
+    const polygons = [];    // {line, refs: [[vi, ti, ni]], material, part}
+    const faces = [];
+    const faceUVs = [];     // per face: [ti, tj, tk] or null when absent
+    const faceNormals = []; // per face: [ni, nj, nk] or null when absent
+    const mtllibs = [];
+    const materialNames = [];
+    const faceMaterials = []; // per face: index into materialNames, -1 = none
+    let currentMaterial = -1;
+    const partNames = [];     // unique {object, group} name pairs
+    const faceParts = [];     // per face: index into partNames
+    let currentObject = null;
+    let currentGroup = null;
+    let currentPart = -1;
+    let sawParts = false;
+
+    const warnings = [];
+    let lineNo = 0;
+    const warn = (kind, message, line = lineNo) => warnings.push({line, kind, message});
+
+    // `count` numbers from parts[first]; missing or malformed ones read as 0.
+    const numbers = (parts, first, count, what) => {
+        const out = [];
+        let bad = false;
+        for (let i = first; i < first + count; i++) {
+            const v = parseFloat(parts[i]);
+            bad = bad || !Number.isFinite(v);
+            out.push(Number.isFinite(v) ? v : 0);
+        }
+        if (bad) warn("number", `bad ${what} "${parts.join(" ")}"`);
+        return out;
+    };
+
+    // Face index -> 0-based, or -1 (reported) when it can't be one. Indices
+    // past the end are checked once the whole file is read.
+    const resolve = (token, count, what) => {
+        const raw = parseInt(token, 10);
+        if (Number.isNaN(raw)) {
+            warn("index", `bad ${what} index "${token}"`);
+            return -1;
+        }
+        if (raw === 0) {
+            warn("index", `${what} index 0 (OBJ indices start at 1)`);
+            return -1;
+        }
+        const i = parseOBJIndex(token, count);
+        if (i < 0) warn("index", `${what} index ${raw} ${objIndexRange(count, what)}`);
+        return i;
+    };
+
+    const lines = text.split(/\r?\n/);
+    for (let line of lines) {
+        lineNo++;
+        line = line.trim();
+        if (!line || line.startsWith("#")) continue;
+
+        const parts = line.split(/\s+/);
+        if (parts[0] === "v") {
+            const [x, y, z] = numbers(parts, 1, 3, "vertex");
+            vertices.push({x, y, z});
+            if (parts.length >= 7) {
+                const [r, g, b] = numbers(parts, 4, 3, "vertex color");
+                colors.push({r, g, b});
+                sawColors = true;
+            } else {
+                colors.push(null);
+            }
+        } else if (parts[0] === "vt") {
+            const [u, v = 0] = numbers(parts, 1, parts.length > 2 ? 2 : 1, "texcoord"); // v is optional
+            uvs.push({u, v});
+        } else if (parts[0] === "vn") {
+            const [x, y, z] = numbers(parts, 1, 3, "normal");
+            normals.push(vnormalize({x, y, z}));
+        } else if (parts[0] === "mtllib") {
+            // File names may contain spaces; most exporters write one per line.
+            const name = line.slice(6).trim();
+            if (name) mtllibs.push(name);
+        } else if (parts[0] === "usemtl") {
+            const name = line.slice(6).trim();
+            currentMaterial = materialNames.indexOf(name);
+            if (currentMaterial < 0) {
+                currentMaterial = materialNames.length;
+                materialNames.push(name);
+            }
+        } else if (parts[0] === "o" || parts[0] === "g") {
+            const name = line.slice(1).trim() || "default";
+            if (parts[0] === "o") {
+                currentObject = name;
+                currentGroup = null;
+            } else {
+                currentGroup = name;
+            }
+            currentPart = -1;
+            sawParts = true;
+        } else if (parts[0] === "f") {
+            if (parts.length < 4) {
+                // need at least a triangle
+                warn("face", `face with ${parts.length - 1} vertices skipped`);
+                continue;
+            }
+
+            const refs = [];
+            for (let i = 1; i < parts.length; i++) {
+                const [v, t, n] = parts[i].split("/"); // v, v/vt, v//vn or v/vt/vn
+                const vi = resolve(v, vertices.length, "vertex");
+                if (vi < 0) continue;
+                refs.push([vi, t ? resolve(t, uvs.length, "texcoord") : -1, n ? resolve(n, normals.length, "normal") : -1]);
+            }
+            if (currentPart < 0) {
+                currentPart = partNames.findIndex(pt => pt.object === currentObject && pt.group === currentGroup);
+                if (currentPart < 0) {
+                    currentPart = partNames.length;
+                    partNames.push({object: currentObject, group: currentGroup});
+                }
+            }
+            polygons.push({line: lineNo, refs, material: currentMaterial, part: currentPart});
+        } else {
+            warn("unsupported", `unsupported statement "${parts[0]}"`);
+        }
+    }
+
+    // Now that every v/vt/vn is known, drop dangling corners and attributes.
+    const counts = {vertex: vertices.length, texcoord: uvs.length, normal: normals.length};
+    for (const poly of polygons) {
+        const inRange = (i, what) => {
+            if (i < counts[what]) return true;
+            warn("index", `${what} index ${i + 1} ${objIndexRange(counts[what], what)}`, poly.line);
+            return false;
+        };
+        const refs = poly.refs.filter(r => inRange(r[0], "vertex"));
+        if (refs.length < 3) {
+            warn("face", `face with ${refs.length} usable vertices skipped`, poly.line);
+            continue;
+        }
+        const idx = refs.map(r => r[0]);
+        const tidx = refs.map(r => r[1] >= 0 && inRange(r[1], "texcoord") ? r[1] : -1);
+        const nidx = refs.map(r => r[2] >= 0 && inRange(r[2], "normal") ? r[2] : -1);
+
+        // Only keep file normals/UVs when every corner of the polygon has one.
+        const hasUVs = tidx.every(ti => ti >= 0);
+        const hasNormals = nidx.every(ni => ni >= 0);
+
+        // triangulate polygon via fan: (0,i,i+1)
+        for (let i = 1; i + 1 < idx.length; i++) {
+            faces.push([idx[0], idx[i], idx[i + 1]]);
+            faceUVs.push(hasUVs ? [tidx[0], tidx[i], tidx[i + 1]] : null);
+            faceNormals.push(hasNormals ? [nidx[0], nidx[i], nidx[i + 1]] : null);
+            faceMaterials.push(poly.material);
+            faceParts.push(poly.part);
+        }
+    }
+
+    warnings.sort((a, b) => a.line - b.line);
+    if (options.warnings) options.warnings.push(...warnings);
+    if (options.strict && warnings.length) {
+        const [first] = warnings;
+        const more = warnings.length > 1 ? ` (and ${warnings.length - 1} more)` : "";
+        throw new Error(`line ${first.line}: ${first.message}${more}`);
+    }
+
+    const mesh = {vs: vertices, fs: faces};
+    if (uvs.length > 0 && faceUVs.some(ft => ft)) {
+        // Faces without texcoords keep a null entry (box-projected at render time).
+        mesh.uvs = uvs;
+        mesh.fts = faceUVs;
+    }
+    if (normals.length > 0 && faceNormals.some(fn => fn)) {
+        // Faces without normals keep a null entry (see fallbackNormals).
+        mesh.ns = normals;
+        mesh.fns = faceNormals;
+    }
+    if (sawColors) mesh.cs = colors.map(c => c || {r: 1, g: 1, b: 1});
+    if (mtllibs.length > 0) mesh.mtllibs = mtllibs;
+    if (materialNames.length > 0) {
+        mesh.materialNames = materialNames;
+        mesh.fms = faceMaterials;
+    }
+    if (sawParts) {
+        mesh.parts = partNames;
+        mesh.fps = faceParts;
+    }
+    return mesh;
+}
+
+// Wavefront .mtl: returns {name -> material}. Colors stay in 0..1 as in the
+// file; map_Kd is the referenced image file name (resolved by the loader).
+function parseMTL(text) {
+    const materials = {};
+    const hasKa = new Set();
+    let cur = null;
+
+    const color = (parts) => {
+        const r = parseFloat(parts[1]);
+        const g = parts.length > 2 ? parseFloat(parts[2]) : r;
+        const b = parts.length > 3 ? parseFloat(parts[3]) : r;
+        return {r: clamp(r || 0, 0, 1), g: clamp(g || 0, 0, 1), b: clamp(b || 0, 0, 1)};
+    };
+
+    const lines = text.split(/\r?\n/);
+    for (let line of lines) {
+        line = line.trim();
+        if (!line || line.startsWith("#")) continue;
+
+        const parts = line.split(/\s+/);
+        const key = parts[0];
+        if (key === "newmtl") {
+            const name = line.slice(6).trim();
+            cur = createMaterial(name);
+            materials[name] = cur;
+            continue;
+        }
+        if (!cur) continue;
+
+        if (key === "Ka") {
+            cur.ka = color(parts);
+            hasKa.add(cur);
+        }
+        else if (key === "Kd") cur.kd = color(parts);
+        else if (key === "Ks") cur.ks = color(parts);
+        else if (key === "Ns") cur.ns = parseFloat(parts[1]) || 0;
+        else if (key === "d") cur.d = clamp(parseFloat(parts[1]), 0, 1);
+        else if (key === "Tr") cur.d = clamp(1 - parseFloat(parts[1]), 0, 1);
+        else if (key === "map_Kd") {
+            // Options like "-s 1 1 1" may precede the file name; it is the last token.
+            cur.mapKd = parts[parts.length - 1];
+        }
+        if (Number.isNaN(cur.d)) cur.d = 1;
+    }
+
+    // Without Ka the ambient response follows the diffuse color.
+    for (const m of Object.values(materials)) {
+        if (!hasKa.has(m)) m.ka = {...m.kd};
+    }
+    return materials;
+}
+
+function createMaterial(name, rgb255) {
+    const c = rgb255 || {r: 204, g: 204, b: 204};
+    const kd = {r: c.r / 255, g: c.g / 255, b: c.b / 255};
+    return {
+        name,
+        ka: {...kd},
+        kd,
+        ks: {r: 1, g: 1, b: 1},
+        ns: 64,
+        d: 1,
+        mapKd: null,
+        texture: null,
+    };
+}
+
+// Material for faces without usemtl: the object's base color (white under an
+// object-level texture or vertex colors, so they show unmodified).
+function objectBaseMaterial(obj) {
+    const white = obj.texture || (obj.mesh && obj.mesh.cs);
+    const base = white ? {r: 255, g: 255, b: 255} : (obj.color || {r: 0, g: 255, b: 0});
+    const mat = createMaterial("default", base);
+    mat.texture = obj.texture || null;
+    return mat;
+}
+
+function faceMaterial(obj, fi, fallback) {
+    const fms = obj.mesh.fms;
+    const mat = (fms && obj.materials) ? obj.materials[fms[fi]] : null;
+    return mat || fallback;
+}
+
+// Per-corner vertex normals for meshes that don't carry their own `vn`.
+// Each face corner averages the normals of the faces around that vertex,
+// weighted by the corner angle, but only across faces within
+// `smoothingAngleDeg` of each other so hard edges (e.g. cube corners) stay
+// sharp. Produces `ns` (unique normals) and `fns` (per-face normal indices).
+function computeVertexNormals(mesh, smoothingAngleDeg) {
+    const {vs, fs} = mesh;
+    const cosLimit = Math.cos((smoothingAngleDeg * Math.PI) / 180) - 1e-6;
+
+    const faceN = [];
+    const cornerAngles = [];
+    const facesAtVertex = new Map();
+    for (let fi = 0; fi < fs.length; fi++) {
+        const f = fs[fi];
+        const a = vs[f[0]];
+        const b = vs[f[1]];
+        const c = vs[f[2]];
+        if (!a || !b || !c) {
+            faceN.push({x: 0, y: 0, z: 0});
+            cornerAngles.push([0, 0, 0]);
+            continue;
+        }
+        faceN.push(vnormalize(vcross(vsub(b, a), vsub(c, a))));
+        const corner = (p, q, r) => {
+            const u = vnormalize(vsub(q, p));
+            const v = vnormalize(vsub(r, p));
+            return Math.acos(clamp(vdot(u, v), -1, 1));
+        };
+        cornerAngles.push([corner(a, b, c), corner(b, c, a), corner(c, a, b)]);
+        for (let k = 0; k < 3; k++) {
+            let list = facesAtVertex.get(f[k]);
+            if (!list) facesAtVertex.set(f[k], list = []);
+            list.push(fi * 3 + k);
+        }
+    }
+
+    const ns = [];
+    const fns = [];
+    const seen = new Map(); // "vertex|nx|ny|nz" -> normal index (shares identical normals)
+    for (let fi = 0; fi < fs.length; fi++) {
+        const f = fs[fi];
+        const nf = faceN[fi];
+        const out = [];
+        for (let k = 0; k < 3; k++) {
+            let sum = {x: 0, y: 0, z: 0};
+            for (const corner of facesAtVertex.get(f[k]) || []) {
+                const gi = (corner / 3) | 0;
+                const ng = faceN[gi];
+                if (gi !== fi && vdot(nf, ng) < cosLimit) continue;
+                sum = vadd(sum, vscale(ng, cornerAngles[gi][corner % 3]));
+            }
+            const n = vlen(sum) > 1e-12 ? vnormalize(sum) : nf;
+            const key = `${f[k]}|${n.x.toFixed(5)}|${n.y.toFixed(5)}|${n.z.toFixed(5)}`;
+            let ni = seen.get(key);
+            if (ni === undefined) {
+                ni = ns.length;
+                ns.push(n);
+                seen.set(key, ni);
+            }
+            out.push(ni);
+        }
+        fns.push(out);
+    }
+
+    mesh.ns = ns;
+    mesh.fns = fns;
+    return mesh;
+}
+
+// Generated normals for the faces a file gave none (null `fns` entries)
+// while others have them. Cached on the mesh like its BVH, and rebuilt when
+// the geometry or the smoothing angle changes.
+function fallbackNormals(mesh, smoothingAngleDeg = 60) {
+    const cached = mesh.fallbackNormals;
+    if (cached && cached.vs === mesh.vs && cached.fs === mesh.fs && cached.angle === smoothingAngleDeg) return cached;
+    const {ns, fns} = computeVertexNormals({vs: mesh.vs, fs: mesh.fs}, smoothingAngleDeg);
+    mesh.fallbackNormals = {vs: mesh.vs, fs: mesh.fs, angle: smoothingAngleDeg, ns, fns};
+    return mesh.fallbackNormals;
+}
+
+function normalizeMesh(mesh) {
+    const {vs, fs} = mesh;
+    if (!vs || vs.length === 0) return mesh;
+
+    let minX = Infinity, minY = Infinity, minZ = Infinity;
+    let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+    for (const v of vs) {
+        if (v.x < minX) minX = v.x;
+        if (v.y < minY) minY = v.y;
+        if (v.z < minZ) minZ = v.z;
+        if (v.x > maxX) maxX = v.x;
+        if (v.y > maxY) maxY = v.y;
+        if (v.z > maxZ) maxZ = v.z;
+    }
+
+    const cx = (minX + maxX) / 2;
+    const cy = (minY + maxY) / 2;
+    const cz = (minZ + maxZ) / 2;
+
+    const dx = maxX - minX;
+    const dy = maxY - minY;
+    const dz = maxZ - minZ;
+    const maxDim = Math.max(dx, dy, dz) || 1;
+
+    // Keep it comfortably inside clip space after perspective divide.
+    // (Too big => it will clip at the edges when close to camera.)
+    const scale = 0.9 / maxDim;
+
+    // How to get back to file coordinates: v / scale + center (composed
+    // with any earlier normalization).
+    const prev = mesh.normalization;
+    const normalization = prev ?
+        {center: {x: prev.center.x + cx / prev.scale, y: prev.center.y + cy / prev.scale, z: prev.center.z + cz / prev.scale}, scale: scale * prev.scale} :
+        {center: {x: cx, y: cy, z: cz}, scale};
+
+    const nvs = vs.map(v => ({
+        x: (v.x - cx) * scale,
+        y: (v.y - cy) * scale,
+        z: (v.z - cz) * scale,
+    }));
+
+    return {
+        vs: nvs,
+        fs,
+        // Uniform scale + translation leaves normals unchanged.
+        ns: mesh.ns,
+        fns: mesh.fns,
+        uvs: mesh.uvs,
+        fts: mesh.fts,
+        cs: mesh.cs,
+        mtllibs: mesh.mtllibs,
+        materialNames: mesh.materialNames,
+        fms: mesh.fms,
+        parts: mesh.parts,
+        fps: mesh.fps,
+        normalization,
+        bounds: {
+            min: {x: (minX - cx) * scale, y: (minY - cy) * scale, z: (minZ - cz) * scale},
+            max: {x: (maxX - cx) * scale, y: (maxY - cy) * scale, z: (maxZ - cz) * scale},
+        },
+    };
+}
+
+function computeBounds(vs) {
+    const min = {x: Infinity, y: Infinity, z: Infinity};
+    const max = {x: -Infinity, y: -Infinity, z: -Infinity};
+    for (const v of vs) {
+        if (v.x < min.x) min.x = v.x;
+        if (v.y < min.y) min.y = v.y;
+        if (v.z < min.z) min.z = v.z;
+        if (v.x > max.x) max.x = v.x;
+        if (v.y > max.y) max.y = v.y;
+        if (v.z > max.z) max.z = v.z;
+    }
+    return {min, max};
+}
+
+// Copy of `mesh` restricted to the given faces, with vertices, normals and
+// texcoords compacted to the ones those faces use. Material indices are kept
+// as-is so the parent mesh's material list still applies.
+function extractSubmesh(mesh, faceIndices) {
+    // Old index -> new index; `order` lists the old indices in new order.
+    const remap = (map, order, i) => {
+        let j = map.get(i);
+        if (j === undefined) {
+            j = order.length;
+            map.set(i, j);
+            order.push(i);
+        }
+        return j;
+    };
+    const vMap = new Map(), nMap = new Map(), tMap = new Map();
+    const vOrder = [], nOrder = [], tOrder = [];
+    const sub = {vs: [], fs: []};
+    if (mesh.fns) sub.fns = [];
+    if (mesh.fts) sub.fts = [];
+    if (mesh.fms) sub.fms = [];
+
+    for (const fi of faceIndices) {
+        sub.fs.push(mesh.fs[fi].map(i => remap(vMap, vOrder, i)));
+        if (sub.fns) {
+            const fn = mesh.fns[fi];
+            sub.fns.push(fn ? fn.map(i => remap(nMap, nOrder, i)) : null);
+        }
+        if (sub.fts) {
+            const ft = mesh.fts[fi];
+            sub.fts.push(ft ? ft.map(i => remap(tMap, tOrder, i)) : null);
+        }
+        if (sub.fms) sub.fms.push(mesh.fms[fi]);
+    }
+
+    sub.vs = vOrder.map(i => mesh.vs[i]);
+    if (mesh.cs) sub.cs = vOrder.map(i => mesh.cs[i]);
+    if (sub.fns) sub.ns = nOrder.map(i => mesh.ns[i]);
+    if (sub.fts) sub.uvs = tOrder.map(i => mesh.uvs[i]);
+    if (mesh.mtllibs) sub.mtllibs = mesh.mtllibs;
+    if (mesh.materialNames) sub.materialNames = mesh.materialNames;
+    if (mesh.autoNormals) sub.autoNormals = true;
+    if (mesh.normalization) sub.normalization = mesh.normalization;
+    sub.bounds = computeBounds(sub.vs);
+    return sub;
+}
+
+// Turn the `o`/`g` parts of a parsed OBJ into a node tree for the scene
+// graph: [{name, mesh, children}], where `mesh` is null for an `o` that holds
+// several groups. Returns null when the file has fewer than two parts.
+// Splitting happens after normalizeMesh so the parts keep their placement.
+function splitMeshParts(mesh) {
+    if (!mesh.parts || mesh.parts.length < 2) return null;
+
+    const facesByPart = mesh.parts.map(() => []);
+    mesh.fps.forEach((pi, fi) => facesByPart[pi].push(fi));
+
+    const nodes = [];
+    const byObject = new Map();
+    mesh.parts.forEach((part, pi) => {
+        const leaf = {name: part.group || part.object || "default", mesh: extractSubmesh(mesh, facesByPart[pi]), children: []};
+        if (part.object === null) {
+            nodes.push(leaf);
+            return;
+        }
+        let node = byObject.get(part.object);
+        if (!node) {
+            node = {name: part.object, mesh: null, children: []};
+            byObject.set(part.object, node);
+            nodes.push(node);
+        }
+        node.children.push(leaf);
+    });
+
+    // An `o` with a single group is just that object.
+    return nodes.map(node => {
+        if (node.mesh || node.children.length !== 1) return node;
+        return {name: node.name, mesh: node.children[0].mesh, children: []};
+    });
+}
+
+// -------- Frustum Clipping (homogeneous clip space) --------
+// Each plane is a signed distance; a point is inside when all are >= 0.
+// Clipping happens before the perspective divide, so vertices behind the
+// camera (w <= 0) are handled correctly instead of being thrown away.
+const CLIP_PLANES = [
+    (c) => c.z,         // near
+    (c) => c.w - c.z,   // far
+    (c) => c.w + c.x,   // left
+    (c) => c.w - c.x,   // right
+    (c) => c.w + c.y,   // bottom
+    (c) => c.w - c.y,   // top
+];
+
+// Clip vertices carry {x, y, z, w} plus an optional `vary` array of
+// attributes that are interpolated along with the position.
+function lerpClipVertex(a, b, t) {
+    const out = {
+        x: a.x + (b.x - a.x) * t,
+        y: a.y + (b.y - a.y) * t,
+        z: a.z + (b.z - a.z) * t,
+        w: a.w + (b.w - a.w) * t,
+    };
+    if (a.vary) {
+        const n = a.vary.length;
+        const vary = new Array(n);
+        for (let i = 0; i < n; i++) vary[i] = a.vary[i] + (b.vary[i] - a.vary[i]) * t;
+        out.vary = vary;
+    }
+    return out;
+}
+
+// Sutherland-Hodgman against every frustum plane. Returns the clipped convex
+// polygon (possibly empty).
+function clipPolygon(poly) {
+    let input = poly;
+    for (const plane of CLIP_PLANES) {
+        if (input.length === 0) break;
+        const output = [];
+        let prev = input[input.length - 1];
+        let dPrev = plane(prev);
+        for (const cur of input) {
+            const dCur = plane(cur);
+            if (dCur >= 0) {
+                if (dPrev < 0) output.push(lerpClipVertex(prev, cur, dPrev / (dPrev - dCur)));
+                output.push(cur);
+            } else if (dPrev >= 0) {
+                output.push(lerpClipVertex(prev, cur, dPrev / (dPrev - dCur)));
+            }
+            prev = cur;
+            dPrev = dCur;
+        }
+        input = output;
+    }
+    return input;
+}
+
+// Liang-Barsky style segment clip against the same planes.
+// Returns [a', b'] or null when the segment is entirely outside.
+function clipLine(a, b) {
+    let t0 = 0;
+    let t1 = 1;
+    for (const plane of CLIP_PLANES) {
+        const da = plane(a);
+        const db = plane(b);
+        if (da < 0 && db < 0) return null;
+        if (da < 0) t0 = Math.max(t0, da / (da - db));
+        else if (db < 0) t1 = Math.min(t1, da / (da - db));
+        if (t0 > t1) return null;
+    }
+    return [
+        t0 > 0 ? lerpClipVertex(a, b, t0) : a,
+        t1 < 1 ? lerpClipVertex(a, b, t1) : b,
+    ];
+}
+
+// Where a local-space box lies against the frustum of `mvp`: 0 entirely
+// outside (all corners beyond one plane), 2 entirely inside, 1 straddling.
+// Conservative: a box near a frustum corner may count as straddling.
+const BOX_CORNERS = [];
+for (let i = 0; i < 8; i++) BOX_CORNERS.push({x: 0, y: 0, z: 0, w: 1});
+
+function boxInFrustum(mvp, min, max) {
+    for (let i = 0; i < 8; i++) {
+        mat4TransformVec4(mvp, {x: i & 1 ? max.x : min.x, y: i & 2 ? max.y : min.y, z: i & 4 ? max.z : min.z}, BOX_CORNERS[i]);
+    }
+    let inside = true;
+    for (const plane of CLIP_PLANES) {
+        let n = 0;
+        for (const c of BOX_CORNERS) {
+            if (plane(c) < 0) n++;
+        }
+        if (n === 8) return 0;
+        if (n) inside = false;
+    }
+    return inside ? 2 : 1;
+}
+
+// -------- Software Rasterizer (depth buffer) --------
+// Triangles are scan-converted into a plain RGBA framebuffer with a Float32
+// depth buffer (the browser wraps `color` in an ImageData and blits it once
+// per frame). Coverage uses edge functions sampled at pixel centers, with the
+// top-left rule so shared edges are filled exactly once.
+function createFramebuffer(width, height) {
+    const color = new Uint8ClampedArray(width * height * 4);
+    return {
+        width,
+        height,
+        color,
+        color32: new Uint32Array(color.buffer),
+        depth: new Float32Array(width * height),
+    };
+}
+
+function packRGBA(r, g, b, a) {
+    // ImageData is little-endian RGBA in memory => ABGR as a Uint32.
+    return ((a << 24) | (b << 16) | (g << 8) | r) >>> 0;
+}
+
+function blendRGBA(dst, src, alpha) {
+    const ia = 1 - alpha;
+    const r = (src & 0xff) * alpha + (dst & 0xff) * ia;
+    const g = ((src >>> 8) & 0xff) * alpha + ((dst >>> 8) & 0xff) * ia;
+    const b = ((src >>> 16) & 0xff) * alpha + ((dst >>> 16) & 0xff) * ia;
+    return packRGBA(r | 0, g | 0, b | 0, 255);
+}
+
+function clearFramebuffer(fb, rgb) {
+    fb.color32.fill(packRGBA(rgb.r, rgb.g, rgb.b, 255));
+    fb.depth.fill(Infinity);
+}
+
+function edge(a, b, px, py) {
+    return (b.x - a.x) * (py - a.y) - (b.y - a.y) * (px - a.x);
+}
+
+function isTopLeft(a, b) {
+    // Screen space is y-down and triangles are wound so the interior is
+    // positive: top edges run exactly rightwards, left edges run upwards.
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    return (dy === 0 && dx > 0) || dy < 0;
+}
+
+// A, B, C: {x, y, z, invW, vary} in pixels, z = depth (smaller is nearer).
+// `shader` is either a packed color (solid fill) or a function that receives
+// the perspective-correct interpolated `vary` array and returns a packed color.
+// With alpha < 1 the result is blended over the framebuffer and depth is not
+// written. Returns the number of pixels written.
+// A framebuffer with `x0`/`y0` is a tile of a larger image whose top-left
+// pixel sits at (x0, y0); triangles stay in whole-image pixels.
+function rasterizeTriangle(fb, A, B, C, shader, alpha = 1) {
+    let area = edge(A, B, C.x, C.y);
+    if (area === 0 || !Number.isFinite(area)) return 0;
+    if (area < 0) {
+        const t = B; B = C; C = t;
+        area = -area;
+    }
+
+    const x0 = fb.x0 || 0;
+    const y0 = fb.y0 || 0;
+    const minX = Math.max(x0, Math.floor(Math.min(A.x, B.x, C.x)));
+    const maxX = Math.min(x0 + fb.width - 1, Math.ceil(Math.max(A.x, B.x, C.x)));
+    const minY = Math.max(y0, Math.floor(Math.min(A.y, B.y, C.y)));
+    const maxY = Math.min(y0 + fb.height - 1, Math.ceil(Math.max(A.y, B.y, C.y)));
+    if (minX > maxX || minY > maxY) return 0;
+
+    const tlA = isTopLeft(B, C); // edge opposite A
+    const tlB = isTopLeft(C, A);
+    const tlC = isTopLeft(A, B);
+
+    // Per-pixel increments of each edge function along x and y.
+    const aStepX = -(C.y - B.y), aStepY = C.x - B.x;
+    const bStepX = -(A.y - C.y), bStepY = A.x - C.x;
+    const cStepX = -(B.y - A.y), cStepY = B.x - A.x;
+
+    const invArea = 1 / area;
+    const px0 = minX + 0.5;
+    let rowA = edge(B, C, px0, minY + 0.5);
+    let rowB = edge(C, A, px0, minY + 0.5);
+    let rowC = edge(A, B, px0, minY + 0.5);
+
+    // Varyings are interpolated as attr/w and divided by the interpolated 1/w.
+    const solid = typeof shader === "number";
+    const nVary = (!solid && A.vary) ? A.vary.length : 0;
+    let vA = null, vB = null, vC = null, vOut = null;
+    if (nVary > 0) {
+        vA = new Float64Array(nVary);
+        vB = new Float64Array(nVary);
+        vC = new Float64Array(nVary);
+        vOut = new Float64Array(nVary);
+        for (let k = 0; k < nVary; k++) {
+            vA[k] = A.vary[k] * A.invW;
+            vB[k] = B.vary[k] * B.invW;
+            vC[k] = C.vary[k] * C.invW;
+        }
+    }
+
+    const depth = fb.depth;
+    const color32 = fb.color32;
+    const width = fb.width;
+    const blend = alpha < 1;
+    let written = 0;
+
+    for (let y = minY; y <= maxY; y++) {
+        let wA = rowA, wB = rowB, wC = rowC;
+        let i = (y - y0) * width + (minX - x0);
+        for (let x = minX; x <= maxX; x++, i++) {
+            if ((wA > 0 || (wA === 0 && tlA)) &&
+                (wB > 0 || (wB === 0 && tlB)) &&
+                (wC > 0 || (wC === 0 && tlC))) {
+                const z = (wA * A.z + wB * B.z + wC * C.z) * invArea;
+                if (z < depth[i]) {
+                    let packed = shader;
+                    if (!solid) {
+                        if (nVary > 0) {
+                            const w = 1 / (wA * A.invW + wB * B.invW + wC * C.invW);
+                            for (let k = 0; k < nVary; k++) {
+                                vOut[k] = (wA * vA[k] + wB * vB[k] + wC * vC[k]) * w;
+                            }
+                        }
+                        packed = shader(vOut);
+                    }
+                    if (blend) {
+                        color32[i] = blendRGBA(color32[i], packed, alpha);
+                    } else {
+                        depth[i] = z;
+                        color32[i] = packed;
+                    }
+                    written++;
+                }
+            }
+            wA += aStepX; wB += bStepX; wC += cStepX;
+        }
+        rowA += aStepY; rowB += bStepY; rowC += cStepY;
+    }
+    return written;
+}
+
+// -------- Shading --------
+// Ambient (or hemisphere) + Lambert diffuse + optional specular from every
+// light in a rig (see buildLightRig), evaluated in view space (camera at the
+// origin). n must be unit length, p is the shaded point. Writes RGB
+// [ambient x3, diffuse x3, specular x3] into out; litColor() applies a
+// material.
+function lightTerms(nx, ny, nz, px, py, pz, rig, shininess, out) {
+    let ar = rig.ambient.r, ag = rig.ambient.g, ab = rig.ambient.b;
+    const hemi = rig.hemisphere;
+    if (hemi) {
+        // Sky color facing up, ground color facing down.
+        const k = 0.5 + 0.5 * (nx*hemi.up.x + ny*hemi.up.y + nz*hemi.up.z);
+        ar = hemi.ground.r + (hemi.sky.r - hemi.ground.r) * k;
+        ag = hemi.ground.g + (hemi.sky.g - hemi.ground.g) * k;
+        ab = hemi.ground.b + (hemi.sky.b - hemi.ground.b) * k;
+    }
+
+    let dr = 0, dg = 0, db = 0, sr = 0, sg = 0, sb = 0;
+    const pl = Math.sqrt(px*px + py*py + pz*pz) || 1;
+    for (const light of rig.lights) {
+        // L points from the surface towards the light.
+        let lx, ly, lz;
+        let att = 1;
+        if (light.type === "directional") {
+            lx = light.dir.x; ly = light.dir.y; lz = light.dir.z;
+        } else {
+            lx = light.pos.x - px; ly = light.pos.y - py; lz = light.pos.z - pz;
+            const dist = Math.sqrt(lx*lx + ly*ly + lz*lz) || 1;
+            lx /= dist; ly /= dist; lz /= dist;
+            const fall = 1 - dist / light.range;
+            if (fall <= 0) continue;
+            att = fall * fall;
+            if (light.type === "spot") {
+                const c = lx*light.dir.x + ly*light.dir.y + lz*light.dir.z;
+                if (c <= light.cosOuter) continue;
+                if (c < light.cosInner) {
+                    const t = (c - light.cosOuter) / (light.cosInner - light.cosOuter);
+                    att *= t * t * (3 - 2 * t);
+                }
+            }
+        }
+
+        const NdotL = nx*lx + ny*ly + nz*lz;
+        if (NdotL <= 0 || att <= 0) continue;
+        if (light.shadow) {
+            att *= shadowFactor(light.shadow, px, py, pz, NdotL);
+            if (att <= 0) continue;
+        }
+        dr += light.diffuse.r * NdotL * att;
+        dg += light.diffuse.g * NdotL * att;
+        db += light.diffuse.b * NdotL * att;
+
+        if (rig.specular) {
+            // R is L mirrored about n.
+            const rx = 2*NdotL*nx - lx, ry = 2*NdotL*ny - ly, rz = 2*NdotL*nz - lz;
+            const rl = Math.sqrt(rx*rx + ry*ry + rz*rz) || 1;
+            // R . (surface -> camera); that direction is -Z everywhere in orthographic views.
+            const rv = rig.orthographic ? -rz / rl : -(rx*px + ry*py + rz*pz) / (rl * pl);
+            if (rv > 0) {
+                const spec = Math.pow(rv, shininess) * att;
+                sr += light.specular.r * spec;
+                sg += light.specular.g * spec;
+                sb += light.specular.b * spec;
+            }
+        }
+    }
+
+    out[0] = ar; out[1] = ag; out[2] = ab;
+    out[3] = dr; out[4] = dg; out[5] = db;
+    out[6] = sr; out[7] = sg; out[8] = sb;
+    return out;
+}
+
+// Ka*ambient + Kd*diffuse + Ks*specular -> 0..255 (unclamped) into out.
+// A texel (0..255), when given, modulates the ambient and diffuse colors.
+function litColor(mat, terms, texel, out) {
+    const tr = texel ? texel[0] / 255 : 1;
+    const tg = texel ? texel[1] / 255 : 1;
+    const tb = texel ? texel[2] / 255 : 1;
+    out[0] = 255 * ((mat.ka.r * terms[0] + mat.kd.r * terms[3]) * tr + mat.ks.r * terms[6]);
+    out[1] = 255 * ((mat.ka.g * terms[1] + mat.kd.g * terms[4]) * tg + mat.ks.g * terms[7]);
+    out[2] = 255 * ((mat.ka.b * terms[2] + mat.kd.b * terms[5]) * tb + mat.ks.b * terms[8]);
+    return out;
+}
+
+// -------- Textures --------
+// A texture is {name, width, height, data: RGBA bytes, top row first}.
+function createCheckerTexture(size = 256, cells = 8) {
+    const data = new Uint8ClampedArray(size * size * 4);
+    const cell = size / cells;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const odd = ((Math.floor(x / cell) + Math.floor(y / cell)) & 1) === 1;
+            const i = (y * size + x) * 4;
+            // Tint the first cell so U/V orientation is visible.
+            const origin = x < cell && y >= size - cell;
+            data[i] = origin ? 255 : odd ? 40 : 230;
+            data[i + 1] = origin ? 80 : odd ? 40 : 230;
+            data[i + 2] = origin ? 80 : odd ? 40 : 230;
+            data[i + 3] = 255;
+        }
+    }
+    return {name: "checker", width: size, height: size, data};
+}
+
+function wrapCoord(i, n, wrap) {
+    if (wrap === "clamp") return i < 0 ? 0 : i >= n ? n - 1 : i;
+    i %= n;
+    return i < 0 ? i + n : i;
+}
+
+// Sample RGB (0..255) at (u, v) into out[0..2]. OBJ puts v = 0 at the bottom
+// of the image, so v is flipped against the top-down pixel rows.
+function sampleTexture(tex, u, v, filter, wrap, out) {
+    const w = tex.width;
+    const h = tex.height;
+    const data = tex.data;
+    const x = u * w;
+    const y = (1 - v) * h;
+
+    if (filter !== "bilinear") {
+        const i = (wrapCoord(Math.floor(y), h, wrap) * w + wrapCoord(Math.floor(x), w, wrap)) * 4;
+        out[0] = data[i];
+        out[1] = data[i + 1];
+        out[2] = data[i + 2];
+        return out;
+    }
+
+    // Bilinear: blend the four texels around the sample point (texel centers at +0.5).
+    const fx = x - 0.5;
+    const fy = y - 0.5;
+    const x0 = Math.floor(fx);
+    const y0 = Math.floor(fy);
+    const tx = fx - x0;
+    const ty = fy - y0;
+    const xa = wrapCoord(x0, w, wrap), xb = wrapCoord(x0 + 1, w, wrap);
+    const ya = wrapCoord(y0, h, wrap), yb = wrapCoord(y0 + 1, h, wrap);
+    const i00 = (ya * w + xa) * 4, i10 = (ya * w + xb) * 4;
+    const i01 = (yb * w + xa) * 4, i11 = (yb * w + xb) * 4;
+    for (let k = 0; k < 3; k++) {
+        const top = data[i00 + k] + (data[i10 + k] - data[i00 + k]) * tx;
+        const bottom = data[i01 + k] + (data[i11 + k] - data[i01 + k]) * tx;
+        out[k] = top + (bottom - top) * ty;
+    }
+    return out;
+}
+
+// UVs for faces without texcoords: project onto the plane most facing the
+// face normal (normalized meshes fit in -0.45..0.45, so +0.5 lands in 0..1).
+function boxProjectUV(p, n) {
+    const ax = Math.abs(n.x), ay = Math.abs(n.y), az = Math.abs(n.z);
+    if (ax >= ay && ax >= az) return {u: p.z + 0.5, v: p.y + 0.5};
+    if (ay >= az) return {u: p.x + 0.5, v: p.z + 0.5};
+    return {u: p.x + 0.5, v: p.y + 0.5};
+}
+
+function packLit(rgb) {
+    const r = rgb[0] < 0 ? 0 : rgb[0] > 255 ? 255 : Math.round(rgb[0]);
+    const g = rgb[1] < 0 ? 0 : rgb[1] > 255 ? 255 : Math.round(rgb[1]);
+    const b = rgb[2] < 0 ? 0 : rgb[2] > 255 ? 255 : Math.round(rgb[2]);
+    return packRGBA(r, g, b, 255);
+}
+
+// Per-pixel shader of a triangle with varyings (see buildTriangles).
+// `shading` is shared by an object's faces with the same material and
+// varyings layout: {mode, mat, light, tex, filter, wrap, uvOffset,
+// colorOffset, vertexColors}; `faceTerms` is the face's own lighting, used
+// as is outside Gouraud/Phong. Kept as plain data so render workers can
+// rebuild the same shader (see tiles.js).
+function createTriangleShader(shading, faceTerms) {
+    const {mode, mat, light, tex, filter, wrap, uvOffset, colorOffset, vertexColors} = shading;
+    const terms = new Array(9);
+    const texel = [0, 0, 0];
+    const rgb = [0, 0, 0];
+    return (v) => {
+        let t = faceTerms;
+        if (mode === "gouraud") {
+            t = v;
+        } else if (mode === "phong") {
+            const il = 1 / (Math.sqrt(v[0]*v[0] + v[1]*v[1] + v[2]*v[2]) || 1);
+            t = lightTerms(v[0]*il, v[1]*il, v[2]*il, v[3], v[4], v[5], light, mat.ns, terms);
+        }
+        if (tex) sampleTexture(tex, v[uvOffset], v[uvOffset + 1], filter, wrap, texel);
+        else texel[0] = texel[1] = texel[2] = 255;
+        if (vertexColors) {
+            texel[0] *= v[colorOffset] / 255;
+            texel[1] *= v[colorOffset + 1] / 255;
+            texel[2] *= v[colorOffset + 2] / 255;
+        }
+        return packLit(litColor(mat, t, tex || vertexColors ? texel : null, rgb));
+    };
+}
+
+// -------- Transforms --------
+// Objects keep position, scale and a `quaternion`; `rotation` holds the Euler
+// angles (radians) the Inspector edits. Plain-data objects (CLI, tests) may
+// carry only Euler `rotation`. Both are turned into matrices from math.js.
+//
+// Euler convention (unchanged from the original per-axis helpers): X first,
+// then Y, then Z. Y turns +X towards +Z like rotate_xz, which is the opposite
+// sense of a right-handed Y rotation, hence the sign flip below.
+function eulerToQuaternion(r) {
+    return quatFromEuler(r.x, -r.y, r.z);
+}
+
+// Every rotation has two Euler triples, (x, y, z) and (x+π, -π-y, z+π).
+// Pass `near` (e.g. the previous angles) to get the one closer to it, so a
+// continuous rotation doesn't jump between them.
+function quaternionToEuler(q, near) {
+    const e = quatToEuler(q);
+    const a = {x: e.x, y: -e.y, z: e.z};
+    if (!near) return a;
+    const wrap = (v) => Math.atan2(Math.sin(v), Math.cos(v));
+    const b = {x: wrap(a.x + Math.PI), y: wrap(-Math.PI - a.y), z: wrap(a.z + Math.PI)};
+    const dist = (e) => Math.abs(wrap(e.x - near.x)) + Math.abs(wrap(e.y - near.y)) + Math.abs(wrap(e.z - near.z));
+    return dist(b) < dist(a) ? b : a;
+}
+
+function objectQuaternion(obj) {
+    if (obj.quaternion) return obj.quaternion;
+    return obj.rotation ? eulerToQuaternion(obj.rotation) : quatIdentity();
+}
+
+// Keep the Euler and quaternion representations in sync.
+function setObjectRotation(obj, euler) {
+    obj.rotation = {x: euler.x, y: euler.y, z: euler.z};
+    obj.quaternion = eulerToQuaternion(obj.rotation);
+}
+
+function setObjectQuaternion(obj, q) {
+    obj.quaternion = quatNormalize(q);
+    obj.rotation = quaternionToEuler(obj.quaternion, obj.rotation);
+}
+
+const UNIT_SCALE = {x: 1, y: 1, z: 1};
+const ORIGIN = {x: 0, y: 0, z: 0};
+
+// Model matrix: Scale -> Rotate -> Translate.
+function objectModelMatrix(obj, out) {
+    return mat4Compose(obj.position || ORIGIN, objectQuaternion(obj), obj.scale || UNIT_SCALE, out);
+}
+
+// The camera is {position, yaw, pitch}: yaw turns around Y, pitch around X,
+// in the same Euler convention as objects.
+function cameraQuaternion(camera) {
+    return eulerToQuaternion({x: camera.pitch || 0, y: camera.yaw || 0, z: 0});
+}
+
+// View = inverse(camera transform)
+function cameraViewMatrix(camera, out) {
+    const world = mat4Compose(camera.position, cameraQuaternion(camera), UNIT_SCALE);
+    return mat4Invert(world, out);
+}
+
+// One-off helpers for overlays and tools; the pipeline uses the cached
+// matrices instead.
+function applyModel(p, obj, objects = []) {
+    return mat4TransformPoint(objectWorldMatrix(obj, objects), p);
+}
+
+function applyView(p, camera) {
+    return mat4TransformPoint(cameraViewMatrix(camera), p);
+}
+
+// A viewport describes the render target for projection: pixel size, the
+// near/far planes of the view frustum and the projection matrix. The
+// camera's `fov` (vertical, degrees) and `projection` pick the lens; see
+// Camera below.
+function createViewport(width, height, camera = {}) {
+    const aspect = width / height;
+    const fov = cameraFov(camera);
+    const orthographic = camera.projection === "orthographic";
+    const orthoHeight = orthographic ? cameraOrthoHeight(camera) : null;
+    return {
+        width,
+        height,
+        aspect,
+        near: NEAR_PLANE,
+        far: FAR_PLANE,
+        fov,
+        orthographic,
+        orthoHeight,
+        projection: orthographic ?
+            mat4Ortho(-orthoHeight * aspect / 2, orthoHeight * aspect / 2, -orthoHeight / 2, orthoHeight / 2, NEAR_PLANE, FAR_PLANE) :
+            mat4Perspective(fov, aspect, NEAR_PLANE, FAR_PLANE),
+    };
+}
+
+// World units per screen height at view depth z.
+function viewportHeightAt(viewport, z) {
+    return viewport.orthographic ? viewport.orthoHeight : 2 * z * Math.tan(viewport.fov / 2);
+}
+
+function screen(c, viewport) {
+    // Clip space -> NDC (perspective divide) -> pixels.
+    // -1..1 => 0..2 => 0..1 => 0..w
+    const iw = 1 / c.w;
+    return {
+        x: (c.x * iw + 1)/2*viewport.width,
+        y: (1 - (c.y * iw + 1)/2)*viewport.height,
+        z: c.z * iw, // depth: 0 at the near plane, 1 at the far plane
+        invW: iw,    // for perspective-correct varyings
+        vary: c.vary,
+    }
+}
+
+function project(v, viewport) {
+    // View space -> homogeneous clip space. Nothing is rejected here: callers
+    // clip against the frustum (clipPolygon / clipLine) before dividing by w.
+    return mat4TransformVec4(viewport.projection, v);
+}
+
+// -------- Scene Graph --------
+// Objects form a tree through `id` and `parentId` (null/missing = root);
+// the `objects` array itself stays flat and gives the draw and sibling order.
+// Objects without a mesh are groups: they only carry a transform that their
+// children inherit.
+function findObject(objects, id) {
+    if (id === null || id === undefined) return null;
+    return objects.find(o => o.id === id) || null;
+}
+
+function parentOf(objects, obj) {
+    return findObject(objects, obj.parentId);
+}
+
+// Direct children of `id` in array order; id null lists the roots.
+function childrenOf(objects, id) {
+    return objects.filter(o => (id === null ? !findObject(objects, o.parentId) : o.parentId === id));
+}
+
+function isAncestor(objects, ancestor, obj) {
+    for (let p = parentOf(objects, obj), guard = 0; p && guard <= objects.length; p = parentOf(objects, p), guard++) {
+        if (p === ancestor) return true;
+    }
+    return false;
+}
+
+// `obj` followed by all of its descendants, in array order.
+function subtreeOf(objects, obj) {
+    return objects.filter(o => o === obj || isAncestor(objects, obj, o));
+}
+
+// Local -> world by walking up the parent chain (uncached; the render
+// pipeline uses updateSceneMatrices instead).
+function objectWorldMatrix(obj, objects) {
+    const world = objectModelMatrix(obj);
+    for (let p = parentOf(objects, obj), guard = 0; p && guard < objects.length; p = parentOf(objects, p), guard++) {
+        mat4Multiply(objectModelMatrix(p), world, world);
+    }
+    return world;
+}
+
+// World-space {position, quaternion, scale} of an object.
+function getWorldTransform(obj, objects) {
+    return mat4Decompose(objectWorldMatrix(obj, objects));
+}
+
+// Set the local transform so the object ends up at the given world
+// transform under its current parent.
+function setWorldTransform(obj, objects, t) {
+    let local = mat4Compose(t.position, t.quaternion, t.scale);
+    const parent = parentOf(objects, obj);
+    if (parent) {
+        const inv = mat4Invert(objectWorldMatrix(parent, objects));
+        if (inv) local = mat4Multiply(inv, local);
+    }
+    const d = mat4Decompose(local);
+    obj.position = d.position;
+    obj.scale = d.scale;
+    setObjectQuaternion(obj, d.quaternion);
+}
+
+// Move `obj` under `parentId` (null = root) without changing where it is in
+// the world. Returns false when that would create a cycle.
+function reparentObject(objects, obj, parentId) {
+    const parent = findObject(objects, parentId);
+    if (parent === obj || (parent && isAncestor(objects, obj, parent))) return false;
+    const world = getWorldTransform(obj, objects);
+    obj.parentId = parent ? parent.id : null;
+    setWorldTransform(obj, objects, world);
+    return true;
+}
+
+// Per-object matrix cache: {local, world, modelView, mvp, normal}. The local
+// matrix is rebuilt only when position/rotation/scale change; world and the
+// camera-dependent products are refreshed once per frame by
+// buildTriangles(), parents before children.
+function updateLocalMatrix(obj) {
+    const m = obj.matrices || (obj.matrices = {
+        key: new Float64Array(10).fill(NaN),
+        local: mat4Create(),
+        world: mat4Create(),
+        modelView: mat4Create(),
+        mvp: mat4Create(),
+        normal: mat4Create(),
+    });
+    const p = obj.position || ORIGIN;
+    const q = objectQuaternion(obj);
+    const s = obj.scale || UNIT_SCALE;
+    const key = m.key;
+    if (key[0] !== p.x || key[1] !== p.y || key[2] !== p.z ||
+        key[3] !== q.x || key[4] !== q.y || key[5] !== q.z || key[6] !== q.w ||
+        key[7] !== s.x || key[8] !== s.y || key[9] !== s.z) {
+        key.set([p.x, p.y, p.z, q.x, q.y, q.z, q.w, s.x, s.y, s.z]);
+        mat4Compose(p, q, s, m.local);
+    }
+    return m;
+}
+
+function updateSceneMatrices(objects, view, projection) {
+    const done = new Set();
+    const visit = (obj, depth) => {
+        const m = updateLocalMatrix(obj);
+        if (done.has(obj)) return m;
+        done.add(obj);
+        const parent = depth < objects.length ? parentOf(objects, obj) : null;
+        if (parent) mat4Multiply(visit(parent, depth + 1).world, m.local, m.world);
+        else mat4Copy(m.local, m.world);
+        mat4Multiply(view, m.world, m.modelView);
+        mat4Multiply(projection, m.modelView, m.mvp);
+        // A zero scale collapses the mesh; any normal will do.
+        if (!mat4NormalMatrix(m.modelView, m.normal)) mat4Copy(m.modelView, m.normal);
+        return m;
+    };
+    for (const obj of objects) visit(obj, 0);
+}
+
+// World-space {min, max} around the mesh bounds of `objects` (after
+// updateSceneMatrices), or null when none has a mesh.
+function worldBounds(objects) {
+    let min = null, max = null;
+    for (const obj of objects) {
+        if (!obj.mesh || !obj.mesh.bounds || !obj.matrices) continue;
+        const b = obj.mesh.bounds;
+        for (let k = 0; k < 8; k++) {
+            const p = mat4TransformPoint(obj.matrices.world, {
+                x: k & 1 ? b.max.x : b.min.x, y: k & 2 ? b.max.y : b.min.y, z: k & 4 ? b.max.z : b.min.z,
+            });
+            if (!min) {
+                min = {...p};
+                max = {...p};
+                continue;
+            }
+            min.x = Math.min(min.x, p.x); min.y = Math.min(min.y, p.y); min.z = Math.min(min.z, p.z);
+            max.x = Math.max(max.x, p.x); max.y = Math.max(max.y, p.y); max.z = Math.max(max.z, p.z);
+        }
+    }
+    return min ? {min, max} : null;
+}
+
+// -------- Picking --------
+// Rays are {origin, dir} in world space. Hit distances `t` are measured in
+// units of |dir|, so they stay comparable after the ray is carried into an
+// object's local space by its inverse world matrix.
+
+// Ray from the camera through pixel (px, py) of the viewport: the pixel is
+// unprojected onto the near and far planes.
+function screenRay(camera, viewport, px, py) {
+    const ndcX = (px / viewport.width) * 2 - 1;
+    const ndcY = 1 - (py / viewport.height) * 2;
+    const inv = mat4Invert(mat4Multiply(viewport.projection, cameraViewMatrix(camera)));
+    if (!inv) return null;
+    const unproject = (z) => {
+        const c = mat4TransformVec4(inv, {x: ndcX, y: ndcY, z});
+        return {x: c.x / c.w, y: c.y / c.w, z: c.z / c.w};
+    };
+    const origin = unproject(0);
+    return {origin, dir: vnormalize(vsub(unproject(1), origin))};
+}
+
+// Slab test. Returns the entry distance (0 when starting inside) or null.
+function rayBoxDistance(origin, dir, min, max) {
+    let t0 = 0;
+    let t1 = Infinity;
+    for (const k of ["x", "y", "z"]) {
+        if (dir[k] === 0) {
+            if (origin[k] < min[k] || origin[k] > max[k]) return null;
+            continue;
+        }
+        let tn = (min[k] - origin[k]) / dir[k];
+        let tf = (max[k] - origin[k]) / dir[k];
+        if (tn > tf) { const t = tn; tn = tf; tf = t; }
+        if (tn > t0) t0 = tn;
+        if (tf < t1) t1 = tf;
+        if (t0 > t1) return null;
+    }
+    return t0;
+}
+
+// Moller-Trumbore, two-sided. Returns the hit distance or null.
+function rayTriangleDistance(origin, dir, a, b, c) {
+    const e1 = vsub(b, a);
+    const e2 = vsub(c, a);
+    const p = vcross(dir, e2);
+    const det = vdot(e1, p);
+    if (Math.abs(det) < 1e-12) return null;
+    const inv = 1 / det;
+    const s = vsub(origin, a);
+    const u = vdot(s, p) * inv;
+    if (u < 0 || u > 1) return null;
+    const q = vcross(s, e1);
+    const v = vdot(dir, q) * inv;
+    if (v < 0 || u + v > 1) return null;
+    const t = vdot(e2, q) * inv;
+    return t >= 0 ? t : null;
+}
+
+// -------- Bounding Volume Hierarchy --------
+// Per-mesh tree of boxes over the triangles (split at the median centroid
+// along the longest axis), built on first use and cached on the mesh as
+// `bvh`. A mesh whose vs/fs arrays were swapped gets a fresh tree.
+// Nodes: {min, max, left, right} or leaves {min, max, faces}.
+const BVH_LEAF_SIZE = 8;
+
+function buildBVH(mesh) {
+    const vs = mesh.vs;
+    const items = [];
+    for (let fi = 0; fi < mesh.fs.length; fi++) {
+        const f = mesh.fs[fi];
+        if (f.length !== 3) continue;
+        const a = vs[f[0]], b = vs[f[1]], c = vs[f[2]];
+        if (!a || !b || !c) continue;
+        const bounds = computeBounds([a, b, c]);
+        items.push({face: fi, bounds, center: vscale(vadd(bounds.min, bounds.max), 0.5)});
+    }
+
+    const build = (list) => {
+        const min = {x: Infinity, y: Infinity, z: Infinity};
+        const max = {x: -Infinity, y: -Infinity, z: -Infinity};
+        for (const {bounds} of list) {
+            for (const k of ["x", "y", "z"]) {
+                if (bounds.min[k] < min[k]) min[k] = bounds.min[k];
+                if (bounds.max[k] > max[k]) max[k] = bounds.max[k];
+            }
+        }
+        if (list.length <= BVH_LEAF_SIZE) return {min, max, faces: list.map(it => it.face)};
+        const size = vsub(max, min);
+        const axis = size.x >= size.y && size.x >= size.z ? "x" : size.y >= size.z ? "y" : "z";
+        list.sort((i1, i2) => i1.center[axis] - i2.center[axis]);
+        const mid = list.length >> 1;
+        return {min, max, left: build(list.slice(0, mid)), right: build(list.slice(mid))};
+    };
+
+    return {vs: mesh.vs, fs: mesh.fs, root: items.length ? build(items) : null};
+}
+
+function meshBVH(mesh) {
+    if (!mesh.bvh || mesh.bvh.vs !== mesh.vs || mesh.bvh.fs !== mesh.fs) mesh.bvh = buildBVH(mesh);
+    return mesh.bvh;
+}
+
+// Per-face flags (Uint8Array) of the faces in BVH leaves that reach into the
+// frustum of `mvp`, or `true` when the whole mesh is inside and `false` when
+// none of it is.
+function frustumFaces(bvh, mvp) {
+    if (!bvh.root) return false;
+    const root = boxInFrustum(mvp, bvh.root.min, bvh.root.max);
+    if (root !== 1) return root === 2;
+    const flags = new Uint8Array(bvh.fs.length);
+    const mark = (node) => {
+        if (node.faces) {
+            for (const fi of node.faces) flags[fi] = 1;
+        } else {
+            mark(node.left);
+            mark(node.right);
+        }
+    };
+    const visit = (node) => {
+        const where = boxInFrustum(mvp, node.min, node.max);
+        if (where === 2 || (where === 1 && node.faces)) mark(node);
+        else if (where === 1) {
+            visit(node.left);
+            visit(node.right);
+        }
+    };
+    visit(bvh.root);
+    return flags;
+}
+
+// Nearest triangle of the tree hit by a (mesh-space) ray closer than
+// `maxT`: {t, face} or null. Near children are visited first so far ones
+// can be skipped.
+function raycastBVH(bvh, origin, dir, maxT = Infinity) {
+    let best = null;
+    const vs = bvh.vs;
+    const visit = (node, tNode) => {
+        if (tNode >= (best ? best.t : maxT)) return;
+        if (node.faces) {
+            for (const fi of node.faces) {
+                const f = bvh.fs[fi];
+                const t = rayTriangleDistance(origin, dir, vs[f[0]], vs[f[1]], vs[f[2]]);
+                if (t !== null && t < (best ? best.t : maxT)) best = {t, face: fi};
+            }
+            return;
+        }
+        let tl = rayBoxDistance(origin, dir, node.left.min, node.left.max);
+        let tr = rayBoxDistance(origin, dir, node.right.min, node.right.max);
+        if (tl === null) tl = Infinity;
+        if (tr === null) tr = Infinity;
+        if (tl <= tr) {
+            visit(node.left, tl);
+            visit(node.right, tr);
+        } else {
+            visit(node.right, tr);
+            visit(node.left, tl);
+        }
+    };
+    if (bvh.root) {
+        const t = rayBoxDistance(origin, dir, bvh.root.min, bvh.root.max);
+        if (t !== null) visit(bvh.root, t);
+    }
+    return best;
+}
+
+// Nearest object hit by a world-space ray, through each mesh's BVH.
+// Returns {index, object, t, face} or null. Groups (no mesh) are skipped.
+function pickObject(objects, ray) {
+    let best = null;
+    for (let index = 0; index < objects.length; index++) {
+        const obj = objects[index];
+        const mesh = obj.mesh;
+        if (!mesh || !mesh.vs || !mesh.fs || mesh.fs.length === 0) continue;
+        const inv = mat4Invert(objectWorldMatrix(obj, objects));
+        if (!inv) continue;
+        const o = mat4TransformPoint(inv, ray.origin);
+        const d = mat4TransformDirection(inv, ray.dir);
+
+        const hit = raycastBVH(meshBVH(mesh), o, d, best ? best.t : Infinity);
+        if (hit) best = {index, object: obj, t: hit.t, face: hit.face};
+    }
+    return best;
+}
+
+// -------- Gizmo Math --------
+// Helpers for the in-viewport transform handles. Everything is in world
+// space; rays come from screenRay().
+
+const WORLD_AXES = [{x: 1, y: 0, z: 0}, {x: 0, y: 1, z: 0}, {x: 0, y: 0, z: 1}];
+
+// Where a gizmo sits and which way its X/Y/Z handles point: the object's
+// pivot, with world axes or the object's own (world-space) axes.
+function gizmoFrame(obj, objects, space = "world") {
+    const world = objectWorldMatrix(obj, objects);
+    const origin = {x: world[12], y: world[13], z: world[14]};
+    if (space !== "local") return {origin, axes: WORLD_AXES.map(a => ({...a}))};
+    const axes = WORLD_AXES.map((a, i) => {
+        const col = {x: world[i * 4], y: world[i * 4 + 1], z: world[i * 4 + 2]};
+        return vlen(col) > 1e-12 ? vnormalize(col) : {...a};
+    });
+    return {origin, axes};
+}
+
+// Parameter s of the point on the line origin + s*axis closest to the ray,
+// or null when the two are parallel.
+function rayAxisParameter(ray, origin, axis) {
+    const w = vsub(origin, ray.origin);
+    const a = vdot(axis, axis);
+    const b = vdot(axis, ray.dir);
+    const c = vdot(ray.dir, ray.dir);
+    const d = vdot(axis, w);
+    const e = vdot(ray.dir, w);
+    const denom = a * c - b * b;
+    if (Math.abs(denom) < 1e-9) return null;
+    return (b * e - c * d) / denom;
+}
+
+// Point where the ray meets the plane through `origin` with `normal`, or null.
+function rayPlaneIntersection(ray, origin, normal) {
+    const denom = vdot(ray.dir, normal);
+    if (Math.abs(denom) < 1e-9) return null;
+    const t = vdot(vsub(origin, ray.origin), normal) / denom;
+    return t >= 0 ? vadd(ray.origin, vscale(ray.dir, t)) : null;
+}
+
+// Signed angle turning `a` into `b` about the unit `axis` (same sense as
+// quatFromAxisAngle).
+function angleAroundAxis(a, b, axis) {
+    return Math.atan2(vdot(axis, vcross(a, b)), vdot(a, b));
+}
+
+// Round to the nearest multiple of `step` (no-op for step <= 0).
+function snapValue(v, step) {
+    return step > 0 ? Math.round(v / step) * step : v;
+}
+
+// -------- Camera --------
+// Cameras are {position, yaw, pitch} plus optional fields:
+//   fov          vertical field of view in degrees (default 90)
+//   projection   "perspective" (default) | "orthographic"
+//   orthoHeight  world units across the screen height in orthographic views
+//   mode         "fly" (WASD + mouse look) | "orbit" (turntable)
+//   pivot        the orbit center; distance is the camera's distance from it
+// The view always comes from position/yaw/pitch; orbit helpers keep the
+// position on a sphere around the pivot.
+const DEFAULT_FOV = 90;
+const ORBIT_PITCH_LIMIT = Math.PI / 2 - 0.01;
+
+// Yaw/pitch looking along each axis. Front looks down +Z like the default
+// camera; iso looks from the front-right-top corner.
+const STANDARD_VIEWS = {
+    front: {yaw: 0, pitch: 0},
+    back: {yaw: Math.PI, pitch: 0},
+    right: {yaw: Math.PI / 2, pitch: 0},
+    left: {yaw: -Math.PI / 2, pitch: 0},
+    top: {yaw: 0, pitch: Math.PI / 2},
+    bottom: {yaw: 0, pitch: -Math.PI / 2},
+    iso: {yaw: Math.PI / 4, pitch: Math.atan(Math.SQRT1_2)},
+};
+
+function cameraFov(camera) {
+    const deg = camera.fov > 0 ? camera.fov : DEFAULT_FOV;
+    return clamp(deg, 1, 170) * Math.PI / 180;
+}
+
+function cameraForward(camera) {
+    return quatRotateVector(cameraQuaternion(camera), {x: 0, y: 0, z: 1});
+}
+
+function cameraDistance(camera) {
+    return camera.distance > 0 ? camera.distance : 6;
+}
+
+function cameraPivot(camera) {
+    return camera.pivot || vadd(camera.position, vscale(cameraForward(camera), cameraDistance(camera)));
+}
+
+// Orthographic views default to what the perspective lens shows at the
+// pivot, so toggling keeps the framing.
+function cameraOrthoHeight(camera) {
+    if (camera.orthoHeight > 0) return camera.orthoHeight;
+    return 2 * cameraDistance(camera) * Math.tan(cameraFov(camera) / 2);
+}
+
+// Put the camera on its orbit sphere: `distance` behind the pivot along the
+// current view direction.
+function placeOrbitCamera(camera, pivot = cameraPivot(camera), distance = cameraDistance(camera)) {
+    camera.pivot = {...pivot};
+    camera.distance = distance;
+    camera.position = vsub(pivot, vscale(cameraForward(camera), distance));
+    return camera;
+}
+
+// Turntable: turn around the pivot, pitch stops short of the poles.
+function orbitCamera(camera, dYaw, dPitch) {
+    const pivot = cameraPivot(camera);
+    const distance = vlen(vsub(camera.position, pivot)) || cameraDistance(camera);
+    camera.yaw += dYaw;
+    camera.pitch = clamp(camera.pitch + dPitch, -ORBIT_PITCH_LIMIT, ORBIT_PITCH_LIMIT);
+    return placeOrbitCamera(camera, pivot, distance);
+}
+
+// Slide the camera and its pivot in the view plane (dx right, dy up, in
+// world units).
+function panCamera(camera, dx, dy) {
+    const q = cameraQuaternion(camera);
+    const move = vadd(vscale(quatRotateVector(q, {x: 1, y: 0, z: 0}), dx), vscale(quatRotateVector(q, {x: 0, y: 1, z: 0}), dy));
+    const pivot = cameraPivot(camera);
+    camera.position = vadd(camera.position, move);
+    camera.pivot = vadd(pivot, move);
+    return camera;
+}
+
+// Zoom by `factor` (< 1 = closer) keeping world point `target` under the
+// cursor. Perspective cameras move towards it; orthographic ones shrink
+// their view and slide sideways (moving along the view changes nothing).
+function zoomCamera(camera, factor, target) {
+    const pivot = cameraPivot(camera);
+    const offset = vsub(target, camera.position);
+    if (camera.projection === "orthographic") {
+        const forward = cameraForward(camera);
+        const move = vscale(vsub(offset, vscale(forward, vdot(offset, forward))), 1 - factor);
+        camera.orthoHeight = cameraOrthoHeight(camera) * factor;
+        camera.position = vadd(camera.position, move);
+        camera.pivot = vadd(pivot, move);
+    } else {
+        camera.position = vadd(camera.position, vscale(offset, 1 - factor));
+        camera.pivot = vadd(pivot, vscale(vsub(target, pivot), 1 - factor));
+        camera.distance = vlen(vsub(camera.pivot, camera.position)) || cameraDistance(camera) * factor;
+    }
+    return camera;
+}
+
+// Look at the pivot from one of STANDARD_VIEWS.
+function setStandardView(camera, name) {
+    const view = STANDARD_VIEWS[name];
+    if (!view) throw new Error(`Unknown view ${JSON.stringify(name)}`);
+    const pivot = cameraPivot(camera);
+    camera.yaw = view.yaw;
+    camera.pitch = view.pitch;
+    return placeOrbitCamera(camera, pivot);
+}
+
+// Center world-space bounds {min, max} in the view and back off until
+// their bounding sphere fits the narrower field of view.
+function frameBounds(camera, bounds, aspect = 1) {
+    const center = vscale(vadd(bounds.min, bounds.max), 0.5);
+    const radius = Math.max(vlen(vsub(bounds.max, bounds.min)) / 2, 0.05);
+    const halfY = cameraFov(camera) / 2;
+    const halfX = Math.atan(Math.tan(halfY) * aspect);
+    const distance = Math.max(radius / Math.sin(Math.min(halfX, halfY)), radius + NEAR_PLANE) * 1.1;
+    camera.orthoHeight = 2 * radius * 1.1 / Math.min(1, aspect);
+    return placeOrbitCamera(camera, center, distance);
+}
+
+// -------- OBJ Export --------
+
+// Six decimals, no trailing zeros.
+function formatExportNumber(n) {
+    return String(Math.round(n * 1e6) / 1e6);
+}
+
+// How an exported object's mesh is written (shared by the OBJ, STL and PLY
+// exporters): {point(v), normal(n), flip}. space "world" bakes the world
+// transform in (flip: a mirroring transform turned the faces inside out, so
+// swap two corners back); "original" undoes normalizeMesh and ignores the
+// object transform.
+function exportTransform(obj, space, scene) {
+    if (space === "original") {
+        const n = obj.mesh.normalization;
+        return {
+            point: n ? (v) => ({x: v.x / n.scale + n.center.x, y: v.y / n.scale + n.center.y, z: v.z / n.scale + n.center.z}) : (v) => v,
+            normal: (d) => d,
+            flip: false,
+        };
+    }
+    const world = objectWorldMatrix(obj, scene);
+    const normalMatrix = mat4NormalMatrix(world) || mat4Identity();
+    const cols = [0, 4, 8].map(i => ({x: world[i], y: world[i + 1], z: world[i + 2]}));
+    return {
+        point: (v) => mat4TransformPoint(world, v),
+        normal: (d) => vnormalize(mat4TransformDirection(normalMatrix, d)),
+        flip: vdot(vcross(cols[0], cols[1]), cols[2]) < 0,
+    };
+}
+
+// Wavefront OBJ + MTL for scene objects: each mesh object becomes an `o`
+// with its own v/vt/vn (vertex colors as `v x y z r g b`) and a material per
+// color/material slot. Groups are skipped (pass their children to export a
+// subtree). options:
+//   space   - "world": world transforms baked in (the scene as shown);
+//             "original": each mesh in the coordinates of its source file
+//   scene   - every object, for parent lookups (defaults to `objects`)
+//   mtlName - file name written after `mtllib`
+// Returns {obj, mtl} text.
+function exportOBJ(objects, options = {}) {
+    const space = options.space || "world";
+    const scene = options.scene || objects;
+    const fmt = formatExportNumber;
+    const rgb = (c) => `${fmt(c.r)} ${fmt(c.g)} ${fmt(c.b)}`;
+    const header = "# Exported from JS-Software-Rasterizer";
+    const obj = [header, `mtllib ${options.mtlName || "scene.mtl"}`];
+    const mtl = [header];
+
+    // OBJ/MTL names are whitespace-delimited in most tools.
+    const objectNames = new Set();
+    const materialNames = new Set();
+    const uniqueName = (used, name) => {
+        const base = String(name || "").trim().replace(/\s+/g, "_") || "object";
+        let out = base;
+        for (let i = 2; used.has(out); i++) out = `${base}_${i}`;
+        used.add(out);
+        return out;
+    };
+    const writeMaterial = (name, mat) => {
+        mtl.push("", `newmtl ${name}`, `Ka ${rgb(mat.ka)}`, `Kd ${rgb(mat.kd)}`, `Ks ${rgb(mat.ks)}`,
+            `Ns ${fmt(mat.ns)}`, `d ${fmt(mat.d)}`);
+        // Only image files can be referenced (not the generated checkerboard).
+        const tex = mat.texture && /\.\w+$/.test(mat.texture.name || "") ? mat.texture.name : null;
+        if (mat.mapKd || tex) mtl.push(`map_Kd ${mat.mapKd || tex}`);
+    };
+
+    let vBase = 1, tBase = 1, nBase = 1;
+    for (const o of objects) {
+        const mesh = o.mesh;
+        if (!mesh || !mesh.vs || !mesh.fs || mesh.fs.length === 0) continue;
+        const name = uniqueName(objectNames, o.name);
+
+        const xf = exportTransform(o, space, scene);
+
+        obj.push("", `o ${name}`);
+        mesh.vs.forEach((v, i) => {
+            const p = xf.point(v);
+            const c = mesh.cs ? ` ${rgb(mesh.cs[i])}` : "";
+            obj.push(`v ${fmt(p.x)} ${fmt(p.y)} ${fmt(p.z)}${c}`);
+        });
+        const uvs = mesh.fts && mesh.uvs ? mesh.uvs : null;
+        if (uvs) for (const t of uvs) obj.push(`vt ${fmt(t.u)} ${fmt(t.v)}`);
+        const ns = mesh.fns && mesh.ns ? mesh.ns : null;
+        if (ns) {
+            for (const n of ns) {
+                const d = xf.normal(n);
+                obj.push(`vn ${fmt(d.x)} ${fmt(d.y)} ${fmt(d.z)}`);
+            }
+        }
+
+        // Material slot (-1 = the object's base color) -> exported name.
+        const slotNames = new Map();
+        const materialFor = (fi) => {
+            const slot = mesh.fms && o.materials && o.materials[mesh.fms[fi]] ? mesh.fms[fi] : -1;
+            if (!slotNames.has(slot)) {
+                const mat = slot < 0 ? objectBaseMaterial(o) : o.materials[slot];
+                const mname = uniqueName(materialNames, slot < 0 ? `${name}_color` : `${name}_${mat.name}`);
+                writeMaterial(mname, mat);
+                slotNames.set(slot, mname);
+            }
+            return slotNames.get(slot);
+        };
+
+        const order = xf.flip ? [0, 2, 1] : [0, 1, 2];
+        let current = null;
+        mesh.fs.forEach((f, fi) => {
+            const mname = materialFor(fi);
+            if (mname !== current) {
+                obj.push(`usemtl ${mname}`);
+                current = mname;
+            }
+            const ft = uvs ? mesh.fts[fi] : null;
+            const fn = ns ? mesh.fns[fi] : null;
+            const refs = order.map(k => {
+                let ref = String(f[k] + vBase);
+                if (ft) ref += `/${ft[k] + tBase}`;
+                if (fn) ref += `${ft ? "" : "/"}/${fn[k] + nBase}`;
+                return ref;
+            });
+            obj.push(`f ${refs.join(" ")}`);
+        });
+
+        vBase += mesh.vs.length;
+        if (uvs) tBase += uvs.length;
+        if (ns) nBase += ns.length;
+    }
+
+    return {obj: obj.join("\n") + "\n", mtl: mtl.join("\n") + "\n"};
+}
+
+// -------- Lights --------
+// Lights are scene objects with a `light` field and no mesh. Directional and
+// spot lights shine along their local +Z axis; point and spot lights fade to
+// nothing at `range`. Colors are 0..255 like object colors; `angle` is the
+// spot cone's half angle in degrees and `penumbra` the soft fraction of it.
+// Directional and spot lights with `castShadows` get a shadow map (see
+// Shadows below).
+const LIGHT_TYPES = ["directional", "point", "spot"];
+
+function createLight(type = "directional", props = {}) {
+    if (!LIGHT_TYPES.includes(type)) throw new Error(`Unknown light type ${JSON.stringify(type)}`);
+    return {
+        type, color: {r: 255, g: 255, b: 255}, intensity: 1, range: 5, angle: 30, penumbra: 0.2,
+        castShadows: false, shadowBias: 0.01, shadowSoftness: 1, shadowMapSize: 512,
+        ...props,
+    };
+}
+
+// Scene-wide ambient: a flat color, or a hemisphere blending a sky color
+// (facing world +Y) into a ground color.
+const DEFAULT_LIGHTING = {
+    ambient: {r: 255, g: 255, b: 255},
+    ambientIntensity: 0.15,
+    hemisphere: false,
+    sky: {r: 185, g: 210, b: 255},
+    ground: {r: 90, g: 75, b: 60},
+};
+
+// Scenes without light objects get a camera-space headlight (the original
+// fixed light); its diffuse share is what the ambient leaves.
+const DEFAULT_LIGHT = {
+    dir: vnormalize({x: -1, y: 1, z: -1}),
+    ambient: 0.15,
+};
+
+// Every light object in view space, ready for lightTerms():
+// {ambient, hemisphere: {sky, ground, up} | null, specular, lights: [{type,
+// dir (towards the light / against the spot), pos, diffuse, specular, range,
+// cosInner, cosOuter, shadow}]}. Call after updateSceneMatrices();
+// `shadows` false skips the shadow maps.
+function buildLightRig(objects, view, lighting, specular, shadows = true) {
+    const settings = {...DEFAULT_LIGHTING, ...lighting};
+    const tint = (c, k) => ({r: c.r / 255 * k, g: c.g / 255 * k, b: c.b / 255 * k});
+    const rig = {
+        ambient: tint(settings.ambient, settings.ambientIntensity),
+        hemisphere: null,
+        specular: !!specular,
+        lights: [],
+    };
+    if (settings.hemisphere) {
+        rig.hemisphere = {
+            sky: tint(settings.sky, settings.ambientIntensity),
+            ground: tint(settings.ground, settings.ambientIntensity),
+            up: vnormalize(mat4TransformDirection(view, {x: 0, y: 1, z: 0})),
+        };
+    }
+
+    let viewInverse = null;
+    for (const obj of objects) {
+        const light = obj.light;
+        if (!light || !obj.matrices) continue;
+        const world = obj.matrices.world;
+        const forward = vnormalize(mat4TransformDirection(world, {x: 0, y: 0, z: 1}));
+        const color = tint(light.color || {r: 255, g: 255, b: 255}, light.intensity === undefined ? 1 : light.intensity);
+        const outer = Math.min(89.9, Math.max(0.1, light.angle || 30)) * Math.PI / 180;
+        const inner = outer * (1 - clamp(light.penumbra || 0, 0, 1));
+        rig.lights.push({
+            type: light.type,
+            dir: vscale(vnormalize(mat4TransformDirection(view, forward)), -1),
+            pos: mat4TransformPoint(view, {x: world[12], y: world[13], z: world[14]}),
+            diffuse: color,
+            specular: color,
+            range: light.range > 0 ? light.range : Infinity,
+            cosInner: Math.cos(inner),
+            cosOuter: Math.cos(outer),
+            shadow: null,
+        });
+        if (shadows && light.castShadows && light.type !== "point") {
+            if (!viewInverse) viewInverse = mat4Invert(view) || mat4Identity();
+            rig.lights[rig.lights.length - 1].shadow = buildShadowMap(obj, objects, viewInverse);
+        }
+    }
+
+    if (rig.lights.length === 0) {
+        const ambient = lighting ? settings.ambientIntensity : DEFAULT_LIGHT.ambient;
+        if (!lighting) rig.ambient = {r: ambient, g: ambient, b: ambient};
+        const k = Math.max(0, 1 - ambient);
+        rig.lights.push({
+            type: "directional",
+            dir: DEFAULT_LIGHT.dir,
+            diffuse: {r: k, g: k, b: k},
+            specular: {r: 1, g: 1, b: 1},
+        });
+    }
+    return rig;
+}
+
+// The same rig without shadow lookups, for objects that don't receive them.
+function unshadowedRig(rig) {
+    if (!rig.lights.some(l => l.shadow)) return rig;
+    return {...rig, lights: rig.lights.map(l => l.shadow ? {...l, shadow: null} : l)};
+}
+
+// -------- Shadows --------
+// A shadow map is a square depth buffer rendered from a light: an
+// orthographic view fitted around the scene for directional lights, the
+// spot's cone for spot lights. Depth is the distance along the light's axis
+// in world units, so the bias is in world units too. Objects opt out with
+// `castShadows: false` / `receiveShadows: false`.
+
+// Sphere {center, radius} around every mesh object's world bounds, or null.
+function sceneWorldSphere(objects) {
+    const bounds = worldBounds(objects);
+    if (!bounds) return null;
+    return {center: vscale(vadd(bounds.min, bounds.max), 0.5), radius: Math.max(vlen(vsub(bounds.max, bounds.min)) / 2, 1e-3)};
+}
+
+// Render the casters' depth from `lightObj`. viewInverse maps camera view
+// space back to world space so lookups can start from view-space points.
+// Returns {size, depth, matrix (camera view -> light clip), depthMatrix
+// (camera view -> light view), texel (world size of a texel, per unit of
+// depth for spots), perspective, bias, softness} or null for an empty scene.
+function buildShadowMap(lightObj, objects, viewInverse) {
+    const light = lightObj.light;
+    const world = lightObj.matrices.world;
+    const sphere = sceneWorldSphere(objects);
+    if (!sphere) return null;
+    const size = clamp(Math.round(light.shadowMapSize || 512), 16, 4096);
+    const forward = vnormalize(mat4TransformDirection(world, {x: 0, y: 0, z: 1}));
+    const up = Math.abs(forward.y) > 0.99 ? {x: 0, y: 0, z: 1} : {x: 0, y: 1, z: 0};
+
+    let lightView, projection, texel;
+    if (light.type === "spot") {
+        const eye = {x: world[12], y: world[13], z: world[14]};
+        const reach = vlen(vsub(sphere.center, eye)) + sphere.radius;
+        const far = Math.max(0.1, Math.min(light.range > 0 ? light.range : Infinity, reach));
+        const angle = Math.min(89.9, Math.max(0.1, light.angle || 30)) * Math.PI / 180;
+        lightView = mat4LookAt(eye, vadd(eye, forward), up);
+        projection = mat4Perspective(2 * angle, 1, Math.min(0.05, far / 2), far);
+        texel = 2 * Math.tan(angle) / size;
+    } else {
+        const r = sphere.radius;
+        lightView = mat4LookAt(vsub(sphere.center, vscale(forward, 2 * r)), sphere.center, up);
+        projection = mat4Ortho(-r, r, -r, r, 0.5 * r, 3.5 * r);
+        texel = 2 * r / size;
+    }
+    const viewProjection = mat4Multiply(projection, lightView);
+
+    const depth = new Float32Array(size * size).fill(Infinity);
+    for (const obj of objects) {
+        if (!obj.mesh || !obj.mesh.vs || !obj.mesh.fs || !obj.matrices || obj.castShadows === false) continue;
+        const toClip = mat4Multiply(viewProjection, obj.matrices.world);
+        const toView = mat4Multiply(lightView, obj.matrices.world);
+        // Per vertex: map pixel x/y, 1/w and z/w (both linear on screen).
+        const pts = obj.mesh.vs.map(v => {
+            const c = mat4TransformVec4(toClip, v);
+            if (!(c.w > 1e-6)) return null;
+            const z = mat4TransformPoint(toView, v).z;
+            return {x: (c.x / c.w * 0.5 + 0.5) * size, y: (0.5 - c.y / c.w * 0.5) * size, iw: 1 / c.w, zw: z / c.w};
+        });
+        for (const f of obj.mesh.fs) {
+            if (f.length !== 3) continue;
+            const a = pts[f[0]], b = pts[f[1]], c = pts[f[2]];
+            if (a && b && c) rasterizeShadowTriangle(depth, size, a, b, c);
+        }
+    }
+
+    return {
+        size,
+        depth,
+        matrix: mat4Multiply(viewProjection, viewInverse),
+        depthMatrix: mat4Multiply(lightView, viewInverse),
+        texel,
+        perspective: light.type === "spot",
+        bias: light.shadowBias === undefined ? 0.01 : Math.max(0, light.shadowBias),
+        softness: clamp(Math.round(light.shadowSoftness || 0), 0, 3),
+    };
+}
+
+// Both windings are drawn: the bias, not culling, keeps surfaces from
+// shadowing themselves.
+function rasterizeShadowTriangle(depth, size, a, b, c) {
+    const area = (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+    if (area === 0) return;
+    const x0 = Math.max(0, Math.floor(Math.min(a.x, b.x, c.x)));
+    const x1 = Math.min(size - 1, Math.ceil(Math.max(a.x, b.x, c.x)));
+    const y0 = Math.max(0, Math.floor(Math.min(a.y, b.y, c.y)));
+    const y1 = Math.min(size - 1, Math.ceil(Math.max(a.y, b.y, c.y)));
+    for (let y = y0; y <= y1; y++) {
+        const py = y + 0.5;
+        for (let x = x0; x <= x1; x++) {
+            const px = x + 0.5;
+            const w0 = ((b.x - px) * (c.y - py) - (b.y - py) * (c.x - px)) / area;
+            const w1 = ((c.x - px) * (a.y - py) - (c.y - py) * (a.x - px)) / area;
+            const w2 = 1 - w0 - w1;
+            if (w0 < 0 || w1 < 0 || w2 < 0) continue;
+            const z = (w0 * a.zw + w1 * b.zw + w2 * c.zw) / (w0 * a.iw + w1 * b.iw + w2 * c.iw);
+            const i = y * size + x;
+            if (z < depth[i]) depth[i] = z;
+        }
+    }
+}
+
+// Lit fraction (0..1) of view-space point p. Softness N averages a
+// (2N+1)^2 texel block (percentage-closer filtering). On top of the fixed
+// bias, surfaces tilted away from the light get a slope bias covering the
+// depth change across the block, so they don't shadow themselves.
+function shadowFactor(shadow, px, py, pz, NdotL) {
+    const m = shadow.matrix;
+    const w = m[3]*px + m[7]*py + m[11]*pz + m[15];
+    if (!(w > 1e-6)) return 1;
+    const size = shadow.size;
+    const u = ((m[0]*px + m[4]*py + m[8]*pz + m[12]) / w * 0.5 + 0.5) * size;
+    const v = (0.5 - (m[1]*px + m[5]*py + m[9]*pz + m[13]) / w * 0.5) * size;
+    if (u < 0 || v < 0 || u >= size || v >= size) return 1;
+    const d = shadow.depthMatrix;
+    const z = d[2]*px + d[6]*py + d[10]*pz + d[14];
+    const k = shadow.softness;
+    const slope = Math.sqrt(Math.max(0, 1 - NdotL * NdotL)) / Math.max(NdotL, 1e-3);
+    const texel = shadow.perspective ? shadow.texel * z : shadow.texel;
+    const limit = z - shadow.bias - texel * (k + 1) * Math.SQRT2 * Math.min(8, slope);
+
+    const cx = Math.floor(u), cy = Math.floor(v);
+    let lit = 0, count = 0;
+    for (let y = cy - k; y <= cy + k; y++) {
+        const row = clamp(y, 0, size - 1) * size;
+        for (let x = cx - k; x <= cx + k; x++) {
+            if (shadow.depth[row + clamp(x, 0, size - 1)] >= limit) lit++;
+            count++;
+        }
+    }
+    return lit / count;
+}
+
+// -------- Render Pipeline --------
+// Camera is at origin looking down +Z in view space.
+
+// Clip-space squeeze mapping pixel rows [top, bottom) (plus a row of slack
+// for the rasterizer's rounding) onto the whole frustum height, so
+// frustumFaces(bvh, band * mvp) keeps only the leaves reaching into them.
+function bandMatrix(viewport, [top, bottom]) {
+    const hi = 1 - 2 * (top - 1) / viewport.height;
+    const lo = 1 - 2 * (bottom + 1) / viewport.height;
+    const m = mat4Identity();
+    m[5] = 2 / (hi - lo);
+    m[13] = -(hi + lo) / (hi - lo);
+    return m;
+}
+
+// Transform, cull and light every triangle of every object. Returns a GLOBAL
+// triangle list across all objects (fixes multi-object sorting) in view space;
+// each entry carries its clip-space corners, shader and varyings for the
+// rasterizer. Objects (and BVH leaves) outside the view frustum are skipped;
+// every remaining vertex is transformed once per object through the
+// object's cached model-view and MVP matrices.
+// scene: {objects, camera, lighting?} (lighting: see DEFAULT_LIGHTING)
+// options: {shading: "flat"|"gouraud"|"phong", specular, textures, shadows,
+//           smoothingAngle, rows, stats} (smoothingAngle: for faces the file
+//           gave no normals, see fallbackNormals; rows: [top, bottom) pixel
+//           rows to build for, leaves outside the band are skipped too;
+//           stats: object filled with the counts of mesh objects, culled
+//           objects, submitted and culled triangles)
+function buildTriangles(scene, viewport, options = {}) {
+    const objects = scene.objects || [];
+    const view = cameraViewMatrix(scene.camera);
+    updateSceneMatrices(objects, view, viewport.projection);
+    const band = options.rows ? bandMatrix(viewport, options.rows) : null;
+    const rig = buildLightRig(objects, view, scene.lighting, options.specular, options.shadows !== false);
+    rig.orthographic = !!viewport.orthographic;
+    const unshadowed = unshadowedRig(rig);
+    const shadingMode = options.shading || "flat";
+    const smoothingAngle = options.smoothingAngle === undefined ? 60 : options.smoothingAngle;
+    const textures = options.textures !== false;
+    const rgb = [0, 0, 0];
+
+    const stats = options.stats || {};
+    stats.objects = stats.culledObjects = stats.submitted = stats.culled = 0;
+
+    const tris = [];
+    for (let objIndex = 0; objIndex < objects.length; objIndex++) {
+        const obj = objects[objIndex];
+        if (!obj.mesh || !obj.mesh.vs || !obj.mesh.fs) continue;
+        const vsLocal = obj.mesh.vs;
+        const fsLocal = obj.mesh.fs;
+        const m = obj.matrices;
+        stats.objects++;
+        stats.submitted += fsLocal.length;
+
+        // Frustum culling: skip objects whose BVH root is off screen; of the
+        // ones crossing the frustum's edge keep only faces in visible leaves.
+        const bvh = meshBVH(obj.mesh);
+        let visibleFaces = frustumFaces(bvh, m.mvp);
+        if (!visibleFaces) {
+            stats.culledObjects++;
+            stats.culled += fsLocal.length;
+            continue;
+        }
+        // Building for a band of rows (tiles.js): only leaves reaching into it.
+        if (band) visibleFaces = frustumFaces(bvh, mat4Multiply(band, m.mvp));
+        if (!visibleFaces) {
+            stats.culled += fsLocal.length;
+            continue;
+        }
+        const builtBefore = tris.length;
+
+        const defaultMat = objectBaseMaterial(obj);
+        const colors = obj.mesh.cs; // per-vertex colors, 0..1
+        const light = obj.receiveShadows === false ? unshadowed : rig;
+        const shadings = new Map(); // material -> shading per varyings layout
+
+        // Vertices are transformed once, only those of faces that survived.
+        const vsView = new Array(vsLocal.length);
+        const vsClip = new Array(vsLocal.length);
+        for (let fi = 0; fi < fsLocal.length; fi++) {
+            if (visibleFaces !== true && !visibleFaces[fi]) continue;
+            for (const i of fsLocal[fi]) {
+                if (vsView[i] || !vsLocal[i]) continue;
+                vsView[i] = mat4TransformPoint(m.modelView, vsLocal[i]);
+                vsClip[i] = mat4TransformVec4(m.mvp, vsLocal[i]);
+            }
+        }
+        let nsView = null; // view-space vertex normals, built on first use
+        let fallback = null; // generated normals for faces the file skipped
+        let fallbackView = null;
+
+        for (let fi = 0; fi < fsLocal.length; fi++) {
+            const f = fsLocal[fi];
+            if (f.length !== 3) continue;
+            if (visibleFaces !== true && !visibleFaces[fi]) continue;
+            const a0 = vsLocal[f[0]];
+            const b0 = vsLocal[f[1]];
+            const c0 = vsLocal[f[2]];
+            if (!a0 || !b0 || !c0) continue;
+
+            // Camera space
+            const a = vsView[f[0]];
+            const b = vsView[f[1]];
+            const c = vsView[f[2]];
+
+            // Normal in view space
+            const ab = vsub(b, a);
+            const ac = vsub(c, a);
+            const n = vcross(ab, ac);
+
+            // Backface culling in view space (orthographic views all look down +Z)
+            if ((viewport.orthographic ? n.z : vdot(n, a)) >= 0) continue;
+            const nn = vnormalize(n);
+
+            const mat = faceMaterial(obj, fi, defaultMat);
+            const tri = {
+                a, b, c,
+                ca: vsClip[f[0]], cb: vsClip[f[1]], cc: vsClip[f[2]],
+                avgZ: (a.z + b.z + c.z) / 3,
+                nn,
+                objIndex,
+                alpha: mat.d,
+            };
+
+            // Face lighting is always computed: it is the painter's fill and
+            // the flat-mode term.
+            const faceTerms = [0, 0, 0, 1, 1, 1, 0, 0, 0];
+            if (!obj.unlit) {
+                const center = vscale(vadd(vadd(a, b), c), 1/3);
+                lightTerms(nn.x, nn.y, nn.z, center.x, center.y, center.z, light, mat.ns, faceTerms);
+            }
+            // Vertex colors modulate like a texel: averaged for the flat fill,
+            // interpolated below.
+            const ca = colors && colors[f[0]], cb = colors && colors[f[1]], cc = colors && colors[f[2]];
+            const faceTexel = ca && cb && cc ? [85 * (ca.r + cb.r + cc.r), 85 * (ca.g + cb.g + cc.g), 85 * (ca.b + cb.b + cc.b)] : null;
+            litColor(mat, faceTerms, faceTexel, rgb);
+            tri.shader = packLit(rgb);
+            tri.flatRGB = [rgb[0], rgb[1], rgb[2]];
+
+            let fn = obj.mesh.fns && obj.mesh.fns[fi];
+            const shaded = shadingMode !== "flat" && !obj.unlit;
+            const generated = shaded && obj.mesh.fns && !fn;
+            if (generated) {
+                if (!fallback) fallback = fallbackNormals(obj.mesh, smoothingAngle);
+                fn = fallback.fns[fi];
+            }
+            const smooth = shaded && fn;
+            const tex = textures ? mat.texture : null;
+            if (!smooth && !tex && !faceTexel) {
+                tris.push(tri);
+                continue;
+            }
+
+            // Varyings: [lighting..., u, v, r, g, b]. Gouraud interpolates the
+            // per-vertex light terms, Phong the view-space normal + position.
+            const va = [], vb = [], vc = [];
+            if (smooth) {
+                const toView = (list) => list.map(n => vnormalize(mat4TransformDirection(m.normal, n)));
+                if (generated && !fallbackView) fallbackView = toView(fallback.ns);
+                if (!generated && !nsView) nsView = toView(obj.mesh.ns);
+                const normals = generated ? fallbackView : nsView;
+                const nA = normals[fn[0]];
+                const nB = normals[fn[1]];
+                const nC = normals[fn[2]];
+                if (shadingMode === "gouraud") {
+                    va.push(...lightTerms(nA.x, nA.y, nA.z, a.x, a.y, a.z, light, mat.ns, new Array(9)));
+                    vb.push(...lightTerms(nB.x, nB.y, nB.z, b.x, b.y, b.z, light, mat.ns, new Array(9)));
+                    vc.push(...lightTerms(nC.x, nC.y, nC.z, c.x, c.y, c.z, light, mat.ns, new Array(9)));
+                } else {
+                    va.push(nA.x, nA.y, nA.z, a.x, a.y, a.z);
+                    vb.push(nB.x, nB.y, nB.z, b.x, b.y, b.z);
+                    vc.push(nC.x, nC.y, nC.z, c.x, c.y, c.z);
+                }
+            }
+            const uvOffset = va.length;
+            if (tex) {
+                const ft = obj.mesh.fts && obj.mesh.fts[fi];
+                let tA, tB, tC;
+                if (ft) {
+                    tA = obj.mesh.uvs[ft[0]];
+                    tB = obj.mesh.uvs[ft[1]];
+                    tC = obj.mesh.uvs[ft[2]];
+                } else {
+                    const nLocal = vcross(vsub(b0, a0), vsub(c0, a0));
+                    tA = boxProjectUV(a0, nLocal);
+                    tB = boxProjectUV(b0, nLocal);
+                    tC = boxProjectUV(c0, nLocal);
+                }
+                va.push(tA.u, tA.v);
+                vb.push(tB.u, tB.v);
+                vc.push(tC.u, tC.v);
+            }
+            const colorOffset = va.length;
+            if (faceTexel) {
+                va.push(255 * ca.r, 255 * ca.g, 255 * ca.b);
+                vb.push(255 * cb.r, 255 * cb.g, 255 * cb.b);
+                vc.push(255 * cc.r, 255 * cc.g, 255 * cc.b);
+            }
+            tri.va = va;
+            tri.vb = vb;
+            tri.vc = vc;
+
+            if (!shadings.has(mat)) shadings.set(mat, []);
+            const layouts = shadings.get(mat);
+            const layout = (smooth ? 2 : 0) + (faceTexel ? 1 : 0);
+            if (!layouts[layout]) {
+                layouts[layout] = {
+                    mode: smooth ? shadingMode : "flat",
+                    mat, light, tex,
+                    filter: obj.textureFilter || "bilinear",
+                    wrap: obj.textureWrap || "repeat",
+                    uvOffset, colorOffset,
+                    vertexColors: !!faceTexel,
+                };
+            }
+            tri.shading = layouts[layout];
+            tri.faceTerms = faceTerms;
+            tri.shader = createTriangleShader(tri.shading, faceTerms);
+
+            tris.push(tri);
+        }
+        stats.culled += fsLocal.length - (tris.length - builtBefore);
+    }
+
+    return tris;
+}
+
+// Clip a view-space triangle against the frustum and return its screen-space
+// polygon (convex, possibly empty). Varyings ride along through the clipper.
+function clipTriangleToScreen(t, viewport) {
+    // Clip-space corners are shared between triangles: copy before attaching
+    // this triangle's varyings.
+    const pa = {...(t.ca || project(t.a, viewport))};
+    const pb = {...(t.cb || project(t.b, viewport))};
+    const pc = {...(t.cc || project(t.c, viewport))};
+    if (t.va) {
+        pa.vary = t.va;
+        pb.vary = t.vb;
+        pc.vary = t.vc;
+    }
+    const poly = clipPolygon([pa, pb, pc]);
+    if (poly.length < 3) return [];
+    return poly.map(c => screen(c, viewport));
+}
+
+// Opaque triangles first, then translucent ones far -> near.
+function drawOrder(tris) {
+    const opaque = tris.filter(t => t.alpha >= 1);
+    const translucent = tris.filter(t => t.alpha < 1).sort((t1, t2) => t2.avgZ - t1.avgZ);
+    return opaque.concat(translucent);
+}
+
+// Depth-buffered rasterization of a buildTriangles() list. Opaque triangles
+// go first; translucent materials (d < 1) are blended afterwards, far -> near,
+// tested against but not written to the depth buffer. Marks drawn triangles
+// with `visible` and returns the number of pixels written.
+function rasterizeTriangles(fb, tris, viewport) {
+    let pixels = 0;
+    for (const t of drawOrder(tris)) {
+        const pts = clipTriangleToScreen(t, viewport);
+        // The clipped polygon is convex: split it back into a triangle fan.
+        for (let i = 1; i + 1 < pts.length; i++) {
+            pixels += rasterizeTriangle(fb, pts[0], pts[i], pts[i + 1], t.shader, t.alpha);
+        }
+        t.visible = pts.length >= 3;
+    }
+    return pixels;
+}
+
+// One complete frame into `fb`: clear, build, rasterize.
+// options: buildTriangles options + {background: {r, g, b}}.
+function renderScene(fb, scene, options = {}) {
+    const viewport = createViewport(fb.width, fb.height, scene.camera);
+    clearFramebuffer(fb, options.background || {r: 0x10, g: 0x10, b: 0x10});
+    const tris = buildTriangles(scene, viewport, options);
+    const pixels = rasterizeTriangles(fb, tris, viewport);
+    return {tris, viewport, pixels};
+}
+
+// Node (CLI, tests): expose the core as a CommonJS module.
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        NEAR_PLANE,
+        FAR_PLANE,
+        DEFAULT_LIGHT,
+        DEFAULT_LIGHTING,
+        LIGHT_TYPES,
+        DEFAULT_FOV,
+        STANDARD_VIEWS,
+        clamp,
+        vsub, vcross, vdot, vlen, vscale, vnormalize, vadd,
+        translate_z, rotate_xz, rotate_yz, rotate_xy,
+        parseOBJ,
+        parseMTL,
+        createMaterial,
+        objectBaseMaterial,
+        faceMaterial,
+        computeVertexNormals,
+        fallbackNormals,
+        normalizeMesh,
+        computeBounds,
+        extractSubmesh,
+        splitMeshParts,
+        clipPolygon,
+        clipLine,
+        createFramebuffer,
+        clearFramebuffer,
+        packRGBA,
+        rasterizeTriangle,
+        lightTerms,
+        createLight,
+        buildLightRig,
+        buildShadowMap,
+        shadowFactor,
+        litColor,
+        createTriangleShader,
+        createCheckerTexture,
+        sampleTexture,
+        eulerToQuaternion,
+        quaternionToEuler,
+        objectQuaternion,
+        setObjectRotation,
+        setObjectQuaternion,
+        objectModelMatrix,
+        cameraViewMatrix,
+        cameraFov,
+        cameraForward,
+        cameraPivot,
+        placeOrbitCamera,
+        orbitCamera,
+        panCamera,
+        zoomCamera,
+        setStandardView,
+        frameBounds,
+        worldBounds,
+        findObject,
+        parentOf,
+        childrenOf,
+        isAncestor,
+        subtreeOf,
+        objectWorldMatrix,
+        getWorldTransform,
+        setWorldTransform,
+        reparentObject,
+        updateSceneMatrices,
+        screenRay,
+        rayBoxDistance,
+        rayTriangleDistance,
+        boxInFrustum,
+        buildBVH,
+        meshBVH,
+        frustumFaces,
+        raycastBVH,
+        pickObject,
+        gizmoFrame,
+        rayAxisParameter,
+        rayPlaneIntersection,
+        angleAroundAxis,
+        snapValue,
+        formatExportNumber,
+        exportTransform,
+        exportOBJ,
+        applyModel,
+        applyView,
+        createViewport,
+        viewportHeightAt,
+        project,
+        screen,
+        buildTriangles,
+        clipTriangleToScreen,
+        drawOrder,
+        rasterizeTriangles,
+        renderScene,
+    };
+}
@@ -0,0 +1,359 @@
+// Mesh formats besides OBJ (DOM-free): STL (ASCII and binary) and PLY (ASCII
+// and binary little-endian, with per-vertex colors), format detection, and
+// matching exporters. Parsers return raw meshes shaped like parseOBJ's
+// ({vs, fs, ns/fns, uvs/fts, cs}), so every format goes through the same
+// normalizeMesh/computeVertexNormals path afterwards.
+
+// Node: pull in the core (in the browser core.js is loaded first).
+if (typeof module !== "undefined" && module.exports) {
+    var {parseOBJ, vsub, vcross, vnormalize, objectBaseMaterial, formatExportNumber, exportTransform} = require("./core.js");
+}
+
+const EXPORT_HEADER = "Exported from JS-Software-Rasterizer";
+
+function bytesToText(bytes, start = 0, end = bytes.length) {
+    return new TextDecoder().decode(bytes.subarray(start, end));
+}
+
+// Binary STL: 80-byte header, uint32 triangle count, 50 bytes per triangle.
+function isBinarySTL(bytes) {
+    if (bytes.length < 84) return false;
+    const count = new DataView(bytes.buffer, bytes.byteOffset, bytes.length).getUint32(80, true);
+    return 84 + count * 50 === bytes.length;
+}
+
+// "obj", "stl", "ply", "glb", "gltf" or null. Magic bytes win over the
+// extension (scanners are not always careful with names); the extension
+// decides the rest. glTF files are scenes: load them with parseGLTF (gltf.js).
+function detectMeshFormat(name, bytes) {
+    const head = bytesToText(bytes, 0, Math.min(bytes.length, 512));
+    if (head.startsWith("glTF")) return "glb";
+    if (/^ply\r?\n/.test(head)) return "ply";
+    if (isBinarySTL(bytes)) return "stl";
+    if (/^\s*solid\b[^\n]*\n\s*(facet|endsolid)\b/.test(head)) return "stl";
+
+    const ext = (/\.(\w+)$/.exec(name || "") || [])[1];
+    if (ext && ["obj", "stl", "ply", "glb", "gltf"].includes(ext.toLowerCase())) return ext.toLowerCase();
+    if (/^\s*\{/.test(head) && /"asset"\s*:/.test(head)) return "gltf";
+    if (/^\s*(v|vt|vn|f|o|g|mtllib)\s/m.test(head)) return "obj";
+    return null;
+}
+
+// STL is a triangle soup; identical corner positions are welded so smooth
+// normals and picking see one surface. Facets with corners that aren't
+// finite numbers are skipped; options.warnings receives {line, kind,
+// message} for each (as parseOBJ's, line is the record number in binary
+// files). A binary file whose size doesn't match its triangle count throws.
+function parseSTL(bytes, options = {}) {
+    const vs = [];
+    const fs = [];
+    const welded = new Map();
+    const vertex = (x, y, z) => {
+        const key = `${x},${y},${z}`;
+        let i = welded.get(key);
+        if (i === undefined) {
+            i = vs.length;
+            welded.set(key, i);
+            vs.push({x, y, z});
+        }
+        return i;
+    };
+    // corners: [[x, y, z]]; fanned, since facets are triangles in practice.
+    const facet = (corners, line) => {
+        if (!corners.every(c => c.every(Number.isFinite))) {
+            if (options.warnings) options.warnings.push({line, kind: "number", message: "facet with a bad vertex skipped"});
+            return;
+        }
+        const idx = corners.map(c => vertex(c[0], c[1], c[2]));
+        for (let i = 1; i + 1 < idx.length; i++) fs.push([idx[0], idx[i], idx[i + 1]]);
+    };
+
+    if (isBinarySTL(bytes)) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+        const count = view.getUint32(80, true);
+        for (let t = 0; t < count; t++) {
+            const base = 84 + t * 50 + 12; // skip the facet normal
+            const corners = [];
+            for (let k = 0; k < 3; k++) {
+                const o = base + k * 12;
+                corners.push([view.getFloat32(o, true), view.getFloat32(o + 4, true), view.getFloat32(o + 8, true)]);
+            }
+            facet(corners, t + 1);
+        }
+        return {vs, fs};
+    }
+    // Text never contains NUL bytes; binary STL (counts, attributes) does.
+    if (bytes.length >= 84 && bytes.includes(0)) {
+        const count = new DataView(bytes.buffer, bytes.byteOffset, bytes.length).getUint32(80, true);
+        throw new Error(`Binary STL is ${bytes.length} bytes, but its ${count} triangles need ${84 + count * 50}`);
+    }
+
+    let loop = null;
+    let lineNo = 0;
+    for (let line of bytesToText(bytes).split(/\r?\n/)) {
+        lineNo++;
+        line = line.trim();
+        const parts = line.split(/\s+/);
+        if (parts[0] === "outer") {
+            loop = [];
+        } else if (parts[0] === "vertex" && loop) {
+            loop.push([parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3])]);
+        } else if (parts[0] === "endloop" && loop) {
+            facet(loop, lineNo);
+            loop = null;
+        }
+    }
+    return {vs, fs};
+}
+
+// PLY property types -> [DataView getter, size in bytes].
+const PLY_TYPES = {
+    char: ["getInt8", 1], int8: ["getInt8", 1],
+    uchar: ["getUint8", 1], uint8: ["getUint8", 1],
+    short: ["getInt16", 2], int16: ["getInt16", 2],
+    ushort: ["getUint16", 2], uint16: ["getUint16", 2],
+    int: ["getInt32", 4], int32: ["getInt32", 4],
+    uint: ["getUint32", 4], uint32: ["getUint32", 4],
+    float: ["getFloat32", 4], float32: ["getFloat32", 4],
+    double: ["getFloat64", 8], float64: ["getFloat64", 8],
+};
+
+function parsePLYHeader(bytes) {
+    const text = bytesToText(bytes, 0, Math.min(bytes.length, 65536));
+    const end = /end_header[ \t]*\r?\n/.exec(text);
+    if (!/^ply\r?\n/.test(text) || !end) throw new Error("Not a PLY file (missing ply/end_header)");
+
+    const header = {format: null, elements: [], bodyStart: end.index + end[0].length};
+    for (const line of text.slice(0, end.index).split(/\r?\n/)) {
+        const parts = line.trim().split(/\s+/);
+        if (parts[0] === "format") {
+            header.format = parts[1];
+        } else if (parts[0] === "element") {
+            header.elements.push({name: parts[1], count: parseInt(parts[2], 10) || 0, props: []});
+        } else if (parts[0] === "property" && header.elements.length) {
+            const prop = parts[1] === "list" ?
+                {name: parts[4], list: true, countType: parts[2], type: parts[3]} :
+                {name: parts[2], type: parts[1]};
+            for (const t of [prop.type, prop.countType]) {
+                if (t !== undefined && !PLY_TYPES[t]) throw new Error(`Unknown PLY property type: ${t}`);
+            }
+            header.elements[header.elements.length - 1].props.push(prop);
+        }
+    }
+    if (header.format !== "ascii" && header.format !== "binary_little_endian") {
+        throw new Error(`Unsupported PLY format: ${header.format} (ascii and binary_little_endian are)`);
+    }
+    return header;
+}
+
+// Vertex x/y/z plus optional nx/ny/nz, s/t (or u/v) and red/green/blue
+// (integers scaled by their type's maximum, e.g. 255 for uchar and 65535
+// for ushort, or float 0..1); faces as vertex_indices lists, fanned.
+// Other elements are read past and ignored.
+function parsePLY(bytes) {
+    const header = parsePLYHeader(bytes);
+    let read;
+    if (header.format === "ascii") {
+        const tokens = bytesToText(bytes, header.bodyStart).trim().split(/\s+/);
+        let pos = 0;
+        read = () => {
+            if (pos >= tokens.length) throw new Error("PLY file ends early");
+            return parseFloat(tokens[pos++]);
+        };
+    } else {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+        let offset = header.bodyStart;
+        read = (type) => {
+            const [getter, size] = PLY_TYPES[type];
+            if (offset + size > bytes.length) throw new Error("PLY file ends early");
+            const v = view[getter](offset, true);
+            offset += size;
+            return v;
+        };
+    }
+
+    const vs = [], fs = [], ns = [], uvs = [], cs = [];
+    for (const el of header.elements) {
+        const has = (name) => el.props.some(p => p.name === name);
+        const colorScale = (name) => {
+            const [getter, size] = PLY_TYPES[el.props.find(q => q.name === name).type];
+            if (getter.startsWith("getFloat")) return 1;
+            const bits = 8 * size - (getter.startsWith("getInt") ? 1 : 0); // signed types use one less
+            return 1 / (2 ** bits - 1);
+        };
+        const hasNormals = has("nx") && has("ny") && has("nz");
+        const uName = has("s") ? "s" : has("u") ? "u" : has("texture_u") ? "texture_u" : null;
+        const vName = has("t") ? "t" : has("v") ? "v" : has("texture_v") ? "texture_v" : null;
+        const hasColors = has("red") && has("green") && has("blue");
+        const cScale = hasColors ? colorScale("red") : 1;
+
+        for (let i = 0; i < el.count; i++) {
+            const rec = {};
+            for (const p of el.props) {
+                if (p.list) {
+                    const n = read(p.countType);
+                    const list = new Array(n);
+                    for (let k = 0; k < n; k++) list[k] = read(p.type);
+                    rec[p.name] = list;
+                } else {
+                    rec[p.name] = read(p.type);
+                }
+            }
+
+            if (el.name === "vertex") {
+                vs.push({x: rec.x, y: rec.y, z: rec.z});
+                if (hasNormals) ns.push(vnormalize({x: rec.nx, y: rec.ny, z: rec.nz}));
+                if (uName && vName) uvs.push({u: rec[uName], v: rec[vName]});
+                if (hasColors) cs.push({r: rec.red * cScale, g: rec.green * cScale, b: rec.blue * cScale});
+            } else if (el.name === "face") {
+                const idx = rec.vertex_indices || rec.vertex_index || [];
+                if (idx.some(vi => !(vi >= 0 && vi < vs.length))) continue;
+                for (let k = 1; k + 1 < idx.length; k++) fs.push([idx[0], idx[k], idx[k + 1]]);
+            }
+        }
+    }
+
+    // Per-vertex attributes index like the positions.
+    const mesh = {vs, fs};
+    if (ns.length === vs.length && vs.length > 0) {
+        mesh.ns = ns;
+        mesh.fns = fs.map(f => f.slice());
+    }
+    if (uvs.length === vs.length && vs.length > 0) {
+        mesh.uvs = uvs;
+        mesh.fts = fs.map(f => f.slice());
+    }
+    if (cs.length === vs.length && vs.length > 0) mesh.cs = cs;
+    return mesh;
+}
+
+// Parse any supported mesh file (raw, not normalized); throws when the
+// format isn't recognized. options go to parseOBJ (warnings, strict) and
+// parseSTL (warnings).
+function parseMeshFile(name, bytes, options = {}) {
+    const format = detectMeshFormat(name, bytes);
+    if (format === "stl") return parseSTL(bytes, options);
+    if (format === "ply") return parsePLY(bytes);
+    if (format === "obj") return parseOBJ(bytesToText(bytes), options);
+    if (format === "glb" || format === "gltf") throw new Error(`${name} is a glTF scene, not a single mesh`);
+    throw new Error(`Unrecognized mesh file: ${name}`);
+}
+
+// -------- Export --------
+
+// The exported objects' meshes merged into one: {vs, fs, cs} with vertex
+// colors from the mesh or the object's base color. options as exportOBJ
+// (space, scene).
+function mergeExportMeshes(objects, options = {}) {
+    const scene = options.scene || objects;
+    const vs = [], fs = [], cs = [];
+    for (const o of objects) {
+        const mesh = o.mesh;
+        if (!mesh || !mesh.vs || !mesh.fs) continue;
+        const xf = exportTransform(o, options.space || "world", scene);
+        const base = vs.length;
+        const kd = objectBaseMaterial(o).kd;
+        mesh.vs.forEach((v, i) => {
+            vs.push(xf.point(v));
+            cs.push(mesh.cs ? mesh.cs[i] : kd);
+        });
+        for (const f of mesh.fs) {
+            fs.push(xf.flip ? [f[0] + base, f[2] + base, f[1] + base] : [f[0] + base, f[1] + base, f[2] + base]);
+        }
+    }
+    return {vs, fs, cs};
+}
+
+// STL as text, or bytes with options.binary. Facet normals follow the
+// winding.
+function exportSTL(objects, options = {}) {
+    const {vs, fs} = mergeExportMeshes(objects, options);
+    const facetNormal = (f) => vnormalize(vcross(vsub(vs[f[1]], vs[f[0]]), vsub(vs[f[2]], vs[f[0]])));
+
+    if (options.binary) {
+        const bytes = new Uint8Array(84 + fs.length * 50);
+        bytes.set(new TextEncoder().encode(EXPORT_HEADER).subarray(0, 80));
+        const view = new DataView(bytes.buffer);
+        view.setUint32(80, fs.length, true);
+        fs.forEach((f, t) => {
+            let o = 84 + t * 50;
+            for (const p of [facetNormal(f), vs[f[0]], vs[f[1]], vs[f[2]]]) {
+                view.setFloat32(o, p.x, true);
+                view.setFloat32(o + 4, p.y, true);
+                view.setFloat32(o + 8, p.z, true);
+                o += 12;
+            }
+        });
+        return bytes;
+    }
+
+    const fmt = formatExportNumber;
+    const xyz = (p) => `${fmt(p.x)} ${fmt(p.y)} ${fmt(p.z)}`;
+    const lines = ["solid export"];
+    for (const f of fs) {
+        lines.push(`  facet normal ${xyz(facetNormal(f))}`, "    outer loop");
+        for (const i of f) lines.push(`      vertex ${xyz(vs[i])}`);
+        lines.push("    endloop", "  endfacet");
+    }
+    lines.push("endsolid export");
+    return lines.join("\n") + "\n";
+}
+
+// PLY with uchar vertex colors, as text or (options.binary) little-endian
+// bytes.
+function exportPLY(objects, options = {}) {
+    const {vs, fs, cs} = mergeExportMeshes(objects, options);
+    const byte = (c) => Math.max(0, Math.min(255, Math.round(c * 255)));
+    const header = [
+        "ply",
+        `format ${options.binary ? "binary_little_endian" : "ascii"} 1.0`,
+        `comment ${EXPORT_HEADER}`,
+        `element vertex ${vs.length}`,
+        "property float x", "property float y", "property float z",
+        "property uchar red", "property uchar green", "property uchar blue",
+        `element face ${fs.length}`,
+        "property list uchar int vertex_indices",
+        "end_header",
+    ].join("\n") + "\n";
+
+    if (options.binary) {
+        const head = new TextEncoder().encode(header);
+        const bytes = new Uint8Array(head.length + vs.length * 15 + fs.length * 13);
+        bytes.set(head);
+        const view = new DataView(bytes.buffer);
+        let o = head.length;
+        vs.forEach((v, i) => {
+            view.setFloat32(o, v.x, true);
+            view.setFloat32(o + 4, v.y, true);
+            view.setFloat32(o + 8, v.z, true);
+            bytes[o + 12] = byte(cs[i].r);
+            bytes[o + 13] = byte(cs[i].g);
+            bytes[o + 14] = byte(cs[i].b);
+            o += 15;
+        });
+        for (const f of fs) {
+            bytes[o] = 3;
+            view.setInt32(o + 1, f[0], true);
+            view.setInt32(o + 5, f[1], true);
+            view.setInt32(o + 9, f[2], true);
+            o += 13;
+        }
+        return bytes;
+    }
+
+    const fmt = formatExportNumber;
+    const lines = vs.map((v, i) => `${fmt(v.x)} ${fmt(v.y)} ${fmt(v.z)} ${byte(cs[i].r)} ${byte(cs[i].g)} ${byte(cs[i].b)}`);
+    for (const f of fs) lines.push(`3 ${f[0]} ${f[1]} ${f[2]}`);
+    return header + lines.join("\n") + "\n";
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        detectMeshFormat,
+        parseSTL,
+        parsePLY,
+        parseMeshFile,
+        exportSTL,
+        exportPLY,
+    };
+}
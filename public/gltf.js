@@ -0,0 +1,343 @@
+// glTF 2.0 loader (DOM-free): .glb, or .gltf with embedded data-URI or
+// caller-supplied buffers. Returns a node tree like splitMeshParts() does,
+// [{name, mesh, materials, position, quaternion, scale, children}], plus the
+// images the materials reference (decoding them is up to the caller).
+//
+// Files come in any unit (millimetres, metres, ...), so the whole scene is
+// centered and scaled the way normalizeMesh does for one OBJ. The scale is
+// baked into the vertices and node translations rather than into a wrapper
+// transform, so the hierarchy keeps its proportions and each mesh records
+// `normalization` for exporting original coordinates.
+
+// Node: pull in math, core and the base64 helper (globals in the browser).
+if (typeof module !== "undefined" && module.exports) {
+    var {mat4Identity, mat4Multiply, mat4Compose, mat4Decompose, mat4TransformPoint} = require("./math.js");
+    var {createMaterial, computeBounds, vnormalize} = require("./core.js");
+    var {base64ToBytes} = require("./project.js");
+}
+
+const GLB_MAGIC = 0x46546c67; // "glTF"
+const GLB_CHUNK_JSON = 0x4e4f534a;
+const GLB_CHUNK_BIN = 0x004e4942;
+
+// componentType -> [DataView getter, bytes, max value for normalized ints].
+const GLTF_COMPONENTS = {
+    5120: ["getInt8", 1, 127],
+    5121: ["getUint8", 1, 255],
+    5122: ["getInt16", 2, 32767],
+    5123: ["getUint16", 2, 65535],
+    5125: ["getUint32", 4, 4294967295],
+    5126: ["getFloat32", 4, 1],
+};
+const GLTF_TYPE_SIZES = {SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4};
+
+function isGLB(bytes) {
+    return bytes.length >= 12 && new DataView(bytes.buffer, bytes.byteOffset, bytes.length).getUint32(0, true) === GLB_MAGIC;
+}
+
+// {json, bin}: the JSON chunk and the first binary chunk (buffer 0).
+function readGLB(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+    if (!isGLB(bytes)) throw new Error("Not a GLB file (bad magic)");
+    const version = view.getUint32(4, true);
+    if (version !== 2) throw new Error(`Unsupported GLB version ${version}`);
+
+    const end = Math.min(view.getUint32(8, true), bytes.length);
+    let json = null;
+    let bin = null;
+    for (let o = 12; o + 8 <= end;) {
+        const size = view.getUint32(o, true);
+        const type = view.getUint32(o + 4, true);
+        const chunk = bytes.subarray(o + 8, Math.min(o + 8 + size, end));
+        if (type === GLB_CHUNK_JSON && !json) json = JSON.parse(new TextDecoder().decode(chunk));
+        else if (type === GLB_CHUNK_BIN && !bin) bin = chunk;
+        o += 8 + size;
+    }
+    if (!json) throw new Error("GLB file has no JSON chunk");
+    return {json, bin};
+}
+
+function dataURIToBytes(uri) {
+    const comma = uri.indexOf(",");
+    const meta = uri.slice(5, comma);
+    const data = uri.slice(comma + 1);
+    return /;base64$/.test(meta) ? base64ToBytes(data) : new TextEncoder().encode(decodeURIComponent(data));
+}
+
+// bytes: a .glb or .gltf file. options.resolve(uri) returns the bytes of an
+// external buffer (e.g. a .bin picked together with the .gltf), or null.
+// Returns {nodes, images: [{name, mimeType, bytes}]}; images referenced by
+// a relative uri have `bytes: null` and `name` set to that uri.
+function parseGLTF(bytes, options = {}) {
+    let json;
+    let bin = null;
+    if (isGLB(bytes)) {
+        ({json, bin} = readGLB(bytes));
+    } else {
+        try {
+            json = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (e) {
+            throw new Error(`Invalid glTF JSON: ${e.message}`);
+        }
+    }
+    const version = json.asset && String(json.asset.version);
+    if (!/^2\./.test(version)) throw new Error(`Unsupported glTF version ${version}`);
+
+    const buffers = (json.buffers || []).map((b, i) => {
+        if (b.uri === undefined) {
+            if (i === 0 && bin) return bin;
+            throw new Error(`glTF buffer ${i} has no data`);
+        }
+        if (b.uri.startsWith("data:")) return dataURIToBytes(b.uri);
+        const data = options.resolve ? options.resolve(decodeURIComponent(b.uri)) : null;
+        if (!data) throw new Error(`Missing glTF buffer ${b.uri}`);
+        return data;
+    });
+
+    const bufferViewBytes = (index) => {
+        const bv = json.bufferViews && json.bufferViews[index];
+        if (!bv || !buffers[bv.buffer]) throw new Error(`Missing glTF bufferView ${index}`);
+        const start = bv.byteOffset || 0;
+        return buffers[bv.buffer].subarray(start, start + bv.byteLength);
+    };
+
+    // Flat array of count * size numbers (normalized ints mapped to 0..1 / -1..1).
+    const readAccessor = (index) => {
+        const acc = json.accessors && json.accessors[index];
+        if (!acc) throw new Error(`Missing glTF accessor ${index}`);
+        if (acc.sparse) throw new Error(`glTF accessor ${index}: sparse accessors are not supported`);
+        const size = GLTF_TYPE_SIZES[acc.type];
+        const comp = GLTF_COMPONENTS[acc.componentType];
+        if (!size || !comp) throw new Error(`glTF accessor ${index}: unsupported type ${acc.type}/${acc.componentType}`);
+
+        const out = new Array(acc.count * size).fill(0);
+        if (acc.bufferView === undefined) return out; // all zeros per spec
+        const [getter, bytesPer, max] = comp;
+        const data = bufferViewBytes(acc.bufferView);
+        const stride = json.bufferViews[acc.bufferView].byteStride || size * bytesPer;
+        const offset = acc.byteOffset || 0;
+        if (acc.count > 0 && offset + (acc.count - 1) * stride + size * bytesPer > data.length) {
+            throw new Error(`glTF accessor ${index} runs past its bufferView`);
+        }
+        const view = new DataView(data.buffer, data.byteOffset, data.length);
+        for (let k = 0; k < acc.count; k++) {
+            for (let c = 0; c < size; c++) {
+                const v = view[getter](offset + k * stride + c * bytesPer, true);
+                out[k * size + c] = acc.normalized ? Math.max(v / max, -1) : v;
+            }
+        }
+        return out;
+    };
+
+    const images = (json.images || []).map((img, i) => {
+        if (img.bufferView !== undefined || (img.uri && img.uri.startsWith("data:"))) {
+            const mimeType = img.mimeType || (/^data:([^;,]+)/.exec(img.uri) || [])[1] || "image/png";
+            const bytes = img.bufferView !== undefined ? bufferViewBytes(img.bufferView) : dataURIToBytes(img.uri);
+            return {name: `image${i}.${mimeType === "image/jpeg" ? "jpg" : "png"}`, mimeType, bytes};
+        }
+        return {name: decodeURIComponent(img.uri || ""), mimeType: img.mimeType || null, bytes: null};
+    });
+
+    // Base color only: factor -> Kd (and alpha for BLEND), texture -> map_Kd.
+    const materials = (json.materials || []).map((m, i) => {
+        const pbr = m.pbrMetallicRoughness || {};
+        const f = pbr.baseColorFactor || [1, 1, 1, 1];
+        const mat = createMaterial(m.name || `material${i}`);
+        mat.kd = {r: f[0], g: f[1], b: f[2]};
+        mat.ka = {...mat.kd};
+        if (m.alphaMode === "BLEND") mat.d = f[3];
+        const tex = pbr.baseColorTexture && json.textures && json.textures[pbr.baseColorTexture.index];
+        if (tex && images[tex.source]) mat.mapKd = images[tex.source].name;
+        return mat;
+    });
+
+    // One mesh per glTF mesh: its primitives merged, each primitive's
+    // material a slot in materialNames/fms. Points and lines are skipped.
+    const meshCache = new Map();
+    const buildMesh = (index) => {
+        if (meshCache.has(index)) return meshCache.get(index);
+        const src = json.meshes && json.meshes[index];
+        if (!src) throw new Error(`Missing glTF mesh ${index}`);
+
+        const vs = [], fs = [], ns = [], uvs = [], fts = [], cs = [], fms = [];
+        const materialNames = [];
+        const meshMaterials = [];
+        const slots = new Map();
+        let allNormals = true;
+        let anyUVs = false;
+        let anyColors = false;
+        for (const prim of src.primitives || []) {
+            const mode = prim.mode === undefined ? 4 : prim.mode;
+            const attrs = prim.attributes || {};
+            if (mode < 4 || attrs.POSITION === undefined) continue;
+
+            const base = vs.length;
+            const pos = readAccessor(attrs.POSITION);
+            const count = pos.length / 3;
+            for (let k = 0; k < count; k++) vs.push({x: pos[k * 3], y: pos[k * 3 + 1], z: pos[k * 3 + 2]});
+            if (attrs.NORMAL !== undefined) {
+                const n = readAccessor(attrs.NORMAL);
+                for (let k = 0; k < count; k++) ns.push(vnormalize({x: n[k * 3], y: n[k * 3 + 1], z: n[k * 3 + 2]}));
+            } else {
+                allNormals = false;
+            }
+            const hasUVs = attrs.TEXCOORD_0 !== undefined;
+            const uv = hasUVs ? readAccessor(attrs.TEXCOORD_0) : null;
+            // glTF's v runs down the image; ours runs up (as in OBJ).
+            for (let k = 0; k < count; k++) uvs.push(uv ? {u: uv[k * 2], v: 1 - uv[k * 2 + 1]} : {u: 0, v: 0});
+            anyUVs = anyUVs || hasUVs;
+            if (attrs.COLOR_0 !== undefined) {
+                const c = readAccessor(attrs.COLOR_0);
+                const size = json.accessors[attrs.COLOR_0].type === "VEC4" ? 4 : 3;
+                for (let k = 0; k < count; k++) cs.push({r: c[k * size], g: c[k * size + 1], b: c[k * size + 2]});
+                anyColors = true;
+            } else {
+                for (let k = 0; k < count; k++) cs.push({r: 1, g: 1, b: 1});
+            }
+
+            let slot = -1;
+            if (prim.material !== undefined && materials[prim.material]) {
+                if (!slots.has(prim.material)) {
+                    slots.set(prim.material, materialNames.length);
+                    materialNames.push(materials[prim.material].name);
+                    meshMaterials.push({...materials[prim.material]});
+                }
+                slot = slots.get(prim.material);
+            }
+
+            const idx = prim.indices !== undefined ? readAccessor(prim.indices) : Array.from({length: count}, (_, k) => k);
+            const tri = (a, b, c) => {
+                if (!(idx[a] < count && idx[b] < count && idx[c] < count)) return;
+                const f = [base + idx[a], base + idx[b], base + idx[c]];
+                fs.push(f);
+                fts.push(hasUVs ? f.slice() : null);
+                fms.push(slot);
+            };
+            if (mode === 4) {
+                for (let i = 0; i + 2 < idx.length; i += 3) tri(i, i + 1, i + 2);
+            } else if (mode === 5) {
+                // Strips alternate winding so every triangle faces the same way.
+                for (let i = 0; i + 2 < idx.length; i++) {
+                    if (i % 2 === 0) tri(i, i + 1, i + 2);
+                    else tri(i + 1, i, i + 2);
+                }
+            } else if (mode === 6) {
+                for (let i = 1; i + 1 < idx.length; i++) tri(0, i, i + 1);
+            }
+        }
+
+        let entry = null;
+        if (fs.length > 0) {
+            const mesh = {vs, fs};
+            if (allNormals) {
+                mesh.ns = ns;
+                mesh.fns = fs.map(f => f.slice());
+            }
+            if (anyUVs) {
+                mesh.uvs = uvs;
+                mesh.fts = fts;
+            }
+            if (anyColors) mesh.cs = cs;
+            if (materialNames.length > 0) {
+                mesh.materialNames = materialNames;
+                mesh.fms = fms;
+            }
+            entry = {mesh, materials: meshMaterials};
+        }
+        meshCache.set(index, entry);
+        return entry;
+    };
+
+    const nodeTransform = (node) => {
+        if (node.matrix) {
+            const {position, quaternion, scale} = mat4Decompose(Float64Array.from(node.matrix));
+            return {position, quaternion, scale};
+        }
+        const t = node.translation || [0, 0, 0];
+        const r = node.rotation || [0, 0, 0, 1];
+        const s = node.scale || [1, 1, 1];
+        return {
+            position: {x: t[0], y: t[1], z: t[2]},
+            quaternion: {x: r[0], y: r[1], z: r[2], w: r[3]},
+            scale: {x: s[0], y: s[1], z: s[2]},
+        };
+    };
+
+    const visiting = new Set();
+    const buildNode = (index, parentWorld) => {
+        const node = json.nodes && json.nodes[index];
+        if (!node) throw new Error(`Missing glTF node ${index}`);
+        if (visiting.has(index)) throw new Error(`glTF node ${index} is its own ancestor`);
+        visiting.add(index);
+
+        const xf = nodeTransform(node);
+        const world = mat4Multiply(parentWorld, mat4Compose(xf.position, xf.quaternion, xf.scale));
+        const entry = node.mesh !== undefined ? buildMesh(node.mesh) : null;
+        const meshName = node.mesh !== undefined && json.meshes[node.mesh].name;
+        const out = {
+            name: node.name || meshName || `Node ${index}`,
+            mesh: entry ? entry.mesh : null,
+            materials: entry ? entry.materials.map(m => ({...m})) : [],
+            ...xf,
+            world,
+            children: [],
+        };
+        out.children = (node.children || []).map(c => buildNode(c, world));
+        visiting.delete(index);
+        return out;
+    };
+
+    // The default scene, or every node nobody lists as a child.
+    const scene = json.scenes && json.scenes[json.scene || 0];
+    let roots = scene ? (scene.nodes || []) : null;
+    if (!roots) {
+        const children = new Set((json.nodes || []).flatMap(n => n.children || []));
+        roots = (json.nodes || []).map((_, i) => i).filter(i => !children.has(i));
+    }
+    const nodes = roots.map(i => buildNode(i, mat4Identity()));
+
+    // World bounds of every mesh instance -> one center and scale.
+    const all = [];
+    const collect = (list) => list.forEach(n => { all.push(n); collect(n.children); });
+    collect(nodes);
+    const min = {x: Infinity, y: Infinity, z: Infinity};
+    const max = {x: -Infinity, y: -Infinity, z: -Infinity};
+    for (const n of all) {
+        if (!n.mesh) continue;
+        for (const v of n.mesh.vs) {
+            const p = mat4TransformPoint(n.world, v);
+            for (const k of ["x", "y", "z"]) {
+                if (p[k] < min[k]) min[k] = p[k];
+                if (p[k] > max[k]) max[k] = p[k];
+            }
+        }
+    }
+    if (min.x <= max.x) {
+        const center = {x: (min.x + max.x) / 2, y: (min.y + max.y) / 2, z: (min.z + max.z) / 2};
+        const scale = 0.9 / (Math.max(max.x - min.x, max.y - min.y, max.z - min.z) || 1);
+        const scaled = new Set();
+        for (const n of all) {
+            n.position = {x: n.position.x * scale, y: n.position.y * scale, z: n.position.z * scale};
+            if (n.mesh && !scaled.has(n.mesh)) {
+                scaled.add(n.mesh);
+                n.mesh.vs = n.mesh.vs.map(v => ({x: v.x * scale, y: v.y * scale, z: v.z * scale}));
+                n.mesh.normalization = {center: {x: 0, y: 0, z: 0}, scale};
+            }
+        }
+        for (const n of nodes) {
+            n.position.x -= center.x * scale;
+            n.position.y -= center.y * scale;
+            n.position.z -= center.z * scale;
+        }
+    }
+    for (const n of all) {
+        if (n.mesh) n.mesh.bounds = computeBounds(n.mesh.vs);
+        delete n.world;
+    }
+
+    return {nodes, images};
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {isGLB, parseGLTF};
+}
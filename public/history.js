@@ -0,0 +1,63 @@
+// Undo/redo history (no DOM). Commands are recorded after they have been
+// applied: {label, undo(), redo(), mergeKey}. A command whose mergeKey
+// matches the previous one folds into it until the history is sealed, so a
+// whole slider drag (many input events) is one undo step.
+
+function createHistory(limit = 100) {
+    return {entries: [], index: 0, limit, open: false};
+}
+
+// Returns the entry the command ended up in (itself, or the one it merged into).
+function historyRecord(history, command) {
+    history.entries.length = history.index; // a new edit drops the redo branch
+    const top = history.entries[history.index - 1];
+    const mergeKey = command.mergeKey === undefined ? null : command.mergeKey;
+    if (top && history.open && mergeKey !== null && top.mergeKey === mergeKey) {
+        top.redo = command.redo;
+        return top;
+    }
+    history.entries.push(command);
+    if (history.entries.length > history.limit) history.entries.shift();
+    history.index = history.entries.length;
+    history.open = mergeKey !== null;
+    return command;
+}
+
+// End the current merge run (e.g. on the slider's "change" event).
+function historySeal(history) {
+    history.open = false;
+}
+
+function historyUndo(history) {
+    if (history.index === 0) return null;
+    history.open = false;
+    const command = history.entries[--history.index];
+    command.undo();
+    return command;
+}
+
+function historyRedo(history) {
+    if (history.index >= history.entries.length) return null;
+    history.open = false;
+    const command = history.entries[history.index++];
+    command.redo();
+    return command;
+}
+
+// Undo or redo until `index` commands are applied (0 = initial state).
+function historyGoTo(history, index) {
+    index = Math.max(0, Math.min(history.entries.length, index));
+    while (history.index > index) historyUndo(history);
+    while (history.index < index) historyRedo(history);
+}
+
+// Forget everything (e.g. after opening another project).
+function historyClear(history) {
+    history.entries.length = 0;
+    history.index = 0;
+    history.open = false;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {createHistory, historyRecord, historySeal, historyUndo, historyRedo, historyGoTo, historyClear};
+}
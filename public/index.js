@@ -1,4 +1,5 @@
 const BACKGROUND = "#101010";
+const BACKGROUND_RGB = {r: 0x10, g: 0x10, b: 0x10};
 const FOREGROUND = "#50FF50";
 const SELECTED_WIREFRAME = "#ffd400";
 
@@ -34,224 +35,66 @@ function line(p1, p2) {
     ctx.stroke();
 }
 
-function screen(p) {
-    // -1..1 => 0..2 => 0..1 => 0..w
-    return {
-        x: (p.x + 1)/2*game.width,
-        y: (1 - (p.y + 1)/2)*game.height,
-    }
-}
-
-function project({x, y, z}) {
-    // Near-plane clip: prevents x/z explosions when camera gets too close.
-    if (z <= NEAR_PLANE) return null;
-
-    // Aspect correction: without this, wide canvases make models look "fat".
-    const aspect = game.width / game.height; // width/height
-    return {
-        x: (x / z) / aspect,
-        y: y / z,
-    };
-}
-
-const FPS = 60;
-const NEAR_PLANE = 0.15;
-
-// -------- Vector Math (no libraries) --------
-function vsub(a, b) {
-    return {x: a.x - b.x, y: a.y - b.y, z: a.z - b.z};
-}
-
-function vcross(a, b) {
-    return {
-        x: a.y*b.z - a.z*b.y,
-        y: a.z*b.x - a.x*b.z,
-        z: a.x*b.y - a.y*b.x,
-    };
-}
-
-function vdot(a, b) {
-    return a.x*b.x + a.y*b.y + a.z*b.z;
-}
-
-function vlen(a) {
-    return Math.sqrt(vdot(a, a));
-}
-
-function vscale(a, s) {
-    return {x: a.x*s, y: a.y*s, z: a.z*s};
-}
-
-function vnormalize(a) {
-    const l = vlen(a);
-    if (l <= 1e-12) return {x: 0, y: 0, z: 0};
-    return vscale(a, 1/l);
-}
-
-function vadd(a, b) {
-    return {x: a.x + b.x, y: a.y + b.y, z: a.z + b.z};
-}
-
-function translate_z({x, y, z}, dz) {
-    return {x, y, z: z + dz};
-}
-
-function rotate_xz({x, y, z}, angle) {
-    const c = Math.cos(angle);
-    const s = Math.sin(angle);
-    return {
-        x: x*c-z*s,
-        y,
-        z: x*s+z*c,
-    };
-}
-
-function rotate_yz({x, y, z}, angle) {
-    // rotate around X axis
-    const c = Math.cos(angle);
-    const s = Math.sin(angle);
-    return {
-        x,
-        y: y*c - z*s,
-        z: y*s + z*c,
-    };
-}
-
-function rotate_xy({x, y, z}, angle) {
-    // rotate around Z axis
-    const c = Math.cos(angle);
-    const s = Math.sin(angle);
-    return {
-        x: x*c - y*s,
-        y: x*s + y*c,
-        z,
-    };
-}
-
-// -------- OBJ Asset Pipeline --------
-function parseOBJ(text) {
-    // Supports:
-    // - v x y z
-    // - f i j k
-    // - f i/j/k ... (we only care about vertex indices)
-    // - polygons (triangulated as a fan)
-    // - negative indices (relative to end)
-    const vertices = [];
-    const faces = [];
-
-    const lines = text.split(/\r?\n/);
-    for (let line of lines) {
-        line = line.trim();
-        if (!line || line.startsWith("#")) continue;
-
-        const parts = line.split(/\s+/);
-        if (parts[0] === "v") {
-            if (parts.length < 4) continue;
-            vertices.push({
-                x: parseFloat(parts[1]),
-                y: parseFloat(parts[2]),
-                z: parseFloat(parts[3]),
-            });
-        } else if (parts[0] === "f") {
-            if (parts.length < 4) continue; // need at least a triangle
-
-            const idx = [];
-            for (let i = 1; i < parts.length; i++) {
-                const token = parts[i];
-                if (!token) continue;
-                const vStr = token.split("/")[0]; // v, or v/vt/vn
-                let vi = parseInt(vStr, 10);
-                if (Number.isNaN(vi)) continue;
-
-                // OBJ: 1-based; negative means relative to end
-                if (vi < 0) vi = vertices.length + vi;
-                else vi = vi - 1;
-
-                idx.push(vi);
-            }
+// Longest step (seconds) the frame loop simulates, so a stall or a hidden
+// tab doesn't send the camera flying.
+const MAX_FRAME_DT = 0.1;
 
-            // triangulate polygon via fan: (0,i,i+1)
-            for (let i = 1; i + 1 < idx.length; i++) {
-                faces.push([idx[0], idx[i], idx[i + 1]]);
-            }
-        }
-    }
+let viewport = createViewport(game.width, game.height);
 
-    return {vs: vertices, fs: faces};
+// Core framebuffer plus an ImageData view of its color bytes for blitting.
+function ensureCanvasFramebuffer(fb, width, height) {
+    if (fb && fb.width === width && fb.height === height) return fb;
+    fb = createFramebuffer(width, height);
+    fb.image = new ImageData(fb.color, width, height);
+    return fb;
 }
 
-function normalizeMesh(mesh) {
-    const {vs, fs} = mesh;
-    if (!vs || vs.length === 0) return mesh;
-
-    let minX = Infinity, minY = Infinity, minZ = Infinity;
-    let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
-    for (const v of vs) {
-        if (v.x < minX) minX = v.x;
-        if (v.y < minY) minY = v.y;
-        if (v.z < minZ) minZ = v.z;
-        if (v.x > maxX) maxX = v.x;
-        if (v.y > maxY) maxY = v.y;
-        if (v.z > maxZ) maxZ = v.z;
-    }
-
-    const cx = (minX + maxX) / 2;
-    const cy = (minY + maxY) / 2;
-    const cz = (minZ + maxZ) / 2;
-
-    const dx = maxX - minX;
-    const dy = maxY - minY;
-    const dz = maxZ - minZ;
-    const maxDim = Math.max(dx, dy, dz) || 1;
-
-    // Keep it comfortably inside clip space after perspective divide.
-    // (Too big => it will clip at the edges when close to camera.)
-    const scale = 0.9 / maxDim;
-
-    const nvs = vs.map(v => ({
-        x: (v.x - cx) * scale,
-        y: (v.y - cy) * scale,
-        z: (v.z - cz) * scale,
-    }));
-
-    return {
-        vs: nvs,
-        fs,
-        bounds: {
-            min: {x: (minX - cx) * scale, y: (minY - cy) * scale, z: (minZ - cz) * scale},
-            max: {x: (maxX - cx) * scale, y: (maxY - cy) * scale, z: (maxZ - cz) * scale},
-        },
-    };
+// Project a view-space segment, clip it and draw it on the canvas.
+function drawClippedLine(aView, bView) {
+    const seg = clipLine(project(aView, viewport), project(bView, viewport));
+    if (!seg) return;
+    const A = screen(seg[0], viewport);
+    const B = screen(seg[1], viewport);
+    ctx.beginPath();
+    ctx.moveTo(A.x, A.y);
+    ctx.lineTo(B.x, B.y);
+    ctx.stroke();
 }
 
 // -------- Scene Graph + Camera (MVP-ish pipeline) --------
 // Camera looks down +Z in view space (same as your projection x/z, y/z).
+// Lens, projection and orbit fields: see Camera in core.js.
 const camera = {
     position: {x: 0, y: 0.5, z: -6},
     yaw: 0,   // rotate around Y
     pitch: 0, // rotate around X
+    mode: "fly",
+    pivot: {x: 0, y: 0.5, z: 0},
+    distance: 6,
+    fov: DEFAULT_FOV,
+    projection: "perspective",
 };
 
-function applyModel(p, obj) {
-    // Scale -> Rotate (X,Y,Z) -> Translate
-    const s = obj.scale || {x: 1, y: 1, z: 1};
-    let q = {x: p.x*s.x, y: p.y*s.y, z: p.z*s.z};
-
-    const r = obj.rotation || {x: 0, y: 0, z: 0};
-    q = rotate_yz(q, r.x);
-    q = rotate_xz(q, r.y);
-    q = rotate_xy(q, r.z);
-
-    const t = obj.position || {x: 0, y: 0, z: 0};
-    return {x: q.x + t.x, y: q.y + t.y, z: q.z + t.z};
+// Copy of the camera state saved in bookmarks and projects.
+function cameraSnapshot() {
+    return {
+        ...camera,
+        position: {...camera.position},
+        pivot: camera.pivot ? {...camera.pivot} : undefined,
+    };
 }
 
-function applyView(p) {
-    // View = inverse(camera transform)
-    let q = vsub(p, camera.position);
-    q = rotate_xz(q, -camera.yaw);
-    q = rotate_yz(q, -camera.pitch);
-    return q;
+function applyCamera(c) {
+    camera.position = {...c.position};
+    camera.yaw = c.yaw || 0;
+    camera.pitch = c.pitch || 0;
+    camera.mode = c.mode === "orbit" ? "orbit" : "fly";
+    camera.pivot = c.pivot ? {...c.pivot} : undefined;
+    camera.distance = c.distance;
+    camera.fov = c.fov || DEFAULT_FOV;
+    camera.projection = c.projection === "orthographic" ? "orthographic" : "perspective";
+    camera.orthoHeight = c.orthoHeight;
+    syncCameraControls();
 }
 
 // Default layout helper: penguin on the left, cube on the right.
@@ -260,11 +103,11 @@ function applyDefaultLayout(objects) {
         if (!obj || !obj.name) continue;
         if (obj.name === "penguin") {
             obj.position = {x: -1.5, y: 0, z: 0};
-            obj.rotation = {x: 0, y: Math.PI, z: 0};
+            setObjectRotation(obj, {x: 0, y: Math.PI, z: 0});
             obj.scale = {x: 3, y: 3, z: 3};
         } else if (obj.name === "cube") {
             obj.position = {x: 1.5, y: 0, z: 0};
-            obj.rotation = {x: 0, y: 0, z: 0};
+            setObjectRotation(obj, {x: 0, y: 0, z: 0});
             obj.scale = {x: 1.8, y: 1.8, z: 1.8};
         }
     }
@@ -275,38 +118,107 @@ const keysDown = new Set();
 window.addEventListener("keydown", (e) => { keysDown.add(e.code); });
 window.addEventListener("keyup", (e) => { keysDown.delete(e.code); });
 
+// Mouse: drag to look around (fly) or turn around the pivot (orbit); right
+// or middle drag pans. A click without drag picks the object under the
+// cursor (shift-click adds/removes it from the selection).
+const CLICK_SLOP = 4; // px of movement before a press counts as a drag
 let dragging = false;
+let dragMoved = false;
+let downMX = 0;
+let downMY = 0;
 let lastMX = 0;
 let lastMY = 0;
+let dragPans = false;
+let hoverPoint = null; // canvas pixel under the mouse, null when outside
 game.addEventListener("mousedown", (e) => {
+    // Presses on a gizmo handle drag the handle instead of the view.
+    if (e.button === 0 && beginGizmoDrag(canvasPoint(e))) return;
+    if (e.button === 1) e.preventDefault(); // no autoscroll
     dragging = true;
-    lastMX = e.clientX;
-    lastMY = e.clientY;
+    dragPans = e.button !== 0;
+    dragMoved = false;
+    downMX = lastMX = e.clientX;
+    downMY = lastMY = e.clientY;
+});
+window.addEventListener("mouseup", (e) => {
+    if (gizmoDrag) {
+        endGizmoDrag();
+        return;
+    }
+    if (dragging && !dragMoved && !dragPans && e.target === game) {
+        const hit = pickAt(canvasPoint(e));
+        if (hit) selectObject(hit.object, e.shiftKey);
+    }
+    dragging = false;
 });
-window.addEventListener("mouseup", () => { dragging = false; });
 window.addEventListener("mousemove", (e) => {
+    if (gizmoDrag) {
+        updateGizmoDrag(canvasPoint(e), e.ctrlKey);
+        return;
+    }
     if (!dragging) return;
+    if (Math.abs(e.clientX - downMX) + Math.abs(e.clientY - downMY) > CLICK_SLOP) dragMoved = true;
     const dx = e.clientX - lastMX;
     const dy = e.clientY - lastMY;
     lastMX = e.clientX;
     lastMY = e.clientY;
 
+    if (dragPans) {
+        // Grab the scene at the pivot's depth and drag it along.
+        const rect = game.getBoundingClientRect();
+        const perPixel = viewportHeightAt(viewport, cameraDistance(camera)) / (rect.height || 1);
+        panCamera(camera, -dx * perPixel, dy * perPixel);
+        return;
+    }
     const sensitivity = 0.004;
+    if (camera.mode === "orbit") {
+        orbitCamera(camera, dx * sensitivity, dy * sensitivity);
+        return;
+    }
     camera.yaw += dx * sensitivity;
     camera.pitch += dy * sensitivity;
+    camera.pivot = undefined; // back in front of the camera (see cameraPivot)
 
     const limit = Math.PI / 2 - 0.01;
     if (camera.pitch > limit) camera.pitch = limit;
     if (camera.pitch < -limit) camera.pitch = -limit;
 });
+game.addEventListener("contextmenu", (e) => e.preventDefault()); // right drag pans
+game.addEventListener("mousemove", (e) => { hoverPoint = canvasPoint(e); });
+game.addEventListener("mouseleave", () => { hoverPoint = null; });
+
+// Client coordinates -> canvas pixels (the canvas is scaled by devicePixelRatio).
+function canvasPoint(e) {
+    const rect = game.getBoundingClientRect();
+    return {
+        x: (e.clientX - rect.left) * game.width / (rect.width || 1),
+        y: (e.clientY - rect.top) * game.height / (rect.height || 1),
+    };
+}
+
+function pickAt(point) {
+    // Light icons sit on top of the meshes.
+    const light = pickLightIcon(point);
+    if (light) return {object: light};
+    const ray = screenRay(camera, viewport, point.x, point.y);
+    return ray ? pickObject(sceneObjects, ray) : null;
+}
+
+// World point the wheel zooms towards: what's under the cursor, or the
+// point at the pivot's depth along the cursor ray.
+function zoomTarget(point) {
+    const ray = screenRay(camera, viewport, point.x, point.y);
+    if (!ray) return cameraPivot(camera);
+    const hit = pickObject(sceneObjects, ray);
+    if (hit) return vadd(ray.origin, vscale(ray.dir, hit.t));
+    const along = vdot(vsub(cameraPivot(camera), ray.origin), cameraForward(camera)) / (vdot(ray.dir, cameraForward(camera)) || 1);
+    return vadd(ray.origin, vscale(ray.dir, Math.max(along, NEAR_PLANE)));
+}
 
 game.addEventListener("wheel", (e) => {
-    // wheel = dolly forward/back (nice for demos)
+    // wheel = zoom towards the cursor
     e.preventDefault();
-    const speed = 0.02;
-    const dir = e.deltaY > 0 ? 1 : -1;
-    const forward = {x: Math.sin(camera.yaw), y: 0, z: Math.cos(camera.yaw)};
-    camera.position = vadd(camera.position, vscale(forward, dir * speed * 20));
+    zoomCamera(camera, e.deltaY > 0 ? 1.15 : 1 / 1.15, zoomTarget(canvasPoint(e)));
 }, {passive: false});
 
 const objFile = document.getElementById("objFile");
@@ -314,15 +226,59 @@ const resetViewBtn = document.getElementById("resetView");
 const statsEl = document.getElementById("stats");
 const snapshotBtn = document.getElementById("snapshotBtn");
 const exportObjBtn = document.getElementById("exportObjBtn");
+const exportFormatEl = document.getElementById("exportFormat");
+const exportScopeEl = document.getElementById("exportScope");
+const exportSpaceEl = document.getElementById("exportSpace");
+const saveProjectBtn = document.getElementById("saveProjectBtn");
+const openProjectBtn = document.getElementById("openProjectBtn");
+const projectFileEl = document.getElementById("projectFile");
 const drawWireframeEl = document.getElementById("drawWireframe");
 const drawNormalsEl = document.getElementById("drawNormals");
 const drawBoundsEl = document.getElementById("drawBounds");
 const enableSpecularEl = document.getElementById("enableSpecular");
+const enableShadowsEl = document.getElementById("enableShadows");
+const useWorkersEl = document.getElementById("useWorkers");
+const showStatsEl = document.getElementById("showStats");
+const perfHudEl = document.getElementById("perfHud");
+const renderModeEl = document.getElementById("renderMode");
+const shadingModeEl = document.getElementById("shadingMode");
+const smoothAngleEl = document.getElementById("smoothAngle");
+const cameraModeEl = document.getElementById("cameraMode");
+const cameraFovEl = document.getElementById("cameraFov");
+const orthographicEl = document.getElementById("orthographic");
+const standardViewEl = document.getElementById("standardView");
+const frameSelectedBtn = document.getElementById("frameSelectedBtn");
 
 // Sidebar UI
 const sceneListEl = document.getElementById("sceneList");
 const deleteSelectedBtn = document.getElementById("deleteSelectedBtn");
 const clearAllBtn = document.getElementById("clearAllBtn");
+const addGroupBtn = document.getElementById("addGroupBtn");
+const historyListEl = document.getElementById("historyList");
+const weldDistanceEl = document.getElementById("weldDistance");
+const weldBtn = document.getElementById("weldBtn");
+const removeDegenerateBtn = document.getElementById("removeDegenerateBtn");
+const unifyWindingBtn = document.getElementById("unifyWindingBtn");
+const flipNormalsBtn = document.getElementById("flipNormalsBtn");
+const simplifyTargetEl = document.getElementById("simplifyTarget");
+const simplifyUnitEl = document.getElementById("simplifyUnit");
+const keepBoundaryEl = document.getElementById("keepBoundary");
+const simplifyBtn = document.getElementById("simplifyBtn");
+const subdivideBtn = document.getElementById("subdivideBtn");
+const generateLodsBtn = document.getElementById("generateLodsBtn");
+const lodLevelEl = document.getElementById("lodLevel");
+const lodAutoEl = document.getElementById("lodAuto");
+const lodDistanceEl = document.getElementById("lodDistance");
+const meshToolsResultEl = document.getElementById("meshToolsResult");
+const strictImportEl = document.getElementById("strictImport");
+const importSummaryEl = document.getElementById("importSummary");
+const importReportEl = document.getElementById("importReport");
+const undoBtn = document.getElementById("undoBtn");
+const redoBtn = document.getElementById("redoBtn");
+const bookmarkListEl = document.getElementById("bookmarkList");
+const addBookmarkBtn = document.getElementById("addBookmarkBtn");
+const transformSpaceEl = document.getElementById("transformSpace");
+const parentNameEl = document.getElementById("parentName");
 
 const posXEl = document.getElementById("posX");
 const posYEl = document.getElementById("posY");
@@ -340,54 +296,266 @@ const rotZNumEl = document.getElementById("rotZNum");
 
 const scaleUEl = document.getElementById("scaleU");
 const scaleUNumEl = document.getElementById("scaleUNum");
-
-function resetView() {
+const scaleXEl = document.getElementById("scaleX");
+const scaleYEl = document.getElementById("scaleY");
+const scaleZEl = document.getElementById("scaleZ");
+const scaleXNumEl = document.getElementById("scaleXNum");
+const scaleYNumEl = document.getElementById("scaleYNum");
+const scaleZNumEl = document.getElementById("scaleZNum");
+
+const gizmoModeEl = document.getElementById("gizmoMode");
+const snapEnabledEl = document.getElementById("snapEnabled");
+const snapMoveEl = document.getElementById("snapMove");
+const snapRotateEl = document.getElementById("snapRotate");
+const snapScaleEl = document.getElementById("snapScale");
+
+const objColorEl = document.getElementById("objColor");
+const objCastShadowsEl = document.getElementById("objCastShadows");
+const objReceiveShadowsEl = document.getElementById("objReceiveShadows");
+const materialPanelEl = document.getElementById("materialPanel");
+const materialSelectEl = document.getElementById("materialSelect");
+const matDiffuseEl = document.getElementById("matDiffuse");
+const matSpecularEl = document.getElementById("matSpecular");
+const matTextureNameEl = document.getElementById("matTextureName");
+const matShininessEl = document.getElementById("matShininess");
+const matShininessNumEl = document.getElementById("matShininessNum");
+const matOpacityEl = document.getElementById("matOpacity");
+const matOpacityNumEl = document.getElementById("matOpacityNum");
+
+const textureSourceEl = document.getElementById("textureSource");
+const textureFileEl = document.getElementById("textureFile");
+const textureNameEl = document.getElementById("textureName");
+const textureFilterEl = document.getElementById("textureFilter");
+const textureWrapEl = document.getElementById("textureWrap");
+
+const lightPanelEl = document.getElementById("lightPanel");
+const lightTypeEl = document.getElementById("lightType");
+const lightColorEl = document.getElementById("lightColor");
+const lightIntensityEl = document.getElementById("lightIntensity");
+const lightIntensityNumEl = document.getElementById("lightIntensityNum");
+const lightRangeEl = document.getElementById("lightRange");
+const lightRangeNumEl = document.getElementById("lightRangeNum");
+const lightAngleEl = document.getElementById("lightAngle");
+const lightAngleNumEl = document.getElementById("lightAngleNum");
+const lightPenumbraEl = document.getElementById("lightPenumbra");
+const lightPenumbraNumEl = document.getElementById("lightPenumbraNum");
+const lightShadowsEl = document.getElementById("lightShadows");
+const lightShadowBiasEl = document.getElementById("lightShadowBias");
+const lightShadowSoftnessEl = document.getElementById("lightShadowSoftness");
+const lightShadowMapSizeEl = document.getElementById("lightShadowMapSize");
+
+const ambientColorEl = document.getElementById("ambientColor");
+const ambientIntensityEl = document.getElementById("ambientIntensity");
+const ambientIntensityNumEl = document.getElementById("ambientIntensityNum");
+const hemisphereEl = document.getElementById("hemisphere");
+const skyColorEl = document.getElementById("skyColor");
+const groundColorEl = document.getElementById("groundColor");
+const addLightTypeEl = document.getElementById("addLightType");
+const addLightBtn = document.getElementById("addLightBtn");
+
+const playBtn = document.getElementById("playBtn");
+const prevKeyBtn = document.getElementById("prevKeyBtn");
+const nextKeyBtn = document.getElementById("nextKeyBtn");
+const timelineFrameEl = document.getElementById("timelineFrame");
+const timelineFrameNumEl = document.getElementById("timelineFrameNum");
+const timelineStartEl = document.getElementById("timelineStart");
+const timelineEndEl = document.getElementById("timelineEnd");
+const timelineFpsEl = document.getElementById("timelineFps");
+const timelineLoopEl = document.getElementById("timelineLoop");
+const timelineKeysEl = document.getElementById("timelineKeys");
+const keyTargetEl = document.getElementById("keyTarget");
+const keyInterpolationEl = document.getElementById("keyInterpolation");
+const bezierHandlesEl = document.getElementById("bezierHandles");
+const setKeyBtn = document.getElementById("setKeyBtn");
+const deleteKeyBtn = document.getElementById("deleteKeyBtn");
+const renderWidthEl = document.getElementById("renderWidth");
+const renderHeightEl = document.getElementById("renderHeight");
+const renderOutputEl = document.getElementById("renderOutput");
+const renderFramesBtn = document.getElementById("renderFramesBtn");
+
+// The camera isn't part of the scene history (see sceneSnapshot), so it is
+// reset outside the recorded edits that lay the default objects out again.
+function resetCamera() {
     camera.position = {x: 0, y: 0.5, z: -6};
     camera.yaw = 0;
     camera.pitch = 0;
-    applyDefaultLayout(sceneObjects);
+    camera.pivot = {x: 0, y: 0.5, z: 0};
+    camera.distance = 6;
+    camera.orthoHeight = undefined;
+}
+
+function resetView() {
+    recordSceneEdit("Reset View", () => applyDefaultLayout(sceneObjects));
+    resetCamera();
     syncInspectorFromSelected();
 }
 
+// -------- Camera Controls --------
+function syncCameraControls() {
+    if (cameraModeEl) cameraModeEl.value = camera.mode;
+    if (cameraFovEl) cameraFovEl.value = String(camera.fov);
+    if (orthographicEl) orthographicEl.checked = camera.projection === "orthographic";
+}
+
+// Switching keeps the framing at the pivot: the orthographic view height
+// matches what the lens shows there, and back again.
+function setOrthographic(on) {
+    if (on === (camera.projection === "orthographic")) return;
+    const pivot = cameraPivot(camera);
+    const tanHalf = Math.tan(cameraFov(camera) / 2);
+    if (on) {
+        camera.orthoHeight = 2 * vlen(vsub(camera.position, pivot)) * tanHalf;
+        camera.projection = "orthographic";
+    } else {
+        camera.projection = "perspective";
+        placeOrbitCamera(camera, pivot, cameraOrthoHeight(camera) / (2 * tanHalf));
+    }
+    syncCameraControls();
+}
+
+function goToStandardView(name) {
+    setStandardView(camera, name);
+    if (standardViewEl) standardViewEl.value = "";
+}
+
+// Fit the selection (and everything under it); lights and empty groups get
+// a unit box around their origin.
+function frameSelected() {
+    const targets = new Set();
+    for (const obj of selectedObjects) {
+        for (const o of subtreeOf(sceneObjects, obj)) targets.add(o);
+    }
+    let bounds = worldBounds(Array.from(targets));
+    if (!bounds) {
+        const obj = getSelectedObject(); if (!obj) return;
+        const p = getWorldTransform(obj, sceneObjects).position;
+        const half = {x: 0.5, y: 0.5, z: 0.5};
+        bounds = {min: vsub(p, half), max: vadd(p, half)};
+    }
+    frameBounds(camera, bounds, viewport.aspect);
+}
+
+if (cameraModeEl) cameraModeEl.addEventListener("change", () => { camera.mode = cameraModeEl.value; });
+if (cameraFovEl) {
+    cameraFovEl.addEventListener("change", () => {
+        const v = parseFloat(cameraFovEl.value);
+        if (Number.isFinite(v)) camera.fov = clamp(v, 10, 150);
+        syncCameraControls();
+    });
+}
+if (orthographicEl) orthographicEl.addEventListener("change", () => setOrthographic(orthographicEl.checked));
+if (standardViewEl) {
+    standardViewEl.addEventListener("change", () => {
+        if (standardViewEl.value) goToStandardView(standardViewEl.value);
+    });
+}
+if (frameSelectedBtn) frameSelectedBtn.addEventListener("click", frameSelected);
+
+// Numpad views: 1 front, 3 right, 7 top (Ctrl: the opposite side), 9 iso;
+// 5 toggles orthographic, F or numpad . frames the selection.
+window.addEventListener("keydown", (e) => {
+    if (isTypingTarget(e.target) || e.altKey || e.metaKey) return;
+    const views = {Numpad1: ["front", "back"], Numpad3: ["right", "left"], Numpad7: ["top", "bottom"], Numpad9: ["iso", "iso"]};
+    if (views[e.code]) {
+        e.preventDefault();
+        goToStandardView(views[e.code][e.ctrlKey ? 1 : 0]);
+    } else if (e.ctrlKey) {
+        return;
+    } else if (e.code === "Numpad5") {
+        setOrthographic(camera.projection !== "orthographic");
+    } else if (e.code === "NumpadDecimal" || e.code === "KeyF") {
+        frameSelected();
+    }
+});
+
 if (resetViewBtn) resetViewBtn.addEventListener("click", resetView);
+// A canvas as PNG file bytes (Snapshot PNG, Render Frames).
+function canvasPNG(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (!blob) reject(new Error("Could not encode the canvas as PNG"));
+            else blob.arrayBuffer().then(buf => resolve(new Uint8Array(buf)), reject);
+        }, "image/png");
+    });
+}
+
 if (snapshotBtn) {
-    snapshotBtn.addEventListener("click", () => {
+    snapshotBtn.addEventListener("click", async () => {
         // Simple sprite export of the current canvas contents.
-        const link = document.createElement("a");
-        link.download = "3d-render.png";
-        link.href = game.toDataURL("image/png");
-        link.click();
+        downloadFile("3d-render.png", await canvasPNG(game), "image/png");
     });
 }
+// Text or bytes.
+function downloadFile(fileName, data, type = "text/plain") {
+    const blob = new Blob([data], {type});
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+}
+
+// The selected objects with everything under them, or the whole scene;
+// written as <name>.obj + <name>.mtl (see exportOBJ in core.js), .stl or .ply
+// (formats.js).
 if (exportObjBtn) {
     exportObjBtn.addEventListener("click", () => {
-        const mesh = baseMesh || (sceneObjects[0] && sceneObjects[0].mesh);
-        if (!mesh || !mesh.vs || !mesh.fs) return;
-
-        let output = "# Exported from 3D Engine Viewer\n";
-        for (const v of mesh.vs) {
-            output += `v ${v.x} ${v.y} ${v.z}\n`;
+        let objects = sceneObjects;
+        let baseName = "scene";
+        if (exportScopeEl && exportScopeEl.value === "selected") {
+            objects = sceneObjects.filter(o => [...selectedObjects].some(s => s === o || isAncestor(sceneObjects, s, o)));
+            const primary = sceneObjects[selectedObjectIndex];
+            if (primary && selectedObjects.has(primary)) baseName = primary.name.trim().replace(/[^\w.-]+/g, "_") || "object";
         }
-        for (const f of mesh.fs) {
-            if (f.length < 3) continue;
-            output += `f ${f[0] + 1} ${f[1] + 1} ${f[2] + 1}\n`;
+        if (!objects.some(o => o.mesh)) {
+            if (statsEl) statsEl.textContent = "Nothing to export";
+            return;
         }
 
-        const blob = new Blob([output], {type: "text/plain"});
-        const link = document.createElement("a");
-        link.href = URL.createObjectURL(blob);
-        link.download = "fixed_model.obj";
-        link.click();
+        const format = exportFormatEl ? exportFormatEl.value : "obj";
+        const options = {
+            space: exportSpaceEl ? exportSpaceEl.value : "world",
+            scene: sceneObjects,
+            binary: format.endsWith("-binary"),
+        };
+        if (format === "obj") {
+            const {obj, mtl} = exportOBJ(objects, {...options, mtlName: `${baseName}.mtl`});
+            downloadFile(`${baseName}.obj`, obj);
+            downloadFile(`${baseName}.mtl`, mtl);
+        } else {
+            const ply = format.startsWith("ply");
+            const data = ply ? exportPLY(objects, options) : exportSTL(objects, options);
+            downloadFile(`${baseName}.${ply ? "ply" : "stl"}`, data, options.binary ? "application/octet-stream" : "text/plain");
+        }
     });
 }
 
+let checkerTexture = createCheckerTexture(); // shared debug texture, no file needed
+let framebuffer = null;    // depth-buffered render target (see core.js)
 let baseMesh = null;       // default penguin mesh
 let baseCubeMesh = null;   // default cube mesh
 let sceneObjects = [];
-let selectedObjectIndex = 0;
-
-function clamp(v, lo, hi) {
-    return Math.max(lo, Math.min(hi, v));
+let selectedObjectIndex = 0;      // primary selection, edited by the Inspector
+let selectedObjects = new Set();  // every selected object (shift-click adds)
+let hoveredObject = null;
+let sceneLighting = {...DEFAULT_LIGHTING}; // ambient/hemisphere settings (see core.js)
+
+// Scene objects form a tree through id/parentId (see Scene Graph in
+// core.js); objects without a mesh are groups, or lights when they carry a
+// `light` (see createLight).
+let nextObjectId = 1;
+function createSceneObject(props) {
+    const id = nextObjectId++;
+    return {
+        id,
+        parentId: null,
+        name: `Object ${id}`,
+        mesh: null,
+        position: {x: 0, y: 0, z: 0},
+        rotation: {x: 0, y: 0, z: 0},
+        scale: {x: 1, y: 1, z: 1},
+        color: {r: 0, g: 255, b: 0},
+        ...props,
+    };
 }
 
 function getSelectedObject() {
@@ -398,27 +566,342 @@ function getSelectedObject() {
 
 let inspectorIsSyncing = false;
 
+// World-space rotation as last shown in the Inspector. Edits update this
+// copy instead of re-deriving Euler angles from the quaternion, which could
+// jump to an equivalent triple mid-drag.
+let inspectorWorldEuler = {x: 0, y: 0, z: 0};
+
+// additive (shift): toggle `obj` in the selection; the last object added
+// becomes the primary one shown in the Inspector.
+function selectObject(obj, additive = false) {
+    if (!additive) {
+        selectedObjects = new Set([obj]);
+    } else if (selectedObjects.has(obj) && selectedObjects.size > 1) {
+        selectedObjects.delete(obj);
+        const primary = getSelectedObject();
+        obj = selectedObjects.has(primary) ? primary : Array.from(selectedObjects).pop();
+    } else {
+        selectedObjects.add(obj);
+    }
+    selectedObjectIndex = Math.max(0, sceneObjects.indexOf(obj));
+    selectedMaterialIndex = 0;
+    updateSceneListUI();
+    syncInspectorFromSelected();
+    syncTimelineUI(); // key ticks follow the selection
+}
+
+// Drop deleted objects from the selection and make sure the primary object
+// is part of it (code that sets selectedObjectIndex directly starts a new
+// single selection).
+function syncSelection() {
+    const primary = getSelectedObject();
+    for (const obj of selectedObjects) {
+        if (!sceneObjects.includes(obj)) selectedObjects.delete(obj);
+    }
+    if (primary && !selectedObjects.has(primary)) selectedObjects = new Set([primary]);
+    if (hoveredObject && !sceneObjects.includes(hoveredObject)) hoveredObject = null;
+}
+
+// -------- Undo / Redo --------
+// Every scene edit is recorded as a command (see history.js). Structural
+// edits (add/delete/reorder/reparent) snapshot the object list with each
+// object's parent and transform; objects themselves are kept by reference.
+const editHistory = createHistory(200);
+
+function transformSnapshot(obj) {
+    return {
+        position: {...(obj.position || {x: 0, y: 0, z: 0})},
+        rotation: {...(obj.rotation || {x: 0, y: 0, z: 0})},
+        quaternion: obj.quaternion ? {...obj.quaternion} : null,
+        scale: {...(obj.scale || {x: 1, y: 1, z: 1})},
+    };
+}
+
+function applyTransformSnapshot(obj, t) {
+    obj.position = {...t.position};
+    obj.rotation = {...t.rotation};
+    if (t.quaternion) obj.quaternion = {...t.quaternion};
+    else delete obj.quaternion;
+    obj.scale = {...t.scale};
+}
+
+function sceneSnapshot() {
+    return {
+        objects: sceneObjects.slice(),
+        states: sceneObjects.map(o => ({parentId: o.parentId, transform: transformSnapshot(o)})),
+        selected: getSelectedObject(),
+    };
+}
+
+function restoreSceneSnapshot(snap) {
+    sceneObjects = snap.objects.slice();
+    snap.objects.forEach((obj, i) => {
+        obj.parentId = snap.states[i].parentId;
+        applyTransformSnapshot(obj, snap.states[i].transform);
+    });
+    selectedObjectIndex = Math.max(0, sceneObjects.indexOf(snap.selected));
+}
+
+function recordEdit(command) {
+    historyRecord(editHistory, command);
+    updateHistoryUI();
+    scheduleAutosave();
+}
+
+// Run `mutate` (returning false means nothing changed) and record it.
+function recordSceneEdit(label, mutate) {
+    const before = sceneSnapshot();
+    if (mutate() === false) return false;
+    const after = sceneSnapshot();
+    recordEdit({label, undo: () => restoreSceneSnapshot(before), redo: () => restoreSceneSnapshot(after)});
+    return true;
+}
+
+// `before` holds transformSnapshot()s taken before the objects were changed.
+function recordTransformEdit(label, objects, before, mergeKey = null) {
+    const after = objects.map(transformSnapshot);
+    recordEdit({
+        label,
+        mergeKey,
+        undo: () => objects.forEach((obj, i) => applyTransformSnapshot(obj, before[i])),
+        redo: () => objects.forEach((obj, i) => applyTransformSnapshot(obj, after[i])),
+    });
+}
+
+// Set target[key] = value (colors, material values, texture settings).
+function recordPropertyEdit(label, target, key, value, mergeKey = null) {
+    const before = target[key];
+    target[key] = value;
+    recordEdit({
+        label,
+        mergeKey,
+        undo: () => { target[key] = before; },
+        redo: () => { target[key] = value; },
+    });
+}
+
+function afterHistoryJump() {
+    updateSceneListUI();
+    syncInspectorFromSelected();
+    syncLightingPanel();
+    updateBookmarksUI();
+    syncTimelineUI();
+    updateHistoryUI();
+    scheduleAutosave();
+}
+
+function undo() {
+    if (gizmoDrag || !historyUndo(editHistory)) return;
+    afterHistoryJump();
+}
+
+function redo() {
+    if (gizmoDrag || !historyRedo(editHistory)) return;
+    afterHistoryJump();
+}
+
+// Newest first; entries past the current position (undone) are dimmed and
+// can be clicked to redo up to them.
+function updateHistoryUI() {
+    if (undoBtn) undoBtn.disabled = editHistory.index === 0;
+    if (redoBtn) redoBtn.disabled = editHistory.index >= editHistory.entries.length;
+    if (!historyListEl) return;
+    historyListEl.innerHTML = "";
+    const labels = ["Initial state", ...editHistory.entries.map(c => c.label)];
+    for (let i = labels.length - 1; i >= 0; i--) {
+        const row = document.createElement("button");
+        row.className = "history-item" +
+            (i === editHistory.index ? " current" : "") +
+            (i > editHistory.index ? " undone" : "");
+        row.textContent = labels[i];
+        row.addEventListener("click", () => {
+            if (gizmoDrag) return;
+            historyGoTo(editHistory, i);
+            afterHistoryJump();
+        });
+        historyListEl.appendChild(row);
+    }
+}
+
+if (undoBtn) undoBtn.addEventListener("click", undo);
+if (redoBtn) redoBtn.addEventListener("click", redo);
+
+// Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl+Y redo. Text fields keep their
+// own undo.
+window.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || isTypingTarget(e.target)) return;
+    if (e.code === "KeyZ") {
+        e.preventDefault();
+        if (e.shiftKey) redo();
+        else undo();
+    } else if (e.code === "KeyY") {
+        e.preventDefault();
+        redo();
+    }
+});
+
+// -------- Camera Bookmarks --------
+let cameraBookmarks = []; // [{name, camera: cameraSnapshot()}]
+let nextBookmarkNumber = 1;
+
+function recordBookmarkEdit(label, mutate) {
+    const before = cameraBookmarks.slice();
+    mutate();
+    const after = cameraBookmarks.slice();
+    recordEdit({label, undo: () => { cameraBookmarks = before.slice(); }, redo: () => { cameraBookmarks = after.slice(); }});
+    updateBookmarksUI();
+}
+
+function goToBookmark(bookmark) {
+    applyCamera(bookmark.camera);
+}
+
+function updateBookmarksUI() {
+    if (!bookmarkListEl) return;
+    bookmarkListEl.innerHTML = "";
+    for (const bookmark of cameraBookmarks) {
+        const row = document.createElement("div");
+        row.className = "bookmark-row";
+        const go = document.createElement("button");
+        go.className = "scene-item-btn";
+        go.textContent = bookmark.name;
+        go.addEventListener("click", () => goToBookmark(bookmark));
+        const remove = document.createElement("button");
+        remove.className = "icon-btn";
+        remove.title = "Delete bookmark";
+        remove.textContent = "×";
+        remove.addEventListener("click", () => {
+            recordBookmarkEdit(`Delete bookmark ${bookmark.name}`, () => {
+                cameraBookmarks = cameraBookmarks.filter(b => b !== bookmark);
+            });
+        });
+        row.appendChild(go);
+        row.appendChild(remove);
+        bookmarkListEl.appendChild(row);
+    }
+}
+
+if (addBookmarkBtn) {
+    addBookmarkBtn.addEventListener("click", () => {
+        const bookmark = {
+            name: `View ${nextBookmarkNumber++}`,
+            camera: cameraSnapshot(),
+        };
+        recordBookmarkEdit(`Add bookmark ${bookmark.name}`, () => {
+            cameraBookmarks = [...cameraBookmarks, bookmark];
+        });
+    });
+}
+
+// Drop position on a Scene List row: top/bottom quarter = reorder as a
+// sibling, middle = make it a child.
+function sceneDropZone(e, row) {
+    const rect = row.getBoundingClientRect();
+    const y = (e.clientY - rect.top) / (rect.height || 1);
+    return y < 0.25 ? "before" : y > 0.75 ? "after" : "inside";
+}
+
+// Reparent (keeping the world transform) and/or reorder. Returns false for
+// drops that would put an object inside itself.
+function moveSceneObject(obj, target, zone) {
+    if (target === obj || (target && isAncestor(sceneObjects, obj, target))) return false;
+    const label = !target ? `Move ${obj.name} to root` :
+        zone === "inside" ? `Move ${obj.name} into ${target.name}` : `Reorder ${obj.name}`;
+    return recordSceneEdit(label, () => {
+        const selected = getSelectedObject();
+        const parentId = !target ? null : zone === "inside" ? target.id : target.parentId;
+        if (!reparentObject(sceneObjects, obj, parentId === undefined ? null : parentId)) return false;
+
+        sceneObjects.splice(sceneObjects.indexOf(obj), 1);
+        if (target && zone !== "inside") {
+            const at = sceneObjects.indexOf(target);
+            sceneObjects.splice(zone === "before" ? at : at + 1, 0, obj);
+        } else {
+            sceneObjects.push(obj);
+        }
+        selectedObjectIndex = Math.max(0, sceneObjects.indexOf(selected));
+        return true;
+    });
+}
+
+let draggedObjectId = null;
+
 function updateSceneListUI() {
+    syncSelection();
     if (!sceneListEl) return;
     sceneListEl.innerHTML = "";
 
-    sceneObjects.forEach((obj, idx) => {
-        const btn = document.createElement("button");
-        btn.className = "scene-item-btn" + (idx === selectedObjectIndex ? " selected" : "");
-        const label = (obj && obj.name) ? obj.name : `Object ${idx + 1}`;
-        btn.textContent = `${idx + 1}. ${label}`;
-        btn.addEventListener("click", () => {
-            selectedObjectIndex = idx;
-            updateSceneListUI();
-            syncInspectorFromSelected();
-        });
-        sceneListEl.appendChild(btn);
-    });
+    const addRows = (parentId, depth) => {
+        for (const obj of childrenOf(sceneObjects, parentId)) {
+            const idx = sceneObjects.indexOf(obj);
+            const row = document.createElement("button");
+            row.className = "scene-item-btn" +
+                (selectedObjects.has(obj) ? " selected" : "") +
+                (idx === selectedObjectIndex ? " primary" : "") +
+                (obj.mesh ? "" : obj.light ? " light" : " group");
+            row.style.paddingLeft = `${10 + depth * 16}px`;
+            row.textContent = (obj && obj.name) ? obj.name : `Object ${idx + 1}`;
+            row.draggable = true;
+            row.addEventListener("click", (e) => selectObject(obj, e.shiftKey));
+
+            row.addEventListener("dragstart", (e) => {
+                draggedObjectId = obj.id;
+                if (e.dataTransfer) {
+                    e.dataTransfer.effectAllowed = "move";
+                    e.dataTransfer.setData("text/plain", String(obj.id));
+                }
+            });
+            row.addEventListener("dragend", () => { draggedObjectId = null; });
+            row.addEventListener("dragover", (e) => {
+                if (draggedObjectId === null) return;
+                e.preventDefault();
+                const zone = sceneDropZone(e, row);
+                row.classList.toggle("drop-before", zone === "before");
+                row.classList.toggle("drop-inside", zone === "inside");
+                row.classList.toggle("drop-after", zone === "after");
+            });
+            row.addEventListener("dragleave", () => {
+                row.classList.remove("drop-before", "drop-inside", "drop-after");
+            });
+            row.addEventListener("drop", (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                const dragged = findObject(sceneObjects, draggedObjectId);
+                draggedObjectId = null;
+                if (dragged && moveSceneObject(dragged, obj, sceneDropZone(e, row))) {
+                    updateSceneListUI();
+                    syncInspectorFromSelected();
+                } else {
+                    row.classList.remove("drop-before", "drop-inside", "drop-after");
+                }
+            });
+
+            sceneListEl.appendChild(row);
+            addRows(obj.id, depth + 1);
+        }
+    };
+    addRows(null, 0);
 
     if (sceneObjects.length === 0) selectedObjectIndex = 0;
     else selectedObjectIndex = clamp(selectedObjectIndex, 0, sceneObjects.length - 1);
 }
 
+// Dropping on the empty part of the list moves the object to the root.
+if (sceneListEl) {
+    sceneListEl.addEventListener("dragover", (e) => {
+        if (draggedObjectId !== null) e.preventDefault();
+    });
+    sceneListEl.addEventListener("drop", (e) => {
+        e.preventDefault();
+        const dragged = findObject(sceneObjects, draggedObjectId);
+        draggedObjectId = null;
+        if (dragged && moveSceneObject(dragged, null, "inside")) {
+            updateSceneListUI();
+            syncInspectorFromSelected();
+        }
+    });
+}
+
 function setInputPair(rangeEl, numEl, value) {
     if (rangeEl) rangeEl.value = String(value);
     if (numEl) numEl.value = String(value);
@@ -429,9 +912,17 @@ function syncInspectorFromSelected() {
     if (!obj) return;
 
     inspectorIsSyncing = true;
-    const p = obj.position || (obj.position = {x: 0, y: 0, z: 0});
-    const r = obj.rotation || (obj.rotation = {x: 0, y: 0, z: 0});
-    const s = obj.scale || (obj.scale = {x: 1, y: 1, z: 1});
+    let p = obj.position || (obj.position = {x: 0, y: 0, z: 0});
+    let r = obj.rotation || (obj.rotation = {x: 0, y: 0, z: 0});
+    let s = obj.scale || (obj.scale = {x: 1, y: 1, z: 1});
+    if (isWorldSpace()) {
+        const world = getWorldTransform(obj, sceneObjects);
+        p = world.position;
+        r = inspectorWorldEuler = quaternionToEuler(world.quaternion, inspectorWorldEuler);
+        s = world.scale;
+    }
+    const parent = parentOf(sceneObjects, obj);
+    if (parentNameEl) parentNameEl.textContent = parent ? `Parent: ${parent.name}` : "";
 
     setInputPair(posXEl, posXNumEl, p.x);
     setInputPair(posYEl, posYNumEl, p.y);
@@ -442,14 +933,120 @@ function syncInspectorFromSelected() {
     setInputPair(rotZEl, rotZNumEl, r.z);
 
     setInputPair(scaleUEl, scaleUNumEl, s.x);
+    setInputPair(scaleXEl, scaleXNumEl, s.x);
+    setInputPair(scaleYEl, scaleYNumEl, s.y);
+    setInputPair(scaleZEl, scaleZNumEl, s.z);
+
+    if (objColorEl) objColorEl.value = rgbToHex(obj.color || {r: 0, g: 255, b: 0});
+    if (objCastShadowsEl) objCastShadowsEl.checked = obj.castShadows !== false;
+    if (objReceiveShadowsEl) objReceiveShadowsEl.checked = obj.receiveShadows !== false;
+    syncMaterialPanel(obj);
+    syncLightPanel(obj);
+
+    const tex = obj.texture;
+    if (textureSourceEl) textureSourceEl.value = !tex ? "none" : tex === checkerTexture ? "checker" : "image";
+    if (textureNameEl) textureNameEl.textContent = (tex && tex !== checkerTexture) ? tex.name : "";
+    if (textureFilterEl) textureFilterEl.value = obj.textureFilter || "bilinear";
+    if (textureWrapEl) textureWrapEl.value = obj.textureWrap || "repeat";
     inspectorIsSyncing = false;
 
-    if (statsEl && obj.mesh && obj.mesh.vs && obj.mesh.fs) {
-        statsEl.textContent = `v=${obj.mesh.vs.length}  f(tris)=${obj.mesh.fs.length}`;
+    syncLodPanel(obj);
+    updateMeshStats(obj);
+}
+
+function updateMeshStats(obj) {
+    if (!statsEl || !obj || !obj.mesh || !obj.mesh.vs || !obj.mesh.fs) return;
+    const lod = obj.lod ? `  LOD ${obj.lod.level}/${obj.lod.meshes.length - 1}` : "";
+    statsEl.textContent = `v=${obj.mesh.vs.length}  f(tris)=${obj.mesh.fs.length}${lod}`;
+}
+
+function rgbToHex(c) {
+    const h = (v) => clamp(Math.round(v), 0, 255).toString(16).padStart(2, "0");
+    return `#${h(c.r)}${h(c.g)}${h(c.b)}`;
+}
+
+function hexToRgb(hex) {
+    const n = parseInt(hex.slice(1), 16);
+    return {r: (n >> 16) & 255, g: (n >> 8) & 255, b: n & 255};
+}
+
+let selectedMaterialIndex = 0;
+
+function getSelectedMaterial() {
+    const obj = getSelectedObject();
+    if (!obj || !obj.materials || obj.materials.length === 0) return null;
+    selectedMaterialIndex = clamp(selectedMaterialIndex, 0, obj.materials.length - 1);
+    return obj.materials[selectedMaterialIndex];
+}
+
+// Materials section: only shown for objects loaded with an MTL library.
+function syncMaterialPanel(obj) {
+    const materials = (obj && obj.materials) || [];
+    if (materialPanelEl) materialPanelEl.hidden = materials.length === 0;
+    if (!materialSelectEl || materials.length === 0) return;
+
+    materialSelectEl.innerHTML = "";
+    materials.forEach((m, idx) => {
+        const opt = document.createElement("option");
+        opt.value = String(idx);
+        opt.textContent = m.name;
+        materialSelectEl.appendChild(opt);
+    });
+    const mat = getSelectedMaterial();
+    materialSelectEl.value = String(selectedMaterialIndex);
+
+    const to255 = (c) => ({r: c.r * 255, g: c.g * 255, b: c.b * 255});
+    if (matDiffuseEl) matDiffuseEl.value = rgbToHex(to255(mat.kd));
+    if (matSpecularEl) matSpecularEl.value = rgbToHex(to255(mat.ks));
+    if (matTextureNameEl) matTextureNameEl.textContent = mat.mapKd ? `map_Kd: ${mat.mapKd}${mat.texture ? "" : " (missing)"}` : "";
+    setInputPair(matShininessEl, matShininessNumEl, mat.ns);
+    setInputPair(matOpacityEl, matOpacityNumEl, mat.d);
+}
+
+// Light section: only shown for light objects. Cone settings only apply
+// to spots, range to point and spot lights.
+function syncLightPanel(obj) {
+    const light = obj && obj.light;
+    if (lightPanelEl) lightPanelEl.hidden = !light;
+    if (!light) return;
+    if (lightTypeEl) lightTypeEl.value = light.type;
+    if (lightColorEl) lightColorEl.value = rgbToHex(light.color);
+    setInputPair(lightIntensityEl, lightIntensityNumEl, light.intensity);
+    setInputPair(lightRangeEl, lightRangeNumEl, light.range);
+    setInputPair(lightAngleEl, lightAngleNumEl, light.angle);
+    setInputPair(lightPenumbraEl, lightPenumbraNumEl, light.penumbra);
+    if (lightShadowsEl) lightShadowsEl.checked = !!light.castShadows;
+    if (lightShadowBiasEl) lightShadowBiasEl.value = String(light.shadowBias);
+    if (lightShadowSoftnessEl) lightShadowSoftnessEl.value = String(light.shadowSoftness);
+    if (lightShadowMapSizeEl) lightShadowMapSizeEl.value = String(light.shadowMapSize);
+    for (const el of [lightRangeEl, lightRangeNumEl]) if (el) el.disabled = light.type === "directional";
+    for (const el of [lightAngleEl, lightAngleNumEl, lightPenumbraEl, lightPenumbraNumEl]) if (el) el.disabled = light.type !== "spot";
+    // Point lights don't cast shadows (that would need a cube map).
+    const noShadows = light.type === "point";
+    for (const el of [lightShadowsEl, lightShadowBiasEl, lightShadowSoftnessEl, lightShadowMapSizeEl]) if (el) el.disabled = noShadows;
+}
+
+function syncLightingPanel() {
+    inspectorIsSyncing = true;
+    if (ambientColorEl) ambientColorEl.value = rgbToHex(sceneLighting.ambient);
+    setInputPair(ambientIntensityEl, ambientIntensityNumEl, sceneLighting.ambientIntensity);
+    if (hemisphereEl) hemisphereEl.checked = !!sceneLighting.hemisphere;
+    if (skyColorEl) {
+        skyColorEl.value = rgbToHex(sceneLighting.sky);
+        skyColorEl.disabled = !sceneLighting.hemisphere;
+    }
+    if (groundColorEl) {
+        groundColorEl.value = rgbToHex(sceneLighting.ground);
+        groundColorEl.disabled = !sceneLighting.hemisphere;
     }
+    inspectorIsSyncing = false;
 }
 
 function bindRangeNumber(rangeEl, numEl, onValue) {
+    // "change" fires when a drag or text edit is finished.
+    for (const el of [rangeEl, numEl]) {
+        if (el) el.addEventListener("change", () => historySeal(editHistory));
+    }
     if (rangeEl) {
         rangeEl.addEventListener("input", () => {
             if (inspectorIsSyncing) return;
@@ -468,29 +1065,89 @@ function bindRangeNumber(rangeEl, numEl, onValue) {
     }
 }
 
-// Build the default scene: left penguin + right cube, if their meshes are loaded.
+function getSmoothingAngle() {
+    const v = smoothAngleEl ? parseFloat(smoothAngleEl.value) : NaN;
+    return Number.isFinite(v) ? clamp(v, 0, 180) : 60;
+}
+
+// Normalize a parsed mesh and give it vertex normals if the file had none.
+function prepareMesh(parsed) {
+    return ensureVertexNormals(normalizeMesh(parsed));
+}
+
+// glTF meshes come in already scaled (see parseGLTF) and only need this part.
+function ensureVertexNormals(mesh) {
+    if (!mesh.ns) {
+        computeVertexNormals(mesh, getSmoothingAngle());
+        mesh.autoNormals = true;
+    }
+    return mesh;
+}
+
+// Recompute generated normals; normals from the file are left alone.
+function recomputeAutoNormals() {
+    const angle = getSmoothingAngle();
+    const done = new Set();
+    for (const obj of sceneObjects) {
+        const meshes = obj && obj.lod ? obj.lod.meshes : [obj && obj.mesh];
+        for (const mesh of meshes) {
+            if (!mesh || !mesh.autoNormals || done.has(mesh)) continue;
+            computeVertexNormals(mesh, angle);
+            done.add(mesh);
+        }
+    }
+}
+if (smoothAngleEl) smoothAngleEl.addEventListener("change", recomputeAutoNormals);
+
+// Decode a user-selected PNG/JPEG into a texture via a scratch canvas.
+async function loadImageTexture(file) {
+    const url = URL.createObjectURL(file);
+    try {
+        const img = new Image();
+        img.src = url;
+        await img.decode();
+        const canvas = document.createElement("canvas");
+        canvas.width = img.naturalWidth;
+        canvas.height = img.naturalHeight;
+        const c2 = canvas.getContext("2d");
+        c2.drawImage(img, 0, 0);
+        const {data} = c2.getImageData(0, 0, canvas.width, canvas.height);
+        return {name: file.name, width: canvas.width, height: canvas.height, data};
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Build the default scene: left penguin + right cube, if their meshes are
+// loaded, lit by a sun from the upper left (where the old fixed light was).
 function buildDefaultScene() {
     const scene = [];
     if (baseMesh) {
-        scene.push({
+        scene.push(createSceneObject({
             name: "penguin",
             mesh: baseMesh,
             position: {x: -1.5, y: 0, z: 0},
             rotation: {x: 0, y: Math.PI, z: 0},
             scale: {x: 3, y: 3, z: 3},
             color: {r: 0, g: 255, b: 0},
-        });
+        }));
     }
     if (baseCubeMesh) {
-        scene.push({
+        scene.push(createSceneObject({
             name: "cube",
             mesh: baseCubeMesh,
             position: {x: 1.5, y: 0, z: 0},
             rotation: {x: 0, y: 0, z: 0},
             scale: {x: 1.8, y: 1.8, z: 1.8},
             color: {r: 80, g: 200, b: 255},
-        });
+        }));
     }
+    scene.push(createSceneObject({
+        name: "Sun",
+        position: {x: -2.5, y: 2.5, z: -2.5},
+        rotation: {x: 0.6155, y: -Math.PI / 4, z: 0},
+        light: createLight("directional", {intensity: 0.85, castShadows: true}),
+    }));
     applyDefaultLayout(scene);
     return scene;
 }
@@ -505,17 +1162,21 @@ function buildDefaultScene() {
 
         if (!pengRes.ok) throw new Error(`Failed to load penguin asset: ${pengRes.status}`);
         const pengText = await pengRes.text();
-        baseMesh = normalizeMesh(parseOBJ(pengText));
+        baseMesh = prepareMesh(parseOBJ(pengText));
+        baseMesh.source = "assets/penguin.obj"; // saved projects reference it instead of embedding
 
         if (cubeRes.ok) {
             const cubeText = await cubeRes.text();
-            baseCubeMesh = normalizeMesh(parseOBJ(cubeText));
+            baseCubeMesh = prepareMesh(parseOBJ(cubeText));
+            baseCubeMesh.source = "assets/cube.obj";
         }
 
-        sceneObjects = buildDefaultScene();
+        if (!(await restoreSession())) sceneObjects = buildDefaultScene();
         selectedObjectIndex = 0;
         updateSceneListUI();
         syncInspectorFromSelected();
+        syncLightingPanel();
+        syncTimelineUI();
 
         if (statsEl && baseMesh) {
             statsEl.textContent = `v=${baseMesh.vs.length}  f(tris)=${baseMesh.fs.length}`;
@@ -528,218 +1189,1588 @@ function buildDefaultScene() {
     }
 })();
 
-if (objFile) {
-    objFile.addEventListener("change", async () => {
-        const file = objFile.files && objFile.files[0];
-        if (!file) return;
+// Resolve a mesh's mtllib/usemtl references against the selected files.
+// Returns one material per mesh.materialNames entry; names that no library
+// defines get a neutral default so the faces still render.
+async function resolveMaterials(mesh, findFile, textureCache) {
+    if (!mesh.materialNames) return [];
+
+    const library = {};
+    for (const lib of mesh.mtllibs || []) {
+        const file = findFile(lib);
+        if (!file) continue;
+        Object.assign(library, parseMTL(await file.text()));
+    }
 
-        const text = await file.text();
-        const parsed = parseOBJ(text);
-        const mesh = normalizeMesh(parsed);
+    const materials = [];
+    for (const name of mesh.materialNames) {
+        const mat = library[name] ? {...library[name]} : createMaterial(name);
+        if (mat.mapKd) {
+            const img = findFile(mat.mapKd);
+            if (img) {
+                if (!textureCache.has(img)) textureCache.set(img, loadImageTexture(img).catch(() => null));
+                mat.texture = await textureCache.get(img);
+            }
+        }
+        materials.push(mat);
+    }
+    return materials;
+}
 
-        // Dynamic loading: do NOT clear sceneObjects; push new object and select it.
-        sceneObjects.push({
-            name: file.name || `Object ${sceneObjects.length + 1}`,
-            mesh,
-            position: {x: 0, y: 0, z: 0},
-            rotation: {x: 0, y: 0, z: 0},
-            scale: {x: 1, y: 1, z: 1},
-            color: {r: 0, g: 255, b: 0},
-        });
-        selectedObjectIndex = sceneObjects.length - 1;
-        updateSceneListUI();
-        syncInspectorFromSelected();
-        resetView();
-        objFile.value = "";
-    });
+// Resolve map_Kd on glTF materials: images embedded in the file, or files
+// picked together with the .gltf.
+async function resolveGLTFTextures(nodes, images, findFile, textureCache) {
+    for (const node of nodes) {
+        for (const mat of node.materials) {
+            if (!mat.mapKd) continue;
+            const image = images.find(img => img.name === mat.mapKd && img.bytes);
+            const source = image || findFile(mat.mapKd);
+            if (!source) continue;
+            if (!textureCache.has(source)) {
+                const file = image ? new File([image.bytes], image.name, {type: image.mimeType}) : source;
+                textureCache.set(source, loadImageTexture(file).catch(() => null));
+            }
+            mat.texture = await textureCache.get(source);
+        }
+        await resolveGLTFTextures(node.children, images, findFile, textureCache);
+    }
+}
+
+// Scene objects for splitMeshParts() or parseGLTF() nodes. Parts get their
+// own copy of the file's materials; glTF nodes bring their own materials and
+// transform.
+function addPartObjects(nodes, parentId, materials) {
+    for (const node of nodes) {
+        const obj = createSceneObject({
+            name: node.name,
+            parentId,
+            mesh: node.mesh,
+            materials: node.mesh ? (node.materials || materials).map(m => ({...m})) : [],
+        });
+        if (node.position) obj.position = {...node.position};
+        if (node.scale) obj.scale = {...node.scale};
+        if (node.quaternion) setObjectQuaternion(obj, node.quaternion);
+        sceneObjects.push(obj);
+        addPartObjects(node.children, obj.id, materials);
+    }
+}
+
+if (objFile) {
+    objFile.addEventListener("change", async () => {
+        const files = Array.from(objFile.files || []);
+        objFile.value = "";
+        if (files.length === 0) return;
+
+        // Companion .mtl, .bin and texture files are matched by base name,
+        // the way the OBJ or glTF references them.
+        const byName = new Map(files.map(f => [f.name.toLowerCase(), f]));
+        const findFile = (ref) => byName.get(ref.split(/[\\/]/).pop().toLowerCase());
+        const textureCache = new Map();
+        const buffers = new Map();
+        for (const file of files) {
+            if (/\.bin$/i.test(file.name)) buffers.set(file, new Uint8Array(await file.arrayBuffer()));
+        }
+
+        // Load everything first so the import lands as one undo step. Any
+        // file that isn't a companion is sniffed as OBJ, STL, PLY or glTF.
+        const loaded = [];
+        const failed = [];
+        const reports = []; // OBJ and STL files: {name, warnings, error}
+        for (const file of files) {
+            if (/\.(mtl|bin|png|jpe?g)$/i.test(file.name)) continue;
+
+            const warnings = [];
+            let report = null;
+            try {
+                const bytes = new Uint8Array(await file.arrayBuffer());
+                const format = detectMeshFormat(file.name, bytes);
+                if (format === "obj" || format === "stl") reports.push(report = {name: file.name, warnings});
+                if (format === "glb" || format === "gltf") {
+                    const {nodes, images} = parseGLTF(bytes, {resolve: (uri) => buffers.get(findFile(uri)) || null});
+                    const walk = (list) => list.forEach(n => {
+                        if (n.mesh) ensureVertexNormals(n.mesh);
+                        walk(n.children);
+                    });
+                    walk(nodes);
+                    await resolveGLTFTextures(nodes, images, findFile, textureCache);
+                    loaded.push({name: file.name, nodes});
+                    continue;
+                }
+                const strict = !!(strictImportEl && strictImportEl.checked);
+                const mesh = prepareMesh(parseMeshFile(file.name, bytes, {warnings, strict}));
+                const materials = await resolveMaterials(mesh, findFile, textureCache);
+                loaded.push({name: file.name, mesh, materials});
+            } catch (e) {
+                failed.push(`${file.name}: ${e.message}`);
+                if (report) report.error = e.message;
+            }
+        }
+        if (reports.length) showImportReport(reports);
+        // Shown after the Inspector refresh, which rewrites the stats line.
+        const reportFailures = () => {
+            if (failed.length && statsEl) statsEl.textContent = `Import failed: ${failed.join("; ")}`;
+        };
+        if (loaded.length === 0) {
+            reportFailures();
+            return;
+        }
+
+        const label = loaded.length === 1 ? `Import ${loaded[0].name}` : `Import ${loaded.length} files`;
+        recordSceneEdit(label, () => {
+            let added = null;
+            for (const {name, mesh, materials, nodes} of loaded) {
+                // Dynamic loading: do NOT clear sceneObjects; push new object and select it.
+                // Files with several o/g parts (or glTF root nodes) become a
+                // group with one child per part.
+                if (nodes && nodes.length === 1) {
+                    const first = sceneObjects.length;
+                    addPartObjects(nodes, null, []);
+                    added = sceneObjects[first];
+                    continue;
+                }
+                const parts = nodes || splitMeshParts(mesh);
+                if (parts) {
+                    added = createSceneObject({name: name || `Object ${sceneObjects.length + 1}`});
+                    sceneObjects.push(added);
+                    addPartObjects(parts, added.id, materials);
+                } else {
+                    added = createSceneObject({name: name || `Object ${sceneObjects.length + 1}`, mesh, materials});
+                    sceneObjects.push(added);
+                }
+            }
+            selectedObjectIndex = sceneObjects.indexOf(added);
+            applyDefaultLayout(sceneObjects);
+        });
+        resetCamera();
+        updateSceneListUI();
+        syncInspectorFromSelected();
+        reportFailures();
+    });
+}
+
+// -------- Timeline --------
+// Keyframes live in `timeline` (see animation.js). Scrubbing or playing poses
+// the scene from the keys; Set Key records the selection (or the camera) at
+// the current frame. Edits in between stay put until keyed.
+let timeline = createTimeline();
+let currentFrame = 0;
+let playback = null; // {from, startedAt} while playing
+
+function recordTimelineEdit(label, mutate) {
+    const before = cloneTimeline(timeline);
+    if (mutate() === false) return;
+    const after = cloneTimeline(timeline);
+    recordEdit({label, undo: () => { timeline = cloneTimeline(before); }, redo: () => { timeline = cloneTimeline(after); }});
+    syncTimelineUI();
+}
+
+// Track targets Set Key / Delete Key work on.
+function keyTargets() {
+    if (keyTargetEl && keyTargetEl.value === "camera") return ["camera"];
+    return sceneObjects.filter(o => selectedObjects.has(o)).map(o => o.id);
+}
+
+function goToFrame(frame) {
+    currentFrame = clamp(frame, timeline.start, timeline.end);
+    if (timeline.tracks.length) {
+        applyTimeline(timeline, currentFrame, {objects: sceneObjects, camera});
+        syncInspectorFromSelected();
+        syncCameraControls();
+    }
+    syncTimelineUI();
+}
+
+// Stopping settles on a whole frame.
+function setPlaying(on) {
+    const wasPlaying = !!playback;
+    playback = on ? {from: currentFrame >= timeline.end ? timeline.start : currentFrame, startedAt: performance.now()} : null;
+    if (wasPlaying && !on) goToFrame(Math.round(currentFrame));
+    if (playBtn) playBtn.textContent = on ? "Pause" : "Play";
+}
+
+// Called once per viewport frame.
+function advancePlayback() {
+    if (!playback) return;
+    goToFrame(timelineFrameAt(timeline, playback.from, (performance.now() - playback.startedAt) / 1000));
+    if (!timeline.loop && currentFrame >= timeline.end) setPlaying(false);
+}
+
+function parseBezierHandles() {
+    const values = (bezierHandlesEl ? bezierHandlesEl.value : "").split(/[\s,]+/).filter(Boolean).map(Number);
+    return values.length === 4 && values.every(Number.isFinite) ? values : DEFAULT_BEZIER;
+}
+
+function syncTimelineUI() {
+    const frame = Math.round(currentFrame);
+    if (timelineFrameEl) {
+        timelineFrameEl.min = String(timeline.start);
+        timelineFrameEl.max = String(timeline.end);
+        timelineFrameEl.value = String(frame);
+    }
+    if (timelineFrameNumEl && document.activeElement !== timelineFrameNumEl) timelineFrameNumEl.value = String(frame);
+    if (timelineStartEl) timelineStartEl.value = String(timeline.start);
+    if (timelineEndEl) timelineEndEl.value = String(timeline.end);
+    if (timelineFpsEl) timelineFpsEl.value = String(timeline.fps);
+    if (timelineLoopEl) timelineLoopEl.checked = !!timeline.loop;
+    if (!timelineKeysEl) return;
+    timelineKeysEl.innerHTML = "";
+    const span = Math.max(1, timeline.end - timeline.start);
+    for (const f of keyframeFrames(timeline, keyTargets())) {
+        if (f < timeline.start || f > timeline.end) continue;
+        const tick = document.createElement("span");
+        tick.className = "timeline-key";
+        tick.style.left = `${(f - timeline.start) / span * 100}%`;
+        tick.title = `Frame ${f}`;
+        timelineKeysEl.appendChild(tick);
+    }
+}
+
+// Previous/next frame holding a key for the current targets.
+function stepToKey(direction) {
+    const frames = keyframeFrames(timeline, keyTargets());
+    const frame = direction < 0 ? frames.filter(f => f < currentFrame).pop() : frames.find(f => f > currentFrame);
+    if (frame !== undefined) goToFrame(frame);
+}
+
+if (playBtn) playBtn.addEventListener("click", () => setPlaying(!playback));
+if (prevKeyBtn) prevKeyBtn.addEventListener("click", () => stepToKey(-1));
+if (nextKeyBtn) nextKeyBtn.addEventListener("click", () => stepToKey(1));
+if (timelineFrameEl) {
+    timelineFrameEl.addEventListener("input", () => {
+        setPlaying(false);
+        goToFrame(Number(timelineFrameEl.value));
+    });
+}
+if (timelineFrameNumEl) {
+    timelineFrameNumEl.addEventListener("change", () => {
+        const v = parseInt(timelineFrameNumEl.value, 10);
+        if (Number.isFinite(v)) goToFrame(v);
+        syncTimelineUI();
+    });
+}
+
+// Frame range, rate and loop are part of the timeline (undoable, saved).
+function bindTimelineSetting(el, label, apply) {
+    if (!el) return;
+    el.addEventListener("change", () => {
+        recordTimelineEdit(label, () => apply(el));
+        goToFrame(currentFrame);
+    });
+}
+bindTimelineSetting(timelineStartEl, "Timeline start", (el) => {
+    const v = parseInt(el.value, 10);
+    if (!Number.isFinite(v) || v === timeline.start) return false;
+    timeline.start = Math.min(v, timeline.end);
+});
+bindTimelineSetting(timelineEndEl, "Timeline end", (el) => {
+    const v = parseInt(el.value, 10);
+    if (!Number.isFinite(v) || v === timeline.end) return false;
+    timeline.end = Math.max(v, timeline.start);
+});
+bindTimelineSetting(timelineFpsEl, "Timeline FPS", (el) => {
+    const v = parseInt(el.value, 10);
+    if (!(v > 0) || v === timeline.fps) return false;
+    timeline.fps = Math.min(v, 120);
+});
+bindTimelineSetting(timelineLoopEl, "Timeline loop", (el) => { timeline.loop = el.checked; });
+
+if (keyTargetEl) keyTargetEl.addEventListener("change", syncTimelineUI);
+if (setKeyBtn) {
+    setKeyBtn.addEventListener("click", () => {
+        const frame = Math.round(currentFrame);
+        const interpolation = (keyInterpolationEl && keyInterpolationEl.value) || "linear";
+        const targets = keyTargets();
+        if (!targets.length) return;
+        recordTimelineEdit(`Set key at ${frame}`, () => {
+            for (const target of targets) {
+                const source = target === "camera" ? camera : sceneObjects.find(o => o.id === target);
+                keyTarget(timeline, target, source, frame, interpolation, parseBezierHandles());
+            }
+        });
+    });
+}
+if (deleteKeyBtn) {
+    deleteKeyBtn.addEventListener("click", () => {
+        const frame = Math.round(currentFrame);
+        recordTimelineEdit(`Delete key at ${frame}`, () => {
+            let removed = 0;
+            for (const target of keyTargets()) removed += removeKeyframes(timeline, target, frame);
+            return removed > 0;
+        });
+    });
+}
+
+// Render start..end off screen at the chosen size, with the viewport's
+// shading settings but no overlays, and save every frame as a PNG: as
+// numbered files or one zip. Frames are posed from the keys alone, so a
+// render is the same every time.
+let renderingFrames = false;
+async function renderFrames() {
+    if (renderingFrames) return;
+    const width = Math.max(1, parseInt(renderWidthEl && renderWidthEl.value, 10) || game.width);
+    const height = Math.max(1, parseInt(renderHeightEl && renderHeightEl.value, 10) || game.height);
+    const settings = renderSettings();
+    const options = {shading: settings.shading, specular: settings.specular, shadows: settings.shadows, smoothingAngle: settings.smoothingAngle, background: BACKGROUND_RGB};
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const canvasCtx = canvas.getContext("2d");
+    const fb = ensureCanvasFramebuffer(null, width, height);
+    const resumeAt = Math.round(currentFrame);
+    const files = [];
+
+    renderingFrames = true;
+    setPlaying(false);
+    try {
+        for (let f = timeline.start; f <= timeline.end; f++) {
+            if (statsEl) statsEl.textContent = `Rendering frame ${f} of ${timeline.end}…`;
+            applyTimeline(timeline, f, {objects: sceneObjects, camera});
+            renderScene(fb, {objects: sceneObjects, camera, lighting: sceneLighting}, options);
+            canvasCtx.putImageData(fb.image, 0, 0);
+            files.push({name: sequenceFileName("frame_####.png", f), data: await canvasPNG(canvas)});
+        }
+    } finally {
+        renderingFrames = false;
+        goToFrame(resumeAt);
+    }
+    if (renderOutputEl && renderOutputEl.value === "zip") {
+        downloadFile("frames.zip", createZip(files), "application/zip");
+    } else {
+        for (const file of files) downloadFile(file.name, file.data, "image/png");
+    }
+    if (statsEl) statsEl.textContent = `Rendered ${files.length} frames at ${width}x${height}`;
+}
+
+if (renderFramesBtn) {
+    renderFramesBtn.addEventListener("click", () => {
+        renderFrames().catch((e) => {
+            if (statsEl) statsEl.textContent = `Render failed: ${e.message}`;
+            // eslint-disable-next-line no-console
+            console.warn(e);
+        });
+    });
+}
+
+// -------- Import Report --------
+// What parseOBJ/parseSTL skipped or only partly read in the last import's
+// OBJ and STL files.
+const OBJ_WARNING_LABELS = {
+    number: ["bad number line", "bad number lines"],
+    index: ["bad index", "bad indices"],
+    face: ["skipped face", "skipped faces"],
+    unsupported: ["unsupported statement", "unsupported statements"],
+};
+const IMPORT_REPORT_LINES = 200;
+
+function showImportReport(reports) {
+    const problems = reports.filter(r => r.warnings.length);
+    if (importSummaryEl) {
+        importSummaryEl.textContent = problems.length ? problems.map(r => {
+            const counts = {};
+            for (const w of r.warnings) counts[w.kind] = (counts[w.kind] || 0) + 1;
+            const parts = Object.entries(counts).map(([kind, n]) => `${n} ${OBJ_WARNING_LABELS[kind][n === 1 ? 0 : 1]}`);
+            return `${r.name}: ${parts.join(", ")}${r.error ? " (rejected)" : ""}`;
+        }).join("; ") : `No problems in ${reports.map(r => r.name).join(", ")}`;
+    }
+    if (importReportEl) {
+        const lines = [];
+        for (const r of problems) {
+            for (const w of r.warnings) lines.push(`${r.name}:${w.line}: ${w.message}`);
+        }
+        const more = lines.length - IMPORT_REPORT_LINES;
+        importReportEl.textContent = lines.slice(0, IMPORT_REPORT_LINES).join("\n") + (more > 0 ? `\n… ${more} more` : "");
+        importReportEl.hidden = lines.length === 0;
+    }
+}
+
+// -------- Mesh Tools --------
+// Mesh operations (meshops.js) on the selected objects' meshes. They build
+// new meshes, so undo swaps the old ones back; objects that shared a mesh
+// share the result. Objects with levels of detail are edited at full detail,
+// and the result replaces their levels.
+function applyMeshOperation(label, operate, describe) {
+    const objects = [...selectedObjects].filter(o => o.mesh);
+    if (!objects.length) {
+        if (meshToolsResultEl) meshToolsResultEl.textContent = "Select a mesh first";
+        return;
+    }
+    const {meshes, total} = operateOnObjects(objects, (mesh) => {
+        const result = operate(mesh);
+        if (result.mesh.autoNormals) computeVertexNormals(result.mesh, getSmoothingAngle());
+        return result;
+    });
+    if (meshToolsResultEl) meshToolsResultEl.textContent = `${label}: ${describe(total)}`;
+    if (!Object.values(total).some(n => n > 0)) return;
+
+    const before = objects.map(o => ({mesh: o.mesh, lod: o.lod}));
+    const after = meshes.map(mesh => ({mesh, lod: undefined}));
+    applyMeshStates(objects, after);
+    recordEdit({label, undo: () => applyMeshStates(objects, before), redo: () => applyMeshStates(objects, after)});
+    syncInspectorFromSelected();
+}
+
+// states[i] = {mesh, lod} for objects[i]; with levels of detail the object
+// shows its current level.
+function applyMeshStates(objects, states) {
+    objects.forEach((obj, i) => {
+        const {mesh, lod} = states[i];
+        obj.mesh = lod ? lod.meshes[lod.level] : mesh;
+        if (lod) obj.lod = lod;
+        else delete obj.lod;
+    });
+}
+
+if (weldBtn) {
+    weldBtn.addEventListener("click", () => {
+        const distance = weldDistanceEl ? Math.max(0, parseFloat(weldDistanceEl.value) || 0) : 0;
+        applyMeshOperation("Weld Vertices", (mesh) => weldVertices(mesh, distance), (t) => `merged ${t.merged} vertices`);
+    });
+}
+if (removeDegenerateBtn) {
+    removeDegenerateBtn.addEventListener("click", () => {
+        applyMeshOperation("Remove Degenerates", removeDegenerateFaces, (t) => `removed ${t.degenerate} degenerate and ${t.duplicate} duplicate faces`);
+    });
+}
+if (unifyWindingBtn) {
+    unifyWindingBtn.addEventListener("click", () => {
+        applyMeshOperation("Unify Winding", unifyWinding, (t) => `flipped ${t.flipped} faces`);
+    });
+}
+if (flipNormalsBtn) {
+    flipNormalsBtn.addEventListener("click", () => {
+        applyMeshOperation("Flip Normals", flipNormals, (t) => `flipped ${t.flipped} faces`);
+    });
+}
+
+// Simplify target: a percentage of the mesh's triangles, or a count.
+function simplifyOptions(mesh) {
+    const value = simplifyTargetEl ? parseFloat(simplifyTargetEl.value) : NaN;
+    const target = Number.isFinite(value) ? Math.max(0, value) : 50;
+    const preserveBoundary = !keepBoundaryEl || keepBoundaryEl.checked;
+    if (simplifyUnitEl && simplifyUnitEl.value === "faces") return {targetFaces: Math.min(target, mesh.fs.length), preserveBoundary};
+    return {ratio: Math.min(target, 100) / 100, preserveBoundary};
+}
+
+// Preview the triangle count Simplify would go down to.
+function previewSimplify() {
+    const obj = getSelectedObject();
+    if (!statsEl || !obj || !obj.mesh) return;
+    const mesh = lodBaseMesh(obj); // Simplify works on the full detail
+    const options = simplifyOptions(mesh);
+    const target = Math.max(1, Math.round(options.targetFaces !== undefined ? options.targetFaces : mesh.fs.length * options.ratio));
+    statsEl.textContent = `f(tris)=${mesh.fs.length} → ${target}`;
+}
+if (simplifyTargetEl) simplifyTargetEl.addEventListener("input", previewSimplify);
+if (simplifyUnitEl) simplifyUnitEl.addEventListener("change", previewSimplify);
+
+if (simplifyBtn) {
+    simplifyBtn.addEventListener("click", () => {
+        applyMeshOperation("Simplify", (mesh) => simplifyMesh(mesh, simplifyOptions(mesh)), (t) => `removed ${t.removed} faces`);
+    });
+}
+if (subdivideBtn) {
+    subdivideBtn.addEventListener("click", () => {
+        applyMeshOperation("Subdivide", subdivideMesh, (t) => `added ${t.added} faces`);
+    });
+}
+
+// -------- Levels of Detail --------
+// obj.lod (see meshops.js) holds the generated levels; obj.mesh is whichever
+// one is showing. Switching levels isn't an edit, generating them is.
+function setLodLevel(obj, level) {
+    if (!obj.lod || obj.lod.level === level) return false;
+    obj.lod.level = level;
+    obj.mesh = obj.lod.meshes[level];
+    return true;
+}
+
+function syncLodPanel(obj) {
+    const lod = obj && obj.lod;
+    if (lodLevelEl) {
+        lodLevelEl.innerHTML = "";
+        for (const [i, mesh] of (lod ? lod.meshes : []).entries()) {
+            const opt = document.createElement("option");
+            opt.value = String(i);
+            opt.textContent = `${i}: ${mesh.fs.length} tris`;
+            lodLevelEl.appendChild(opt);
+        }
+        if (lod) lodLevelEl.value = String(lod.level);
+        lodLevelEl.disabled = !lod || lod.auto;
+    }
+    if (lodAutoEl) {
+        lodAutoEl.checked = !!(lod && lod.auto);
+        lodAutoEl.disabled = !lod;
+    }
+    if (lodDistanceEl) {
+        if (lod) lodDistanceEl.value = String(lod.distance);
+        lodDistanceEl.disabled = !lod;
+    }
+}
+
+// Pick distance-driven levels for this frame. Orthographic views use the
+// distance at which a perspective view would show the same height.
+function updateLevelsOfDetail() {
+    const selected = getSelectedObject();
+    for (const obj of sceneObjects) {
+        if (!obj.lod || !obj.lod.auto) continue;
+        const distance = viewport.orthographic ?
+            viewport.orthoHeight / (2 * Math.tan(viewport.fov / 2)) :
+            vlen(vsub(getWorldTransform(obj, sceneObjects).position, camera.position));
+        if (setLodLevel(obj, lodLevelAt(obj.lod, distance)) && obj === selected) {
+            if (lodLevelEl) lodLevelEl.value = String(obj.lod.level);
+            updateMeshStats(obj);
+        }
+    }
+}
+
+if (generateLodsBtn) {
+    generateLodsBtn.addEventListener("click", () => {
+        const objects = [...selectedObjects].filter(o => o.mesh);
+        if (!objects.length) {
+            if (meshToolsResultEl) meshToolsResultEl.textContent = "Select a mesh first";
+            return;
+        }
+        const preserveBoundary = !keepBoundaryEl || keepBoundaryEl.checked;
+        const distance = lodDistanceEl ? Math.max(0.1, parseFloat(lodDistanceEl.value) || 5) : 5;
+        const generated = new Map(); // base mesh -> levels
+        const before = objects.map(o => ({mesh: o.mesh, lod: o.lod}));
+        const after = objects.map(o => {
+            const base = lodBaseMesh(o);
+            if (!generated.has(base)) {
+                const levels = createLevelsOfDetail(base, LOD_RATIOS, {preserveBoundary}).meshes;
+                for (const mesh of levels) {
+                    if (mesh !== base && mesh.autoNormals) computeVertexNormals(mesh, getSmoothingAngle());
+                }
+                generated.set(base, levels);
+            }
+            // Each object switches levels on its own.
+            return {mesh: base, lod: {meshes: generated.get(base), level: 0, auto: !!(lodAutoEl && lodAutoEl.checked), distance}};
+        });
+        applyMeshStates(objects, after);
+        recordEdit({label: "Generate LODs", undo: () => applyMeshStates(objects, before), redo: () => applyMeshStates(objects, after)});
+        if (meshToolsResultEl) {
+            const counts = [...generated.values()].map(levels => levels.map(m => m.fs.length).join(" / "));
+            meshToolsResultEl.textContent = `Generate LODs: ${counts.join("; ")} tris`;
+        }
+        syncInspectorFromSelected();
+    });
+}
+if (lodLevelEl) {
+    lodLevelEl.addEventListener("change", () => {
+        const obj = getSelectedObject();
+        if (obj && setLodLevel(obj, parseInt(lodLevelEl.value, 10) || 0)) updateMeshStats(obj);
+    });
+}
+if (lodAutoEl) {
+    lodAutoEl.addEventListener("change", () => {
+        const obj = getSelectedObject();
+        if (!obj || !obj.lod) return;
+        obj.lod.auto = lodAutoEl.checked;
+        if (!obj.lod.auto) setLodLevel(obj, 0);
+        syncInspectorFromSelected();
+    });
+}
+if (lodDistanceEl) {
+    lodDistanceEl.addEventListener("change", () => {
+        const obj = getSelectedObject();
+        const v = parseFloat(lodDistanceEl.value);
+        if (obj && obj.lod && Number.isFinite(v) && v > 0) obj.lod.distance = v;
+    });
+}
+
+// -------- Project Files --------
+// Save/Open a whole scene as JSON (see project.js). The last session is kept
+// in localStorage and restored on startup.
+const SESSION_KEY = "js-software-rasterizer.session";
+
+function renderSettings() {
+    return {
+        mode: (renderModeEl && renderModeEl.value) || "zbuffer",
+        shading: (shadingModeEl && shadingModeEl.value) || "phong",
+        specular: !!(enableSpecularEl && enableSpecularEl.checked),
+        shadows: !!(enableShadowsEl && enableShadowsEl.checked),
+        smoothingAngle: getSmoothingAngle(),
+        wireframe: !!(drawWireframeEl && drawWireframeEl.checked),
+        normals: !!(drawNormalsEl && drawNormalsEl.checked),
+        bounds: !!(drawBoundsEl && drawBoundsEl.checked),
+        background: BACKGROUND,
+    };
+}
+
+function applyRenderSettings(render) {
+    if (render.mode && renderModeEl) renderModeEl.value = render.mode;
+    if (render.shading && shadingModeEl) shadingModeEl.value = render.shading;
+    if (render.specular !== undefined && enableSpecularEl) enableSpecularEl.checked = !!render.specular;
+    if (render.shadows !== undefined && enableShadowsEl) enableShadowsEl.checked = !!render.shadows;
+    if (render.wireframe !== undefined && drawWireframeEl) drawWireframeEl.checked = !!render.wireframe;
+    if (render.normals !== undefined && drawNormalsEl) drawNormalsEl.checked = !!render.normals;
+    if (render.bounds !== undefined && drawBoundsEl) drawBoundsEl.checked = !!render.bounds;
+    if (render.smoothingAngle !== undefined && smoothAngleEl && Number(smoothAngleEl.value) !== render.smoothingAngle) {
+        smoothAngleEl.value = String(render.smoothingAngle);
+        recomputeAutoNormals();
+    }
+}
+
+function currentProject() {
+    return serializeProject(
+        {objects: sceneObjects, camera: cameraSnapshot(), render: renderSettings(), lighting: sceneLighting, bookmarks: cameraBookmarks, animation: timeline},
+        {checker: checkerTexture},
+    );
+}
+
+// Mesh for a project's `source` path: the bundled assets are shared, other
+// paths are fetched relative to the page. Version 1 scenes use paths
+// relative to the scene file, so fall back to a bundled asset of that name.
+async function fetchProjectMesh(source) {
+    const bundled = [baseMesh, baseCubeMesh].filter(Boolean);
+    const exact = bundled.find(m => m.source === source);
+    if (exact) return exact;
+    const res = await fetch(source).catch(() => null);
+    if (res && res.ok) {
+        const mesh = prepareMesh(parseOBJ(await res.text()));
+        mesh.source = source;
+        return mesh;
+    }
+    const name = source.split(/[\\/]/).pop();
+    const byName = bundled.find(m => m.source.split("/").pop() === name);
+    if (byName) return byName;
+    throw new Error(`Cannot load mesh ${source}`);
+}
+
+async function loadProjectText(text) {
+    const json = JSON.parse(text);
+    const meshes = new Map();
+    for (const source of projectMeshSources(json)) {
+        if (!meshes.has(source)) meshes.set(source, {mesh: await fetchProjectMesh(source), materials: []});
+    }
+    return restoreProject(json, {checker: checkerTexture, resolveMesh: (source) => meshes.get(source)});
+}
+
+function applyProject(project) {
+    sceneObjects = project.objects;
+    for (const obj of sceneObjects) {
+        if (typeof obj.id === "number" && obj.id >= nextObjectId) nextObjectId = obj.id + 1;
+    }
+    selectedObjectIndex = 0;
+    applyCamera(project.camera);
+    cameraBookmarks = project.bookmarks.map(b => ({name: b.name, camera: b.camera}));
+    nextBookmarkNumber = cameraBookmarks.length + 1;
+    // Projects saved before lights existed keep the old fixed light.
+    sceneLighting = {...DEFAULT_LIGHTING, ...project.lighting};
+    applyRenderSettings(project.render);
+    syncLightingPanel();
+    setPlaying(false);
+    timeline = project.animation ? {...createTimeline(), ...project.animation} : createTimeline();
+    currentFrame = timeline.start;
+    syncTimelineUI();
+}
+
+async function restoreSession() {
+    let text = null;
+    try {
+        text = window.localStorage.getItem(SESSION_KEY);
+    } catch (e) {
+        return false; // storage unavailable (privacy mode, file://)
+    }
+    if (!text) return false;
+    try {
+        applyProject(await loadProjectText(text));
+        updateBookmarksUI();
+        return true;
+    } catch (e) {
+        // eslint-disable-next-line no-console
+        console.warn("Could not restore the last session", e);
+        return false;
+    }
+}
+
+function saveSession() {
+    try {
+        window.localStorage.setItem(SESSION_KEY, JSON.stringify(currentProject()));
+    } catch (e) {
+        // Quota exceeded (large embedded meshes/textures) or storage unavailable.
+        // eslint-disable-next-line no-console
+        console.warn("Could not save the session", e);
+    }
+}
+
+let autosaveTimer = null;
+function scheduleAutosave() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(saveSession, 1000);
+}
+// Camera moves aren't edits; catch them when the page goes away.
+window.addEventListener("pagehide", saveSession);
+
+if (saveProjectBtn) {
+    saveProjectBtn.addEventListener("click", () => {
+        downloadFile("scene.json", JSON.stringify(currentProject()), "application/json");
+    });
+}
+
+if (openProjectBtn && projectFileEl) openProjectBtn.addEventListener("click", () => projectFileEl.click());
+if (projectFileEl) {
+    projectFileEl.addEventListener("change", async () => {
+        const file = projectFileEl.files && projectFileEl.files[0];
+        projectFileEl.value = "";
+        if (!file) return;
+        try {
+            applyProject(await loadProjectText(await file.text()));
+        } catch (e) {
+            if (statsEl) statsEl.textContent = `Open failed: ${e.message}`;
+            // eslint-disable-next-line no-console
+            console.warn(e);
+            return;
+        }
+        // A freshly opened project starts a new history.
+        historyClear(editHistory);
+        afterHistoryJump();
+    });
 }
 
 // Scene list actions
 if (deleteSelectedBtn) {
     deleteSelectedBtn.addEventListener("click", () => {
-        if (!sceneObjects || sceneObjects.length === 0) return;
-        selectedObjectIndex = clamp(selectedObjectIndex, 0, sceneObjects.length - 1);
-        sceneObjects.splice(selectedObjectIndex, 1);
+        if (!getSelectedObject()) return;
+        const label = selectedObjects.size > 1 ? `Delete ${selectedObjects.size} objects` : `Delete ${getSelectedObject().name}`;
+        recordSceneEdit(label, () => {
+            // Deletes every selected object; deleting a group deletes everything under it.
+            const removed = new Set();
+            for (const obj of selectedObjects) {
+                for (const o of subtreeOf(sceneObjects, obj)) removed.add(o);
+            }
+            sceneObjects = sceneObjects.filter(o => !removed.has(o));
 
-        if (sceneObjects.length === 0) {
-            sceneObjects = buildDefaultScene();
-            selectedObjectIndex = 0;
-        } else {
-            selectedObjectIndex = clamp(selectedObjectIndex, 0, sceneObjects.length - 1);
-        }
+            if (sceneObjects.length === 0) {
+                sceneObjects = buildDefaultScene();
+                selectedObjectIndex = 0;
+            } else {
+                selectedObjectIndex = clamp(selectedObjectIndex, 0, sceneObjects.length - 1);
+            }
+        });
 
         updateSceneListUI();
         syncInspectorFromSelected();
     });
 }
 
+if (addGroupBtn) {
+    addGroupBtn.addEventListener("click", () => {
+        // New groups start empty at the root; drag objects onto them.
+        const group = createSceneObject({name: `Group ${nextObjectId}`});
+        recordSceneEdit(`Add ${group.name}`, () => {
+            sceneObjects.push(group);
+            selectedObjectIndex = sceneObjects.length - 1;
+        });
+        selectObject(group);
+    });
+}
+
+if (addLightBtn) {
+    addLightBtn.addEventListener("click", () => {
+        // New lights start above the scene, aimed down and forward.
+        const type = (addLightTypeEl && addLightTypeEl.value) || "point";
+        const light = createSceneObject({
+            name: `${type[0].toUpperCase()}${type.slice(1)} Light ${nextObjectId}`,
+            position: {x: 0, y: 2, z: -1},
+            rotation: {x: type === "directional" ? 0.6155 : Math.PI / 2, y: 0, z: 0},
+            light: createLight(type),
+        });
+        recordSceneEdit(`Add ${light.name}`, () => {
+            sceneObjects.push(light);
+            selectedObjectIndex = sceneObjects.length - 1;
+        });
+        selectObject(light);
+    });
+}
+
 if (clearAllBtn) {
     clearAllBtn.addEventListener("click", () => {
-        sceneObjects = buildDefaultScene();
-        selectedObjectIndex = 0;
+        recordSceneEdit("Clear All", () => {
+            sceneObjects = buildDefaultScene();
+            selectedObjectIndex = 0;
+        });
         updateSceneListUI();
         syncInspectorFromSelected();
     });
 }
 
 // Inspector bindings (two-way)
-bindRangeNumber(posXEl, posXNumEl, (v) => {
-    const obj = getSelectedObject(); if (!obj) return;
-    (obj.position || (obj.position = {x: 0, y: 0, z: 0})).x = v;
+function isWorldSpace() {
+    return !!(transformSpaceEl && transformSpaceEl.value === "world");
+}
+
+// Apply one Inspector field to the selected object in the chosen space.
+// World edits go through the parent's inverse (setWorldTransform). Scale
+// axis "u" sets all three axes (uniform).
+function editSelectedTransform(kind, axis, v) {
+    const obj = getSelectedObject(); if (!obj || !Number.isFinite(v)) return;
+    const before = [transformSnapshot(obj)];
+    if (!isWorldSpace()) {
+        if (kind === "position") (obj.position || (obj.position = {x: 0, y: 0, z: 0}))[axis] = v;
+        else if (kind === "rotation") setObjectRotation(obj, {...(obj.rotation || {x: 0, y: 0, z: 0}), [axis]: v});
+        else if (axis === "u") obj.scale = {x: v, y: v, z: v};
+        else obj.scale = {...(obj.scale || {x: 1, y: 1, z: 1}), [axis]: v};
+    } else {
+        const world = getWorldTransform(obj, sceneObjects);
+        if (kind === "position") {
+            world.position[axis] = v;
+        } else if (kind === "rotation") {
+            inspectorWorldEuler = {...inspectorWorldEuler, [axis]: v};
+            world.quaternion = eulerToQuaternion(inspectorWorldEuler);
+        } else if (axis === "u") {
+            world.scale = {x: v, y: v, z: v};
+        } else {
+            world.scale[axis] = v;
+        }
+        setWorldTransform(obj, sceneObjects, world);
+    }
+    // One undo step per slider drag: edits of the same field merge until the
+    // input's "change" event seals the history (see bindRangeNumber).
+    const verb = {position: "Move", rotation: "Rotate", scale: "Scale"}[kind];
+    const label = `${verb}${axis === "u" ? "" : " " + axis.toUpperCase()} ${obj.name}`;
+    recordTransformEdit(label, [obj], before, `inspector:${obj.id}:${kind}.${axis}`);
+}
+
+bindRangeNumber(posXEl, posXNumEl, (v) => editSelectedTransform("position", "x", v));
+bindRangeNumber(posYEl, posYNumEl, (v) => editSelectedTransform("position", "y", v));
+bindRangeNumber(posZEl, posZNumEl, (v) => editSelectedTransform("position", "z", v));
+
+bindRangeNumber(rotXEl, rotXNumEl, (v) => editSelectedTransform("rotation", "x", v));
+bindRangeNumber(rotYEl, rotYNumEl, (v) => editSelectedTransform("rotation", "y", v));
+bindRangeNumber(rotZEl, rotZNumEl, (v) => editSelectedTransform("rotation", "z", v));
+
+bindRangeNumber(scaleUEl, scaleUNumEl, (v) => {
+    editSelectedTransform("scale", "u", v);
+    for (const [r, n] of [[scaleXEl, scaleXNumEl], [scaleYEl, scaleYNumEl], [scaleZEl, scaleZNumEl]]) setInputPair(r, n, v);
 });
-bindRangeNumber(posYEl, posYNumEl, (v) => {
-    const obj = getSelectedObject(); if (!obj) return;
-    (obj.position || (obj.position = {x: 0, y: 0, z: 0})).y = v;
+bindRangeNumber(scaleXEl, scaleXNumEl, (v) => {
+    editSelectedTransform("scale", "x", v);
+    setInputPair(scaleUEl, scaleUNumEl, v); // the uniform field mirrors X
 });
-bindRangeNumber(posZEl, posZNumEl, (v) => {
-    const obj = getSelectedObject(); if (!obj) return;
-    (obj.position || (obj.position = {x: 0, y: 0, z: 0})).z = v;
+bindRangeNumber(scaleYEl, scaleYNumEl, (v) => editSelectedTransform("scale", "y", v));
+bindRangeNumber(scaleZEl, scaleZNumEl, (v) => editSelectedTransform("scale", "z", v));
+
+if (transformSpaceEl) transformSpaceEl.addEventListener("change", syncInspectorFromSelected);
+
+// -------- Transform Gizmo --------
+// Handles drawn over the primary selection: axis arrows (translate), rings
+// (rotate) and box-tipped axes plus a center box (scale). Translate and
+// rotate follow the Space setting; scale always uses the object's own axes,
+// since a non-uniform scale along a world axis can't be stored as X/Y/Z.
+// Hotkeys: 1/2/3 = translate/rotate/scale, X/Y/Z = only that axis (again to
+// clear), L = local/world, Esc = cancel a drag. Ctrl while dragging flips snapping.
+const GIZMO_AXIS_COLORS = ["#ff5a5a", "#5adc5a", "#5a8cff"];
+const GIZMO_SIZE = 0.22;   // handle length as a fraction of view depth (constant on screen)
+const GIZMO_PICK_PX = 8;   // hit distance, in CSS pixels
+const GIZMO_RING_SEGMENTS = 48;
+
+let gizmoMode = "translate";  // translate | rotate | scale | off
+let gizmoAxisLock = null;     // 0/1/2 from the X/Y/Z hotkeys, null = all axes
+let gizmoHover = null;        // handle under the cursor
+let gizmoDrag = null;         // active drag, see beginGizmoDrag()
+
+function setGizmoMode(mode) {
+    gizmoMode = mode;
+    if (gizmoModeEl) gizmoModeEl.value = mode;
+}
+if (gizmoModeEl) gizmoModeEl.addEventListener("change", () => setGizmoMode(gizmoModeEl.value));
+
+function gizmoSnapStep(kind, invert) {
+    const on = !!(snapEnabledEl && snapEnabledEl.checked) !== !!invert;
+    if (!on) return 0;
+    const read = (el, fallback) => {
+        const v = el ? parseFloat(el.value) : NaN;
+        return v > 0 ? v : fallback;
+    };
+    if (kind === "translate") return read(snapMoveEl, 0.25);
+    if (kind === "rotate") return read(snapRotateEl, 15) * Math.PI / 180;
+    return read(snapScaleEl, 0.1);
+}
+
+// Where the gizmo is this frame: {obj, origin, axes, len, view} or null.
+function gizmoLayout() {
+    const obj = getSelectedObject();
+    if (gizmoMode === "off" || !obj) return null;
+    const space = gizmoMode === "scale" ? "local" : (isWorldSpace() ? "world" : "local");
+    const {origin, axes} = gizmoFrame(obj, sceneObjects, space);
+    const view = cameraViewMatrix(camera);
+    const depth = mat4TransformPoint(view, origin).z;
+    if (depth <= viewport.near) return null;
+    return {obj, origin, axes, len: viewportHeightAt(viewport, depth) / 2 * GIZMO_SIZE, view};
+}
+
+// World-space polylines for each handle; shared by drawing and hit testing.
+function gizmoHandles(layout) {
+    const {origin, axes, len} = layout;
+    const handles = [];
+    for (let i = 0; i < 3; i++) {
+        if (gizmoAxisLock !== null && gizmoAxisLock !== i) continue;
+        if (gizmoMode === "rotate") {
+            const u = axes[(i + 1) % 3];
+            const v = axes[(i + 2) % 3];
+            const points = [];
+            for (let k = 0; k <= GIZMO_RING_SEGMENTS; k++) {
+                const a = (k / GIZMO_RING_SEGMENTS) * Math.PI * 2;
+                points.push(vadd(origin, vadd(vscale(u, Math.cos(a) * len * 0.85), vscale(v, Math.sin(a) * len * 0.85))));
+            }
+            handles.push({axis: i, points});
+        } else {
+            handles.push({axis: i, points: [origin, vadd(origin, vscale(axes[i], len))]});
+        }
+    }
+    if (gizmoMode === "scale" && gizmoAxisLock === null) handles.push({axis: "uniform", points: [origin]});
+    return handles;
+}
+
+// World point -> canvas pixel, or null behind the near plane.
+function gizmoToScreen(layout, p) {
+    const v = mat4TransformPoint(layout.view, p);
+    return v.z > viewport.near ? screen(project(v, viewport), viewport) : null;
+}
+
+function distanceToSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const l2 = dx * dx + dy * dy;
+    const t = l2 > 0 ? clamp(((p.x - a.x) * dx + (p.y - a.y) * dy) / l2, 0, 1) : 0;
+    return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+// Handle under a canvas point, or null.
+function gizmoHitTest(layout, point) {
+    if (!layout) return null;
+    const dpr = window.devicePixelRatio || 1;
+    let best = null;
+    let bestDist = GIZMO_PICK_PX * dpr;
+    for (const h of gizmoHandles(layout)) {
+        const pts = h.points.map(p => gizmoToScreen(layout, p));
+        let d = Infinity;
+        if (h.axis === "uniform") {
+            if (pts[0]) d = Math.hypot(point.x - pts[0].x, point.y - pts[0].y) - 4 * dpr; // box half-size
+        }
+        for (let k = 0; k + 1 < pts.length; k++) {
+            if (pts[k] && pts[k + 1]) d = Math.min(d, distanceToSegment(point, pts[k], pts[k + 1]));
+        }
+        if (d < bestDist) {
+            best = h.axis;
+            bestDist = d;
+        }
+    }
+    return best;
+}
+
+function drawGizmo(layout) {
+    if (!layout) return;
+    const dpr = window.devicePixelRatio || 1;
+    const active = gizmoDrag ? gizmoDrag.axis : gizmoHover;
+    for (const h of gizmoHandles(layout)) {
+        const color = h.axis === active ? SELECTED_WIREFRAME : (h.axis === "uniform" ? "#f0f0f0" : GIZMO_AXIS_COLORS[h.axis]);
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = (h.axis === active ? 3 : 2) * dpr;
+        const view = h.points.map(p => mat4TransformPoint(layout.view, p));
+        for (let k = 0; k + 1 < view.length; k++) drawClippedLine(view[k], view[k + 1]);
+
+        // Tips: arrowheads for translate, boxes for scale.
+        const tip = gizmoToScreen(layout, h.points[h.points.length - 1]);
+        if (!tip || gizmoMode === "rotate") continue;
+        const r = 5 * dpr;
+        if (gizmoMode === "scale") {
+            ctx.fillRect(tip.x - r, tip.y - r, 2 * r, 2 * r);
+            continue;
+        }
+        const base = gizmoToScreen(layout, h.points[0]);
+        if (!base) continue;
+        const len = Math.hypot(tip.x - base.x, tip.y - base.y) || 1;
+        const dx = (tip.x - base.x) / len;
+        const dy = (tip.y - base.y) / len;
+        ctx.beginPath();
+        ctx.moveTo(tip.x + dx * 2 * r, tip.y + dy * 2 * r);
+        ctx.lineTo(tip.x - dy * r, tip.y + dx * r);
+        ctx.lineTo(tip.x + dy * r, tip.y - dx * r);
+        ctx.closePath();
+        ctx.fill();
+    }
+}
+
+// Selected objects that aren't under another selected object: moving a
+// parent already moves its children.
+function gizmoTargets() {
+    const selected = Array.from(selectedObjects);
+    return selected.filter(o => !selected.some(a => a !== o && isAncestor(sceneObjects, a, o)));
+}
+
+// Drag state keeps the starting local transforms (to apply deltas and to
+// cancel) and where the handle was grabbed.
+function beginGizmoDrag(point) {
+    const layout = gizmoLayout();
+    const axis = gizmoHitTest(layout, point);
+    if (axis === null) return false;
+    gizmoDrag = {
+        mode: gizmoMode,
+        axis,
+        layout,
+        startPoint: point,
+        targets: gizmoTargets().map(obj => ({
+            obj,
+            world: getWorldTransform(obj, sceneObjects),
+            local: transformSnapshot(obj),
+        })),
+    };
+    gizmoDrag.start = gizmoDragValue(point);
+    return true;
+}
+
+// The quantity a drag measures at a canvas point: distance along the axis
+// (translate/scale), the grab vector in the ring's plane (rotate), or the
+// on-screen distance from the pivot (uniform scale).
+function gizmoDragValue(point) {
+    const {mode, axis, layout} = gizmoDrag;
+    if (axis === "uniform") {
+        const c = gizmoToScreen(layout, layout.origin);
+        return c ? Math.hypot(point.x - c.x, point.y - c.y) : null;
+    }
+    const ray = screenRay(camera, viewport, point.x, point.y);
+    if (!ray) return null;
+    if (mode === "rotate") {
+        const hit = rayPlaneIntersection(ray, layout.origin, layout.axes[axis]);
+        return hit ? vsub(hit, layout.origin) : null;
+    }
+    return rayAxisParameter(ray, layout.origin, layout.axes[axis]);
+}
+
+function restoreGizmoTargets() {
+    for (const t of gizmoDrag.targets) applyTransformSnapshot(t.obj, t.local);
+}
+
+function updateGizmoDrag(point, invertSnap) {
+    const {mode, axis, layout, start} = gizmoDrag;
+    const current = gizmoDragValue(point);
+    if (start === null || current === null) return;
+    const step = gizmoSnapStep(mode, invertSnap);
+
+    if (mode === "translate") {
+        const offset = vscale(layout.axes[axis], snapValue(current - start, step));
+        for (const t of gizmoDrag.targets) {
+            setWorldTransform(t.obj, sceneObjects, {...t.world, position: vadd(t.world.position, offset)});
+        }
+    } else if (mode === "rotate") {
+        // Rotate every target about the gizmo pivot.
+        const angle = snapValue(angleAroundAxis(start, current, layout.axes[axis]), step);
+        const q = quatFromAxisAngle(layout.axes[axis], angle);
+        for (const t of gizmoDrag.targets) {
+            setWorldTransform(t.obj, sceneObjects, {
+                position: vadd(layout.origin, quatRotateVector(q, vsub(t.world.position, layout.origin))),
+                quaternion: quatNormalize(quatMultiply(q, t.world.quaternion)),
+                scale: t.world.scale,
+            });
+        }
+    } else {
+        if (Math.abs(start) < 1e-6) return;
+        const factor = current / start;
+        const keys = axis === "uniform" ? ["x", "y", "z"] : [["x", "y", "z"][axis]];
+        for (const t of gizmoDrag.targets) {
+            const s = {...t.local.scale};
+            for (const k of keys) s[k] = Math.max(0.01, snapValue(s[k] * factor, step));
+            t.obj.scale = s;
+        }
+    }
+    syncInspectorFromSelected();
+}
+
+// The whole drag is one undo step.
+function endGizmoDrag() {
+    const {mode, targets} = gizmoDrag;
+    gizmoDrag = null;
+    const moved = targets.filter(t => JSON.stringify(transformSnapshot(t.obj)) !== JSON.stringify(t.local));
+    if (moved.length === 0) return;
+    const verb = {translate: "Move", rotate: "Rotate", scale: "Scale"}[mode];
+    const label = moved.length > 1 ? `${verb} ${moved.length} objects` : `${verb} ${moved[0].obj.name}`;
+    recordTransformEdit(label, moved.map(t => t.obj), moved.map(t => t.local));
+}
+
+function cancelGizmoDrag() {
+    restoreGizmoTargets();
+    gizmoDrag = null;
+    syncInspectorFromSelected();
+}
+
+function isTypingTarget(el) {
+    return !!el && /^(INPUT|SELECT|TEXTAREA)$/.test(el.tagName || "");
+}
+
+window.addEventListener("keydown", (e) => {
+    if (isTypingTarget(e.target) || e.ctrlKey || e.metaKey || e.altKey) return;
+    const modes = {Digit1: "translate", Digit2: "rotate", Digit3: "scale"};
+    const axes = {KeyX: 0, KeyY: 1, KeyZ: 2};
+    if (modes[e.code] && !gizmoDrag) {
+        setGizmoMode(modes[e.code]);
+    } else if (e.code in axes) {
+        gizmoAxisLock = gizmoAxisLock === axes[e.code] ? null : axes[e.code];
+        // Mid-drag: restart the drag on the new axis from where it began.
+        if (gizmoDrag && gizmoAxisLock !== null && gizmoDrag.axis !== "uniform") {
+            restoreGizmoTargets();
+            gizmoDrag.axis = gizmoAxisLock;
+            gizmoDrag.start = gizmoDragValue(gizmoDrag.startPoint);
+        }
+    } else if (e.code === "KeyL" && transformSpaceEl) {
+        transformSpaceEl.value = isWorldSpace() ? "local" : "world";
+        syncInspectorFromSelected();
+    } else if (e.code === "Escape") {
+        if (gizmoDrag) cancelGizmoDrag();
+        else gizmoAxisLock = null;
+    }
 });
 
-bindRangeNumber(rotXEl, rotXNumEl, (v) => {
+// Color + material controls
+// Color pickers fire "input" while dragging; like sliders, the edits merge
+// into one undo step until "change".
+function bindColorInput(el, onColor) {
+    if (!el) return;
+    el.addEventListener("input", () => onColor(hexToRgb(el.value)));
+    el.addEventListener("change", () => historySeal(editHistory));
+}
+
+bindColorInput(objColorEl, (c) => {
     const obj = getSelectedObject(); if (!obj) return;
-    (obj.rotation || (obj.rotation = {x: 0, y: 0, z: 0})).x = v;
+    recordPropertyEdit(`Color ${obj.name}`, obj, "color", c, `color:${obj.id}`);
 });
-bindRangeNumber(rotYEl, rotYNumEl, (v) => {
-    const obj = getSelectedObject(); if (!obj) return;
-    (obj.rotation || (obj.rotation = {x: 0, y: 0, z: 0})).y = v;
+// Shadow flags are stored only when turned off (undefined = on).
+function bindShadowFlag(el, key, label) {
+    if (!el) return;
+    el.addEventListener("change", () => {
+        const obj = getSelectedObject(); if (!obj) return;
+        recordPropertyEdit(`${label} ${obj.name}`, obj, key, el.checked ? undefined : false);
+    });
+}
+bindShadowFlag(objCastShadowsEl, "castShadows", "Casts shadows");
+bindShadowFlag(objReceiveShadowsEl, "receiveShadows", "Receives shadows");
+if (materialSelectEl) {
+    materialSelectEl.addEventListener("change", () => {
+        selectedMaterialIndex = parseInt(materialSelectEl.value, 10) || 0;
+        syncInspectorFromSelected();
+    });
+}
+// Material edits record against the material object itself.
+function editSelectedMaterial(label, key, value) {
+    const mat = getSelectedMaterial(); if (!mat) return;
+    const obj = getSelectedObject();
+    recordPropertyEdit(`${label} ${mat.name}`, mat, key, value, `material:${obj.id}:${selectedMaterialIndex}:${key}`);
+}
+bindColorInput(matDiffuseEl, (c) => editSelectedMaterial("Diffuse", "kd", {r: c.r / 255, g: c.g / 255, b: c.b / 255}));
+bindColorInput(matSpecularEl, (c) => editSelectedMaterial("Specular", "ks", {r: c.r / 255, g: c.g / 255, b: c.b / 255}));
+bindRangeNumber(matShininessEl, matShininessNumEl, (v) => {
+    if (Number.isFinite(v)) editSelectedMaterial("Shininess", "ns", Math.max(0, v));
 });
-bindRangeNumber(rotZEl, rotZNumEl, (v) => {
-    const obj = getSelectedObject(); if (!obj) return;
-    (obj.rotation || (obj.rotation = {x: 0, y: 0, z: 0})).z = v;
+bindRangeNumber(matOpacityEl, matOpacityNumEl, (v) => {
+    if (Number.isFinite(v)) editSelectedMaterial("Opacity", "d", clamp(v, 0, 1));
 });
 
-bindRangeNumber(scaleUEl, scaleUNumEl, (v) => {
-    const obj = getSelectedObject(); if (!obj) return;
-    const s = obj.scale || (obj.scale = {x: 1, y: 1, z: 1});
-    s.x = v; s.y = v; s.z = v;
+// Light controls edit the selected light's settings; lighting controls the
+// scene-wide ambient.
+function editSelectedLight(label, key, value) {
+    const obj = getSelectedObject(); if (!obj || !obj.light) return;
+    recordPropertyEdit(`${label} ${obj.name}`, obj.light, key, value, `light:${obj.id}:${key}`);
+}
+if (lightTypeEl) {
+    lightTypeEl.addEventListener("change", () => {
+        if (inspectorIsSyncing) return;
+        editSelectedLight("Light type", "type", lightTypeEl.value);
+        historySeal(editHistory);
+        syncInspectorFromSelected();
+    });
+}
+bindColorInput(lightColorEl, (c) => editSelectedLight("Light color", "color", c));
+bindRangeNumber(lightIntensityEl, lightIntensityNumEl, (v) => {
+    if (Number.isFinite(v)) editSelectedLight("Intensity", "intensity", Math.max(0, v));
+});
+bindRangeNumber(lightRangeEl, lightRangeNumEl, (v) => {
+    if (Number.isFinite(v)) editSelectedLight("Range", "range", Math.max(0.01, v));
+});
+bindRangeNumber(lightAngleEl, lightAngleNumEl, (v) => {
+    if (Number.isFinite(v)) editSelectedLight("Cone angle", "angle", clamp(v, 1, 89));
+});
+bindRangeNumber(lightPenumbraEl, lightPenumbraNumEl, (v) => {
+    if (Number.isFinite(v)) editSelectedLight("Penumbra", "penumbra", clamp(v, 0, 1));
+});
+if (lightShadowsEl) {
+    lightShadowsEl.addEventListener("change", () => editSelectedLight("Shadows", "castShadows", lightShadowsEl.checked));
+}
+if (lightShadowBiasEl) {
+    lightShadowBiasEl.addEventListener("input", () => {
+        const v = parseFloat(lightShadowBiasEl.value);
+        if (Number.isFinite(v)) editSelectedLight("Shadow bias", "shadowBias", Math.max(0, v));
+    });
+    lightShadowBiasEl.addEventListener("change", () => historySeal(editHistory));
+}
+if (lightShadowSoftnessEl) {
+    lightShadowSoftnessEl.addEventListener("change", () => {
+        editSelectedLight("Shadow edges", "shadowSoftness", parseInt(lightShadowSoftnessEl.value, 10) || 0);
+    });
+}
+if (lightShadowMapSizeEl) {
+    lightShadowMapSizeEl.addEventListener("change", () => {
+        editSelectedLight("Shadow map size", "shadowMapSize", parseInt(lightShadowMapSizeEl.value, 10) || 512);
+    });
+}
+
+function editLighting(label, key, value) {
+    recordPropertyEdit(label, sceneLighting, key, value, `lighting:${key}`);
+}
+bindColorInput(ambientColorEl, (c) => editLighting("Ambient color", "ambient", c));
+bindRangeNumber(ambientIntensityEl, ambientIntensityNumEl, (v) => {
+    if (Number.isFinite(v)) editLighting("Ambient intensity", "ambientIntensity", Math.max(0, v));
 });
+if (hemisphereEl) {
+    hemisphereEl.addEventListener("change", () => {
+        editLighting("Hemisphere ambient", "hemisphere", hemisphereEl.checked);
+        historySeal(editHistory);
+        syncLightingPanel();
+    });
+}
+bindColorInput(skyColorEl, (c) => editLighting("Sky color", "sky", c));
+bindColorInput(groundColorEl, (c) => editLighting("Ground color", "ground", c));
+
+// Texture controls
+if (textureSourceEl) {
+    textureSourceEl.addEventListener("change", () => {
+        if (inspectorIsSyncing) return;
+        const obj = getSelectedObject(); if (!obj) return;
+        const source = textureSourceEl.value;
+        if (source === "none") recordPropertyEdit(`Texture ${obj.name}`, obj, "texture", null);
+        else if (source === "checker") recordPropertyEdit(`Texture ${obj.name}`, obj, "texture", checkerTexture);
+        else if (textureFileEl) textureFileEl.click(); // applied once the file is picked
+        syncInspectorFromSelected();
+    });
+}
+if (textureFileEl) {
+    textureFileEl.addEventListener("change", async () => {
+        const file = textureFileEl.files && textureFileEl.files[0];
+        const obj = getSelectedObject();
+        textureFileEl.value = "";
+        if (!file || !obj) return;
+        try {
+            recordPropertyEdit(`Texture ${obj.name}`, obj, "texture", await loadImageTexture(file));
+        } catch (e) {
+            // eslint-disable-next-line no-console
+            console.warn(e);
+        }
+        syncInspectorFromSelected();
+    });
+}
+if (textureFilterEl) {
+    textureFilterEl.addEventListener("change", () => {
+        const obj = getSelectedObject(); if (!obj) return;
+        recordPropertyEdit(`Texture filter ${obj.name}`, obj, "textureFilter", textureFilterEl.value);
+    });
+}
+if (textureWrapEl) {
+    textureWrapEl.addEventListener("change", () => {
+        const obj = getSelectedObject(); if (!obj) return;
+        recordPropertyEdit(`Texture wrap ${obj.name}`, obj, "textureWrap", textureWrapEl.value);
+    });
+}
+
+// -------- Light Icons --------
+// Lights have no geometry: each one is drawn as a small circle at its
+// origin plus a hint of its shape (a direction arrow, rays or a cone), and
+// clicking the circle selects it.
+const LIGHT_ICON_PX = 7;    // circle radius, in CSS pixels
+const LIGHT_ICON_LENGTH = 0.6;
+
+function lightIconCenter(obj) {
+    if (!obj.light || !obj.matrices) return null;
+    const p = mat4TransformPoint(obj.matrices.modelView, {x: 0, y: 0, z: 0});
+    return p.z > viewport.near ? screen(project(p, viewport), viewport) : null;
+}
+
+function pickLightIcon(point) {
+    const dpr = window.devicePixelRatio || 1;
+    let best = null;
+    let bestDist = (LIGHT_ICON_PX + 2) * dpr;
+    for (const obj of sceneObjects) {
+        const c = lightIconCenter(obj);
+        if (!c) continue;
+        const d = Math.hypot(point.x - c.x, point.y - c.y);
+        if (d < bestDist) {
+            best = obj;
+            bestDist = d;
+        }
+    }
+    return best;
+}
+
+function drawLightIcon(obj, color) {
+    const c = lightIconCenter(obj);
+    if (!c) return;
+    const dpr = window.devicePixelRatio || 1;
+    const light = obj.light;
+    const rgb = light.color;
+    ctx.strokeStyle = color;
+    ctx.fillStyle = `rgb(${rgb.r}, ${rgb.g}, ${rgb.b})`;
+    ctx.lineWidth = 1.5 * dpr;
+    ctx.beginPath();
+    ctx.arc(c.x, c.y, LIGHT_ICON_PX * dpr, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+
+    // Shape hints in the light's local space (it shines along +Z).
+    const mv = obj.matrices.modelView;
+    const origin = mat4TransformPoint(mv, {x: 0, y: 0, z: 0});
+    const len = LIGHT_ICON_LENGTH;
+    if (light.type === "directional") {
+        drawClippedLine(origin, mat4TransformPoint(mv, {x: 0, y: 0, z: len * 1.5}));
+    } else if (light.type === "point") {
+        const r = LIGHT_ICON_PX * dpr;
+        for (let k = 0; k < 8; k++) {
+            const a = k * Math.PI / 4;
+            ctx.beginPath();
+            ctx.moveTo(c.x + Math.cos(a) * r * 1.3, c.y + Math.sin(a) * r * 1.3);
+            ctx.lineTo(c.x + Math.cos(a) * r * 1.9, c.y + Math.sin(a) * r * 1.9);
+            ctx.stroke();
+        }
+    } else {
+        const a = clamp(light.angle, 1, 89) * Math.PI / 180;
+        const rim = [];
+        for (let k = 0; k < 4; k++) {
+            const phi = k * Math.PI / 2;
+            rim.push(mat4TransformPoint(mv, {
+                x: Math.sin(a) * Math.cos(phi) * len, y: Math.sin(a) * Math.sin(phi) * len, z: Math.cos(a) * len,
+            }));
+        }
+        for (let k = 0; k < 4; k++) {
+            drawClippedLine(origin, rim[k]);
+            drawClippedLine(rim[k], rim[(k + 1) % 4]);
+        }
+    }
+}
 
-function frame() {
-    const dt = 1/FPS;
+const BOX_EDGES = [
+    [0,1],[1,2],[2,3],[3,0],
+    [4,5],[5,6],[6,7],[7,4],
+    [0,4],[1,5],[2,6],[3,7],
+];
+
+// Outline an object's local bounding box with the current stroke style.
+function drawObjectBounds(obj) {
+    if (!obj || !obj.mesh || !obj.mesh.bounds || !obj.matrices) return;
+    const bmin = obj.mesh.bounds.min;
+    const bmax = obj.mesh.bounds.max;
+    const cornersLocal = [
+        {x: bmin.x, y: bmin.y, z: bmin.z},
+        {x: bmax.x, y: bmin.y, z: bmin.z},
+        {x: bmax.x, y: bmax.y, z: bmin.z},
+        {x: bmin.x, y: bmax.y, z: bmin.z},
+        {x: bmin.x, y: bmin.y, z: bmax.z},
+        {x: bmax.x, y: bmin.y, z: bmax.z},
+        {x: bmax.x, y: bmax.y, z: bmax.z},
+        {x: bmin.x, y: bmax.y, z: bmax.z},
+    ];
+
+    // Reuse this frame's cached model-view matrix.
+    const cornersView = cornersLocal.map(p => mat4TransformPoint(obj.matrices.modelView, p));
+    for (const [i, j] of BOX_EDGES) drawClippedLine(cornersView[i], cornersView[j]);
+}
+
+// -------- Worker Rendering --------
+// The z-buffer view is built and rasterized by a pool of render workers
+// (tiles.js), one band of tiles each; the canvas shows the last finished
+// frame while the next one is in flight. The canvas stays on this thread
+// (no OffscreenCanvas) because the overlays are drawn on it after every
+// frame. Without Worker support (or when loading the worker fails, e.g.
+// from file://) frames are rendered here instead.
+function createWorkerPool() {
+    if (typeof Worker === "undefined") return null;
+    const size = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+    try {
+        return createRenderPool(() => new Worker("render-worker.js"), size);
+    } catch (err) {
+        // eslint-disable-next-line no-console
+        console.warn("Render workers unavailable, rendering on the main thread:", err);
+        return null;
+    }
+}
+
+let renderPool = createWorkerPool();
+if (!renderPool && useWorkersEl) {
+    useWorkersEl.checked = false;
+    useWorkersEl.disabled = true;
+}
+
+let workerCounts = null; // triangle counts of the last finished worker frame
+
+// Send the scene as it is now to the pool unless it is still busy with the
+// last frame; finished tiles are composited into `framebuffer`.
+function dispatchWorkerFrame(options) {
+    if (renderPool.busy) return;
+    const fb = framebuffer;
+    const sent = performance.now();
+    const scene = {objects: sceneObjects, camera, lighting: sceneLighting};
+    renderPoolFrame(renderPool, scene, viewport, {...options, background: BACKGROUND_RGB}).then(({tiles, stats}) => {
+        if (framebuffer !== fb) return; // resized meanwhile
+        clearFramebuffer(fb, BACKGROUND_RGB);
+        for (const tile of tiles) compositeTile(fb, tile);
+        workerCounts = stats;
+        smoothPerf("workers", performance.now() - sent);
+    }, (err) => {
+        // eslint-disable-next-line no-console
+        console.warn("Render workers failed, rendering on the main thread:", err);
+        terminateRenderPool(renderPool);
+        renderPool = null;
+        if (useWorkersEl) {
+            useWorkersEl.checked = false;
+            useWorkersEl.disabled = true;
+        }
+    });
+}
+
+// -------- Performance HUD --------
+// Smoothed frame interval and main-thread stage timings (ms), and the
+// triangle counts of the last frame; shown over the canvas when Stats is on.
+const perf = {interval: 0, frame: 0, build: 0, raster: 0, overlays: 0, workers: 0, counts: null, shownAt: 0};
+
+function smoothPerf(key, ms) {
+    perf[key] = perf[key] ? perf[key] * 0.9 + ms * 0.1 : ms;
+}
+
+function updatePerfHud(now) {
+    const show = !!(showStatsEl && showStatsEl.checked);
+    if (!perfHudEl) return;
+    perfHudEl.hidden = !show;
+    // A few refreshes a second are enough to read.
+    if (!show || !perf.counts || now - perf.shownAt < 250) return;
+    perf.shownAt = now;
+    const c = perf.counts;
+    const ms = (v) => v.toFixed(1);
+    const lines = [
+        `${perf.interval ? Math.round(1000 / perf.interval) : "–"} fps  frame ${ms(perf.frame)} ms`,
+        `objects ${c.objects - c.culledObjects}/${c.objects} in view`,
+        // Worker frames are built in bands, so they have no culled count.
+        `tris ${c.submitted} submitted  ${c.culled === undefined ? "" : `${c.culled} culled  `}${c.drawn} drawn`,
+        `build ${ms(perf.build)}  raster ${ms(perf.raster)}  overlays ${ms(perf.overlays)} ms`,
+    ];
+    if (c.workers) lines.push(`workers ×${c.workers} ${ms(perf.workers)} ms`);
+    perfHudEl.textContent = lines.join("\n");
+}
+
+let lastFrameTime = null;
+
+function frame(now) {
+    const started = performance.now();
+    const dt = lastFrameTime === null ? 0 : Math.min(MAX_FRAME_DT, (now - lastFrameTime) / 1000);
+    if (lastFrameTime !== null) smoothPerf("interval", now - lastFrameTime);
+    lastFrameTime = now;
     resizeCanvasToDisplaySize();
     clear()
 
-    // Camera is at origin looking down +Z (because we project with x/z, y/z).
-    // Light is directional in camera space.
-    const lightDir = vnormalize({x: -1, y: 1, z: -1});
-    const ambient = 0.15;
-    const shininess = 64;
+    advancePlayback();
+    viewport = createViewport(game.width, game.height, camera);
 
-    // Move camera (WASD) in world space
+    // Move camera (WASD) in world space, along the view's heading. The orbit
+    // pivot travels along.
     {
         const moveSpeed = (keysDown.has("ShiftLeft") || keysDown.has("ShiftRight")) ? 8 : 4;
-        const forward = {x: Math.sin(camera.yaw), y: 0, z: Math.cos(camera.yaw)};
-        const right = {x: Math.cos(camera.yaw), y: 0, z: -Math.sin(camera.yaw)};
-        if (keysDown.has("KeyW")) camera.position = vadd(camera.position, vscale(forward, moveSpeed * dt));
-        if (keysDown.has("KeyS")) camera.position = vadd(camera.position, vscale(forward, -moveSpeed * dt));
-        if (keysDown.has("KeyD")) camera.position = vadd(camera.position, vscale(right, moveSpeed * dt));
-        if (keysDown.has("KeyA")) camera.position = vadd(camera.position, vscale(right, -moveSpeed * dt));
-        if (keysDown.has("KeyE")) camera.position = vadd(camera.position, {x: 0, y: moveSpeed * dt, z: 0});
-        if (keysDown.has("KeyQ")) camera.position = vadd(camera.position, {x: 0, y: -moveSpeed * dt, z: 0});
+        const forward = {x: -Math.sin(camera.yaw), y: 0, z: Math.cos(camera.yaw)};
+        const right = {x: Math.cos(camera.yaw), y: 0, z: Math.sin(camera.yaw)};
+        let move = {x: 0, y: 0, z: 0};
+        if (keysDown.has("KeyW")) move = vadd(move, vscale(forward, moveSpeed * dt));
+        if (keysDown.has("KeyS")) move = vadd(move, vscale(forward, -moveSpeed * dt));
+        if (keysDown.has("KeyD")) move = vadd(move, vscale(right, moveSpeed * dt));
+        if (keysDown.has("KeyA")) move = vadd(move, vscale(right, -moveSpeed * dt));
+        if (keysDown.has("KeyE")) move = vadd(move, {x: 0, y: moveSpeed * dt, z: 0});
+        if (keysDown.has("KeyQ")) move = vadd(move, {x: 0, y: -moveSpeed * dt, z: 0});
+        if (move.x || move.y || move.z) {
+            camera.position = vadd(camera.position, move);
+            if (camera.pivot) camera.pivot = vadd(camera.pivot, move);
+        }
     }
 
     const drawWireframe = !!(drawWireframeEl && drawWireframeEl.checked);
     const drawNormals = !!(drawNormalsEl && drawNormalsEl.checked);
     const drawBounds = !!(drawBoundsEl && drawBoundsEl.checked);
-    const enableSpecular = !!(enableSpecularEl && enableSpecularEl.checked);
-
-    // Build GLOBAL triangle list across all objects (fixes multi-object sorting)
-    const tris = [];
-    for (let objIndex = 0; objIndex < sceneObjects.length; objIndex++) {
-        const obj = sceneObjects[objIndex];
-        if (!obj.mesh || !obj.mesh.vs || !obj.mesh.fs) continue;
-        const vsLocal = obj.mesh.vs;
-        const fsLocal = obj.mesh.fs;
-
-        for (const f of fsLocal) {
-            if (f.length !== 3) continue;
-            const a0 = vsLocal[f[0]];
-            const b0 = vsLocal[f[1]];
-            const c0 = vsLocal[f[2]];
-            if (!a0 || !b0 || !c0) continue;
-
-            // Model -> World
-            const aW = applyModel(a0, obj);
-            const bW = applyModel(b0, obj);
-            const cW = applyModel(c0, obj);
-
-            // World -> View (camera space)
-            const a = applyView(aW);
-            const b = applyView(bW);
-            const c = applyView(cW);
-
-            // Near-plane guard (in view space)
-            if (a.z <= 1e-6 || b.z <= 1e-6 || c.z <= 1e-6) continue;
-
-            // Normal in view space
-            const ab = vsub(b, a);
-            const ac = vsub(c, a);
-            const n = vcross(ab, ac);
-
-            // Backface culling in view space
-            if (vdot(n, a) >= 0) continue;
-            const nn = vnormalize(n);
-
-            // Lighting in view space
-            let diffuse = 1;
-            let spec = 0;
-            if (!obj.unlit) {
-                diffuse = vdot(nn, lightDir);
-                if (diffuse < 0) diffuse = 0;
-                diffuse = ambient + (1 - ambient) * diffuse;
-
-                if (enableSpecular && diffuse > ambient) {
-                    const L = vnormalize(vscale(lightDir, -1)); // from light to surface
-                    const NL = vdot(nn, L);
-                    const R = vnormalize(vsub(vscale(nn, 2 * NL), L));
-                    const center = vscale({x: a.x + b.x + c.x, y: a.y + b.y + c.y, z: a.z + b.z + c.z}, 1/3);
-                    const V = vnormalize(vscale(center, -1)); // center -> camera
-                    const rv = vdot(R, V);
-                    if (rv > 0) spec = Math.pow(rv, shininess);
-                }
-            }
-
-            const avgZ = (a.z + b.z + c.z) / 3;
-            tris.push({a, b, c, avgZ, diffuse, spec, nn, color: obj.color || {r: 0, g: 255, b: 0}, objIndex});
+    const renderMode = (renderModeEl && renderModeEl.value) || "zbuffer";
+    const shadingMode = renderMode === "painter" ? "flat" : ((shadingModeEl && shadingModeEl.value) || "flat");
+
+    updateLevelsOfDetail();
+    const showStats = !!(showStatsEl && showStatsEl.checked);
+    const useWorkers = renderMode !== "painter" && renderPool && !renderPool.failed && useWorkersEl && useWorkersEl.checked;
+    const buildOptions = {
+        shading: shadingMode,
+        specular: !!(enableSpecularEl && enableSpecularEl.checked),
+        shadows: !!(enableShadowsEl && enableShadowsEl.checked),
+        smoothingAngle: getSmoothingAngle(),
+        // Painter's fallback fills whole triangles with ctx.fill(): flat, untextured.
+        textures: renderMode !== "painter",
+    };
+    const counts = {};
+    const buildStart = performance.now();
+    let tris = [];
+    // The workers build their own triangles; here they are only needed for
+    // the wireframe and normals overlays.
+    if (!useWorkers || drawWireframe || drawNormals) {
+        tris = buildTriangles({objects: sceneObjects, camera, lighting: sceneLighting}, viewport, {...buildOptions, stats: counts});
+    } else {
+        updateSceneMatrices(sceneObjects, cameraViewMatrix(camera), viewport.projection);
+    }
+    const rasterStart = performance.now();
+    smoothPerf("build", rasterStart - buildStart);
+    let workers = 0;
+
+    if (renderMode === "painter") {
+        // Painter's algorithm: far -> near (global). Kept as a fallback for
+        // comparison; intersecting geometry will sort incorrectly.
+        tris.sort((t1, t2) => t2.avgZ - t1.avgZ);
+        for (const t of tris) {
+            const pts = clipTriangleToScreen(t, viewport);
+            if (pts.length < 3) continue;
+            const [r, g, b] = t.flatRGB.map(v => clamp(Math.round(v), 0, 255));
+            ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${t.alpha})`;
+            ctx.beginPath();
+            ctx.moveTo(pts[0].x, pts[0].y);
+            for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
+            ctx.closePath();
+            ctx.fill();
+            t.visible = true;
         }
+    } else {
+        framebuffer = ensureCanvasFramebuffer(framebuffer, game.width, game.height);
+        if (useWorkers) {
+            workers = renderPool.workers.length;
+            dispatchWorkerFrame(buildOptions);
+            for (const t of tris) t.visible = clipTriangleToScreen(t, viewport).length >= 3;
+        } else {
+            clearFramebuffer(framebuffer, BACKGROUND_RGB);
+            rasterizeTriangles(framebuffer, tris, viewport);
+        }
+        ctx.putImageData(framebuffer.image, 0, 0);
+    }
+    const overlayStart = performance.now();
+    smoothPerf("raster", overlayStart - rasterStart);
+
+    // Hover: gizmo handles first, then pick under the cursor once per frame
+    // (matrices were updated above). Skipped while dragging.
+    const gizmo = gizmoLayout();
+    const idle = hoverPoint && !dragging && !gizmoDrag;
+    gizmoHover = idle ? gizmoHitTest(gizmo, hoverPoint) : null;
+    hoveredObject = (idle && gizmoHover === null) ? ((pickAt(hoverPoint) || {}).object || null) : null;
+    game.style.cursor = (gizmoDrag || gizmoHover !== null) ? "move" : hoveredObject ? "pointer" : "";
+
+    // Overlays (wireframe, normals) are drawn on top of the filled image.
+    // Selecting a group highlights everything under it.
+    const highlighted = new Set();
+    for (const obj of selectedObjects) {
+        for (const o of subtreeOf(sceneObjects, obj)) highlighted.add(sceneObjects.indexOf(o));
     }
-
-    // Painter's algorithm: far -> near (global)
-    tris.sort((t1, t2) => t2.avgZ - t1.avgZ);
-
-    // Rasterize (fill) + optional wireframe overlay
     for (const t of tris) {
-        const pA = project(t.a);
-        const pB = project(t.b);
-        const pC = project(t.c);
-        if (!pA || !pB || !pC) continue;
-
-        const A = screen(pA);
-        const B = screen(pB);
-        const C = screen(pC);
-
-        const base = t.color || {r: 0, g: 255, b: 0};
-        const s = 255 * t.spec;
-        const r = base.r * t.diffuse + s;
-        const g = base.g * t.diffuse + s;
-        const bcol = base.b * t.diffuse + s;
-        const rr = Math.max(0, Math.min(255, Math.round(r)));
-        const gg = Math.max(0, Math.min(255, Math.round(g)));
-        const bb = Math.max(0, Math.min(255, Math.round(bcol)));
-        ctx.fillStyle = `rgb(${rr}, ${gg}, ${bb})`;
-
-        ctx.beginPath();
-        ctx.moveTo(A.x, A.y);
-        ctx.lineTo(B.x, B.y);
-        ctx.lineTo(C.x, C.y);
-        ctx.closePath();
-        ctx.fill();
+        if (!t.visible) continue;
 
         if (drawWireframe) {
             ctx.lineWidth = 1;
-            ctx.strokeStyle = (t.objIndex === selectedObjectIndex) ? SELECTED_WIREFRAME : "#f0f0f0";
-            ctx.stroke();
+            ctx.strokeStyle = highlighted.has(t.objIndex) ? SELECTED_WIREFRAME : "#f0f0f0";
+            drawClippedLine(t.a, t.b);
+            drawClippedLine(t.b, t.c);
+            drawClippedLine(t.c, t.a);
         }
 
         if (drawNormals) {
@@ -749,62 +2780,43 @@ function frame() {
                 z: (t.a.z + t.b.z + t.c.z) / 3,
             };
             const tip = vadd(center, vscale(t.nn, 0.15));
-            const pc = project(center);
-            const pt = project(tip);
-            if (pc && pt) {
-                const C0 = screen(pc);
-                const C1 = screen(pt);
-                ctx.lineWidth = 2;
-                ctx.strokeStyle = "#ff4040";
-                ctx.beginPath();
-                ctx.moveTo(C0.x, C0.y);
-                ctx.lineTo(C1.x, C1.y);
-                ctx.stroke();
-            }
+            ctx.lineWidth = 2;
+            ctx.strokeStyle = "#ff4040";
+            drawClippedLine(center, tip);
         }
     }
 
     if (drawBounds) {
-        const edges = [
-            [0,1],[1,2],[2,3],[3,0],
-            [4,5],[5,6],[6,7],[7,4],
-            [0,4],[1,5],[2,6],[3,7],
-        ];
         ctx.lineWidth = 1;
         ctx.strokeStyle = "rgba(120,180,255,0.9)";
+        for (const obj of sceneObjects) drawObjectBounds(obj);
+    }
 
-        for (const obj of sceneObjects) {
-            if (!obj.mesh || !obj.mesh.bounds) continue;
-            const bmin = obj.mesh.bounds.min;
-            const bmax = obj.mesh.bounds.max;
-            const cornersLocal = [
-                {x: bmin.x, y: bmin.y, z: bmin.z},
-                {x: bmax.x, y: bmin.y, z: bmin.z},
-                {x: bmax.x, y: bmax.y, z: bmin.z},
-                {x: bmin.x, y: bmax.y, z: bmin.z},
-                {x: bmin.x, y: bmin.y, z: bmax.z},
-                {x: bmax.x, y: bmin.y, z: bmax.z},
-                {x: bmax.x, y: bmax.y, z: bmax.z},
-                {x: bmin.x, y: bmax.y, z: bmax.z},
-            ];
-
-            for (const [i, j] of edges) {
-                const aW = applyModel(cornersLocal[i], obj);
-                const bW = applyModel(cornersLocal[j], obj);
-                const a = applyView(aW);
-                const b = applyView(bW);
-                const pa = project(a);
-                const pb = project(b);
-                if (!pa || !pb) continue;
-                const A = screen(pa);
-                const B = screen(pb);
-                ctx.beginPath();
-                ctx.moveTo(A.x, A.y);
-                ctx.lineTo(B.x, B.y);
-                ctx.stroke();
-            }
-        }
+    // Selected meshes get a highlighted box; the hovered one a lighter box.
+    ctx.lineWidth = 1.5;
+    ctx.strokeStyle = SELECTED_WIREFRAME;
+    for (const idx of highlighted) drawObjectBounds(sceneObjects[idx]);
+    if (hoveredObject && !highlighted.has(sceneObjects.indexOf(hoveredObject))) {
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = "rgba(255,255,255,0.7)";
+        drawObjectBounds(hoveredObject);
+    }
+
+    for (const obj of sceneObjects) {
+        if (!obj.light) continue;
+        const selected = selectedObjects.has(obj);
+        drawLightIcon(obj, selected ? SELECTED_WIREFRAME : obj === hoveredObject ? "#ffffff" : "rgba(240,240,240,0.6)");
+    }
+
+    drawGizmo(gizmo);
+
+    const finished = performance.now();
+    smoothPerf("overlays", finished - overlayStart);
+    smoothPerf("frame", finished - started);
+    if (showStats) {
+        perf.counts = useWorkers ? (workerCounts && {...workerCounts, workers}) : {...counts, drawn: tris.filter(t => t.visible).length, workers};
     }
-    setTimeout(frame, 1000/FPS);
+    updatePerfHud(finished);
+    requestAnimationFrame(frame);
 }
-setTimeout(frame, 1000/FPS);
+requestAnimationFrame(frame);
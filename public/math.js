@@ -0,0 +1,409 @@
+// 4x4 matrix and quaternion math (no DOM, no dependencies). Loaded before
+// core.js as a classic <script> in the browser and via require() in Node.
+//
+// Matrices are column-major Float64Array(16) (m[12..14] is the translation)
+// and act on column vectors: mat4Multiply(a, b) applies b first, then a.
+// Quaternions are {x, y, z, w}; vectors are {x, y, z} like in core.js.
+// Every function takes an optional `out` last argument and returns it.
+
+// -------- mat4 --------
+function mat4Create() {
+    const m = new Float64Array(16);
+    m[0] = m[5] = m[10] = m[15] = 1;
+    return m;
+}
+
+function mat4Identity(out = new Float64Array(16)) {
+    out.fill(0);
+    out[0] = out[5] = out[10] = out[15] = 1;
+    return out;
+}
+
+function mat4Copy(a, out = new Float64Array(16)) {
+    out.set(a);
+    return out;
+}
+
+function mat4Multiply(a, b, out = new Float64Array(16)) {
+    // Safe when out aliases a or b.
+    const r = new Float64Array(16);
+    for (let col = 0; col < 4; col++) {
+        const b0 = b[col*4], b1 = b[col*4 + 1], b2 = b[col*4 + 2], b3 = b[col*4 + 3];
+        for (let row = 0; row < 4; row++) {
+            r[col*4 + row] = a[row]*b0 + a[4 + row]*b1 + a[8 + row]*b2 + a[12 + row]*b3;
+        }
+    }
+    out.set(r);
+    return out;
+}
+
+// Translate * Rotate(q) * Scale in one go.
+function mat4Compose(position, q, scale, out = new Float64Array(16)) {
+    const {x, y, z, w} = q;
+    const x2 = x + x, y2 = y + y, z2 = z + z;
+    const xx = x*x2, xy = x*y2, xz = x*z2;
+    const yy = y*y2, yz = y*z2, zz = z*z2;
+    const wx = w*x2, wy = w*y2, wz = w*z2;
+    const sx = scale.x, sy = scale.y, sz = scale.z;
+
+    out[0] = (1 - (yy + zz)) * sx;
+    out[1] = (xy + wz) * sx;
+    out[2] = (xz - wy) * sx;
+    out[3] = 0;
+    out[4] = (xy - wz) * sy;
+    out[5] = (1 - (xx + zz)) * sy;
+    out[6] = (yz + wx) * sy;
+    out[7] = 0;
+    out[8] = (xz + wy) * sz;
+    out[9] = (yz - wx) * sz;
+    out[10] = (1 - (xx + yy)) * sz;
+    out[11] = 0;
+    out[12] = position.x;
+    out[13] = position.y;
+    out[14] = position.z;
+    out[15] = 1;
+    return out;
+}
+
+function mat4Transpose(a, out = new Float64Array(16)) {
+    const r = new Float64Array(16);
+    for (let col = 0; col < 4; col++) {
+        for (let row = 0; row < 4; row++) r[row*4 + col] = a[col*4 + row];
+    }
+    out.set(r);
+    return out;
+}
+
+// General inverse (cofactor expansion). Returns null for a singular matrix.
+function mat4Invert(a, out = new Float64Array(16)) {
+    const a00 = a[0], a01 = a[1], a02 = a[2], a03 = a[3];
+    const a10 = a[4], a11 = a[5], a12 = a[6], a13 = a[7];
+    const a20 = a[8], a21 = a[9], a22 = a[10], a23 = a[11];
+    const a30 = a[12], a31 = a[13], a32 = a[14], a33 = a[15];
+
+    const b00 = a00*a11 - a01*a10;
+    const b01 = a00*a12 - a02*a10;
+    const b02 = a00*a13 - a03*a10;
+    const b03 = a01*a12 - a02*a11;
+    const b04 = a01*a13 - a03*a11;
+    const b05 = a02*a13 - a03*a12;
+    const b06 = a20*a31 - a21*a30;
+    const b07 = a20*a32 - a22*a30;
+    const b08 = a20*a33 - a23*a30;
+    const b09 = a21*a32 - a22*a31;
+    const b10 = a21*a33 - a23*a31;
+    const b11 = a22*a33 - a23*a32;
+
+    const det = b00*b11 - b01*b10 + b02*b09 + b03*b08 - b04*b07 + b05*b06;
+    if (!det || !Number.isFinite(det)) return null;
+    const id = 1 / det;
+
+    out[0] = (a11*b11 - a12*b10 + a13*b09) * id;
+    out[1] = (a02*b10 - a01*b11 - a03*b09) * id;
+    out[2] = (a31*b05 - a32*b04 + a33*b03) * id;
+    out[3] = (a22*b04 - a21*b05 - a23*b03) * id;
+    out[4] = (a12*b08 - a10*b11 - a13*b07) * id;
+    out[5] = (a00*b11 - a02*b08 + a03*b07) * id;
+    out[6] = (a32*b02 - a30*b05 - a33*b01) * id;
+    out[7] = (a20*b05 - a22*b02 + a23*b01) * id;
+    out[8] = (a10*b10 - a11*b08 + a13*b06) * id;
+    out[9] = (a01*b08 - a00*b10 - a03*b06) * id;
+    out[10] = (a30*b04 - a31*b02 + a33*b00) * id;
+    out[11] = (a21*b02 - a20*b04 - a23*b00) * id;
+    out[12] = (a11*b07 - a10*b09 - a12*b06) * id;
+    out[13] = (a00*b09 - a01*b07 + a02*b06) * id;
+    out[14] = (a31*b01 - a30*b03 - a32*b00) * id;
+    out[15] = (a20*b03 - a21*b01 + a22*b00) * id;
+    return out;
+}
+
+// Inverse-transpose of the upper 3x3, for transforming normals under
+// non-uniform scale. Returns null for a singular matrix.
+function mat4NormalMatrix(a, out = new Float64Array(16)) {
+    const inv = mat4Invert(a);
+    if (!inv) return null;
+    mat4Transpose(inv, out);
+    out[3] = out[7] = out[11] = out[12] = out[13] = out[14] = 0;
+    out[15] = 1;
+    return out;
+}
+
+// The renderer's camera looks down +Z with +Y up and +X to the right
+// (left-handed). lookAt builds that view matrix for an eye and a target.
+function mat4LookAt(eye, target, up, out = new Float64Array(16)) {
+    let fx = target.x - eye.x, fy = target.y - eye.y, fz = target.z - eye.z;
+    let fl = Math.hypot(fx, fy, fz);
+    if (fl === 0) return mat4Identity(out);
+    fx /= fl; fy /= fl; fz /= fl;
+
+    // right = up x forward
+    let rx = up.y*fz - up.z*fy, ry = up.z*fx - up.x*fz, rz = up.x*fy - up.y*fx;
+    let rl = Math.hypot(rx, ry, rz);
+    if (rl === 0) {
+        // Looking straight along `up`: pick any perpendicular right vector.
+        rx = 1; ry = 0; rz = 0;
+        if (Math.abs(fx) > 0.9) { rx = 0; rz = 1; }
+        const d = rx*fx + rz*fz;
+        rx -= d*fx; ry -= d*fy; rz -= d*fz;
+        rl = Math.hypot(rx, ry, rz);
+    }
+    rx /= rl; ry /= rl; rz /= rl;
+
+    // true up = forward x right
+    const ux = fy*rz - fz*ry, uy = fz*rx - fx*rz, uz = fx*ry - fy*rx;
+
+    out[0] = rx; out[1] = ux; out[2] = fx; out[3] = 0;
+    out[4] = ry; out[5] = uy; out[6] = fy; out[7] = 0;
+    out[8] = rz; out[9] = uz; out[10] = fz; out[11] = 0;
+    out[12] = -(rx*eye.x + ry*eye.y + rz*eye.z);
+    out[13] = -(ux*eye.x + uy*eye.y + uz*eye.z);
+    out[14] = -(fx*eye.x + fy*eye.y + fz*eye.z);
+    out[15] = 1;
+    return out;
+}
+
+// Perspective projection for the +Z-forward view space. Clip z runs from 0
+// at the near plane to w at the far plane (depth 0..1 after the divide),
+// and w is the view-space depth.
+function mat4Perspective(fovY, aspect, near, far, out = new Float64Array(16)) {
+    const f = 1 / Math.tan(fovY / 2);
+    out.fill(0);
+    out[0] = f / aspect;
+    out[5] = f;
+    out[10] = far / (far - near);
+    out[11] = 1;
+    out[14] = -near * far / (far - near);
+    return out;
+}
+
+// Orthographic projection with the same depth convention (z: near -> 0,
+// far -> 1) and w = 1.
+function mat4Ortho(left, right, bottom, top, near, far, out = new Float64Array(16)) {
+    out.fill(0);
+    out[0] = 2 / (right - left);
+    out[5] = 2 / (top - bottom);
+    out[10] = 1 / (far - near);
+    out[12] = -(right + left) / (right - left);
+    out[13] = -(top + bottom) / (top - bottom);
+    out[14] = -near / (far - near);
+    out[15] = 1;
+    return out;
+}
+
+// Split an affine matrix back into {position, quaternion, scale}. Shear
+// (from a non-uniformly scaled parent of a rotated child) cannot be
+// represented and is dropped.
+function mat4Decompose(m, out = {position: {x: 0, y: 0, z: 0}, quaternion: {x: 0, y: 0, z: 0, w: 1}, scale: {x: 1, y: 1, z: 1}}) {
+    let sx = Math.hypot(m[0], m[1], m[2]);
+    const sy = Math.hypot(m[4], m[5], m[6]);
+    const sz = Math.hypot(m[8], m[9], m[10]);
+    // A mirrored matrix keeps the flip on X.
+    const det = m[0]*(m[5]*m[10] - m[6]*m[9]) - m[4]*(m[1]*m[10] - m[2]*m[9]) + m[8]*(m[1]*m[6] - m[2]*m[5]);
+    if (det < 0) sx = -sx;
+
+    out.position.x = m[12];
+    out.position.y = m[13];
+    out.position.z = m[14];
+    out.scale.x = sx;
+    out.scale.y = sy;
+    out.scale.z = sz;
+
+    const r = new Float64Array(16);
+    const ix = sx ? 1 / sx : 0, iy = sy ? 1 / sy : 0, iz = sz ? 1 / sz : 0;
+    r[0] = m[0]*ix; r[1] = m[1]*ix; r[2] = m[2]*ix;
+    r[4] = m[4]*iy; r[5] = m[5]*iy; r[6] = m[6]*iy;
+    r[8] = m[8]*iz; r[9] = m[9]*iz; r[10] = m[10]*iz;
+    quatFromMat4(r, out.quaternion);
+    return out;
+}
+
+// Point (w = 1) through an affine matrix.
+function mat4TransformPoint(m, p, out = {x: 0, y: 0, z: 0}) {
+    const {x, y, z} = p;
+    out.x = m[0]*x + m[4]*y + m[8]*z + m[12];
+    out.y = m[1]*x + m[5]*y + m[9]*z + m[13];
+    out.z = m[2]*x + m[6]*y + m[10]*z + m[14];
+    return out;
+}
+
+// Direction (w = 0): ignores the translation.
+function mat4TransformDirection(m, v, out = {x: 0, y: 0, z: 0}) {
+    const {x, y, z} = v;
+    out.x = m[0]*x + m[4]*y + m[8]*z;
+    out.y = m[1]*x + m[5]*y + m[9]*z;
+    out.z = m[2]*x + m[6]*y + m[10]*z;
+    return out;
+}
+
+// Point (w = 1) to homogeneous {x, y, z, w}, e.g. into clip space.
+function mat4TransformVec4(m, p, out = {x: 0, y: 0, z: 0, w: 1}) {
+    const {x, y, z} = p;
+    out.x = m[0]*x + m[4]*y + m[8]*z + m[12];
+    out.y = m[1]*x + m[5]*y + m[9]*z + m[13];
+    out.z = m[2]*x + m[6]*y + m[10]*z + m[14];
+    out.w = m[3]*x + m[7]*y + m[11]*z + m[15];
+    return out;
+}
+
+// -------- quat --------
+function quatIdentity() {
+    return {x: 0, y: 0, z: 0, w: 1};
+}
+
+function quatFromAxisAngle(axis, angle, out = {x: 0, y: 0, z: 0, w: 1}) {
+    const len = Math.hypot(axis.x, axis.y, axis.z) || 1;
+    const s = Math.sin(angle / 2) / len;
+    out.x = axis.x * s;
+    out.y = axis.y * s;
+    out.z = axis.z * s;
+    out.w = Math.cos(angle / 2);
+    return out;
+}
+
+// a * b: rotates by b first, then by a.
+function quatMultiply(a, b, out = {x: 0, y: 0, z: 0, w: 1}) {
+    const x = a.w*b.x + a.x*b.w + a.y*b.z - a.z*b.y;
+    const y = a.w*b.y - a.x*b.z + a.y*b.w + a.z*b.x;
+    const z = a.w*b.z + a.x*b.y - a.y*b.x + a.z*b.w;
+    const w = a.w*b.w - a.x*b.x - a.y*b.y - a.z*b.z;
+    out.x = x; out.y = y; out.z = z; out.w = w;
+    return out;
+}
+
+function quatNormalize(q, out = {x: 0, y: 0, z: 0, w: 1}) {
+    const len = Math.hypot(q.x, q.y, q.z, q.w);
+    if (len === 0) {
+        out.x = out.y = out.z = 0;
+        out.w = 1;
+        return out;
+    }
+    out.x = q.x / len;
+    out.y = q.y / len;
+    out.z = q.z / len;
+    out.w = q.w / len;
+    return out;
+}
+
+// Inverse of a unit quaternion.
+function quatConjugate(q, out = {x: 0, y: 0, z: 0, w: 1}) {
+    out.x = -q.x;
+    out.y = -q.y;
+    out.z = -q.z;
+    out.w = q.w;
+    return out;
+}
+
+function quatRotateVector(q, v, out = {x: 0, y: 0, z: 0}) {
+    // v + 2w(q x v) + 2q x (q x v)
+    const tx = 2 * (q.y*v.z - q.z*v.y);
+    const ty = 2 * (q.z*v.x - q.x*v.z);
+    const tz = 2 * (q.x*v.y - q.y*v.x);
+    const x = v.x + q.w*tx + (q.y*tz - q.z*ty);
+    const y = v.y + q.w*ty + (q.z*tx - q.x*tz);
+    const z = v.z + q.w*tz + (q.x*ty - q.y*tx);
+    out.x = x; out.y = y; out.z = z;
+    return out;
+}
+
+// Rotation part of a matrix (upper 3x3 must be orthonormal).
+function quatFromMat4(m, out = {x: 0, y: 0, z: 0, w: 1}) {
+    const m00 = m[0], m01 = m[4], m02 = m[8];
+    const m10 = m[1], m11 = m[5], m12 = m[9];
+    const m20 = m[2], m21 = m[6], m22 = m[10];
+    const trace = m00 + m11 + m22;
+    if (trace > 0) {
+        const s = 0.5 / Math.sqrt(trace + 1);
+        out.w = 0.25 / s;
+        out.x = (m21 - m12) * s;
+        out.y = (m02 - m20) * s;
+        out.z = (m10 - m01) * s;
+    } else if (m00 > m11 && m00 > m22) {
+        const s = 2 * Math.sqrt(1 + m00 - m11 - m22);
+        out.w = (m21 - m12) / s;
+        out.x = 0.25 * s;
+        out.y = (m01 + m10) / s;
+        out.z = (m02 + m20) / s;
+    } else if (m11 > m22) {
+        const s = 2 * Math.sqrt(1 + m11 - m00 - m22);
+        out.w = (m02 - m20) / s;
+        out.x = (m01 + m10) / s;
+        out.y = 0.25 * s;
+        out.z = (m12 + m21) / s;
+    } else {
+        const s = 2 * Math.sqrt(1 + m22 - m00 - m11);
+        out.w = (m10 - m01) / s;
+        out.x = (m02 + m20) / s;
+        out.y = (m12 + m21) / s;
+        out.z = 0.25 * s;
+    }
+    return quatNormalize(out, out);
+}
+
+// Shortest-path spherical interpolation between unit quaternions.
+function quatSlerp(a, b, t, out = {x: 0, y: 0, z: 0, w: 1}) {
+    let bx = b.x, by = b.y, bz = b.z, bw = b.w;
+    let cos = a.x*bx + a.y*by + a.z*bz + a.w*bw;
+    if (cos < 0) {
+        cos = -cos;
+        bx = -bx; by = -by; bz = -bz; bw = -bw;
+    }
+    let k0 = 1 - t, k1 = t;
+    if (cos < 0.9995) {
+        const theta = Math.acos(cos);
+        const sin = Math.sin(theta);
+        k0 = Math.sin((1 - t) * theta) / sin;
+        k1 = Math.sin(t * theta) / sin;
+    }
+    out.x = a.x*k0 + bx*k1;
+    out.y = a.y*k0 + by*k1;
+    out.z = a.z*k0 + bz*k1;
+    out.w = a.w*k0 + bw*k1;
+    return quatNormalize(out, out);
+}
+
+// Euler angles in radians, applied X first, then Y, then Z (R = Rz*Ry*Rx),
+// with the usual right-handed sense for each axis.
+function quatFromEuler(x, y, z, out = {x: 0, y: 0, z: 0, w: 1}) {
+    const cx = Math.cos(x / 2), sx = Math.sin(x / 2);
+    const cy = Math.cos(y / 2), sy = Math.sin(y / 2);
+    const cz = Math.cos(z / 2), sz = Math.sin(z / 2);
+    out.x = sx*cy*cz - cx*sy*sz;
+    out.y = cx*sy*cz + sx*cy*sz;
+    out.z = cx*cy*sz - sx*sy*cz;
+    out.w = cx*cy*cz + sx*sy*sz;
+    return out;
+}
+
+// Inverse of quatFromEuler: y is kept in [-pi/2, pi/2]. At gimbal lock
+// (y = +-pi/2) the combined X/Z turn is reported on X and z is 0.
+function quatToEuler(q, out = {x: 0, y: 0, z: 0}) {
+    const {x, y, z, w} = q;
+    const m00 = 1 - 2*(y*y + z*z);
+    const m10 = 2*(x*y + w*z);
+    const m20 = 2*(x*z - w*y);
+    const m21 = 2*(y*z + w*x);
+    const m22 = 1 - 2*(x*x + y*y);
+    const m11 = 1 - 2*(x*x + z*z);
+    const m12 = 2*(y*z - w*x);
+
+    out.y = Math.asin(Math.max(-1, Math.min(1, -m20)));
+    if (Math.abs(m20) < 0.9999999) {
+        out.x = Math.atan2(m21, m22);
+        out.z = Math.atan2(m10, m00);
+    } else {
+        out.x = Math.atan2(-m12, m11);
+        out.z = 0;
+    }
+    return out;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        mat4Create, mat4Identity, mat4Copy, mat4Multiply, mat4Compose,
+        mat4Transpose, mat4Invert, mat4NormalMatrix, mat4Decompose,
+        mat4LookAt, mat4Perspective, mat4Ortho,
+        mat4TransformPoint, mat4TransformDirection, mat4TransformVec4,
+        quatIdentity, quatFromAxisAngle, quatFromMat4, quatMultiply, quatNormalize, quatConjugate,
+        quatRotateVector, quatSlerp, quatFromEuler, quatToEuler,
+    };
+}
@@ -0,0 +1,566 @@
+// Mesh operations (DOM-free): cleanup for models that come in with split
+// vertices, inconsistent winding or zero-area faces, and detail levels
+// (quadric simplification, Loop subdivision, LOD sets). Each operation
+// leaves its input alone and returns {mesh, ...counts}: a new mesh (without
+// the `source` file it was loaded from, since it no longer matches it) and
+// how many elements it changed. Meshes with generated normals
+// (`autoNormals`) need computeVertexNormals again afterwards.
+
+// Node: pull in the core (in the browser core.js is loaded first).
+if (typeof module !== "undefined" && module.exports) {
+    var {clamp, vsub, vcross, vdot, vlen, vadd, vscale, vnormalize, computeBounds, extractSubmesh} = require("./core.js");
+}
+
+// Copy of the mesh whose face lists can be changed in place.
+function cloneMesh(mesh) {
+    const out = {...mesh, fs: mesh.fs.map(f => f.slice())};
+    if (mesh.fns) out.fns = mesh.fns.map(f => f && f.slice());
+    if (mesh.fts) out.fts = mesh.fts.map(f => f && f.slice());
+    delete out.source;
+    delete out.bvh;
+    return out;
+}
+
+function isTriangle(mesh, f) {
+    return f.length === 3 && f.every(i => mesh.vs[i]);
+}
+
+// Merge vertices closer than `distance` (0: identical positions) into the
+// first one seen. Faces that collapse are left for removeDegenerateFaces.
+// Returns {mesh, merged}.
+function weldVertices(mesh, distance = 0) {
+    const limit = Math.max(0, distance);
+    const remap = new Array(mesh.vs.length);
+    const kept = []; // old indices of the vertices that stay
+    const cells = new Map();
+    const cellOf = (v) => limit > 0 ? [Math.floor(v.x / limit), Math.floor(v.y / limit), Math.floor(v.z / limit)] : [v.x, v.y, v.z];
+
+    mesh.vs.forEach((v, i) => {
+        const [cx, cy, cz] = cellOf(v);
+        let match;
+        if (limit > 0) {
+            // Anything within `limit` is in this cell or a neighbouring one.
+            search: for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dz = -1; dz <= 1; dz++) {
+                        for (const j of cells.get(`${cx + dx},${cy + dy},${cz + dz}`) || []) {
+                            if (vlen(vsub(mesh.vs[j], v)) <= limit) {
+                                match = j;
+                                break search;
+                            }
+                        }
+                    }
+                }
+            }
+        } else {
+            match = (cells.get(`${cx},${cy},${cz}`) || [])[0];
+        }
+        if (match !== undefined) {
+            remap[i] = remap[match];
+            return;
+        }
+        remap[i] = kept.length;
+        kept.push(i);
+        const key = `${cx},${cy},${cz}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(i);
+    });
+
+    const out = cloneMesh(mesh);
+    out.vs = kept.map(i => mesh.vs[i]);
+    if (mesh.cs) out.cs = kept.map(i => mesh.cs[i]);
+    out.fs = mesh.fs.map(f => f.map(i => remap[i]));
+    out.bounds = computeBounds(out.vs);
+    return {mesh: out, merged: mesh.vs.length - kept.length};
+}
+
+// Drop faces that repeat a vertex or have (next to) no area, and faces over
+// the same three vertices as an earlier one. Vertices, normals and texcoords
+// no face uses any more go too. Returns {mesh, degenerate, duplicate}.
+function removeDegenerateFaces(mesh, epsilon = 1e-10) {
+    const keep = [];
+    const seen = new Set();
+    let degenerate = 0;
+    let duplicate = 0;
+    mesh.fs.forEach((f, fi) => {
+        if (!isTriangle(mesh, f) || f[0] === f[1] || f[1] === f[2] || f[2] === f[0]) {
+            degenerate++;
+            return;
+        }
+        const [a, b, c] = f.map(i => mesh.vs[i]);
+        const ab = vsub(b, a);
+        const ac = vsub(c, a);
+        const longest = Math.max(vdot(ab, ab), vdot(ac, ac), vdot(vsub(c, b), vsub(c, b)));
+        // Relative to the longest edge, so the test doesn't depend on scale.
+        if (vlen(vcross(ab, ac)) <= epsilon * longest) {
+            degenerate++;
+            return;
+        }
+        const key = f.slice().sort((i, j) => i - j).join(",");
+        if (seen.has(key)) {
+            duplicate++;
+            return;
+        }
+        seen.add(key);
+        keep.push(fi);
+    });
+    if (keep.length === mesh.fs.length) return {mesh: cloneMesh(mesh), degenerate, duplicate};
+
+    return {mesh: extractSubmesh(mesh, keep), degenerate, duplicate};
+}
+
+function flipFace(mesh, fi) {
+    const swap = (f) => {
+        if (!f) return;
+        const t = f[1];
+        f[1] = f[2];
+        f[2] = t;
+    };
+    swap(mesh.fs[fi]);
+    if (mesh.fns) swap(mesh.fns[fi]);
+    if (mesh.fts) swap(mesh.fts[fi]);
+}
+
+// Make neighbouring faces agree on their winding (a shared edge runs
+// opposite ways in the two faces), walking the edge adjacency from one face
+// of each connected piece. Each piece is then turned to face outwards: its
+// signed volume must be positive (counter-clockwise seen from outside, like
+// the faces the renderer shows). A flat open piece keeps the winding most of
+// its faces had. Returns {mesh, flipped}.
+function unifyWinding(mesh) {
+    const n = mesh.fs.length;
+    const edgeKey = (u, v) => u < v ? `${u},${v}` : `${v},${u}`;
+    const edges = new Map();
+    mesh.fs.forEach((f, fi) => {
+        if (!isTriangle(mesh, f)) return;
+        for (let k = 0; k < 3; k++) {
+            const key = edgeKey(f[k], f[(k + 1) % 3]);
+            if (!edges.has(key)) edges.set(key, []);
+            edges.get(key).push(fi);
+        }
+    });
+
+    const flip = new Uint8Array(n);
+    const visited = new Uint8Array(n);
+    const runs = (f, u, v) => f.some((i, k) => i === u && f[(k + 1) % 3] === v);
+    for (let seed = 0; seed < n; seed++) {
+        if (visited[seed] || !isTriangle(mesh, mesh.fs[seed])) continue;
+        const piece = [seed];
+        visited[seed] = 1;
+        for (let q = 0; q < piece.length; q++) {
+            const fi = piece[q];
+            const f = mesh.fs[fi];
+            const wound = flip[fi] ? [f[0], f[2], f[1]] : f;
+            for (let k = 0; k < 3; k++) {
+                const u = wound[k];
+                const v = wound[(k + 1) % 3];
+                for (const other of edges.get(edgeKey(u, v))) {
+                    if (visited[other]) continue;
+                    visited[other] = 1;
+                    // Consistent neighbours run the shared edge v -> u.
+                    flip[other] = runs(mesh.fs[other], u, v) ? 1 : 0;
+                    piece.push(other);
+                }
+            }
+        }
+
+        // Signed volume (x6) of the piece about its centroid.
+        let center = {x: 0, y: 0, z: 0};
+        for (const fi of piece) {
+            for (const i of mesh.fs[fi]) center = vadd(center, mesh.vs[i]);
+        }
+        center = vscale(center, 1 / (3 * piece.length));
+        let volume = 0;
+        let scale = 0;
+        for (const fi of piece) {
+            const f = mesh.fs[fi];
+            const [a, b, c] = (flip[fi] ? [f[0], f[2], f[1]] : f).map(i => vsub(mesh.vs[i], center));
+            const v = vdot(a, vcross(b, c));
+            volume += v;
+            scale += Math.abs(v);
+        }
+        const flippedCount = piece.reduce((sum, fi) => sum + flip[fi], 0);
+        const inward = Math.abs(volume) > 1e-9 * scale ? volume < 0 : flippedCount * 2 > piece.length;
+        if (inward) {
+            for (const fi of piece) flip[fi] ^= 1;
+        }
+    }
+
+    const out = cloneMesh(mesh);
+    let flipped = 0;
+    for (let fi = 0; fi < n; fi++) {
+        if (!flip[fi]) continue;
+        flipFace(out, fi);
+        flipped++;
+    }
+    return {mesh: out, flipped};
+}
+
+// Turn every face around: reversed winding and negated normals.
+// Returns {mesh, flipped}.
+function flipNormals(mesh) {
+    const out = cloneMesh(mesh);
+    for (let fi = 0; fi < out.fs.length; fi++) flipFace(out, fi);
+    if (out.ns) out.ns = out.ns.map(v => ({x: -v.x, y: -v.y, z: -v.z}));
+    return {mesh: out, flipped: out.fs.length};
+}
+
+// -------- Simplification --------
+// Quadric error metric edge collapse (Garland & Heckbert): every vertex sums
+// the squared distances to the planes of its faces (weighted by area), and
+// the edge whose merged vertex would move least off those planes collapses
+// first. Collapses that would fold a face over or pinch the surface
+// (vertices sharing more neighbours than the edge has faces) are skipped.
+// Corner normals, texcoords and materials stay with their faces.
+
+// Symmetric 4x4 as its upper triangle: [aa ab ac ad bb bc bd cc cd dd].
+function planeQuadric(n, d, weight) {
+    const {x: a, y: b, z: c} = n;
+    return [a*a, a*b, a*c, a*d, b*b, b*c, b*d, c*c, c*d, d*d].map(v => v * weight);
+}
+
+function quadricError(q, p) {
+    const {x, y, z} = p;
+    return q[0]*x*x + 2*q[1]*x*y + 2*q[2]*x*z + 2*q[3]*x + q[4]*y*y + 2*q[5]*y*z + 2*q[6]*y + q[7]*z*z + 2*q[8]*z + q[9];
+}
+
+// Point minimizing the quadric, or null when it is (near) singular.
+function quadricMinimum(q) {
+    const [a, b, c, , e, f, , h] = q;
+    const det = a * (e * h - f * f) - b * (b * h - f * c) + c * (b * f - e * c);
+    if (Math.abs(det) < 1e-12 * Math.max(1, a * e * h)) return null;
+    const rx = -q[3], ry = -q[6], rz = -q[8];
+    return {
+        x: (rx * (e * h - f * f) - b * (ry * h - f * rz) + c * (ry * f - e * rz)) / det,
+        y: (a * (ry * h - f * rz) - rx * (b * h - f * c) + c * (b * rz - ry * c)) / det,
+        z: (a * (e * rz - ry * f) - b * (b * rz - ry * c) + rx * (b * f - e * c)) / det,
+    };
+}
+
+// Binary min-heap on `cost`.
+function heapPush(heap, item) {
+    heap.push(item);
+    for (let i = heap.length - 1; i > 0;) {
+        const parent = (i - 1) >> 1;
+        if (heap[parent].cost <= heap[i].cost) break;
+        [heap[parent], heap[i]] = [heap[i], heap[parent]];
+        i = parent;
+    }
+}
+
+function heapPop(heap) {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length) {
+        heap[0] = last;
+        for (let i = 0; ;) {
+            const l = 2 * i + 1;
+            const r = l + 1;
+            let m = i;
+            if (l < heap.length && heap[l].cost < heap[m].cost) m = l;
+            if (r < heap.length && heap[r].cost < heap[m].cost) m = r;
+            if (m === i) break;
+            [heap[m], heap[i]] = [heap[i], heap[m]];
+            i = m;
+        }
+    }
+    return top;
+}
+
+// options: {targetFaces} or {ratio} (of the current triangle count), and
+// preserveBoundary (default true: vertices on open edges never move).
+// Returns {mesh, removed}; it stops early when no collapse is allowed.
+function simplifyMesh(mesh, options = {}) {
+    const target = Math.max(1, Math.round(options.targetFaces !== undefined ? options.targetFaces : mesh.fs.length * (options.ratio === undefined ? 0.5 : options.ratio)));
+    const preserveBoundary = options.preserveBoundary !== false;
+    const P = mesh.vs.map(v => ({x: v.x, y: v.y, z: v.z}));
+    const F = mesh.fs.map(f => f.slice());
+    const alive = F.map(f => isTriangle(mesh, f) && f[0] !== f[1] && f[1] !== f[2] && f[2] !== f[0]);
+    const vertexFaces = P.map(() => new Set());
+    const quadrics = P.map(() => new Array(10).fill(0));
+    const edgeFaces = new Map();
+    const edgeKey = (u, v) => u < v ? `${u},${v}` : `${v},${u}`;
+    let faceCount = 0;
+
+    F.forEach((f, fi) => {
+        if (!alive[fi]) return;
+        faceCount++;
+        const n = vcross(vsub(P[f[1]], P[f[0]]), vsub(P[f[2]], P[f[0]]));
+        const area = vlen(n) / 2;
+        const unit = area > 0 ? vscale(n, 1 / (2 * area)) : {x: 0, y: 0, z: 0};
+        const q = planeQuadric(unit, -vdot(unit, P[f[0]]), area);
+        for (let k = 0; k < 3; k++) {
+            vertexFaces[f[k]].add(fi);
+            for (let j = 0; j < 10; j++) quadrics[f[k]][j] += q[j];
+            const key = edgeKey(f[k], f[(k + 1) % 3]);
+            edgeFaces.set(key, (edgeFaces.get(key) || 0) + 1);
+        }
+    });
+
+    // Vertices on open (or non-manifold) edges stay put.
+    const locked = new Uint8Array(P.length);
+    if (preserveBoundary) {
+        for (const [key, count] of edgeFaces) {
+            if (count === 2) continue;
+            for (const i of key.split(",")) locked[+i] = 1;
+        }
+    }
+
+    const dead = new Uint8Array(P.length);
+    const stamp = new Uint32Array(P.length);
+    const neighbours = (u) => {
+        const out = new Set();
+        for (const fi of vertexFaces[u]) {
+            for (const w of F[fi]) if (w !== u) out.add(w);
+        }
+        return out;
+    };
+    const heap = [];
+    const consider = (u, v) => {
+        if (locked[u] && locked[v]) return;
+        const q = quadrics[u].map((x, j) => x + quadrics[v][j]);
+        let pos;
+        if (locked[u]) pos = P[u];
+        else if (locked[v]) pos = P[v];
+        else {
+            const mid = vscale(vadd(P[u], P[v]), 0.5);
+            pos = [quadricMinimum(q), P[u], P[v], mid].filter(Boolean)
+                .reduce((best, p) => quadricError(q, p) < quadricError(q, best) ? p : best);
+        }
+        heapPush(heap, {cost: quadricError(q, pos), u, v, pos, su: stamp[u], sv: stamp[v]});
+    };
+    for (const key of edgeFaces.keys()) {
+        const [u, v] = key.split(",").map(Number);
+        consider(u, v);
+    }
+
+    // Would moving the faces around u and v (except the ones on the edge)
+    // to `pos` turn one of them over, pinch the surface or leave two faces
+    // on the same corners (a collapsed tetrahedron)?
+    const allowed = (u, v, pos) => {
+        const shared = [...vertexFaces[u]].filter(fi => vertexFaces[v].has(fi)).length;
+        const nu = neighbours(u);
+        let common = 0;
+        for (const w of neighbours(v)) if (nu.has(w)) common++;
+        if (common !== shared) return false;
+        const cornersAt = (w) => [...vertexFaces[w]]
+            .filter(fi => !F[fi].includes(w === u ? v : u))
+            .map(fi => F[fi].map(i => i === v ? u : i).sort((a, b) => a - b).join());
+        const around = new Set(cornersAt(u));
+        if (cornersAt(v).some(key => around.has(key))) return false;
+        for (const w of [u, v]) {
+            for (const fi of vertexFaces[w]) {
+                const f = F[fi];
+                if (f.includes(u) && f.includes(v)) continue;
+                const before = f.map(i => P[i]);
+                const after = f.map(i => i === w ? pos : P[i]);
+                const n0 = vcross(vsub(before[1], before[0]), vsub(before[2], before[0]));
+                const n1 = vcross(vsub(after[1], after[0]), vsub(after[2], after[0]));
+                if (vdot(n0, n1) <= 0) return false;
+            }
+        }
+        return true;
+    };
+
+    while (faceCount > target && heap.length) {
+        const c = heapPop(heap);
+        const {u, v} = c;
+        if (dead[u] || dead[v] || c.su !== stamp[u] || c.sv !== stamp[v]) continue;
+        if (!allowed(u, v, c.pos)) continue;
+
+        P[u] = c.pos;
+        for (let j = 0; j < 10; j++) quadrics[u][j] += quadrics[v][j];
+        if (locked[v]) locked[u] = 1;
+        for (const fi of vertexFaces[v]) {
+            const f = F[fi];
+            if (f.includes(u)) {
+                alive[fi] = false;
+                faceCount--;
+                for (const w of f) if (w !== v) vertexFaces[w].delete(fi);
+            } else {
+                f[f.indexOf(v)] = u;
+                vertexFaces[u].add(fi);
+            }
+        }
+        vertexFaces[v].clear();
+        dead[v] = 1;
+        stamp[u]++;
+        for (const w of neighbours(u)) {
+            stamp[w]++;
+            consider(u, w);
+        }
+    }
+
+    const keep = [];
+    alive.forEach((ok, fi) => { if (ok) keep.push(fi); });
+    const out = extractSubmesh({...mesh, vs: P, fs: F}, keep);
+    return {mesh: out, removed: mesh.fs.length - keep.length};
+}
+
+// -------- Subdivision --------
+// One level of Loop subdivision: every triangle becomes four, new edge
+// points are 3/8 of the edge's ends plus 1/8 of the two opposite corners,
+// and old vertices move towards the average of their neighbours. Open (and
+// non-manifold) edges are creases that only follow the boundary curve.
+// Texcoords, file normals and vertex colors are interpolated linearly.
+// Returns {mesh, added} (triangles added).
+function subdivideMesh(mesh) {
+    const vs = mesh.vs;
+    const faces = [];
+    mesh.fs.forEach((f, fi) => {
+        if (isTriangle(mesh, f) && f[0] !== f[1] && f[1] !== f[2] && f[2] !== f[0]) faces.push(fi);
+    });
+    const edgeKey = (u, v) => u < v ? `${u},${v}` : `${v},${u}`;
+    const edges = new Map(); // key -> {u, v, opposite: []}
+    const neighbours = vs.map(() => new Set());
+    for (const fi of faces) {
+        const f = mesh.fs[fi];
+        for (let k = 0; k < 3; k++) {
+            const u = f[k], v = f[(k + 1) % 3], w = f[(k + 2) % 3];
+            const key = edgeKey(u, v);
+            if (!edges.has(key)) edges.set(key, {u, v, opposite: []});
+            edges.get(key).opposite.push(w);
+            neighbours[u].add(v);
+            neighbours[v].add(u);
+        }
+    }
+
+    // Crease neighbours: across open or non-manifold edges.
+    const creases = vs.map(() => []);
+    for (const e of edges.values()) {
+        if (e.opposite.length === 2) continue;
+        creases[e.u].push(e.v);
+        creases[e.v].push(e.u);
+    }
+
+    const out = {...mesh, vs: [], fs: []};
+    delete out.source;
+    delete out.bvh;
+    delete out.parts;
+    delete out.fps;
+    out.vs = vs.map((v, i) => {
+        const crease = creases[i];
+        if (crease.length === 2) return vadd(vscale(v, 3 / 4), vscale(vadd(vs[crease[0]], vs[crease[1]]), 1 / 8));
+        if (crease.length || !neighbours[i].size) return {x: v.x, y: v.y, z: v.z}; // corners stay
+        const k = neighbours[i].size;
+        const beta = k === 3 ? 3 / 16 : 3 / (8 * k);
+        let sum = {x: 0, y: 0, z: 0};
+        for (const j of neighbours[i]) sum = vadd(sum, vs[j]);
+        return vadd(vscale(v, 1 - k * beta), vscale(sum, beta));
+    });
+    if (mesh.cs) out.cs = mesh.cs.slice();
+    for (const e of edges.values()) {
+        e.index = out.vs.length;
+        const ends = vadd(vs[e.u], vs[e.v]);
+        out.vs.push(e.opposite.length === 2 ?
+            vadd(vscale(ends, 3 / 8), vscale(vadd(vs[e.opposite[0]], vs[e.opposite[1]]), 1 / 8)) :
+            vscale(ends, 0.5));
+        if (out.cs) {
+            const a = mesh.cs[e.u], b = mesh.cs[e.v];
+            out.cs.push({r: (a.r + b.r) / 2, g: (a.g + b.g) / 2, b: (a.b + b.b) / 2});
+        }
+    }
+
+    // Per-corner attributes (normal and texcoord indices) get midpoints too,
+    // shared between the faces that use the same pair.
+    const midpoints = (list, make) => {
+        const added = new Map();
+        return (i, j) => {
+            const key = edgeKey(i, j);
+            if (!added.has(key)) {
+                added.set(key, list.length);
+                list.push(make(list[i], list[j]));
+            }
+            return added.get(key);
+        };
+    };
+    if (mesh.fns) out.ns = mesh.ns.slice();
+    if (mesh.fts) out.uvs = mesh.uvs.slice();
+    const normalMid = mesh.fns ? midpoints(out.ns, (a, b) => vnormalize(vadd(a, b))) : null;
+    const uvMid = mesh.fts ? midpoints(out.uvs, (a, b) => ({u: (a.u + b.u) / 2, v: (a.v + b.v) / 2})) : null;
+    if (mesh.fns) out.fns = [];
+    if (mesh.fts) out.fts = [];
+    if (mesh.fms) out.fms = [];
+
+    // a, b, c -> corner triangles and the middle one, same winding.
+    const split = (corners, mid) => {
+        const [a, b, c] = corners;
+        const ab = mid(a, b), bc = mid(b, c), ca = mid(c, a);
+        return [[a, ab, ca], [ab, b, bc], [ca, bc, c], [ab, bc, ca]];
+    };
+    for (const fi of faces) {
+        out.fs.push(...split(mesh.fs[fi], (u, v) => edges.get(edgeKey(u, v)).index));
+        if (out.fns) {
+            const fn = mesh.fns[fi];
+            out.fns.push(...(fn ? split(fn, normalMid) : [null, null, null, null]));
+        }
+        if (out.fts) {
+            const ft = mesh.fts[fi];
+            out.fts.push(...(ft ? split(ft, uvMid) : [null, null, null, null]));
+        }
+        if (out.fms) out.fms.push(mesh.fms[fi], mesh.fms[fi], mesh.fms[fi], mesh.fms[fi]);
+    }
+    out.bounds = computeBounds(out.vs);
+    return {mesh: out, added: out.fs.length - mesh.fs.length};
+}
+
+// -------- Levels of Detail --------
+// obj.lod = {meshes, ratios, preserveBoundary, level, auto, distance}:
+// meshes[0] is the full mesh and each further level is simplified to
+// `ratios[i]` of its triangles. The object draws meshes[level]; with `auto`
+// the level follows the camera distance, one level per `distance` units.
+// Project files keep everything but the meshes and regenerate those.
+const LOD_RATIOS = [0.5, 0.25, 0.125];
+
+function createLevelsOfDetail(mesh, ratios = LOD_RATIOS, options = {}) {
+    const meshes = [mesh];
+    for (const ratio of ratios) {
+        // Each level starts from the previous one: cheaper, and the levels nest.
+        const previous = meshes[meshes.length - 1];
+        meshes.push(simplifyMesh(previous, {...options, targetFaces: Math.round(mesh.fs.length * ratio)}).mesh);
+    }
+    return {meshes, ratios: [...ratios], preserveBoundary: options.preserveBoundary !== false, level: 0, auto: false, distance: options.distance || 5};
+}
+
+function lodLevelAt(lod, distance) {
+    return clamp(Math.floor(distance / lod.distance), 0, lod.meshes.length - 1);
+}
+
+// The object's full-detail mesh: level 0 of its LODs, else the one it shows.
+function lodBaseMesh(obj) {
+    return obj.lod ? obj.lod.meshes[0] : obj.mesh;
+}
+
+// Run an operation on the objects' full-detail meshes, once per mesh (objects
+// that share one share the result). Returns {meshes: the new mesh for each
+// object, total: the results' counts summed}.
+function operateOnObjects(objects, operate) {
+    const results = new Map(); // full-detail mesh -> operation result
+    for (const obj of objects) {
+        const mesh = lodBaseMesh(obj);
+        if (!results.has(mesh)) results.set(mesh, operate(mesh));
+    }
+    const total = {};
+    for (const result of results.values()) {
+        for (const [key, n] of Object.entries(result)) {
+            if (key !== "mesh") total[key] = (total[key] || 0) + n;
+        }
+    }
+    return {meshes: objects.map(o => results.get(lodBaseMesh(o)).mesh), total};
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        weldVertices,
+        removeDegenerateFaces,
+        unifyWinding,
+        flipNormals,
+        simplifyMesh,
+        subdivideMesh,
+        LOD_RATIOS,
+        createLevelsOfDetail,
+        lodLevelAt,
+        lodBaseMesh,
+        operateOnObjects,
+    };
+}
@@ -0,0 +1,115 @@
+// Minimal PNG encoder (8-bit RGBA, no dependencies). Works in the browser and
+// in Node. Pass a zlib `deflate` (e.g. Node's zlib.deflateSync) for
+// compressed output; without one the image data is written as stored
+// (uncompressed) deflate blocks, which every PNG reader accepts.
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+let crcTable = null;
+
+// Standard CRC-32 (as used by PNG chunks and zip entries).
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function adler32(bytes) {
+    let a = 1;
+    let b = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        a = (a + bytes[i]) % 65521;
+        b = (b + a) % 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+}
+
+// zlib stream made of stored blocks (max 65535 bytes each).
+function zlibStored(data) {
+    const blocks = Math.max(1, Math.ceil(data.length / 65535));
+    const out = new Uint8Array(2 + blocks * 5 + data.length + 4);
+    let o = 0;
+    out[o++] = 0x78; // CMF: deflate, 32K window
+    out[o++] = 0x01; // FLG: no dict, fastest; (0x7801 % 31 === 0)
+    for (let b = 0; b < blocks; b++) {
+        const start = b * 65535;
+        const len = Math.min(65535, data.length - start);
+        out[o++] = b === blocks - 1 ? 1 : 0; // BFINAL, BTYPE=00
+        out[o++] = len & 0xff;
+        out[o++] = len >>> 8;
+        out[o++] = ~len & 0xff;
+        out[o++] = (~len >>> 8) & 0xff;
+        out.set(data.subarray(start, start + len), o);
+        o += len;
+    }
+    const adler = adler32(data);
+    out[o++] = adler >>> 24;
+    out[o++] = (adler >>> 16) & 0xff;
+    out[o++] = (adler >>> 8) & 0xff;
+    out[o++] = adler & 0xff;
+    return out;
+}
+
+function writeU32(out, o, v) {
+    out[o] = v >>> 24;
+    out[o + 1] = (v >>> 16) & 0xff;
+    out[o + 2] = (v >>> 8) & 0xff;
+    out[o + 3] = v & 0xff;
+}
+
+function pngChunk(type, data) {
+    const out = new Uint8Array(12 + data.length);
+    writeU32(out, 0, data.length);
+    for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+    out.set(data, 8);
+    writeU32(out, 8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+    return out;
+}
+
+// rgba: width*height*4 bytes, top row first. Returns the PNG file as bytes.
+function encodePNG(width, height, rgba, options = {}) {
+    // Each scanline is prefixed with filter type 0 (None).
+    const stride = width * 4;
+    const raw = new Uint8Array((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw[y * (stride + 1)] = 0;
+        raw.set(rgba.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+    }
+
+    const ihdr = new Uint8Array(13);
+    writeU32(ihdr, 0, width);
+    writeU32(ihdr, 4, height);
+    ihdr[8] = 8;  // bit depth
+    ihdr[9] = 6;  // color type: RGBA
+    ihdr[10] = 0; // compression
+    ihdr[11] = 0; // filter
+    ihdr[12] = 0; // interlace
+
+    const idat = options.deflate ? new Uint8Array(options.deflate(raw)) : zlibStored(raw);
+    const parts = [
+        new Uint8Array(PNG_SIGNATURE),
+        pngChunk("IHDR", ihdr),
+        pngChunk("IDAT", idat),
+        pngChunk("IEND", new Uint8Array(0)),
+    ];
+
+    const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let o = 0;
+    for (const p of parts) {
+        out.set(p, o);
+        o += p.length;
+    }
+    return out;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {crc32, encodePNG};
+}
@@ -0,0 +1,344 @@
+// Project files: the whole scene (objects, meshes, materials, textures,
+// camera, render settings, lighting, bookmarks, animation) as JSON. DOM-free, shared by the
+// viewer (Save/Open, session restore) and the CLI.
+//
+// Version 2 layout:
+//   {version: 2, camera, render, lighting, bookmarks, animation,
+//    meshes: [{source: "path.obj"} | embedded mesh (see serializeMesh)],
+//    textures: [{name, width, height, data: base64 RGBA}],
+//    objects: [{id, parent, name, mesh: index|null, position, rotation,
+//               quaternion, scale, color, materials, texture, textureFilter,
+//               textureWrap, unlit, castShadows, receiveShadows, light,
+//               lod: {ratios, preserveBoundary, level, auto, distance}}]}
+// Textures are referenced by index, or "checker" for the built-in one.
+// Objects with levels of detail save their full mesh and the settings; the
+// simplified levels are regenerated on restore.
+// Version 1 is the original CLI scene format (scenes/default.json).
+
+// Node: pull in the core and mesh operations (in the browser they are loaded
+// first).
+if (typeof module !== "undefined" && module.exports) {
+    var {computeBounds, createLight, computeVertexNormals} = require("./core.js");
+    var {createLevelsOfDetail} = require("./meshops.js");
+}
+
+const PROJECT_VERSION = 2;
+
+function bytesToBase64(bytes) {
+    if (typeof Buffer !== "undefined") return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length).toString("base64");
+    let s = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) s += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    return btoa(s);
+}
+
+function base64ToBytes(str) {
+    if (typeof Buffer !== "undefined") return new Uint8Array(Buffer.from(str, "base64"));
+    const s = atob(str);
+    const out = new Uint8Array(s.length);
+    for (let i = 0; i < s.length; i++) out[i] = s.charCodeAt(i);
+    return out;
+}
+
+// Per-face index triples may be null (no UVs/normals on that face); stored as -1s.
+function flattenTriples(list) {
+    const out = [];
+    for (const t of list) out.push(...(t || [-1, -1, -1]));
+    return out;
+}
+
+function unflattenTriples(flat) {
+    const out = [];
+    for (let i = 0; i < flat.length; i += 3) out.push(flat[i] < 0 ? null : [flat[i], flat[i + 1], flat[i + 2]]);
+    return out;
+}
+
+// Meshes are stored as flat number arrays (much smaller than {x, y, z} objects).
+function serializeMesh(mesh) {
+    const out = {
+        positions: mesh.vs.flatMap(v => [v.x, v.y, v.z]),
+        faces: mesh.fs.flatMap(f => [f[0], f[1], f[2]]),
+    };
+    if (mesh.ns) {
+        out.normals = mesh.ns.flatMap(n => [n.x, n.y, n.z]);
+        out.faceNormals = flattenTriples(mesh.fns || []);
+    }
+    if (mesh.uvs && mesh.uvs.length) {
+        out.uvs = mesh.uvs.flatMap(t => [t.u, t.v]);
+        out.faceUVs = flattenTriples(mesh.fts || []);
+    }
+    if (mesh.cs) out.colors = mesh.cs.flatMap(c => [c.r, c.g, c.b]);
+    if (mesh.materialNames) {
+        out.materialNames = mesh.materialNames;
+        out.faceMaterials = mesh.fms;
+        out.mtllibs = mesh.mtllibs;
+    }
+    if (mesh.autoNormals) out.autoNormals = true;
+    if (mesh.normalization) out.normalization = mesh.normalization;
+    return out;
+}
+
+function deserializeMesh(data) {
+    const vs = [];
+    for (let i = 0; i + 2 < data.positions.length; i += 3) {
+        vs.push({x: data.positions[i], y: data.positions[i + 1], z: data.positions[i + 2]});
+    }
+    const mesh = {vs, fs: unflattenTriples(data.faces || [])};
+    if (data.normals) {
+        mesh.ns = [];
+        for (let i = 0; i + 2 < data.normals.length; i += 3) {
+            mesh.ns.push({x: data.normals[i], y: data.normals[i + 1], z: data.normals[i + 2]});
+        }
+        mesh.fns = unflattenTriples(data.faceNormals || []);
+    }
+    if (data.uvs) {
+        mesh.uvs = [];
+        for (let i = 0; i + 1 < data.uvs.length; i += 2) mesh.uvs.push({u: data.uvs[i], v: data.uvs[i + 1]});
+        mesh.fts = unflattenTriples(data.faceUVs || []);
+    }
+    if (data.colors) {
+        mesh.cs = [];
+        for (let i = 0; i + 2 < data.colors.length; i += 3) mesh.cs.push({r: data.colors[i], g: data.colors[i + 1], b: data.colors[i + 2]});
+    }
+    if (data.materialNames) {
+        mesh.materialNames = data.materialNames;
+        mesh.fms = data.faceMaterials || [];
+        mesh.mtllibs = data.mtllibs || [];
+    }
+    if (data.autoNormals) mesh.autoNormals = true;
+    if (data.normalization) mesh.normalization = data.normalization;
+    mesh.bounds = computeBounds(vs);
+    return mesh;
+}
+
+// state: {objects, camera, render, lighting, bookmarks, animation}. Meshes with a `source` (a
+// path or URL they were loaded from) are referenced, others embedded.
+// options.checker: the shared checkerboard texture, saved as "checker".
+function serializeProject(state, options = {}) {
+    const meshes = [];
+    const meshIndex = new Map();
+    const meshRef = (mesh) => {
+        if (!mesh) return null;
+        if (!meshIndex.has(mesh)) {
+            meshIndex.set(mesh, meshes.length);
+            meshes.push(mesh.source ? {source: mesh.source} : serializeMesh(mesh));
+        }
+        return meshIndex.get(mesh);
+    };
+
+    const textures = [];
+    const textureIndex = new Map();
+    const textureRef = (tex) => {
+        if (!tex) return null;
+        if (tex === options.checker) return "checker";
+        if (!textureIndex.has(tex)) {
+            textureIndex.set(tex, textures.length);
+            const bytes = new Uint8Array(tex.data.buffer, tex.data.byteOffset, tex.data.length);
+            textures.push({name: tex.name, width: tex.width, height: tex.height, data: bytesToBase64(bytes)});
+        }
+        return textureIndex.get(tex);
+    };
+
+    const objects = state.objects.map(o => ({
+        id: o.id,
+        parent: o.parentId === undefined ? null : o.parentId,
+        name: o.name,
+        mesh: meshRef(o.lod ? o.lod.meshes[0] : o.mesh),
+        position: o.position,
+        rotation: o.rotation,
+        quaternion: o.quaternion,
+        scale: o.scale,
+        color: o.color,
+        materials: (o.materials || []).map(m => ({...m, texture: textureRef(m.texture)})),
+        texture: textureRef(o.texture),
+        textureFilter: o.textureFilter,
+        textureWrap: o.textureWrap,
+        unlit: o.unlit || undefined,
+        castShadows: o.castShadows === false ? false : undefined,
+        receiveShadows: o.receiveShadows === false ? false : undefined,
+        light: o.light ? {...o.light, color: {...o.light.color}} : undefined,
+        lod: o.lod ? {ratios: o.lod.ratios, preserveBoundary: o.lod.preserveBoundary, level: o.lod.level, auto: o.lod.auto, distance: o.lod.distance} : undefined,
+    }));
+
+    return {
+        version: PROJECT_VERSION,
+        camera: state.camera ? serializeCamera(state.camera) : undefined,
+        render: state.render || {},
+        lighting: state.lighting,
+        animation: state.animation && state.animation.tracks.length ? state.animation : undefined,
+        bookmarks: (state.bookmarks || []).map(b => ({name: b.name, camera: serializeCamera(b.camera)})),
+        meshes,
+        textures,
+        objects,
+    };
+}
+
+// Lens and orbit fields (see Camera in core.js) are only stored when set.
+const CAMERA_FIELDS = ["mode", "pivot", "distance", "fov", "projection", "orthoHeight"];
+
+function serializeCamera(camera) {
+    const out = {position: {...camera.position}, yaw: camera.yaw, pitch: camera.pitch};
+    for (const key of CAMERA_FIELDS) {
+        if (camera[key] !== undefined && camera[key] !== null) out[key] = key === "pivot" ? {...camera[key]} : camera[key];
+    }
+    return out;
+}
+
+function deserializeCamera(cam = {}) {
+    const camera = {position: {x: 0, y: 0.5, z: -6, ...cam.position}, yaw: cam.yaw || 0, pitch: cam.pitch || 0};
+    for (const key of CAMERA_FIELDS) {
+        if (cam[key] !== undefined && cam[key] !== null) camera[key] = key === "pivot" ? {x: 0, y: 0, z: 0, ...cam[key]} : cam[key];
+    }
+    return camera;
+}
+
+// Upgrades from version N to N + 1.
+const PROJECT_MIGRATIONS = {
+    // v1 (CLI scene format, no version field): `mesh` is a file path and
+    // `scale` may be a single number.
+    1: (json) => {
+        const meshes = [];
+        const bySource = new Map();
+        const objects = (json.objects || []).map(o => {
+            let mesh = null;
+            if (typeof o.mesh === "string") {
+                if (!bySource.has(o.mesh)) {
+                    bySource.set(o.mesh, meshes.length);
+                    meshes.push({source: o.mesh});
+                }
+                mesh = bySource.get(o.mesh);
+            }
+            const s = o.scale;
+            return {
+                ...o,
+                name: o.name || (typeof o.mesh === "string" ? o.mesh.split(/[\\/]/).pop() : undefined),
+                mesh,
+                scale: typeof s === "number" ? {x: s, y: s, z: s} : s,
+                texture: o.texture === "checker" ? "checker" : null,
+            };
+        });
+        return {...json, version: 2, meshes, textures: [], objects};
+    },
+};
+
+// Bring parsed project JSON up to PROJECT_VERSION (returns a new object).
+function migrateProject(json) {
+    if (!json || typeof json !== "object" || Array.isArray(json)) throw new Error("Project file must be a JSON object");
+    let version = json.version === undefined ? 1 : json.version;
+    if (!Number.isInteger(version) || version < 1) throw new Error(`Invalid project version ${JSON.stringify(json.version)}`);
+    if (version > PROJECT_VERSION) {
+        throw new Error(`Project version ${version} is newer than this viewer supports (${PROJECT_VERSION})`);
+    }
+    while (version < PROJECT_VERSION) {
+        json = PROJECT_MIGRATIONS[version](json);
+        version = json.version;
+    }
+    return json;
+}
+
+// Mesh paths a project references, after migration; load these before
+// restoreProject().
+function projectMeshSources(json) {
+    return migrateProject(json).meshes.filter(m => m.source !== undefined).map(m => m.source);
+}
+
+function deserializeTexture(t) {
+    return {name: t.name, width: t.width, height: t.height, data: new Uint8ClampedArray(base64ToBytes(t.data).buffer)};
+}
+
+// Rebuild scene objects. options.resolveMesh(source) returns {mesh, materials}
+// for referenced meshes (materials are the defaults for objects that don't
+// store their own); options.checker is the checkerboard texture.
+function restoreProject(json, options = {}) {
+    json = migrateProject(json);
+    const textures = (json.textures || []).map(deserializeTexture);
+    const texture = (ref) => ref === "checker" ? (options.checker || null) : typeof ref === "number" ? (textures[ref] || null) : null;
+    const meshes = (json.meshes || []).map(m => {
+        if (m.source === undefined) return {mesh: deserializeMesh(m), materials: []};
+        if (!options.resolveMesh) throw new Error(`No loader for mesh ${m.source}`);
+        return options.resolveMesh(m.source);
+    });
+
+    // Simplified levels, shared by objects with the same mesh and settings
+    // (as when they were generated together).
+    const render = json.render || {};
+    const smoothingAngle = render.smoothingAngle == null ? 60 : render.smoothingAngle;
+    const levelSets = new Map(); // "mesh index|ratios|preserveBoundary" -> meshes
+    const levelsOfDetail = (o, mesh) => {
+        const saved = o.lod;
+        const key = `${o.mesh}|${saved.ratios.join(",")}|${saved.preserveBoundary !== false}`;
+        if (!levelSets.has(key)) {
+            const {meshes: levels} = createLevelsOfDetail(mesh, saved.ratios, {preserveBoundary: saved.preserveBoundary});
+            for (const level of levels) {
+                if (level !== mesh && level.autoNormals) computeVertexNormals(level, smoothingAngle);
+            }
+            levelSets.set(key, levels);
+        }
+        const levels = levelSets.get(key);
+        return {
+            meshes: levels,
+            ratios: [...saved.ratios],
+            preserveBoundary: saved.preserveBoundary !== false,
+            level: Math.min(Math.max(0, saved.level | 0), levels.length - 1),
+            auto: !!saved.auto,
+            distance: saved.distance > 0 ? saved.distance : 5,
+        };
+    };
+
+    const objects = (json.objects || []).map((o, idx) => {
+        const entry = typeof o.mesh === "number" ? meshes[o.mesh] : null;
+        if (typeof o.mesh === "number" && !entry) throw new Error(`Object "${o.name}" references missing mesh ${o.mesh}`);
+        const materials = o.materials ? o.materials.map(m => ({...m, texture: texture(m.texture)})) :
+            (entry ? entry.materials.map(m => ({...m})) : []);
+        const obj = {
+            id: o.id !== undefined ? o.id : idx + 1,
+            parentId: o.parent !== undefined ? o.parent : null,
+            name: o.name || (entry ? `Object ${idx + 1}` : o.light ? `Light ${idx + 1}` : `Group ${idx + 1}`),
+            mesh: entry ? entry.mesh : null,
+            materials,
+            position: {x: 0, y: 0, z: 0, ...o.position},
+            rotation: {x: 0, y: 0, z: 0, ...o.rotation},
+            scale: {x: 1, y: 1, z: 1, ...o.scale},
+            color: o.color || {r: 0, g: 255, b: 0},
+            texture: texture(o.texture),
+            textureFilter: o.textureFilter,
+            textureWrap: o.textureWrap,
+            unlit: !!o.unlit,
+        };
+        if (o.quaternion) obj.quaternion = {...o.quaternion};
+        if (o.castShadows === false) obj.castShadows = false;
+        if (o.receiveShadows === false) obj.receiveShadows = false;
+        if (o.light) obj.light = createLight(o.light.type, o.light);
+        if (o.lod && obj.mesh && Array.isArray(o.lod.ratios)) {
+            obj.lod = levelsOfDetail(o, obj.mesh);
+            obj.mesh = obj.lod.meshes[obj.lod.level];
+        }
+        return obj;
+    });
+    for (const obj of objects) {
+        if (obj.parentId !== null && !objects.some(o => o.id === obj.parentId)) {
+            throw new Error(`Object "${obj.name}" has unknown parent ${JSON.stringify(obj.parentId)}`);
+        }
+    }
+
+    return {
+        objects,
+        camera: deserializeCamera(json.camera),
+        render,
+        lighting: json.lighting || null,
+        animation: json.animation || null,
+        bookmarks: (json.bookmarks || []).map(b => ({name: b.name, camera: deserializeCamera(b.camera)})),
+    };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        PROJECT_VERSION,
+        base64ToBytes,
+        serializeMesh,
+        deserializeMesh,
+        serializeProject,
+        migrateProject,
+        projectMeshSources,
+        restoreProject,
+    };
+}
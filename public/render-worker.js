@@ -0,0 +1,9 @@
+// Render worker: builds and rasterizes one band of each frame for the pool in tiles.js.
+importScripts("math.js", "core.js", "tiles.js");
+
+const renderer = createTileRenderer();
+
+onmessage = (e) => {
+    const {reply, transfer} = renderTileJob(renderer, e.data);
+    postMessage(reply, transfer);
+};
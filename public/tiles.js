@@ -0,0 +1,437 @@
+// Tile-based parallel rendering. Each render worker (render-worker.js) keeps
+// its own copy of the scene's meshes and textures and runs the whole
+// pipeline for one horizontal band of the screen: transform, lighting,
+// shadow maps (buildTriangles with `rows`), clipping, binning into square
+// tiles and rasterizing those. The main thread only sends what changes per
+// frame and composites the finished tiles. DOM-free: the pool only needs
+// something Worker-shaped, so Node tests drive it with in-process workers.
+//
+// Meshes go to each worker once, as transferred typed arrays (packMesh);
+// later frames refer to them by id. A frame job carries the objects'
+// transforms and materials, the camera, lighting and render options:
+//   {frame, background, viewport, rows: [top, bottom), options, camera,
+//    lighting, objects, materials, meshes (new to this worker), evict (mesh
+//    ids to drop), textures (new to this worker)}
+// Shadow maps are built by every worker for itself rather than shipped.
+
+// Node: pull in the core (in the browser and in workers core.js is loaded first).
+if (typeof module !== "undefined" && module.exports) {
+    var {
+        clipTriangleToScreen, createFramebuffer, clearFramebuffer, rasterizeTriangle, drawOrder, buildTriangles,
+        updateSceneMatrices, cameraViewMatrix, meshBVH, boxInFrustum,
+    } = require("./core.js");
+}
+
+const TILE_SIZE = 64;
+
+// Clip a buildTriangles() list to the screen in draw order (see
+// rasterizeTriangles): [{A, B, C, tri}], polygons split into fans. Marks
+// triangles with `visible` like rasterizeTriangles does.
+function screenTriangles(tris, viewport) {
+    const out = [];
+    for (const tri of drawOrder(tris)) {
+        const pts = clipTriangleToScreen(tri, viewport);
+        for (let i = 1; i + 1 < pts.length; i++) out.push({A: pts[0], B: pts[i], C: pts[i + 1], tri});
+        tri.visible = pts.length >= 3;
+    }
+    return out;
+}
+
+// Tiles covering width x height, each listing (in draw order) the screen
+// triangles whose bounding box touches it: [{x0, y0, width, height, tris}].
+function binTriangles(list, width, height, tileSize = TILE_SIZE) {
+    const cols = Math.ceil(width / tileSize);
+    const rows = Math.ceil(height / tileSize);
+    const tiles = [];
+    for (let ty = 0; ty < rows; ty++) {
+        for (let tx = 0; tx < cols; tx++) {
+            const x0 = tx * tileSize;
+            const y0 = ty * tileSize;
+            tiles.push({x0, y0, width: Math.min(tileSize, width - x0), height: Math.min(tileSize, height - y0), tris: []});
+        }
+    }
+    for (let i = 0; i < list.length; i++) {
+        const {A, B, C} = list[i];
+        // Same pixel range the rasterizer scans.
+        const minX = Math.max(0, Math.floor(Math.min(A.x, B.x, C.x)));
+        const maxX = Math.min(width - 1, Math.ceil(Math.max(A.x, B.x, C.x)));
+        const minY = Math.max(0, Math.floor(Math.min(A.y, B.y, C.y)));
+        const maxY = Math.min(height - 1, Math.ceil(Math.max(A.y, B.y, C.y)));
+        if (!(minX <= maxX && minY <= maxY)) continue;
+        for (let ty = Math.floor(minY / tileSize); ty <= Math.floor(maxY / tileSize); ty++) {
+            for (let tx = Math.floor(minX / tileSize); tx <= Math.floor(maxX / tileSize); tx++) {
+                tiles[ty * cols + tx].tris.push(i);
+            }
+        }
+    }
+    return tiles;
+}
+
+// -------- Mesh Transfer --------
+// The mesh arrays the renderer reads. A mesh whose arrays were swapped for
+// new ones (e.g. recomputed normals) is sent again under a new id.
+const MESH_ARRAYS = ["vs", "fs", "ns", "fns", "uvs", "fts", "cs", "fms", "bounds"];
+
+// A mesh as typed arrays, plus the list of buffers to transfer. Points are
+// Float64Array so workers see exactly the main thread's numbers; face lists
+// are corner counts (-1: no entry for that face) and flat indices; face
+// materials are indices into `values`.
+function packMesh(mesh) {
+    const buffers = [];
+    const points = (list, keys) => {
+        if (!list) return null;
+        const out = new Float64Array(list.length * keys.length);
+        list.forEach((p, i) => keys.forEach((k, j) => { out[i * keys.length + j] = p ? p[k] : NaN; }));
+        buffers.push(out.buffer);
+        return out;
+    };
+    const faces = (list) => {
+        if (!list) return null;
+        const counts = new Int32Array(list.length);
+        let size = 0;
+        list.forEach((f, i) => {
+            counts[i] = f ? f.length : -1;
+            size += f ? f.length : 0;
+        });
+        const indices = new Int32Array(size);
+        let o = 0;
+        for (const f of list) {
+            if (!f) continue;
+            indices.set(f, o);
+            o += f.length;
+        }
+        buffers.push(counts.buffer, indices.buffer);
+        return {counts, indices};
+    };
+    let fms = null;
+    if (mesh.fms) {
+        const values = [];
+        const indices = Int32Array.from(mesh.fms, (m) => {
+            if (m === undefined || m === null) return -1;
+            if (!values.includes(m)) values.push(m);
+            return values.indexOf(m);
+        });
+        buffers.push(indices.buffer);
+        fms = {values, indices};
+    }
+    return {
+        packed: {
+            vs: points(mesh.vs, ["x", "y", "z"]),
+            fs: faces(mesh.fs),
+            ns: points(mesh.ns, ["x", "y", "z"]),
+            fns: faces(mesh.fns),
+            uvs: points(mesh.uvs, ["u", "v"]),
+            fts: faces(mesh.fts),
+            cs: points(mesh.cs, ["r", "g", "b"]),
+            fms,
+            bounds: mesh.bounds || null,
+        },
+        transfer: buffers,
+    };
+}
+
+// Worker side: the mesh object packMesh() was given (the arrays it reads).
+function unpackMesh(packed) {
+    const points = (arr, keys, optional) => {
+        if (!arr) return undefined;
+        const out = [];
+        for (let o = 0; o < arr.length; o += keys.length) {
+            if (optional && Number.isNaN(arr[o])) {
+                out.push(null);
+                continue;
+            }
+            const p = {};
+            keys.forEach((k, j) => { p[k] = arr[o + j]; });
+            out.push(p);
+        }
+        return out;
+    };
+    const faces = (list) => {
+        if (!list) return undefined;
+        const out = [];
+        let o = 0;
+        for (const n of list.counts) {
+            if (n < 0) {
+                out.push(null);
+                continue;
+            }
+            out.push(Array.from(list.indices.subarray(o, o + n)));
+            o += n;
+        }
+        return out;
+    };
+    const mesh = {vs: points(packed.vs, ["x", "y", "z"]), fs: faces(packed.fs)};
+    if (packed.ns) mesh.ns = points(packed.ns, ["x", "y", "z"]);
+    if (packed.fns) mesh.fns = faces(packed.fns);
+    if (packed.uvs) mesh.uvs = points(packed.uvs, ["u", "v"]);
+    if (packed.fts) mesh.fts = faces(packed.fts);
+    if (packed.cs) mesh.cs = points(packed.cs, ["r", "g", "b"], true);
+    if (packed.fms) mesh.fms = Array.from(packed.fms.indices, i => (i < 0 ? undefined : packed.fms.values[i]));
+    if (packed.bounds) mesh.bounds = packed.bounds;
+    return mesh;
+}
+
+// -------- Render Worker --------
+// Worker state: meshes and textures by id, kept across frames.
+function createTileRenderer() {
+    return {meshes: new Map(), textures: new Map()};
+}
+
+// The job's scene with mesh, texture and material references resolved.
+function jobScene(renderer, job) {
+    const texture = (id) => (id === null ? null : renderer.textures.get(id));
+    const materials = job.materials.map(m => ({...m, texture: texture(m.texture)}));
+    const objects = job.objects.map((o) => {
+        const obj = {...o, mesh: o.mesh === null ? null : renderer.meshes.get(o.mesh), texture: texture(o.texture)};
+        if (Array.isArray(o.materials)) obj.materials = o.materials.map(i => materials[i]);
+        else if (o.materials) obj.materials = Object.fromEntries(Object.entries(o.materials).map(([name, i]) => [name, materials[i]]));
+        return obj;
+    });
+    return {objects, camera: job.camera, lighting: job.lighting};
+}
+
+// Handle one frame job (see renderPoolFrame): build and rasterize the
+// job's band. Returns the reply and the buffers to transfer with it. The
+// reply's `drawn` counts the visible triangles whose top row is in the band,
+// so the bands' counts add up to the whole frame's.
+function renderTileJob(renderer, job) {
+    for (const tex of job.textures) renderer.textures.set(tex.id, tex);
+    for (const id of job.evict) renderer.meshes.delete(id);
+    for (const mesh of job.meshes) renderer.meshes.set(mesh.id, unpackMesh(mesh));
+
+    const {viewport, rows: [top, bottom]} = job;
+    const tris = buildTriangles(jobScene(renderer, job), viewport, {...job.options, rows: job.rows});
+    const list = screenTriangles(tris, viewport);
+
+    const firstRow = new Map();
+    for (const {A, B, C, tri} of list) {
+        const y = Math.min(A.y, B.y, C.y, firstRow.has(tri) ? firstRow.get(tri) : Infinity);
+        firstRow.set(tri, y);
+    }
+    let drawn = 0;
+    for (const y of firstRow.values()) {
+        const row = Math.min(viewport.height - 1, Math.max(0, Math.floor(y)));
+        if (row >= top && row < bottom) drawn++;
+    }
+
+    const tiles = binTriangles(list, viewport.width, viewport.height)
+        .filter(tile => tile.tris.length && tile.y0 >= top && tile.y0 < bottom)
+        .map(tile => {
+            const fb = createFramebuffer(tile.width, tile.height);
+            fb.x0 = tile.x0;
+            fb.y0 = tile.y0;
+            clearFramebuffer(fb, job.background);
+            for (const i of tile.tris) {
+                const t = list[i];
+                rasterizeTriangle(fb, t.A, t.B, t.C, t.tri.shader, t.tri.alpha);
+            }
+            return {x0: tile.x0, y0: tile.y0, width: tile.width, height: tile.height, color: fb.color};
+        });
+    return {
+        reply: {frame: job.frame, tiles, drawn},
+        transfer: tiles.map(t => t.color.buffer),
+    };
+}
+
+// Copy a rendered tile into the frame.
+function compositeTile(fb, tile) {
+    const rowBytes = tile.width * 4;
+    for (let y = 0; y < tile.height; y++) {
+        const src = y * rowBytes;
+        fb.color.set(tile.color.subarray(src, src + rowBytes), ((tile.y0 + y) * fb.width + tile.x0) * 4);
+    }
+}
+
+// -------- Worker Pool --------
+// Frames a mesh may go unused before workers drop their copy of it (so
+// switching LOD levels back and forth doesn't resend it every time).
+const MESH_KEEP_FRAMES = 120;
+
+// createWorker() returns a Worker (or anything with postMessage, onmessage
+// and onerror). A worker error marks the pool `failed`; callers then fall
+// back to rendering on their own thread.
+function createRenderPool(createWorker, size) {
+    const pool = {
+        workers: [], busy: false, failed: false, frame: 0, pending: null,
+        textureIds: new Map(), meshIds: new WeakMap(), meshCount: 0,
+    };
+    for (let i = 0; i < size; i++) {
+        const worker = createWorker();
+        worker.sentTextures = new Set();
+        worker.sentMeshes = new Map(); // id -> frame it was last used
+        worker.onmessage = (e) => {
+            const pending = pool.pending;
+            if (!pending || e.data.frame !== pool.frame) return;
+            pending.tiles.push(...e.data.tiles);
+            pending.stats.drawn += e.data.drawn;
+            if (--pending.waiting === 0) {
+                pool.pending = null;
+                pool.busy = false;
+                pending.resolve({tiles: pending.tiles, stats: pending.stats});
+            }
+        };
+        worker.onerror = (e) => {
+            pool.failed = true;
+            pool.busy = false;
+            const pending = pool.pending;
+            pool.pending = null;
+            if (pending) pending.reject(new Error(`Render worker failed: ${(e && e.message) || "unknown error"}`));
+        };
+        pool.workers.push(worker);
+    }
+    return pool;
+}
+
+function terminateRenderPool(pool) {
+    for (const worker of pool.workers) {
+        if (worker.terminate) worker.terminate();
+    }
+    pool.workers = [];
+    pool.failed = true;
+}
+
+function poolMeshId(pool, mesh) {
+    let entry = pool.meshIds.get(mesh);
+    if (!entry || MESH_ARRAYS.some(k => entry.arrays[k] !== mesh[k])) {
+        entry = {id: ++pool.meshCount, arrays: Object.fromEntries(MESH_ARRAYS.map(k => [k, mesh[k]]))};
+        pool.meshIds.set(mesh, entry);
+    }
+    return entry.id;
+}
+
+function poolTextureId(pool, tex) {
+    if (!tex) return null;
+    if (!pool.textureIds.has(tex)) pool.textureIds.set(tex, pool.textureIds.size + 1);
+    return pool.textureIds.get(tex);
+}
+
+// The per-frame part of the scene as plain data: objects refer to meshes,
+// textures and the frame's shared material list by id/index (-1: none).
+function frameScene(pool, objects) {
+    const meshes = new Map(); // id -> mesh
+    const textures = new Set();
+    const materials = [];
+    const materialIndex = new Map();
+    const material = (mat) => {
+        if (!materialIndex.has(mat)) {
+            materialIndex.set(mat, materials.length);
+            if (mat.texture) textures.add(mat.texture);
+            materials.push({...mat, texture: poolTextureId(pool, mat.texture)});
+        }
+        return materialIndex.get(mat);
+    };
+    const list = objects.map((obj) => {
+        let mesh = null;
+        if (obj.mesh && obj.mesh.vs && obj.mesh.fs) {
+            mesh = poolMeshId(pool, obj.mesh);
+            meshes.set(mesh, obj.mesh);
+        }
+        if (obj.texture) textures.add(obj.texture);
+        let mats = obj.materials;
+        if (Array.isArray(mats)) mats = mats.map(m => (m ? material(m) : -1));
+        else if (mats) mats = Object.fromEntries(Object.entries(mats).map(([name, m]) => [name, m ? material(m) : -1]));
+        return {
+            id: obj.id, parentId: obj.parentId,
+            position: obj.position, rotation: obj.rotation, quaternion: obj.quaternion, scale: obj.scale,
+            mesh, color: obj.color, texture: poolTextureId(pool, obj.texture), materials: mats,
+            textureFilter: obj.textureFilter, textureWrap: obj.textureWrap, unlit: obj.unlit,
+            castShadows: obj.castShadows, receiveShadows: obj.receiveShadows, light: obj.light,
+        };
+    });
+    return {objects: list, materials, meshes, textures};
+}
+
+// Per-object counts of the frame (see buildTriangles' stats). Every band
+// goes through every object, so these are taken once here rather than
+// added up from the workers; the BVH roots decide what is in view.
+function objectCounts(scene, viewport) {
+    const objects = scene.objects || [];
+    updateSceneMatrices(objects, cameraViewMatrix(scene.camera), viewport.projection);
+    const counts = {objects: 0, culledObjects: 0, submitted: 0};
+    for (const obj of objects) {
+        if (!obj.mesh || !obj.mesh.vs || !obj.mesh.fs) continue;
+        counts.objects++;
+        counts.submitted += obj.mesh.fs.length;
+        const root = meshBVH(obj.mesh).root;
+        if (!root || !boxInFrustum(obj.matrices.mvp, root.min, root.max)) counts.culledObjects++;
+    }
+    return counts;
+}
+
+// Render `scene` ({objects, camera, lighting}, as for buildTriangles) on the
+// pool, one band of tile rows per worker. options: buildTriangles options
+// + {background}. Resolves with {tiles: [{x0, y0, width, height, color}]
+// (see compositeTile), stats: {objects, culledObjects, submitted, drawn}};
+// tiles nobody drew on are left out, so clear the frame to the background
+// first. One frame at a time: check `pool.busy` before calling.
+function renderPoolFrame(pool, scene, viewport, options = {}) {
+    if (pool.busy) return Promise.reject(new Error("Render pool is busy"));
+    if (pool.failed) return Promise.reject(new Error("Render pool has failed"));
+    const {background = {r: 0x10, g: 0x10, b: 0x10}, ...buildOptions} = options;
+    const frameData = frameScene(pool, scene.objects || []);
+    const tileRows = Math.ceil(viewport.height / TILE_SIZE);
+    const bands = Math.min(pool.workers.length, tileRows);
+
+    pool.frame++;
+    pool.busy = true;
+    return new Promise((resolve, reject) => {
+        pool.pending = {tiles: [], stats: {...objectCounts(scene, viewport), drawn: 0}, waiting: bands, resolve, reject};
+        for (let w = 0; w < bands; w++) {
+            const worker = pool.workers[w];
+            const rows = [w, w + 1].map(k => Math.min(viewport.height, Math.round(k * tileRows / bands) * TILE_SIZE));
+            const meshes = [];
+            const transfer = [];
+            for (const [id, mesh] of frameData.meshes) {
+                if (!worker.sentMeshes.has(id)) {
+                    const {packed, transfer: buffers} = packMesh(mesh);
+                    meshes.push({id, ...packed});
+                    transfer.push(...buffers);
+                }
+                worker.sentMeshes.set(id, pool.frame);
+            }
+            const evict = [];
+            for (const [id, used] of worker.sentMeshes) {
+                if (pool.frame - used > MESH_KEEP_FRAMES) evict.push(id);
+            }
+            for (const id of evict) worker.sentMeshes.delete(id);
+            const fresh = [...frameData.textures].filter(tex => !worker.sentTextures.has(tex));
+            for (const tex of fresh) worker.sentTextures.add(tex);
+            worker.postMessage({
+                frame: pool.frame,
+                background,
+                viewport,
+                rows,
+                options: buildOptions,
+                camera: scene.camera,
+                lighting: scene.lighting,
+                objects: frameData.objects,
+                materials: frameData.materials,
+                meshes,
+                evict,
+                textures: fresh.map(tex => ({id: pool.textureIds.get(tex), width: tex.width, height: tex.height, data: tex.data})),
+            }, transfer);
+        }
+        if (bands === 0) {
+            const {stats} = pool.pending;
+            pool.pending = null;
+            pool.busy = false;
+            resolve({tiles: [], stats});
+        }
+    });
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        TILE_SIZE,
+        screenTriangles,
+        binTriangles,
+        packMesh,
+        unpackMesh,
+        createTileRenderer,
+        renderTileJob,
+        compositeTile,
+        createRenderPool,
+        terminateRenderPool,
+        renderPoolFrame,
+    };
+}
@@ -0,0 +1,78 @@
+// Minimal zip writer (stored entries, no compression, no dependencies), for
+// bundling rendered frames into one download. Entries carry a fixed
+// timestamp so the same files always give the same archive.
+
+// Node: pull in the CRC (in the browser png.js is loaded first).
+if (typeof module !== "undefined" && module.exports) {
+    var {crc32} = require("./png.js");
+}
+
+const ZIP_DOS_TIME = 0;              // 00:00:00
+const ZIP_DOS_DATE = (1 << 5) | 1;   // 1980-01-01
+
+// files: [{name, data: Uint8Array}]. Returns the .zip file as bytes.
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const entries = files.map(f => ({name: encoder.encode(f.name), data: f.data, crc: crc32(f.data)}));
+    const size = entries.reduce((n, e) => n + 30 + e.name.length + e.data.length + 46 + e.name.length, 22);
+    const out = new Uint8Array(size);
+    const view = new DataView(out.buffer);
+    let o = 0;
+
+    // Fields shared by the local header (from `version needed`) and the
+    // central directory entry.
+    const common = (e) => {
+        view.setUint16(o, 20, true);                 // version needed: 2.0
+        view.setUint16(o + 2, 0x0800, true);         // flags: UTF-8 names
+        view.setUint16(o + 4, 0, true);              // method: stored
+        view.setUint16(o + 6, ZIP_DOS_TIME, true);
+        view.setUint16(o + 8, ZIP_DOS_DATE, true);
+        view.setUint32(o + 10, e.crc, true);
+        view.setUint32(o + 14, e.data.length, true); // compressed size
+        view.setUint32(o + 18, e.data.length, true); // uncompressed size
+        view.setUint16(o + 22, e.name.length, true);
+        view.setUint16(o + 24, 0, true);             // extra field length
+        o += 26;
+    };
+
+    for (const e of entries) {
+        e.offset = o;
+        view.setUint32(o, 0x04034b50, true);
+        o += 4;
+        common(e);
+        out.set(e.name, o);
+        o += e.name.length;
+        out.set(e.data, o);
+        o += e.data.length;
+    }
+
+    const directory = o;
+    for (const e of entries) {
+        view.setUint32(o, 0x02014b50, true);
+        view.setUint16(o + 4, 20, true); // version made by
+        o += 6;
+        common(e);
+        view.setUint16(o, 0, true);      // comment length
+        view.setUint16(o + 2, 0, true);  // disk number
+        view.setUint16(o + 4, 0, true);  // internal attributes
+        view.setUint32(o + 6, 0, true);  // external attributes
+        view.setUint32(o + 10, e.offset, true);
+        o += 14;
+        out.set(e.name, o);
+        o += e.name.length;
+    }
+
+    view.setUint32(o, 0x06054b50, true); // end of central directory
+    view.setUint16(o + 4, 0, true);
+    view.setUint16(o + 6, 0, true);
+    view.setUint16(o + 8, entries.length, true);
+    view.setUint16(o + 10, entries.length, true);
+    view.setUint32(o + 12, o - directory, true);
+    view.setUint32(o + 16, directory, true);
+    view.setUint16(o + 20, 0, true);
+    return out;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {createZip};
+}
@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const anim = require("../public/animation.js");
+const {sceneObject} = require("./helpers/scene.js");
+
+test("keys are sorted, replaced at the same frame and removed per target", () => {
+    const timeline = anim.createTimeline();
+    anim.setKeyframe(timeline, 1, "position", 10, {x: 1, y: 0, z: 0});
+    anim.setKeyframe(timeline, 1, "position", 0, {x: 0, y: 0, z: 0});
+    anim.setKeyframe(timeline, 1, "position", 10, {x: 2, y: 0, z: 0}, "ease");
+    const [track] = timeline.tracks;
+    assert.deepEqual(track.keys.map(k => [k.frame, k.value.x, k.interpolation]), [[0, 0, "linear"], [10, 2, "ease"]]);
+    assert.throws(() => anim.setKeyframe(timeline, 1, "position", 5, {x: 0, y: 0, z: 0}, "cubic"), /Unknown interpolation/);
+
+    const cam = {position: {x: 0, y: 0, z: -6}, yaw: 0, pitch: 0, fov: 60};
+    assert.equal(anim.keyTarget(timeline, "camera", cam, 10), 4); // no pivot or orthoHeight to key
+    assert.deepEqual(anim.keyframeFrames(timeline), [0, 10]);
+    assert.deepEqual(anim.keyframeFrames(timeline, ["camera"]), [10]);
+
+    assert.equal(anim.removeKeyframes(timeline, "camera", 10), 4);
+    assert.deepEqual(timeline.tracks.map(t => t.target), [1]);
+});
+
+test("linear, ease and bezier segments", () => {
+    const timeline = anim.createTimeline();
+    const track = (interpolation, handles) => {
+        timeline.tracks = [];
+        anim.setKeyframe(timeline, 1, "x", 0, 0, interpolation, handles);
+        anim.setKeyframe(timeline, 1, "x", 10, 100);
+        return timeline.tracks[0];
+    };
+    assert.equal(anim.sampleTrack(track("linear"), 2.5), 25);
+    assert.equal(anim.sampleTrack(track("ease"), 5), 50);
+    assert.ok(anim.sampleTrack(track("ease"), 1) < 10);
+    assert.ok(Math.abs(anim.sampleTrack(track("bezier", [0, 0, 1, 1]), 3) - 30) < 1e-6); // straight handles: linear
+    assert.ok(anim.sampleTrack(track("bezier", [0.9, 0, 1, 0.1]), 5) < 10); // slow start
+    assert.equal(anim.sampleTrack(track("linear"), -5), 0); // held outside the keys
+    assert.equal(anim.sampleTrack(track("linear"), 50), 100);
+    assert.ok(Math.abs(anim.cubicBezier(anim.DEFAULT_BEZIER, 0.5) - 0.8024) < 1e-3); // CSS "ease"
+});
+
+test("applyTimeline poses objects and the camera", () => {
+    const a = sceneObject("a", null, {id: 1});
+    const b = sceneObject("b", null, {id: 2});
+    const camera = {position: {x: 0, y: 0, z: -6}, yaw: 0, pitch: 0};
+    const timeline = anim.createTimeline();
+    anim.setKeyframe(timeline, 1, "rotation", 0, {x: 0, y: 0, z: 0});
+    anim.setKeyframe(timeline, 1, "rotation", 96, {x: 0, y: 2 * Math.PI, z: 0});
+    anim.setKeyframe(timeline, 1, "color", 0, {r: 0, g: 0, b: 0});
+    anim.setKeyframe(timeline, 1, "color", 96, {r: 255, g: 100, b: 1});
+    anim.setKeyframe(timeline, "camera", "yaw", 0, 0);
+    anim.setKeyframe(timeline, "camera", "yaw", 96, 1);
+    anim.setKeyframe(timeline, 99, "position", 0, {x: 5, y: 5, z: 5}); // deleted object
+
+    anim.applyTimeline(timeline, 72, {objects: [a, b], camera});
+    assert.equal(a.rotation.y, 1.5 * Math.PI); // past π: Euler keys turn the long way
+    assert.ok(Math.abs(a.quaternion.y + Math.SQRT1_2) < 1e-12);
+    assert.deepEqual(a.color, {r: 191, g: 75, b: 1});
+    assert.equal(camera.yaw, 0.75);
+    assert.deepEqual(b.position, {x: 0, y: 0, z: 0});
+});
+
+test("playback time wraps when looping, and sequence names are numbered", () => {
+    const timeline = anim.createTimeline({fps: 10, start: 10, end: 30});
+    assert.equal(anim.timelineFrameAt(timeline, 10, 1), 20);
+    assert.equal(anim.timelineFrameAt(timeline, 25, 1), 15);
+    timeline.loop = false;
+    assert.equal(anim.timelineFrameAt(timeline, 25, 1), 30);
+
+    assert.equal(anim.sequenceFileName("shot_####.png", 12), "shot_0012.png");
+    assert.equal(anim.sequenceFileName("out/frame.png", 3), "out/frame_0003.png");
+    assert.equal(anim.sequenceFileName("frames", 123456), "frames_123456");
+});
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const core = require("../public/core.js");
+const {vsub, vlen} = core;
+const {near} = require("./helpers/assert.js");
+
+function camera(props = {}) {
+    return {position: {x: 0, y: 0.5, z: -6}, yaw: 0, pitch: 0, ...props};
+}
+
+test("orbiting keeps the distance and the pivot straight ahead", () => {
+    const cam = camera({pivot: {x: 0, y: 0.5, z: 0}});
+    core.orbitCamera(cam, 0.7, 0.4);
+    assert.ok(Math.abs(vlen(vsub(cam.position, cam.pivot)) - 6) < 1e-9);
+    near(core.cameraForward(cam), core.vnormalize(vsub(cam.pivot, cam.position)));
+
+    core.orbitCamera(cam, 0, 10); // stops short of the pole
+    assert.ok(cam.pitch < Math.PI / 2);
+
+    core.panCamera(cam, 1, 0);
+    assert.ok(Math.abs(vlen(vsub(cam.position, cam.pivot)) - 6) < 1e-9);
+});
+
+test("zooming moves toward the target; orthographic zoom shrinks the view", () => {
+    const cam = camera({pivot: {x: 0, y: 0.5, z: 0}});
+    const target = {x: 1, y: 0.5, z: 0};
+    core.zoomCamera(cam, 0.5, target);
+    near(cam.position, {x: 0.5, y: 0.5, z: -3});
+    near(cam.pivot, {x: 0.5, y: 0.5, z: 0});
+
+    const ortho = camera({projection: "orthographic", orthoHeight: 4});
+    core.zoomCamera(ortho, 0.5, target);
+    assert.equal(ortho.orthoHeight, 2);
+    assert.equal(ortho.position.z, -6); // no dolly, only a sideways shift
+    assert.ok(Math.abs(ortho.position.x - 0.5) < 1e-9);
+});
+
+test("standard views and framing", () => {
+    const cam = camera();
+    core.setStandardView(cam, "right");
+    near(core.cameraForward(cam), {x: -1, y: 0, z: 0}, 1e-12);
+    core.setStandardView(cam, "top");
+    near(core.cameraForward(cam), {x: 0, y: -1, z: 0}, 1e-12);
+    assert.throws(() => core.setStandardView(cam, "sideways"), /Unknown view/);
+
+    core.setStandardView(cam, "front");
+    core.frameBounds(cam, {min: {x: 9, y: -1, z: -1}, max: {x: 11, y: 1, z: 1}}, 1);
+    near(cam.pivot, {x: 10, y: 0, z: 0});
+    const radius = Math.sqrt(3);
+    assert.ok(cam.position.z < -radius / Math.sin(Math.PI / 4) + 1e-9); // whole sphere inside the 90° lens
+});
+
+test("the viewport follows the camera's lens and projection", () => {
+    const wide = core.createViewport(8, 8, camera({fov: 120}));
+    assert.ok(Math.abs(wide.fov - 2 * Math.PI / 3) < 1e-12);
+    assert.equal(core.createViewport(8, 8).fov, Math.PI / 2);
+
+    const ortho = core.createViewport(8, 8, camera({projection: "orthographic", orthoHeight: 2}));
+    assert.equal(core.viewportHeightAt(ortho, 100), 2);
+
+    // A 2x2 quad seen head-on fills an orthoHeight-2 view whatever the distance.
+    const quad = {vs: [{x: -1, y: -1, z: 0}, {x: 1, y: -1, z: 0}, {x: 1, y: 1, z: 0}, {x: -1, y: 1, z: 0}], fs: [[0, 2, 1], [0, 3, 2]]};
+    const obj = {
+        name: "quad", mesh: quad, parentId: null, unlit: true,
+        position: {x: 0, y: 0, z: 0}, rotation: {x: 0, y: 0, z: 0}, scale: {x: 1, y: 1, z: 1},
+        color: {r: 255, g: 255, b: 255},
+    };
+    const fb = core.createFramebuffer(8, 8);
+    core.renderScene(fb, {
+        objects: [obj],
+        camera: camera({position: {x: 0, y: 0, z: -40}, projection: "orthographic", orthoHeight: 2}),
+    }, {shading: "flat"});
+    for (const [x, y] of [[0, 0], [7, 7], [0, 7], [4, 4]]) {
+        assert.equal(fb.color[(y * 8 + x) * 4], 255, `pixel ${x},${y}`);
+    }
+});
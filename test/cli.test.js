@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {loadScene, main} = require("../bin/render.js");
+const {readPNG} = require("./helpers/png.js");
+const {createTimeline, setKeyframe} = require("../public/animation.js");
+const {serializeProject} = require("../public/project.js");
+const {loadAsset, sceneObject} = require("./helpers/scene.js");
+
+const DEFAULT_SCENE = path.join(__dirname, "..", "scenes", "default.json");
+
+test("loadScene resolves meshes relative to the scene file", () => {
+    const {scene, render} = loadScene(DEFAULT_SCENE);
+    assert.deepEqual(scene.objects.map(o => o.name), ["penguin", "cube"]);
+    assert.deepEqual(scene.objects[1].scale, {x: 1.8, y: 1.8, z: 1.8});
+    assert.ok(scene.objects[0].mesh.fs.length > 0);
+    assert.equal(render.shading, "phong");
+});
+
+test("main renders a PNG of the requested size", (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "render-"));
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+    const out = path.join(dir, "frame.png");
+
+    t.mock.method(console, "log", () => {});
+    assert.equal(main([DEFAULT_SCENE, "--out", out, "--width", "64", "--height", "48"]), 0);
+    const png = readPNG(out);
+    assert.equal(png.width, 64);
+    assert.equal(png.height, 48);
+});
+
+test("--frames renders the scene's animation as a numbered sequence", (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "render-"));
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+    const scene = JSON.parse(fs.readFileSync(DEFAULT_SCENE, "utf8"));
+    for (const obj of scene.objects) obj.mesh = path.join(path.dirname(DEFAULT_SCENE), obj.mesh);
+    scene.animation = createTimeline({end: 2});
+    setKeyframe(scene.animation, "camera", "yaw", 0, 0);
+    setKeyframe(scene.animation, "camera", "yaw", 2, 1);
+    const file = path.join(dir, "scene.json");
+    fs.writeFileSync(file, JSON.stringify(scene));
+
+    t.mock.method(console, "log", () => {});
+    assert.equal(main([file, "--out", path.join(dir, "f_##.png"), "--width", "32", "--height", "24", "--frames", "all"]), 0);
+    assert.deepEqual(fs.readdirSync(dir).filter(f => f.endsWith(".png")).sort(), ["f_00.png", "f_01.png", "f_02.png"]);
+    const first = readPNG(path.join(dir, "f_00.png"));
+    assert.notDeepEqual(readPNG(path.join(dir, "f_02.png")).data, first.data);
+
+    // Frames are posed from the keys alone: rendering one again matches.
+    assert.equal(main([file, "--out", path.join(dir, "again.png"), "--width", "32", "--height", "24", "--frames", "0"]), 0);
+    assert.deepEqual(readPNG(path.join(dir, "again_0000.png")).data, first.data);
+});
+
+test("OBJ problems are warned about, or fail the load with --strict", (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "render-"));
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+    fs.writeFileSync(path.join(dir, "tri.obj"), "v 0 0 0\nv 1 0 0\nv 0 1 0\ns off\nf 1 2 3\n");
+    const file = path.join(dir, "scene.json");
+    fs.writeFileSync(file, JSON.stringify({objects: [{name: "tri", mesh: "tri.obj"}]}));
+
+    const warn = t.mock.method(console, "warn", () => {});
+    assert.equal(loadScene(file).scene.objects[0].mesh.fs.length, 1);
+    assert.deepEqual(warn.mock.calls.map(c => c.arguments[0]), [`render: ${path.join(dir, "tri.obj")}:4: unsupported statement "s"`]);
+    assert.throws(() => loadScene(file, {strict: true}), /tri\.obj: line 4: unsupported statement "s"/);
+});
+
+test("scenes saved by the viewer render from any directory", (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "render-"));
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+    // The viewer's bundled meshes keep page-relative sources.
+    const penguin = loadAsset("penguin.obj");
+    penguin.source = "assets/penguin.obj";
+    const camera = {position: {x: 0, y: 0, z: -3}, yaw: 0, pitch: 0};
+    const file = path.join(dir, "saved.json");
+    fs.writeFileSync(file, JSON.stringify(serializeProject({objects: [sceneObject("penguin", penguin, {id: 1})], camera})));
+
+    const {scene} = loadScene(file);
+    assert.equal(scene.objects[0].mesh.fs.length, penguin.fs.length);
+    t.mock.method(console, "log", () => {});
+    const out = path.join(dir, "frame.png");
+    assert.equal(main([file, "--out", out, "--width", "32", "--height", "24"]), 0);
+    assert.equal(readPNG(out).width, 32);
+});
+
+test("main rejects bad arguments with exit code 2", (t) => {
+    t.mock.method(console, "error", () => {});
+    assert.equal(main([]), 2);
+    assert.equal(main([DEFAULT_SCENE, "--width", "-5"]), 2);
+    assert.equal(main([DEFAULT_SCENE, "--bogus"]), 2);
+    assert.equal(main([DEFAULT_SCENE, "--frames", "soon"]), 2);
+});
@@ -0,0 +1,186 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const core = require("../public/core.js");
+const formats = require("../public/formats.js");
+const {sceneObject} = require("./helpers/scene.js");
+
+const text = (s) => new TextEncoder().encode(s);
+
+const ASCII_STL = `solid quad
+  facet normal 0 0 1
+    outer loop
+      vertex 0 0 0
+      vertex 1 0 0
+      vertex 1 1 0
+    endloop
+  endfacet
+  facet normal 0 0 1
+    outer loop
+      vertex 0 0 0
+      vertex 1 1 0
+      vertex 0 1 0
+    endloop
+  endfacet
+endsolid quad
+`;
+
+function binarySTL(tris) {
+    const bytes = new Uint8Array(84 + tris.length * 50);
+    bytes.set(text("solid-looking header"));
+    const view = new DataView(bytes.buffer);
+    view.setUint32(80, tris.length, true);
+    tris.forEach((tri, t) => {
+        tri.forEach((p, k) => {
+            const o = 84 + t * 50 + 12 + k * 12;
+            view.setFloat32(o, p[0], true);
+            view.setFloat32(o + 4, p[1], true);
+            view.setFloat32(o + 8, p[2], true);
+        });
+    });
+    return bytes;
+}
+
+test("STL: ASCII and binary triangles, welded corners", () => {
+    const ascii = formats.parseSTL(text(ASCII_STL));
+    assert.equal(ascii.vs.length, 4);
+    assert.deepEqual(ascii.fs, [[0, 1, 2], [0, 2, 3]]);
+
+    const binary = formats.parseSTL(binarySTL([[[0, 0, 0], [1, 0, 0], [1, 1, 0]], [[0, 0, 0], [1, 1, 0], [0, 1, 0]]]));
+    assert.deepEqual(binary.vs, ascii.vs);
+    assert.deepEqual(binary.fs, ascii.fs);
+});
+
+test("STL: bad vertices skip their facet; a binary size mismatch throws", () => {
+    const warnings = [];
+    const mesh = formats.parseSTL(text(ASCII_STL.replace("vertex 1 1 0\n    endloop\n  endfacet\n  facet", "vertex 1 x 0\n    endloop\n  endfacet\n  facet")), {warnings});
+    assert.deepEqual(mesh.fs, [[0, 1, 2]]);
+    assert.ok(mesh.vs.every(v => Number.isFinite(v.x) && Number.isFinite(v.y)));
+    assert.deepEqual(warnings, [{line: 7, kind: "number", message: "facet with a bad vertex skipped"}]);
+
+    const binary = binarySTL([[[0, 0, 0], [1, 0, 0], [1, 1, 0]], [[0, 0, 0], [NaN, 1, 0], [0, 1, 0]]]);
+    assert.equal(formats.parseSTL(binary).fs.length, 1);
+    assert.throws(() => formats.parseSTL(binary.subarray(0, binary.length - 10)), /Binary STL is 174 bytes, but its 2 triangles need 184/);
+});
+
+test("PLY: ASCII with colors, normals and polygon faces", () => {
+    const mesh = formats.parsePLY(text(`ply
+format ascii 1.0
+comment a quad
+element vertex 4
+property float x
+property float y
+property float z
+property float nx
+property float ny
+property float nz
+property uchar red
+property uchar green
+property uchar blue
+element face 1
+property list uchar int vertex_indices
+element edge 1
+property int vertex1
+property int vertex2
+end_header
+0 0 0 0 0 2 255 0 0
+1 0 0 0 0 2 0 255 0
+1 1 0 0 0 2 0 0 255
+0 1 0 0 0 2 51 51 51
+4 0 1 2 3
+0 2
+`));
+    assert.deepEqual(mesh.fs, [[0, 1, 2], [0, 2, 3]]);
+    assert.deepEqual(mesh.fns, mesh.fs);
+    assert.deepEqual(mesh.ns[0], {x: 0, y: 0, z: 1});
+    assert.deepEqual(mesh.cs[0], {r: 1, g: 0, b: 0});
+    assert.deepEqual(mesh.cs[3], {r: 0.2, g: 0.2, b: 0.2});
+});
+
+test("PLY: binary little-endian; other encodings are rejected", () => {
+    const header = text("ply\nformat binary_little_endian 1.0\nelement vertex 3\nproperty float x\nproperty float y\nproperty float z\n" +
+        "property float red\nproperty float green\nproperty float blue\nelement face 1\nproperty list uchar uint vertex_indices\nend_header\n");
+    const bytes = new Uint8Array(header.length + 3 * 24 + 13);
+    bytes.set(header);
+    const view = new DataView(bytes.buffer);
+    [[0, 0, 0], [2, 0, 0], [0, 2, 0]].forEach((p, i) => {
+        const o = header.length + i * 24;
+        p.forEach((c, k) => view.setFloat32(o + k * 4, c, true));
+        view.setFloat32(o + 12, 0.5, true);
+        view.setFloat32(o + 16, 0.25, true);
+        view.setFloat32(o + 20, 1, true);
+    });
+    const f = header.length + 72;
+    bytes[f] = 3;
+    [0, 1, 2].forEach((vi, k) => view.setUint32(f + 1 + k * 4, vi, true));
+
+    const mesh = formats.parsePLY(bytes);
+    assert.deepEqual(mesh.vs[1], {x: 2, y: 0, z: 0});
+    assert.deepEqual(mesh.fs, [[0, 1, 2]]);
+    assert.deepEqual(mesh.cs[2], {r: 0.5, g: 0.25, b: 1});
+
+    assert.throws(() => formats.parsePLY(text("ply\nformat binary_big_endian 1.0\nend_header\n")), /Unsupported PLY format/);
+    assert.throws(() => formats.parsePLY(bytes.subarray(0, bytes.length - 4)), /ends early/);
+});
+
+test("PLY: 16-bit colors are scaled by the type's maximum", () => {
+    const header = text("ply\nformat binary_little_endian 1.0\nelement vertex 2\nproperty float x\nproperty float y\nproperty float z\n" +
+        "property ushort red\nproperty ushort green\nproperty ushort blue\nend_header\n");
+    const bytes = new Uint8Array(header.length + 2 * 18);
+    bytes.set(header);
+    const view = new DataView(bytes.buffer);
+    [[65535, 0, 32768], [257, 65535, 0]].forEach((rgb, i) => {
+        rgb.forEach((c, k) => view.setUint16(header.length + i * 18 + 12 + k * 2, c, true));
+    });
+    const mesh = formats.parsePLY(bytes);
+    assert.deepEqual(mesh.cs[0], {r: 1, g: 0, b: 32768 / 65535});
+    assert.deepEqual(mesh.cs[1], {r: 257 / 65535, g: 1, b: 0});
+});
+
+test("formats are detected by magic bytes first, then the extension", () => {
+    assert.equal(formats.detectMeshFormat("scan.obj", text("ply\nformat ascii 1.0\nend_header\n")), "ply");
+    assert.equal(formats.detectMeshFormat("scan.dat", text(ASCII_STL)), "stl");
+    assert.equal(formats.detectMeshFormat("scan.bin", binarySTL([[[0, 0, 0], [1, 0, 0], [0, 1, 0]]])), "stl");
+    assert.equal(formats.detectMeshFormat("model.obj", text("# just a comment\n")), "obj");
+    assert.equal(formats.detectMeshFormat("notes.txt", text("v 0 0 0\nf 1 1 1\n")), "obj");
+    assert.equal(formats.detectMeshFormat("notes.txt", text("hello")), null);
+    assert.throws(() => formats.parseMeshFile("notes.txt", text("hello")), /Unrecognized/);
+});
+
+test("STL and PLY exports round-trip, with colors and baked transforms", () => {
+    const mesh = core.normalizeMesh(formats.parseSTL(text(ASCII_STL)));
+    mesh.cs = mesh.vs.map(() => ({r: 1, g: 0.5, b: 0}));
+    const objects = [
+        sceneObject("a", mesh, {position: {x: 3, y: 0, z: 0}}),
+        sceneObject("b", {...mesh, cs: null}, {color: {r: 0, g: 0, b: 255}, scale: {x: 1, y: 1, z: -1}}),
+    ];
+
+    for (const binary of [false, true]) {
+        const stl = formats.exportSTL(objects, {binary});
+        const back = formats.parseSTL(typeof stl === "string" ? text(stl) : stl);
+        assert.equal(back.fs.length, 4);
+        assert.ok(back.vs.some(v => Math.abs(v.x - 3.45) < 1e-6));
+
+        const ply = formats.exportPLY(objects, {binary});
+        const mesh2 = formats.parsePLY(typeof ply === "string" ? text(ply) : ply);
+        assert.equal(mesh2.vs.length, 8);
+        assert.deepEqual(mesh2.cs[0], {r: 1, g: 128 / 255, b: 0});
+        assert.deepEqual(mesh2.cs[4], {r: 0, g: 0, b: 1}); // no vertex colors: the object color
+        assert.deepEqual(mesh2.fs[2], [4, 6, 5]); // mirrored object keeps outward winding
+    }
+
+    const original = formats.parseSTL(text(formats.exportSTL([objects[0]], {space: "original"})));
+    assert.deepEqual(original.vs, formats.parseSTL(text(ASCII_STL)).vs);
+});
+
+test("vertex colors tint the rendered surface", () => {
+    const tri = {vs: [{x: -1, y: -1, z: 0}, {x: 0, y: 1, z: 0}, {x: 1, y: -1, z: 0}], fs: [[0, 1, 2]]};
+    tri.cs = tri.vs.map(() => ({r: 1, g: 0, b: 0}));
+    const fb = core.createFramebuffer(8, 8);
+    core.renderScene(fb, {
+        objects: [sceneObject("tri", tri, {unlit: true, color: {r: 0, g: 255, b: 0}})],
+        camera: {position: {x: 0, y: 0, z: -3}, yaw: 0, pitch: 0},
+    }, {shading: "flat"});
+    const i = (4 * 8 + 4) * 4;
+    assert.deepEqual(Array.from(fb.color.slice(i, i + 3)), [255, 0, 0]);
+});
@@ -0,0 +1,163 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {parseGLTF} = require("../public/gltf.js");
+const {detectMeshFormat} = require("../public/formats.js");
+const {mat4Compose, mat4TransformPoint} = require("../public/math.js");
+const {near} = require("./helpers/assert.js");
+
+// Positions pass through float32 buffers.
+const EPS = 1e-6;
+
+const ARRAYS = {f32: Float32Array, u16: Uint16Array, u8: Uint8Array};
+
+// Pack typed chunks into one buffer (4-byte aligned) -> {bytes, bufferViews}.
+function pack(chunks) {
+    const bufferViews = [];
+    const parts = [];
+    let length = 0;
+    for (const [type, values] of chunks) {
+        const data = new Uint8Array(new ARRAYS[type](values).buffer);
+        bufferViews.push({buffer: 0, byteOffset: length, byteLength: data.length});
+        parts.push([length, data]);
+        length += Math.ceil(data.length / 4) * 4;
+    }
+    const bytes = new Uint8Array(length);
+    for (const [offset, data] of parts) bytes.set(data, offset);
+    return {bytes, bufferViews};
+}
+
+function glb(json, bin) {
+    const jsonBytes = new TextEncoder().encode(JSON.stringify(json).padEnd(Math.ceil(JSON.stringify(json).length / 4) * 4));
+    const out = new Uint8Array(12 + 8 + jsonBytes.length + 8 + bin.length);
+    const view = new DataView(out.buffer);
+    view.setUint32(0, 0x46546c67, true);
+    view.setUint32(4, 2, true);
+    view.setUint32(8, out.length, true);
+    view.setUint32(12, jsonBytes.length, true);
+    view.setUint32(16, 0x4e4f534a, true);
+    out.set(jsonBytes, 20);
+    const o = 20 + jsonBytes.length;
+    view.setUint32(o, bin.length, true);
+    view.setUint32(o + 4, 0x004e4942, true);
+    out.set(bin, o + 8);
+    return out;
+}
+
+// A triangle in millimetres under a translated parent, with a material,
+// normalized uint8 UVs and uint16 indices.
+function millimetreTriangle() {
+    const {bytes, bufferViews} = pack([
+        ["f32", [0, 0, 0, 1000, 0, 0, 0, 1000, 0]],
+        ["u8", [0, 0, 255, 0, 0, 255]],
+        ["u16", [0, 1, 2]],
+    ]);
+    return {
+        asset: {version: "2.0"},
+        scene: 0,
+        scenes: [{nodes: [0]}],
+        nodes: [
+            {name: "root", translation: [5000, 0, 0], children: [1]},
+            {name: "tri", mesh: 0, scale: [2, 2, 2]},
+        ],
+        meshes: [{name: "triMesh", primitives: [{attributes: {POSITION: 0, TEXCOORD_0: 1}, indices: 2, material: 0}]}],
+        materials: [{name: "orange", pbrMetallicRoughness: {baseColorFactor: [1, 0.5, 0, 0.5]}}],
+        accessors: [
+            {bufferView: 0, componentType: 5126, count: 3, type: "VEC3"},
+            {bufferView: 1, componentType: 5121, normalized: true, count: 3, type: "VEC2"},
+            {bufferView: 2, componentType: 5123, count: 3, type: "SCALAR"},
+        ],
+        bufferViews,
+        buffers: [{byteLength: bytes.length, uri: `data:application/octet-stream;base64,${Buffer.from(bytes).toString("base64")}`}],
+    };
+}
+
+test(".gltf with a data URI: hierarchy, materials and scene-wide normalization", () => {
+    const {nodes} = parseGLTF(new TextEncoder().encode(JSON.stringify(millimetreTriangle())));
+    assert.equal(nodes.length, 1);
+    const [root] = nodes;
+    const [tri] = root.children;
+    assert.equal(root.name, "root");
+    assert.equal(root.mesh, null);
+    assert.equal(tri.name, "tri");
+    assert.deepEqual(tri.scale, {x: 2, y: 2, z: 2});
+
+    // 5000..7000 mm across -> centered and 0.9 units wide, proportions kept.
+    const s = 0.9 / 2000;
+    near(root.position, {x: -1000 * s, y: -1000 * s, z: 0}, EPS);
+    assert.deepEqual(tri.mesh.normalization, {center: {x: 0, y: 0, z: 0}, scale: s});
+    const world = mat4Compose(root.position, root.quaternion, root.scale);
+    const local = mat4Compose(tri.position, tri.quaternion, tri.scale);
+    near(mat4TransformPoint(world, mat4TransformPoint(local, tri.mesh.vs[1])), {x: 0.45, y: -0.45, z: 0}, EPS);
+    assert.deepEqual(tri.mesh.bounds.max, {x: 1000 * s, y: 1000 * s, z: 0});
+
+    assert.deepEqual(tri.mesh.fs, [[0, 1, 2]]);
+    assert.deepEqual(tri.mesh.uvs, [{u: 0, v: 1}, {u: 1, v: 1}, {u: 0, v: 0}]); // v flipped
+    assert.equal(tri.mesh.ns, undefined); // left to computeVertexNormals
+    assert.deepEqual(tri.mesh.materialNames, ["orange"]);
+    assert.deepEqual(tri.mesh.fms, [0]);
+    assert.deepEqual(tri.materials[0].kd, {r: 1, g: 0.5, b: 0});
+    assert.equal(tri.materials[0].d, 1); // OPAQUE ignores alpha
+});
+
+test(".glb: binary chunk, strips, node matrices, vertex colors and several roots", () => {
+    const {bytes, bufferViews} = pack([
+        ["f32", [0, 0, 0, 1, 0, 0, 0, 1, 0, 1, 1, 0]],
+        ["f32", [1, 0, 0, 1, 0, 1, 0, 1, 0, 0, 1, 1, 1, 1, 1, 1]],
+        ["u8", [0, 2, 3]],
+    ]);
+    const json = {
+        asset: {version: "2.0"},
+        nodes: [
+            {mesh: 0, matrix: [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 3, 0, 0, 1]},
+            {name: "empty"},
+        ],
+        meshes: [{primitives: [
+            {attributes: {POSITION: 0, COLOR_0: 1}, mode: 5},
+            {attributes: {POSITION: 0}, indices: 2, material: 0},
+            {attributes: {POSITION: 0}, mode: 1}, // lines are skipped
+        ]}],
+        materials: [{pbrMetallicRoughness: {baseColorTexture: {index: 0}}}],
+        textures: [{source: 0}],
+        images: [{uri: "wood.png"}],
+        accessors: [
+            {bufferView: 0, componentType: 5126, count: 4, type: "VEC3"},
+            {bufferView: 1, componentType: 5126, count: 4, type: "VEC4"},
+            {bufferView: 2, componentType: 5121, count: 3, type: "SCALAR"},
+        ],
+        bufferViews,
+        buffers: [{byteLength: bytes.length}],
+    };
+    const file = glb(json, bytes);
+    assert.equal(detectMeshFormat("scan.bin", file), "glb");
+
+    const {nodes, images} = parseGLTF(file);
+    assert.deepEqual(nodes.map(n => n.name), ["Node 0", "empty"]);
+    const mesh = nodes[0].mesh;
+    assert.deepEqual(mesh.fs, [[0, 1, 2], [2, 1, 3], [4, 6, 7]]); // strip winding alternates
+    assert.deepEqual(mesh.fms, [-1, -1, 0]);
+    assert.deepEqual(mesh.cs[1], {r: 0, g: 1, b: 0});
+    assert.deepEqual(mesh.cs[5], {r: 1, g: 1, b: 1}); // primitive without colors
+    assert.equal(nodes[0].materials[0].mapKd, "wood.png");
+    assert.deepEqual(images, [{name: "wood.png", mimeType: null, bytes: null}]);
+
+    // The matrix's translation (x = 3) is folded into the centering.
+    near(nodes[0].position, {x: -0.45, y: -0.45, z: 0}, EPS);
+    near(nodes[1].position, {x: -3.15, y: -0.45, z: 0}, EPS);
+});
+
+test("external buffers are resolved by the caller; bad files are rejected", () => {
+    const json = millimetreTriangle();
+    const data = Buffer.from(json.buffers[0].uri.split(",")[1], "base64");
+    json.buffers[0].uri = "tri.bin";
+    const text = (j) => new TextEncoder().encode(JSON.stringify(j));
+
+    assert.throws(() => parseGLTF(text(json)), /Missing glTF buffer tri.bin/);
+    const {nodes} = parseGLTF(text(json), {resolve: (uri) => uri === "tri.bin" ? new Uint8Array(data) : null});
+    assert.equal(nodes[0].children[0].mesh.vs.length, 3);
+
+    assert.throws(() => parseGLTF(text({asset: {version: "1.0"}})), /Unsupported glTF version 1.0/);
+    assert.throws(() => parseGLTF(new TextEncoder().encode("{not json")), /Invalid glTF JSON/);
+    json.accessors[0].sparse = {count: 1};
+    assert.throws(() => parseGLTF(text(json), {resolve: () => new Uint8Array(data)}), /sparse/);
+});
@@ -0,0 +1,73 @@
+const test = require("node:test");
+
+const core = require("../public/core.js");
+const {matchGolden} = require("./helpers/golden.js");
+const {loadAsset, sceneObject, render} = require("./helpers/scene.js");
+
+// Fixed cameras over the bundled assets. Any change to the pipeline that
+// moves more than a handful of pixels shows up here; when the change is
+// intended, regenerate with UPDATE_GOLDEN=1 npm test and review the PNGs.
+const WIDTH = 160;
+const HEIGHT = 120;
+
+const penguin = loadAsset("penguin.obj");
+const cube = loadAsset("cube.obj");
+
+function penguinObject() {
+    return sceneObject("penguin", penguin, {
+        rotation: {x: 0, y: Math.PI, z: 0},
+        scale: {x: 3, y: 3, z: 3},
+    });
+}
+
+function cubeObject(props) {
+    return sceneObject("cube", cube, {
+        scale: {x: 1.8, y: 1.8, z: 1.8},
+        color: {r: 80, g: 200, b: 255},
+        ...props,
+    });
+}
+
+test("penguin from the front, flat shading", () => {
+    const scene = {
+        objects: [penguinObject()],
+        camera: {position: {x: 0, y: 0.3, z: -4}, yaw: 0, pitch: 0},
+    };
+    matchGolden("penguin-front-flat", render(scene, WIDTH, HEIGHT, {shading: "flat"}));
+});
+
+test("penguin three-quarter view, Phong shading with specular", () => {
+    const scene = {
+        objects: [penguinObject()],
+        camera: {position: {x: -2.5, y: 1.2, z: -3}, yaw: -0.7, pitch: 0.25},
+    };
+    matchGolden("penguin-34-phong", render(scene, WIDTH, HEIGHT, {shading: "phong", specular: true}));
+});
+
+test("cube from a corner, Gouraud shading", () => {
+    const scene = {
+        objects: [cubeObject({rotation: {x: 0, y: Math.PI / 4, z: 0}})],
+        camera: {position: {x: 0, y: 1.6, z: -2.8}, yaw: 0, pitch: 0.45},
+    };
+    matchGolden("cube-corner-gouraud", render(scene, WIDTH, HEIGHT, {shading: "gouraud"}));
+});
+
+test("textured cube clipped by the near plane", () => {
+    const scene = {
+        objects: [cubeObject({texture: core.createCheckerTexture(64, 4), textureFilter: "nearest"})],
+        camera: {position: {x: 0.3, y: 0.2, z: -1.1}, yaw: -0.2, pitch: 0.1},
+    };
+    matchGolden("cube-textured-near", render(scene, WIDTH, HEIGHT, {shading: "phong"}));
+});
+
+test("default two-object scene", () => {
+    const scene = {
+        objects: [
+            penguinObject(),
+            cubeObject({position: {x: 1.5, y: 0, z: 0}}),
+        ],
+        camera: {position: {x: 0, y: 0.5, z: -6}, yaw: 0, pitch: 0},
+    };
+    scene.objects[0].position = {x: -1.5, y: 0, z: 0};
+    matchGolden("default-scene", render(scene, WIDTH, HEIGHT, {shading: "phong", specular: true}));
+});
@@ -0,0 +1,13 @@
+// Assertions shared by the suites.
+
+const assert = require("node:assert/strict");
+
+// Component-wise comparison of vectors and quaternions: every key of
+// `expected` must be within `eps` of the same key in `actual`.
+function near(actual, expected, eps = 1e-9) {
+    for (const k of Object.keys(expected)) {
+        assert.ok(Math.abs(actual[k] - expected[k]) < eps, `${k}: ${actual[k]} != ${expected[k]}`);
+    }
+}
+
+module.exports = {near};
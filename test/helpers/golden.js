@@ -0,0 +1,61 @@
+// Reference-image comparison. Set UPDATE_GOLDEN=1 to (re)write the stored
+// PNGs from the current renderer instead of comparing against them.
+
+const fs = require("fs");
+const path = require("path");
+
+const {readPNG, writePNG} = require("./png.js");
+
+const GOLDEN_DIR = path.join(__dirname, "..", "golden");
+const OUTPUT_DIR = path.join(__dirname, "..", "output");
+
+// Pixels differing by more than `tolerance` in any channel count as
+// mismatches; the diff image shows them in red over a dimmed reference.
+function compareImages(actual, expected, tolerance) {
+    if (actual.width !== expected.width || actual.height !== expected.height) {
+        return {mismatched: Infinity, diff: null};
+    }
+    const n = actual.width * actual.height;
+    const diff = new Uint8Array(n * 4);
+    let mismatched = 0;
+    for (let i = 0; i < n; i++) {
+        const o = i * 4;
+        let worst = 0;
+        for (let k = 0; k < 3; k++) worst = Math.max(worst, Math.abs(actual.data[o + k] - expected.data[o + k]));
+        if (worst > tolerance) {
+            mismatched++;
+            diff[o] = 255;
+            diff[o + 1] = 0;
+            diff[o + 2] = 0;
+        } else {
+            const gray = (expected.data[o] + expected.data[o + 1] + expected.data[o + 2]) / 12;
+            diff[o] = diff[o + 1] = diff[o + 2] = gray;
+        }
+        diff[o + 3] = 255;
+    }
+    return {mismatched, diff};
+}
+
+// Compare a rendered RGBA image with golden/<name>.png. On failure the
+// actual and diff images are written to test/output/ for inspection.
+function matchGolden(name, image, {tolerance = 2, maxMismatchRatio = 0.001} = {}) {
+    const goldenPath = path.join(GOLDEN_DIR, `${name}.png`);
+    if (process.env.UPDATE_GOLDEN || !fs.existsSync(goldenPath)) {
+        if (!process.env.UPDATE_GOLDEN) throw new Error(`Missing golden image ${goldenPath} (run with UPDATE_GOLDEN=1)`);
+        writePNG(goldenPath, image.width, image.height, image.data);
+        return {mismatched: 0, ratio: 0};
+    }
+
+    const expected = readPNG(goldenPath);
+    const {mismatched, diff} = compareImages(image, expected, tolerance);
+    const ratio = mismatched / (image.width * image.height);
+    if (ratio > maxMismatchRatio) {
+        fs.mkdirSync(OUTPUT_DIR, {recursive: true});
+        writePNG(path.join(OUTPUT_DIR, `${name}.actual.png`), image.width, image.height, image.data);
+        if (diff) writePNG(path.join(OUTPUT_DIR, `${name}.diff.png`), image.width, image.height, diff);
+        throw new Error(`${name}: ${mismatched} pixels differ (${(ratio * 100).toFixed(2)}%), see test/output/${name}.diff.png`);
+    }
+    return {mismatched, ratio};
+}
+
+module.exports = {compareImages, matchGolden};
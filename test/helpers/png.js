@@ -0,0 +1,77 @@
+// Test-only PNG reader/writer helpers (8-bit RGB/RGBA, non-interlaced),
+// backed by Node's zlib.
+
+const fs = require("fs");
+const zlib = require("zlib");
+
+const {encodePNG} = require("../../public/png.js");
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+function decodePNG(buf) {
+    let o = 8;
+    let width = 0, height = 0, colorType = 0;
+    const idat = [];
+    while (o < buf.length) {
+        const len = buf.readUInt32BE(o);
+        const type = buf.toString("ascii", o + 4, o + 8);
+        const data = buf.subarray(o + 8, o + 8 + len);
+        if (type === "IHDR") {
+            width = data.readUInt32BE(0);
+            height = data.readUInt32BE(4);
+            if (data[8] !== 8 || data[12] !== 0) throw new Error("Only 8-bit non-interlaced PNGs are supported");
+            colorType = data[9];
+        } else if (type === "IDAT") {
+            idat.push(data);
+        }
+        o += 12 + len;
+    }
+    const channels = colorType === 6 ? 4 : colorType === 2 ? 3 : 0;
+    if (!channels) throw new Error(`Unsupported PNG color type ${colorType}`);
+
+    const raw = zlib.inflateSync(Buffer.concat(idat));
+    const stride = width * channels;
+    const pixels = new Uint8Array(stride * height);
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const src = y * (stride + 1) + 1;
+        for (let x = 0; x < stride; x++) {
+            const a = x >= channels ? pixels[y * stride + x - channels] : 0;
+            const b = y > 0 ? pixels[(y - 1) * stride + x] : 0;
+            const c = (x >= channels && y > 0) ? pixels[(y - 1) * stride + x - channels] : 0;
+            let v = raw[src + x];
+            if (filter === 1) v += a;
+            else if (filter === 2) v += b;
+            else if (filter === 3) v += (a + b) >> 1;
+            else if (filter === 4) v += paeth(a, b, c);
+            pixels[y * stride + x] = v & 0xff;
+        }
+    }
+
+    if (channels === 4) return {width, height, data: pixels};
+    const rgba = new Uint8Array(width * height * 4);
+    for (let i = 0, j = 0; i < pixels.length; i += 3, j += 4) {
+        rgba[j] = pixels[i];
+        rgba[j + 1] = pixels[i + 1];
+        rgba[j + 2] = pixels[i + 2];
+        rgba[j + 3] = 255;
+    }
+    return {width, height, data: rgba};
+}
+
+function readPNG(file) {
+    return decodePNG(fs.readFileSync(file));
+}
+
+function writePNG(file, width, height, rgba) {
+    fs.writeFileSync(file, encodePNG(width, height, rgba, {deflate: (raw) => zlib.deflateSync(raw)}));
+}
+
+module.exports = {decodePNG, readPNG, writePNG};
@@ -0,0 +1,69 @@
+// Builds render-ready scene objects from the bundled assets, prepared the
+// same way the viewer prepares them.
+
+const fs = require("fs");
+const path = require("path");
+
+const core = require("../../public/core.js");
+
+const ASSETS = path.join(__dirname, "..", "..", "public", "assets");
+
+function loadAsset(name) {
+    const mesh = core.normalizeMesh(core.parseOBJ(fs.readFileSync(path.join(ASSETS, name), "utf8")));
+    if (!mesh.ns) core.computeVertexNormals(mesh, 60);
+    return mesh;
+}
+
+function sceneObject(name, mesh, props = {}) {
+    return {
+        name,
+        mesh,
+        parentId: null,
+        position: {x: 0, y: 0, z: 0},
+        rotation: {x: 0, y: 0, z: 0},
+        scale: {x: 1, y: 1, z: 1},
+        color: {r: 0, g: 255, b: 0},
+        ...props,
+    };
+}
+
+// A 2 x 2 x 2 cube centered on the origin.
+function cube() {
+    const vs = [];
+    for (const z of [-1, 1]) for (const y of [-1, 1]) for (const x of [-1, 1]) vs.push({x, y, z});
+    const fs = [
+        [0, 1, 3], [0, 3, 2], [4, 6, 7], [4, 7, 5],
+        [0, 4, 5], [0, 5, 1], [2, 3, 7], [2, 7, 6],
+        [0, 2, 6], [0, 6, 4], [1, 5, 7], [1, 7, 3],
+    ];
+    return {vs, fs};
+}
+
+// n x n open grid of quads in the z = 0 plane, spanning -1..1 and facing -z
+// (towards the default camera), with a bump at the center.
+function grid(n) {
+    const vs = [];
+    const fs = [];
+    for (let j = 0; j <= n; j++) {
+        for (let i = 0; i <= n; i++) {
+            const x = 2 * i / n - 1;
+            const y = 2 * j / n - 1;
+            vs.push({x, y, z: -Math.max(0, 0.5 - x * x - y * y)});
+        }
+    }
+    for (let j = 0; j < n; j++) {
+        for (let i = 0; i < n; i++) {
+            const k = j * (n + 1) + i;
+            fs.push([k, k + n + 2, k + 1], [k, k + n + 1, k + n + 2]);
+        }
+    }
+    return {vs, fs};
+}
+
+function render(scene, width, height, options) {
+    const fb = core.createFramebuffer(width, height);
+    const result = core.renderScene(fb, scene, options);
+    return {width, height, data: fb.color, ...result};
+}
+
+module.exports = {loadAsset, sceneObject, cube, grid, render};
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {createHistory, historyRecord, historySeal, historyUndo, historyRedo, historyGoTo} = require("../public/history.js");
+
+// Commands that set state.value, recorded after the change like the viewer does.
+function setValue(history, state, value, mergeKey) {
+    const before = state.value;
+    state.value = value;
+    return historyRecord(history, {
+        label: `set ${value}`,
+        mergeKey,
+        undo: () => { state.value = before; },
+        redo: () => { state.value = value; },
+    });
+}
+
+test("undo and redo walk the recorded commands", () => {
+    const history = createHistory();
+    const state = {value: 0};
+    setValue(history, state, 1);
+    setValue(history, state, 2);
+
+    assert.equal(historyUndo(history).label, "set 2");
+    assert.equal(state.value, 1);
+    historyUndo(history);
+    assert.equal(state.value, 0);
+    assert.equal(historyUndo(history), null);
+
+    historyRedo(history);
+    assert.equal(state.value, 1);
+    historyGoTo(history, 2);
+    assert.equal(state.value, 2);
+    assert.equal(historyRedo(history), null);
+});
+
+test("a new command drops the redo branch", () => {
+    const history = createHistory();
+    const state = {value: 0};
+    setValue(history, state, 1);
+    setValue(history, state, 2);
+    historyUndo(history);
+    setValue(history, state, 3);
+    assert.deepEqual(history.entries.map(c => c.label), ["set 1", "set 3"]);
+    assert.equal(historyRedo(history), null);
+});
+
+test("commands with the same merge key fold into one step until sealed", () => {
+    const history = createHistory();
+    const state = {value: 0};
+    for (const v of [1, 2, 3]) setValue(history, state, v, "drag");
+    assert.equal(history.entries.length, 1);
+
+    historySeal(history);
+    setValue(history, state, 4, "drag");
+    setValue(history, state, 5, "other");
+    assert.equal(history.entries.length, 3);
+
+    historyGoTo(history, 1);
+    assert.equal(state.value, 3);
+    historyUndo(history);
+    assert.equal(state.value, 0);
+    historyRedo(history);
+    assert.equal(state.value, 3);
+});
+
+test("the oldest entries are dropped past the limit", () => {
+    const history = createHistory(2);
+    const state = {value: 0};
+    for (const v of [1, 2, 3]) setValue(history, state, v);
+    assert.deepEqual(history.entries.map(c => c.label), ["set 2", "set 3"]);
+    assert.equal(history.index, 2);
+    historyGoTo(history, 0);
+    assert.equal(state.value, 1);
+});
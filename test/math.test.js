@@ -0,0 +1,159 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {vadd, vsub, vscale, vdot, vcross, vlen, vnormalize, rotate_xz, rotate_yz, rotate_xy, clamp} = require("../public/core.js");
+const {near} = require("./helpers/assert.js");
+
+test("vector arithmetic", () => {
+    const a = {x: 1, y: 2, z: 3};
+    const b = {x: -4, y: 5, z: 0.5};
+    assert.deepEqual(vadd(a, b), {x: -3, y: 7, z: 3.5});
+    assert.deepEqual(vsub(a, b), {x: 5, y: -3, z: 2.5});
+    assert.deepEqual(vscale(a, 2), {x: 2, y: 4, z: 6});
+    assert.equal(vdot(a, b), -4 + 10 + 1.5);
+    assert.equal(vlen({x: 3, y: 4, z: 0}), 5);
+});
+
+test("cross product follows the right-hand rule", () => {
+    near(vcross({x: 1, y: 0, z: 0}, {x: 0, y: 1, z: 0}), {x: 0, y: 0, z: 1});
+    near(vcross({x: 0, y: 1, z: 0}, {x: 1, y: 0, z: 0}), {x: 0, y: 0, z: -1});
+});
+
+test("vnormalize returns unit vectors and zero for degenerate input", () => {
+    near(vnormalize({x: 0, y: 0, z: 5}), {x: 0, y: 0, z: 1});
+    assert.ok(Math.abs(vlen(vnormalize({x: 1, y: -2, z: 3})) - 1) < 1e-12);
+    assert.deepEqual(vnormalize({x: 0, y: 0, z: 0}), {x: 0, y: 0, z: 0});
+});
+
+test("axis rotations", () => {
+    const q = Math.PI / 2;
+    near(rotate_xz({x: 1, y: 0, z: 0}, q), {x: 0, y: 0, z: 1});  // around Y
+    near(rotate_yz({x: 0, y: 1, z: 0}, q), {x: 0, y: 0, z: 1});  // around X
+    near(rotate_xy({x: 1, y: 0, z: 0}, q), {x: 0, y: 1, z: 0});  // around Z
+    near(rotate_xz(rotate_xz({x: 0.3, y: 1, z: -2}, 0.7), -0.7), {x: 0.3, y: 1, z: -2});
+});
+
+test("clamp", () => {
+    assert.equal(clamp(5, 0, 1), 1);
+    assert.equal(clamp(-5, 0, 1), 0);
+    assert.equal(clamp(0.25, 0, 1), 0.25);
+});
+
+// -------- mat4 / quat (public/math.js) --------
+const m = require("../public/math.js");
+const core = require("../public/core.js");
+
+function matNear(a, b, eps = 1e-9) {
+    for (let i = 0; i < 16; i++) assert.ok(Math.abs(a[i] - b[i]) < eps, `[${i}] ${a[i]} != ${b[i]}`);
+}
+
+test("mat4Multiply applies the right operand first", () => {
+    const t = m.mat4Compose({x: 1, y: 2, z: 3}, m.quatIdentity(), {x: 1, y: 1, z: 1});
+    const s = m.mat4Compose({x: 0, y: 0, z: 0}, m.quatIdentity(), {x: 2, y: 2, z: 2});
+    near(m.mat4TransformPoint(m.mat4Multiply(t, s), {x: 1, y: 1, z: 1}), {x: 3, y: 4, z: 5});
+    near(m.mat4TransformPoint(m.mat4Multiply(s, t), {x: 1, y: 1, z: 1}), {x: 4, y: 6, z: 8});
+});
+
+test("mat4Invert and mat4Transpose", () => {
+    const a = m.mat4Compose({x: 1, y: -2, z: 5}, m.quatFromEuler(0.3, -1.1, 2), {x: 2, y: 0.5, z: 3});
+    matNear(m.mat4Multiply(a, m.mat4Invert(a)), m.mat4Create());
+    matNear(m.mat4Transpose(m.mat4Transpose(a)), a);
+    assert.equal(m.mat4Transpose(a)[1], a[4]);
+    assert.equal(m.mat4Invert(new Float64Array(16)), null);
+});
+
+test("mat4NormalMatrix keeps normals perpendicular under non-uniform scale", () => {
+    const a = m.mat4Compose({x: 0, y: 0, z: 0}, m.quatFromEuler(0.4, 0.2, 0), {x: 4, y: 1, z: 1});
+    const tangent = m.mat4TransformDirection(a, {x: 1, y: 1, z: 0});
+    const normal = m.mat4TransformDirection(m.mat4NormalMatrix(a), {x: 1, y: -1, z: 0});
+    assert.ok(Math.abs(vdot(tangent, normal)) < 1e-9);
+});
+
+test("mat4LookAt puts the target straight ahead on +Z", () => {
+    const eye = {x: 3, y: 2, z: -4};
+    const target = {x: -1, y: 0.5, z: 2};
+    const view = m.mat4LookAt(eye, target, {x: 0, y: 1, z: 0});
+    const p = m.mat4TransformPoint(view, target);
+    near(p, {x: 0, y: 0, z: vlen(vsub(target, eye))});
+    near(m.mat4TransformPoint(view, eye), {x: 0, y: 0, z: 0});
+    // +X in view space is to the right of a camera looking along +Z.
+    const side = m.mat4LookAt({x: 0, y: 0, z: 0}, {x: 0, y: 0, z: 1}, {x: 0, y: 1, z: 0});
+    near(m.mat4TransformPoint(side, {x: 1, y: 0, z: 0}), {x: 1, y: 0, z: 0});
+});
+
+test("mat4Perspective maps near/far to depth 0/1", () => {
+    const p = m.mat4Perspective(Math.PI / 2, 2, 0.5, 100);
+    const nearPt = m.mat4TransformVec4(p, {x: 0, y: 0, z: 0.5});
+    const farPt = m.mat4TransformVec4(p, {x: 0, y: 0, z: 100});
+    assert.ok(Math.abs(nearPt.z / nearPt.w) < 1e-12);
+    assert.ok(Math.abs(farPt.z / farPt.w - 1) < 1e-12);
+    const edge = m.mat4TransformVec4(p, {x: 4, y: 2, z: 2}); // 90 degree fov, aspect 2
+    assert.ok(Math.abs(edge.x / edge.w - 1) < 1e-12 && Math.abs(edge.y / edge.w - 1) < 1e-12);
+});
+
+test("mat4Ortho maps the box to NDC", () => {
+    const o = m.mat4Ortho(-2, 2, -1, 1, 0, 10);
+    const c = m.mat4TransformVec4(o, {x: 2, y: -1, z: 10});
+    assert.deepEqual([c.x, c.y, c.z, c.w], [1, -1, 1, 1]);
+});
+
+test("quaternions: axis-angle, multiply, rotate, slerp", () => {
+    const qy = m.quatFromAxisAngle({x: 0, y: 1, z: 0}, Math.PI / 2);
+    near(m.quatRotateVector(qy, {x: 0, y: 0, z: 1}), {x: 1, y: 0, z: 0});
+    const qx = m.quatFromAxisAngle({x: 1, y: 0, z: 0}, Math.PI / 2);
+    // qx * qy rotates by qy first.
+    near(m.quatRotateVector(m.quatMultiply(qx, qy), {x: 0, y: 0, z: 1}), {x: 1, y: 0, z: 0});
+    near(m.quatRotateVector(m.quatMultiply(qy, qx), {x: 0, y: 0, z: 1}), {x: 0, y: -1, z: 0});
+    const half = m.quatSlerp(m.quatIdentity(), qy, 0.5);
+    near(m.quatRotateVector(half, {x: 0, y: 0, z: 1}), {x: Math.SQRT1_2, y: 0, z: Math.SQRT1_2});
+});
+
+test("Euler round-trips, including gimbal lock", () => {
+    for (const e of [{x: 0.3, y: -0.8, z: 2.5}, {x: -3, y: 1.2, z: 0.1}, {x: 0.5, y: Math.PI / 2, z: 0}]) {
+        const back = m.quatToEuler(m.quatFromEuler(e.x, e.y, e.z));
+        const a = m.mat4Compose({x: 0, y: 0, z: 0}, m.quatFromEuler(e.x, e.y, e.z), {x: 1, y: 1, z: 1});
+        const b = m.mat4Compose({x: 0, y: 0, z: 0}, m.quatFromEuler(back.x, back.y, back.z), {x: 1, y: 1, z: 1});
+        matNear(a, b, 1e-6);
+    }
+});
+
+test("quaternionToEuler picks the triple nearest a reference", () => {
+    const core = require("../public/core.js");
+    const e = {x: 0, y: 2.2, z: 0}; // |y| > π/2: the plain conversion flips X and Z by π
+    const q = core.eulerToQuaternion(e);
+    const plain = core.quaternionToEuler(q);
+    assert.ok(Math.abs(Math.abs(plain.x) - Math.PI) < 1e-9);
+    near(core.quaternionToEuler(q, {x: 0, y: 2, z: 0}), e);
+});
+
+test("object transforms match the per-axis rotate helpers", () => {
+    const obj = {
+        position: {x: 1, y: -2, z: 3},
+        rotation: {x: 0.4, y: -1.3, z: 0.9},
+        scale: {x: 2, y: 0.5, z: 1.5},
+    };
+    const p = {x: 0.3, y: 0.7, z: -0.2};
+    let expected = {x: p.x * 2, y: p.y * 0.5, z: p.z * 1.5};
+    expected = rotate_xy(rotate_xz(rotate_yz(expected, 0.4), -1.3), 0.9);
+    expected = vadd(expected, obj.position);
+    near(core.applyModel(p, obj), expected);
+
+    // Euler <-> quaternion helpers keep both representations in sync.
+    core.setObjectQuaternion(obj, core.eulerToQuaternion(obj.rotation));
+    near(obj.rotation, {x: 0.4, y: -1.3, z: 0.9});
+});
+
+test("the view matrix undoes the camera transform", () => {
+    const camera = {position: {x: 1, y: 2, z: -5}, yaw: 0.6, pitch: -0.3};
+    const p = {x: -2, y: 0.5, z: 4};
+    const expected = rotate_yz(rotate_xz(vsub(p, camera.position), -camera.yaw), -camera.pitch);
+    near(core.applyView(p, camera), expected);
+});
+
+test("mat4Decompose recovers position, rotation and scale", () => {
+    const q = m.quatNormalize({x: 0.3, y: -0.5, z: 0.2, w: 0.7});
+    const d = m.mat4Decompose(m.mat4Compose({x: 1, y: 2, z: 3}, q, {x: 2, y: 3, z: 0.5}));
+    near(d.position, {x: 1, y: 2, z: 3});
+    near(d.scale, {x: 2, y: 3, z: 0.5});
+    assert.ok(Math.abs(Math.abs(d.quaternion.x * q.x + d.quaternion.y * q.y + d.quaternion.z * q.z + d.quaternion.w * q.w) - 1) < 1e-9);
+});
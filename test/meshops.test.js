@@ -0,0 +1,139 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const core = require("../public/core.js");
+const ops = require("../public/meshops.js");
+const {loadAsset, grid} = require("./helpers/scene.js");
+
+// Signed volume (x6); positive when the faces wind counter-clockwise seen
+// from outside.
+function volume(mesh) {
+    let v = 0;
+    for (const f of mesh.fs) {
+        const [a, b, c] = f.map(i => mesh.vs[i]);
+        v += core.vdot(a, core.vcross(b, c));
+    }
+    return v;
+}
+
+// A cube with every face's corners split off, like an STL export.
+function splitCube(jitter = 0) {
+    const cube = loadAsset("cube.obj");
+    const vs = [];
+    const fs = cube.fs.map(f => f.map(i => {
+        const v = cube.vs[i];
+        vs.push({x: v.x + jitter * vs.length, y: v.y, z: v.z});
+        return vs.length - 1;
+    }));
+    return {vs, fs, source: "assets/cube.obj"};
+}
+
+test("weldVertices merges vertices within the distance", () => {
+    const exact = ops.weldVertices(splitCube());
+    assert.equal(exact.merged, 36 - 8);
+    assert.equal(exact.mesh.vs.length, 8);
+    assert.equal(exact.mesh.source, undefined);
+
+    const loose = splitCube(1e-6);
+    assert.equal(ops.weldVertices(loose).merged, 0); // jittered copies stay apart
+    assert.equal(ops.weldVertices(loose, 1e-4).merged, 36 - 8);
+    assert.equal(loose.vs.length, 36); // the input is left alone
+    assert.ok(Math.abs(volume(exact.mesh) - volume(splitCube())) < 1e-9);
+});
+
+test("removeDegenerateFaces drops collapsed, flat and repeated faces", () => {
+    const mesh = {
+        vs: [{x: 0, y: 0, z: 0}, {x: 1, y: 0, z: 0}, {x: 0, y: 1, z: 0}, {x: 2, y: 0, z: 0}, {x: 5, y: 5, z: 5}],
+        fs: [[0, 1, 2], [0, 0, 2], [0, 1, 3], [2, 0, 1], [1, 0, 2]],
+        fms: [0, 1, 2, 3, 4],
+    };
+    const {mesh: out, degenerate, duplicate} = ops.removeDegenerateFaces(mesh);
+    assert.equal(degenerate, 2); // repeated corner, collinear
+    assert.equal(duplicate, 2);  // same corners, either winding
+    assert.deepEqual(out.fms, [0]);
+    assert.equal(out.vs.length, 3); // unused vertices go too
+});
+
+test("unifyWinding makes faces agree and face outwards", () => {
+    const cube = loadAsset("cube.obj");
+    const scrambled = {...cube, fs: cube.fs.map((f, i) => i % 3 ? f.slice() : [f[0], f[2], f[1]])};
+    const fixed = ops.unifyWinding(scrambled);
+    assert.equal(fixed.flipped, 4);
+    assert.deepEqual(fixed.mesh.fs, cube.fs);
+    assert.deepEqual(fixed.mesh.fns, cube.fns.map((f, i) => i % 3 ? f : [f[0], f[2], f[1]])); // normals follow their corners
+
+    const inside = ops.flipNormals(cube).mesh;
+    assert.ok(volume(inside) < 0);
+    const outward = ops.unifyWinding(inside);
+    assert.equal(outward.flipped, cube.fs.length);
+    assert.ok(volume(outward.mesh) > 0);
+    assert.equal(ops.unifyWinding(cube).flipped, 0);
+});
+
+test("flipNormals reverses the winding and the normals", () => {
+    const cube = loadAsset("cube.obj");
+    const {mesh, flipped} = ops.flipNormals(cube);
+    assert.equal(flipped, 12);
+    assert.deepEqual(mesh.fs[0], [cube.fs[0][0], cube.fs[0][2], cube.fs[0][1]]);
+    assert.deepEqual(mesh.ns[0], core.vscale(cube.ns[0], -1));
+    assert.deepEqual(ops.flipNormals(mesh).mesh.fs, cube.fs);
+});
+
+test("simplifyMesh collapses down to the target and keeps open boundaries", () => {
+    const penguin = loadAsset("penguin.obj");
+    const half = ops.simplifyMesh(penguin, {ratio: 0.5});
+    assert.equal(half.mesh.fs.length, penguin.fs.length / 2);
+    assert.equal(half.removed, penguin.fs.length / 2);
+    assert.equal(ops.unifyWinding(half.mesh).flipped, 0); // nothing folded over
+    assert.ok(Math.abs(volume(half.mesh) / volume(penguin) - 1) < 0.05);
+
+    const flat = grid(10);
+    const {mesh} = ops.simplifyMesh(flat, {targetFaces: 40});
+    assert.equal(mesh.fs.length, 40);
+    // Boundary vertices don't move, so the outline is still the -1..1 square.
+    const outline = flat.vs.filter(v => Math.abs(v.x) === 1 || Math.abs(v.y) === 1);
+    for (const v of outline) assert.ok(mesh.vs.some(w => w.x === v.x && w.y === v.y && w.z === v.z));
+    assert.ok(ops.simplifyMesh(flat, {targetFaces: 40, preserveBoundary: false}).mesh.vs.length < mesh.vs.length);
+});
+
+test("subdivideMesh splits every triangle in four and smooths the surface", () => {
+    const cube = loadAsset("cube.obj");
+    const {mesh, added} = ops.subdivideMesh(cube);
+    assert.equal(mesh.fs.length, 48);
+    assert.equal(added, 36);
+    assert.equal(mesh.vs.length, 8 + 18); // one new vertex per edge
+    assert.equal(mesh.fns.length, 48);
+    assert.ok(mesh.ns.every(n => Math.abs(core.vlen(n) - 1) < 1e-9));
+    assert.ok(volume(mesh) > 0 && volume(mesh) < volume(cube)); // corners rounded off, still outward
+
+    // Open edges are creases: the grid's outline stays on the -1..1 square.
+    const flat = ops.subdivideMesh(grid(4)).mesh;
+    assert.deepEqual([flat.bounds.min.x, flat.bounds.min.y, flat.bounds.max.x, flat.bounds.max.y], [-1, -1, 1, 1]);
+});
+
+test("levels of detail shrink by ratio and switch with distance", () => {
+    const penguin = loadAsset("penguin.obj");
+    const lod = ops.createLevelsOfDetail(penguin, [0.5, 0.25], {distance: 4});
+    assert.equal(lod.meshes[0], penguin);
+    assert.deepEqual(lod.meshes.map(m => m.fs.length), [624, 312, 156]);
+    assert.deepEqual([0, 3.9, 4, 8, 100].map(d => ops.lodLevelAt(lod, d)), [0, 0, 1, 2, 2]);
+});
+
+test("operations on objects with levels of detail use the full mesh", () => {
+    const penguin = loadAsset("penguin.obj");
+    const far = {mesh: null, lod: ops.createLevelsOfDetail(penguin, [0.5, 0.25])};
+    far.lod.level = 2;
+    far.mesh = far.lod.meshes[2];
+    const plain = {mesh: penguin};
+    assert.equal(ops.lodBaseMesh(far), penguin);
+
+    const seen = [];
+    const {meshes, total} = ops.operateOnObjects([far, plain], (mesh) => {
+        seen.push(mesh);
+        return ops.flipNormals(mesh);
+    });
+    assert.deepEqual(seen, [penguin]); // once per full mesh, not the level showing
+    assert.equal(meshes[0], meshes[1]);
+    assert.equal(meshes[0].fs.length, penguin.fs.length);
+    assert.deepEqual(total, {flipped: penguin.fs.length});
+});
@@ -0,0 +1,202 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {parseOBJ, parseMTL, normalizeMesh, computeVertexNormals, splitMeshParts, createMaterial, exportOBJ} = require("../public/core.js");
+const {sceneObject} = require("./helpers/scene.js");
+
+const QUAD = `
+v 0 0 0
+v 1 0 0
+v 1 1 0
+v 0 1 0
+`;
+
+test("triangles are parsed with 0-based indices", () => {
+    const mesh = parseOBJ(`${QUAD}f 1 2 3\n`);
+    assert.equal(mesh.vs.length, 4);
+    assert.deepEqual(mesh.fs, [[0, 1, 2]]);
+});
+
+test("polygons are triangulated as a fan", () => {
+    const mesh = parseOBJ(`${QUAD}v 0.5 1.5 0\nf 1 2 3 5 4\n`);
+    assert.deepEqual(mesh.fs, [[0, 1, 2], [0, 2, 4], [0, 4, 3]]);
+});
+
+test("negative indices are relative to the vertices read so far", () => {
+    const mesh = parseOBJ(`${QUAD}f -4 -3 -2\nv 5 5 5\nf -1 -2 -3\n`);
+    assert.deepEqual(mesh.fs, [[0, 1, 2], [4, 3, 2]]);
+});
+
+test("v/vt/vn references keep texcoord and normal indices per face", () => {
+    const mesh = parseOBJ(`${QUAD}vt 0 0\nvt 1 0\nvt 1 1\nvn 0 0 3\nf 1/1/1 2/2/1 3/3/1\nf 1//1 3//1 4//1\n`);
+    assert.deepEqual(mesh.fts, [[0, 1, 2], null]);
+    assert.deepEqual(mesh.fns, [[0, 0, 0], [0, 0, 0]]);
+    assert.deepEqual(mesh.ns[0], {x: 0, y: 0, z: 1}); // normalized on load
+    assert.deepEqual(mesh.uvs[2], {u: 1, v: 1});
+});
+
+test("comments, blank lines and short faces are skipped", () => {
+    const mesh = parseOBJ(`# comment\n\n${QUAD}f 1 2\nf 1 2 3\n`);
+    assert.deepEqual(mesh.fs, [[0, 1, 2]]);
+});
+
+test("malformed statements are reported with their line numbers", () => {
+    const warnings = [];
+    const mesh = parseOBJ([
+        "v 0 0 0",
+        "v 1 x 0",          // 2: bad number, still vertex 2
+        "v 1 1 0",
+        "s 1",              // 4: smoothing groups aren't read
+        "f 1 2 3",
+        "f 1 2",            // 6: short face
+        "f 0 2 3 9",        // 7: zero and dangling index -> too few corners
+        "f 1/5 2/5 3/5",    // 8: dangling texcoord, face kept without UVs
+        "l 1 2",            // 9: polyline
+    ].join("\n"), {warnings});
+    assert.equal(mesh.vs.length, 3);
+    assert.deepEqual(mesh.vs[1], {x: 1, y: 0, z: 0});
+    assert.deepEqual(mesh.fs, [[0, 1, 2], [0, 1, 2]]);
+    assert.equal(mesh.fts, undefined);
+    assert.deepEqual(warnings.map(w => [w.line, w.kind]), [
+        [2, "number"], [4, "unsupported"], [6, "face"], [7, "index"], [7, "index"], [7, "face"], [8, "index"], [8, "index"], [8, "index"], [9, "unsupported"],
+    ]);
+    assert.equal(warnings[4].message, "vertex index 9 out of range (3 vertices)");
+});
+
+test("face indices may refer ahead; strict mode rejects any problem", () => {
+    const warnings = [];
+    const mesh = parseOBJ("v 0 0 0\nf 1 2 3\nv 1 0 0\nv 0 1 0\n", {warnings, strict: true});
+    assert.deepEqual(mesh.fs, [[0, 1, 2]]);
+    assert.deepEqual(warnings, []);
+
+    assert.throws(() => parseOBJ(`${QUAD}vp 0.5\nf 1 2 3\ncurv 0 1 1 2\n`, {strict: true}), /^Error: line 6: unsupported statement "vp" \(and 1 more\)$/);
+    assert.doesNotThrow(() => parseOBJ(`${QUAD}vp 0.5\nf 1 2 3\n`)); // lenient by default
+});
+
+test("usemtl assigns per-face material indices", () => {
+    const mesh = parseOBJ(`mtllib scene.mtl\n${QUAD}usemtl red\nf 1 2 3\nusemtl blue\nf 1 3 4\nusemtl red\nf 2 3 4\n`);
+    assert.deepEqual(mesh.mtllibs, ["scene.mtl"]);
+    assert.deepEqual(mesh.materialNames, ["red", "blue"]);
+    assert.deepEqual(mesh.fms, [0, 1, 0]);
+});
+
+test("parseMTL reads colors, shininess, opacity and map_Kd", () => {
+    const mats = parseMTL(`newmtl glass
+Kd 0.2 0.4 0.6
+Ks 1 1 1
+Ns 32
+d 0.25
+map_Kd -s 2 2 1 glass.png
+newmtl solid
+Ka 0.1 0.1 0.1
+Kd 1 0 0
+Tr 0.5
+`);
+    assert.deepEqual(mats.glass.kd, {r: 0.2, g: 0.4, b: 0.6});
+    assert.deepEqual(mats.glass.ka, mats.glass.kd); // no Ka: follows Kd
+    assert.equal(mats.glass.ns, 32);
+    assert.equal(mats.glass.d, 0.25);
+    assert.equal(mats.glass.mapKd, "glass.png");
+    assert.deepEqual(mats.solid.ka, {r: 0.1, g: 0.1, b: 0.1});
+    assert.equal(mats.solid.d, 0.5);
+});
+
+test("normalizeMesh centers and fits the mesh into a 0.9 cube", () => {
+    const mesh = normalizeMesh(parseOBJ("v 10 0 0\nv 14 2 0\nv 12 1 1\nf 1 2 3\n"));
+    assert.deepEqual(mesh.bounds.min, {x: -0.45, y: -0.225, z: -0.1125});
+    assert.deepEqual(mesh.bounds.max, {x: 0.45, y: 0.225, z: 0.1125});
+    assert.deepEqual(mesh.vs[0], {x: -0.45, y: -0.225, z: -0.1125});
+});
+
+test("normalizeMesh leaves empty meshes alone", () => {
+    const empty = {vs: [], fs: []};
+    assert.equal(normalizeMesh(empty), empty);
+});
+
+test("computeVertexNormals keeps hard edges beyond the smoothing angle", () => {
+    // Two faces folded 90 degrees along the shared edge 1-2.
+    const text = "v 0 0 0\nv 1 0 0\nv 1 1 0\nv 1 0 -1\nf 1 2 3\nf 2 4 3\n";
+    const sharp = computeVertexNormals(parseOBJ(text), 60);
+    assert.notEqual(sharp.fns[0][1], sharp.fns[1][0]); // shared vertex, split normals
+
+    const smooth = computeVertexNormals(parseOBJ(text), 120);
+    assert.equal(smooth.fns[0][1], smooth.fns[1][0]);
+    const n = smooth.ns[smooth.fns[0][1]];
+    assert.ok(Math.abs(n.x - Math.SQRT1_2) < 1e-6 && Math.abs(n.z - Math.SQRT1_2) < 1e-6);
+});
+
+test("o/g statements split a file into a part tree", () => {
+    const text = `${QUAD}vn 0 0 1
+f 1//1 2//1 3//1
+o body
+g left
+f 1//1 3//1 4//1
+g right
+f 2//1 3//1 4//1
+o head
+f 1//1 2//1 4//1
+`;
+    const mesh = parseOBJ(text);
+    assert.deepEqual(mesh.parts, [
+        {object: null, group: null},
+        {object: "body", group: "left"},
+        {object: "body", group: "right"},
+        {object: "head", group: null},
+    ]);
+    assert.deepEqual(mesh.fps, [0, 1, 2, 3]);
+
+    const nodes = splitMeshParts(normalizeMesh(mesh));
+    assert.deepEqual(nodes.map(n => n.name), ["default", "body", "head"]);
+    assert.equal(nodes[1].mesh, null);
+    assert.deepEqual(nodes[1].children.map(n => n.name), ["left", "right"]);
+
+    // Parts are compacted but keep their normalized positions.
+    const left = nodes[1].children[0].mesh;
+    assert.equal(left.vs.length, 3);
+    assert.deepEqual(left.fs, [[0, 1, 2]]);
+    assert.deepEqual(left.fns, [[0, 0, 0]]);
+    assert.deepEqual(left.vs[1], {x: 0.45, y: 0.45, z: 0});
+    assert.deepEqual(left.bounds.max, {x: 0.45, y: 0.45, z: 0});
+});
+
+test("files with a single part are not split", () => {
+    assert.equal(splitMeshParts(parseOBJ(`o only\n${QUAD}f 1 2 3\nf 1 3 4\n`)), null);
+    assert.equal(splitMeshParts(parseOBJ(`${QUAD}f 1 2 3\n`)), null);
+});
+
+test("exportOBJ bakes world transforms and round-trips through parseOBJ", () => {
+    const mesh = normalizeMesh(parseOBJ(`${QUAD}vt 0 0\nvt 1 0\nvt 1 1\nvn 0 0 1\nf 1/1/1 2/2/1 3/3/1\nf 1//1 3//1 4//1\n`));
+    const group = sceneObject("group", null, {id: 1, position: {x: 10, y: 0, z: 0}});
+    const a = sceneObject("my quad", mesh, {id: 2, parentId: 1, color: {r: 255, g: 0, b: 0}});
+    const b = sceneObject("my quad", mesh, {id: 3, scale: {x: -1, y: 1, z: 1}, color: {r: 0, g: 0, b: 255}});
+    const {obj, mtl} = exportOBJ([group, a, b], {mtlName: "out.mtl"});
+
+    const back = parseOBJ(obj);
+    assert.deepEqual(back.mtllibs, ["out.mtl"]);
+    assert.deepEqual(back.parts.map(p => p.object), ["my_quad", "my_quad_2"]);
+    assert.equal(back.vs.length, 8);
+    assert.deepEqual(back.vs[0], {x: 9.55, y: -0.45, z: 0}); // parent offset baked in
+    assert.deepEqual(back.vs[5], {x: -0.45, y: -0.45, z: 0}); // mirrored
+    assert.deepEqual(back.fts, [[0, 1, 2], null, [3, 5, 4], null]);
+    assert.deepEqual(back.fs[2], [4, 6, 5]); // winding flipped back under the mirror
+    assert.deepEqual(back.ns.map(n => n.z), [1, 1]);
+    assert.deepEqual(splitMeshParts(back).map(n => n.name), ["my_quad", "my_quad_2"]);
+
+    const materials = parseMTL(mtl);
+    assert.deepEqual(back.materialNames, ["my_quad_color", "my_quad_2_color"]);
+    assert.deepEqual(materials.my_quad_color.kd, {r: 1, g: 0, b: 0});
+    assert.deepEqual(materials.my_quad_2_color.kd, {r: 0, g: 0, b: 1});
+});
+
+test("exportOBJ can restore original file coordinates and materials", () => {
+    const mesh = normalizeMesh(parseOBJ(`v 2 0 4\nv 6 0 4\nv 2 2 4\nusemtl shiny\nf 1 2 3\n`));
+    const shiny = {...createMaterial("shiny", {r: 51, g: 102, b: 153}), mapKd: "wood.png"};
+    const o = sceneObject("tri", mesh, {position: {x: 5, y: 5, z: 5}, materials: [shiny]});
+    const {obj, mtl} = exportOBJ([o], {space: "original"});
+
+    const back = parseOBJ(obj);
+    assert.deepEqual(back.vs, [{x: 2, y: 0, z: 4}, {x: 6, y: 0, z: 4}, {x: 2, y: 2, z: 4}]);
+    const mat = parseMTL(mtl).tri_shiny;
+    assert.deepEqual(mat.kd, {r: 0.2, g: 0.4, b: 0.6});
+    assert.equal(mat.mapKd, "wood.png");
+});
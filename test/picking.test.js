@@ -0,0 +1,112 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const core = require("../public/core.js");
+const {near} = require("./helpers/assert.js");
+const {sceneObject, cube, grid} = require("./helpers/scene.js");
+
+const CAMERA = {position: {x: 0, y: 0, z: -5}, yaw: 0, pitch: 0};
+const VIEWPORT = core.createViewport(64, 64);
+
+function object(id, props = {}) {
+    return sceneObject(`o${id}`, cube(), {id, ...props});
+}
+
+test("screenRay starts on the near plane and points through the pixel", () => {
+    const center = core.screenRay(CAMERA, VIEWPORT, 32, 32);
+    assert.ok(Math.abs(center.origin.z - (-5 + VIEWPORT.near)) < 1e-9);
+    assert.ok(Math.abs(center.dir.z - 1) < 1e-9);
+
+    // 90° FOV: the right edge of the screen is 45° off axis.
+    const edge = core.screenRay(CAMERA, VIEWPORT, 64, 32);
+    assert.ok(Math.abs(edge.dir.x - Math.SQRT1_2) < 1e-9);
+    assert.ok(Math.abs(edge.dir.z - Math.SQRT1_2) < 1e-9);
+});
+
+test("ray/box and ray/triangle intersections", () => {
+    const min = {x: -1, y: -1, z: -1};
+    const max = {x: 1, y: 1, z: 1};
+    assert.equal(core.rayBoxDistance({x: 0, y: 0, z: -5}, {x: 0, y: 0, z: 1}, min, max), 4);
+    assert.equal(core.rayBoxDistance({x: 0, y: 3, z: -5}, {x: 0, y: 0, z: 1}, min, max), null);
+    assert.equal(core.rayBoxDistance({x: 0, y: 0, z: 5}, {x: 0, y: 0, z: 1}, min, max), null); // behind
+
+    const a = {x: -1, y: -1, z: 2};
+    const b = {x: 0, y: 1, z: 2};
+    const c = {x: 1, y: -1, z: 2};
+    assert.equal(core.rayTriangleDistance({x: 0, y: 0, z: 0}, {x: 0, y: 0, z: 1}, a, b, c), 2);
+    assert.equal(core.rayTriangleDistance({x: 0, y: 0, z: 0}, {x: 0, y: 0, z: -1}, a, b, c), null);
+    assert.equal(core.rayTriangleDistance({x: 0.9, y: 0.9, z: 0}, {x: 0, y: 0, z: 1}, a, b, c), null);
+});
+
+test("pickObject returns the nearest hit in world space", () => {
+    const front = object(1, {position: {x: 0, y: 0, z: 0}});
+    const far = object(2, {position: {x: 0, y: 0, z: 5}, scale: {x: 3, y: 3, z: 3}});
+    const objects = [far, front];
+    const ray = core.screenRay(CAMERA, VIEWPORT, 32, 32);
+
+    const hit = core.pickObject(objects, ray);
+    assert.equal(hit.object, front);
+    assert.equal(hit.index, 1);
+    assert.ok(Math.abs(hit.t - (4 - VIEWPORT.near)) < 1e-9);
+
+    // The far cube is bigger, so a ray passing beside the front one hits it.
+    const side = core.pickObject(objects, {origin: {x: 2, y: 0, z: -5}, dir: {x: 0, y: 0, z: 1}});
+    assert.equal(side.object, far);
+
+    assert.equal(core.pickObject(objects, {origin: {x: 9, y: 0, z: -5}, dir: {x: 0, y: 0, z: 1}}), null);
+});
+
+test("pickObject follows parents and skips groups", () => {
+    const group = object(1, {mesh: null, position: {x: 10, y: 0, z: 0}});
+    const child = object(2, {parentId: 1, position: {x: -10, y: 0, z: 0}});
+    const hit = core.pickObject([group, child], {origin: {x: 0, y: 0, z: -5}, dir: {x: 0, y: 0, z: 1}});
+    assert.equal(hit.object, child);
+    assert.equal(core.pickObject([group, child], {origin: {x: 10, y: 0, z: -5}, dir: {x: 0, y: 0, z: 1}}), null);
+});
+
+test("mesh BVH ray casts match a scan of every triangle", () => {
+    const mesh = grid(16);
+    const bvh = core.meshBVH(mesh);
+    assert.equal(core.meshBVH(mesh), bvh); // cached
+    assert.ok(bvh.root.left && bvh.root.right);
+    for (let k = 0; k < 50; k++) {
+        const origin = {x: Math.sin(k) * 1.2, y: Math.cos(k * 1.7), z: -3};
+        const dir = {x: Math.sin(k * 0.3) * 0.2, y: Math.cos(k * 0.9) * 0.2, z: 1};
+        let best = null;
+        mesh.fs.forEach((f, face) => {
+            const t = core.rayTriangleDistance(origin, dir, mesh.vs[f[0]], mesh.vs[f[1]], mesh.vs[f[2]]);
+            if (t !== null && (!best || t < best.t)) best = {t, face};
+        });
+        const hit = core.raycastBVH(bvh, origin, dir);
+        assert.equal(hit === null, best === null);
+        if (hit) assert.ok(Math.abs(hit.t - best.t) < 1e-12);
+    }
+
+    mesh.vs = mesh.vs.map(v => ({...v, x: v.x + 5}));
+    assert.notEqual(core.meshBVH(mesh), bvh);
+    assert.equal(core.raycastBVH(core.meshBVH(mesh), {x: 0, y: 0, z: -3}, {x: 0, y: 0, z: 1}), null);
+});
+
+test("gizmo helpers: axis frame, axis drag, ring angle, snapping", () => {
+    const parent = object(1, {mesh: null, position: {x: 1, y: 2, z: 3}, rotation: {x: 0, y: 0, z: Math.PI / 2}});
+    const child = object(2, {parentId: 1, position: {x: 1, y: 0, z: 0}});
+    const local = core.gizmoFrame(child, [parent, child], "local");
+    near(local.origin, {x: 1, y: 3, z: 3});
+    near(local.axes[0], {x: 0, y: 1, z: 0});
+    near(core.gizmoFrame(child, [parent, child]).axes[0], {x: 1, y: 0, z: 0});
+
+    // A ray crossing the X axis above x = 2 grabs it at s = 2.
+    const ray = {origin: {x: 2, y: 5, z: 0}, dir: {x: 0, y: -1, z: 0}};
+    assert.ok(Math.abs(core.rayAxisParameter(ray, {x: 0, y: 0, z: 0}, {x: 1, y: 0, z: 0}) - 2) < 1e-12);
+    assert.equal(core.rayAxisParameter(ray, {x: 0, y: 0, z: 0}, {x: 0, y: 1, z: 0}), null);
+
+    near(core.rayPlaneIntersection(ray, {x: 0, y: 1, z: 0}, {x: 0, y: 1, z: 0}), {x: 2, y: 1, z: 0});
+    assert.equal(core.rayPlaneIntersection(ray, {x: 0, y: 9, z: 0}, {x: 0, y: 1, z: 0}), null); // behind
+
+    const up = {x: 0, y: 0, z: 1};
+    assert.ok(Math.abs(core.angleAroundAxis({x: 1, y: 0, z: 0}, {x: 0, y: 2, z: 0}, up) - Math.PI / 2) < 1e-12);
+    assert.ok(Math.abs(core.angleAroundAxis({x: 1, y: 0, z: 0}, {x: 0, y: -1, z: 0}, up) + Math.PI / 2) < 1e-12);
+
+    assert.equal(core.snapValue(0.37, 0.25), 0.25);
+    assert.equal(core.snapValue(0.37, 0), 0.37);
+});
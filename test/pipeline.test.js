@@ -0,0 +1,236 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const core = require("../public/core.js");
+const {sceneObject} = require("./helpers/scene.js");
+
+const CAMERA = {position: {x: 0, y: 0, z: -3}, yaw: 0, pitch: 0};
+const VIEWPORT = core.createViewport(64, 64);
+
+// A single triangle in the z = 0 plane facing the camera (-Z).
+function facingTriangle(flip = false) {
+    return {
+        vs: [{x: -1, y: -1, z: 0}, {x: 1, y: -1, z: 0}, {x: 0, y: 1, z: 0}],
+        fs: [flip ? [0, 1, 2] : [0, 2, 1]],
+    };
+}
+
+test("back faces are culled", () => {
+    const front = core.buildTriangles({objects: [sceneObject("a", facingTriangle())], camera: CAMERA}, VIEWPORT);
+    const back = core.buildTriangles({objects: [sceneObject("a", facingTriangle(true))], camera: CAMERA}, VIEWPORT);
+    assert.equal(front.length, 1);
+    assert.equal(back.length, 0);
+    assert.ok(front[0].nn.z < 0);
+});
+
+test("faces without file normals get generated ones; the others keep theirs", () => {
+    const mesh = core.parseOBJ("v -1 -1 0\nv 1 -1 0\nv 1 1 0\nv -1 1 0\nvn 0.6 0 -0.8\nf 1//1 3//1 2//1\nf 1 4 3\n");
+    assert.deepEqual(mesh.fns, [[0, 0, 0], null]);
+    const scene = {objects: [sceneObject("quad", mesh)], camera: CAMERA};
+    const [tilted, generated] = core.buildTriangles(scene, VIEWPORT, {shading: "phong"});
+    const normal = (tri) => tri.va.slice(0, 3).map(v => Math.round(v * 1000) / 1000 + 0);
+    assert.deepEqual(normal(tilted), [0.6, 0, -0.8]);
+    assert.deepEqual(normal(generated), [0, 0, -1]); // smooth shaded, not flat
+    assert.equal(mesh.fallbackNormals.angle, 60);
+});
+
+// A rig (see buildLightRig) with one white light; dir points towards the light.
+function rig(light, props = {}) {
+    const white = {r: 1, g: 1, b: 1};
+    return {
+        ambient: {r: 0.25, g: 0.25, b: 0.25}, hemisphere: null, specular: false,
+        lights: [{type: "directional", diffuse: white, specular: white, range: Infinity, ...light}],
+        ...props,
+    };
+}
+
+test("lightTerms: Lambert diffuse, ambient floor and optional specular", () => {
+    // Here the light shines from the scene back at the camera.
+    const light = rig({dir: {x: 0, y: 0, z: -1}, diffuse: {r: 0.75, g: 0.5, b: 0}});
+    const out = new Array(9);
+    core.lightTerms(0, 0, -1, 0, 0, 5, light, 32, out);
+    assert.deepEqual(out, [0.25, 0.25, 0.25, 0.75, 0.5, 0, 0, 0, 0]);
+    core.lightTerms(0, 0, 1, 0, 0, 5, light, 32, out);
+    assert.deepEqual(out.slice(3), [0, 0, 0, 0, 0, 0]);
+
+    light.specular = true;
+    core.lightTerms(0, 0, -1, 0, 0, 5, light, 32, out);
+    assert.ok(Math.abs(out[6] - 1) < 1e-12); // mirror direction points at the camera
+    core.lightTerms(0, 0, -1, 3, 0, 5, light, 32, out);
+    assert.ok(out[6] > 0 && out[6] < 0.01);
+});
+
+test("lightTerms: point falloff, spot cones, hemisphere ambient and summed lights", () => {
+    const out = new Array(9);
+    const point = rig({type: "point", pos: {x: 0, y: 0, z: 0}, range: 10});
+    core.lightTerms(0, 0, -1, 0, 0, 5, point, 32, out);
+    assert.equal(out[3], 0.25); // (1 - 5/10)^2
+    core.lightTerms(0, 0, -1, 0, 0, 12, point, 32, out);
+    assert.equal(out[3], 0);
+
+    const spot = {type: "spot", pos: {x: 0, y: 0, z: 0}, dir: {x: 0, y: 0, z: -1}, range: Infinity,
+        cosOuter: Math.cos(Math.PI / 6), cosInner: Math.cos(Math.PI / 12)};
+    core.lightTerms(0, 0, -1, 0, 0, 5, rig(spot), 32, out);
+    assert.equal(out[3], 1);
+    core.lightTerms(0, 0, -1, 5, 0, 5, rig(spot), 32, out); // 45 degrees off axis
+    assert.equal(out[3], 0);
+    core.lightTerms(0, 0, -1, Math.tan(Math.PI / 8) * 5, 0, 5, rig(spot), 32, out); // in the penumbra
+    assert.ok(out[3] > 0 && out[3] < 1);
+
+    const both = rig({dir: {x: 0, y: 0, z: -1}});
+    both.lights.push({...both.lights[0], diffuse: {r: 0, g: 0, b: 0.5}});
+    both.hemisphere = {sky: {r: 1, g: 0, b: 0}, ground: {r: 0, g: 0, b: 1}, up: {x: 0, y: 1, z: 0}};
+    core.lightTerms(0, 0, -1, 0, 0, 5, both, 32, out);
+    assert.deepEqual(out.slice(0, 6), [0.5, 0, 0.5, 1, 1, 1.5]);
+    core.lightTerms(0, 1, 0, 0, 0, 5, both, 32, out);
+    assert.deepEqual(out.slice(0, 3), [1, 0, 0]);
+});
+
+test("litColor combines material terms and modulates by the texel", () => {
+    const mat = core.createMaterial("m", {r: 255, g: 0, b: 0});
+    const terms = [0.5, 0.5, 0.5, 0.25, 0.25, 0.25, 0, 0, 0];
+    const rgb = core.litColor(mat, terms, null, [0, 0, 0]);
+    assert.deepEqual(rgb, [255 * 0.75, 0, 0]);
+    core.litColor(mat, terms, [128, 0, 0], rgb);
+    assert.ok(Math.abs(rgb[0] - 255 * 0.75 * 128 / 255) < 1e-9);
+});
+
+test("buildLightRig: light objects in view space, headlight when there are none", () => {
+    const headlight = core.buildLightRig([], core.cameraViewMatrix(CAMERA), null, false);
+    assert.equal(headlight.lights.length, 1);
+    assert.deepEqual(headlight.ambient, {r: 0.15, g: 0.15, b: 0.15});
+    assert.equal(headlight.lights[0].diffuse.r, 0.85);
+
+    // A red spot at x = 2 aimed down world -Y (pitched 90 degrees from +Z).
+    const spot = sceneObject("spot", null, {
+        position: {x: 2, y: 0, z: 0}, rotation: {x: Math.PI / 2, y: 0, z: 0},
+        light: core.createLight("spot", {color: {r: 255, g: 0, b: 0}, intensity: 2, angle: 40, penumbra: 0.5}),
+    });
+    core.buildTriangles({objects: [spot], camera: CAMERA}, VIEWPORT);
+    const view = core.cameraViewMatrix(CAMERA);
+    const built = core.buildLightRig([spot], view, {ambientIntensity: 0}, true);
+    assert.equal(built.lights.length, 1);
+    const [light] = built.lights;
+    assert.deepEqual(light.diffuse, {r: 2, g: 0, b: 0});
+    assert.deepEqual(light.pos, {x: 2, y: 0, z: 3});
+    assert.ok(Math.abs(Math.abs(light.dir.y) - 1) < 1e-9);
+    assert.ok(Math.abs(light.cosOuter - Math.cos(40 * Math.PI / 180)) < 1e-12);
+    assert.ok(light.cosInner > light.cosOuter);
+    assert.deepEqual(built.ambient, {r: 0, g: 0, b: 0});
+});
+
+test("shadow maps darken receivers behind casters; casters can opt out", () => {
+    // A wall at z = 4 behind a small card at z = 2, lit along +Z (from the camera side).
+    const quad = (z, half) => {
+        const mesh = {vs: [{x: -half, y: -half, z}, {x: half, y: -half, z}, {x: half, y: half, z}, {x: -half, y: half, z}], fs: [[0, 2, 1], [0, 3, 2]]};
+        mesh.bounds = core.computeBounds(mesh.vs);
+        return mesh;
+    };
+    const wall = sceneObject("wall", quad(4, 3));
+    const card = sceneObject("card", quad(2, 0.5));
+    const sun = sceneObject("sun", null, {light: core.createLight("directional", {castShadows: true, shadowSoftness: 0})});
+    const objects = [wall, card, sun];
+    core.buildTriangles({objects, camera: CAMERA}, VIEWPORT);
+    const view = core.cameraViewMatrix(CAMERA);
+    const diffuseAt = (rig, x, z) => core.lightTerms(0, 0, -1, x, 0, z + 3, rig, 32, new Array(9))[3];
+
+    const rig = core.buildLightRig(objects, view, null, false);
+    assert.ok(rig.lights[0].shadow);
+    assert.equal(diffuseAt(rig, 0, 4), 0);   // wall behind the card
+    assert.equal(diffuseAt(rig, 2, 4), 1);   // wall in the open
+    assert.equal(diffuseAt(rig, 0, 2), 1);   // the card doesn't shadow itself
+
+    sun.light.shadowSoftness = 2;
+    const soft = diffuseAt(core.buildLightRig(objects, view, null, false), 0.5, 4);
+    assert.ok(soft > 0 && soft < 1, `PCF edge: ${soft}`);
+
+    card.castShadows = false;
+    assert.equal(diffuseAt(core.buildLightRig(objects, view, null, false), 0, 4), 1);
+    assert.equal(core.buildLightRig(objects, view, null, false, false).lights[0].shadow, null);
+});
+
+test("clipPolygon keeps inside polygons and trims against the near plane", () => {
+    const vp = core.createViewport(100, 100);
+    const inside = [{x: 0, y: 0, z: 2}, {x: 1, y: 0, z: 2}, {x: 0, y: 1, z: 2}].map(p => core.project(p, vp));
+    assert.equal(core.clipPolygon(inside).length, 3);
+
+    // One vertex behind the camera: the near plane cuts it into a quad.
+    const crossing = [{x: 0, y: 0, z: -1}, {x: 0.2, y: 0, z: 2}, {x: 0, y: 0.2, z: 2}].map(p => core.project(p, vp));
+    const clipped = core.clipPolygon(crossing);
+    assert.equal(clipped.length, 4);
+    for (const c of clipped) assert.ok(c.z >= -1e-9 && c.w > 0);
+
+    const behind = [{x: 0, y: 0, z: -1}, {x: 1, y: 0, z: -1}, {x: 0, y: 1, z: -2}].map(p => core.project(p, vp));
+    assert.equal(core.clipPolygon(behind).length, 0);
+});
+
+test("clipLine trims segments to the frustum", () => {
+    const vp = core.createViewport(100, 100);
+    const a = core.project({x: 0, y: 0, z: 2}, vp);
+    const b = core.project({x: 10, y: 0, z: 2}, vp);
+    const [a2, b2] = core.clipLine(a, b);
+    assert.equal(a2, a);
+    assert.ok(Math.abs(b2.x - b2.w) < 1e-9); // on the right plane
+
+    const c = core.project({x: 0, y: 0, z: -1}, vp);
+    const d = core.project({x: 0, y: 0, z: -2}, vp);
+    assert.equal(core.clipLine(c, d), null);
+});
+
+test("renderScene fills the framebuffer and reports triangle counts", () => {
+    const fb = core.createFramebuffer(32, 32);
+    const scene = {objects: [sceneObject("a", facingTriangle())], camera: CAMERA};
+    const {tris, pixels} = core.renderScene(fb, scene, {background: {r: 1, g: 2, b: 3}});
+    assert.equal(tris.length, 1);
+    assert.ok(tris[0].visible);
+    assert.ok(pixels > 0);
+    assert.deepEqual([...fb.color.subarray(0, 4)], [1, 2, 3, 255]); // corner stays background
+    const center = (16 * 32 + 16) * 4;
+    assert.ok(fb.color[center + 1] > 0 && fb.color[center] === 0);
+});
+
+test("objects and BVH leaves outside the frustum are culled", () => {
+    // A long strip of small quads along X: at x = 0 only its middle is in view.
+    const strip = {vs: [], fs: []};
+    for (let i = 0; i <= 200; i++) strip.vs.push({x: i / 10 - 10, y: -0.1, z: 0}, {x: i / 10 - 10, y: 0.1, z: 0});
+    for (let i = 0; i < 200; i++) strip.fs.push([2 * i, 2 * i + 1, 2 * i + 3], [2 * i, 2 * i + 3, 2 * i + 2]);
+    const away = sceneObject("away", facingTriangle(), {position: {x: 0, y: 0, z: -10}}); // behind the camera
+    const stats = {};
+    const tris = core.buildTriangles({objects: [sceneObject("strip", strip), away], camera: CAMERA}, VIEWPORT, {stats});
+    assert.equal(stats.objects, 2);
+    assert.equal(stats.culledObjects, 1);
+    assert.equal(stats.submitted, 401);
+    assert.equal(stats.submitted - stats.culled, tris.length);
+    assert.ok(tris.length > 0 && tris.length < 200, `${tris.length} strip triangles kept`);
+
+    // Nothing that would have been drawn is lost: compare with a one-leaf
+    // tree that keeps every face.
+    const unculled = {...strip, bvh: {vs: strip.vs, fs: strip.fs, root: {
+        min: {x: -100, y: -100, z: -100}, max: {x: 100, y: 100, z: 100}, faces: strip.fs.map((f, fi) => fi),
+    }}};
+    const render = (objects) => {
+        const fb = core.createFramebuffer(64, 64);
+        core.clearFramebuffer(fb, {r: 0, g: 0, b: 0});
+        const pixels = core.rasterizeTriangles(fb, core.buildTriangles({objects, camera: CAMERA}, VIEWPORT), VIEWPORT);
+        return {pixels, color: fb.color};
+    };
+    const culled = render([sceneObject("strip", strip)]);
+    assert.ok(culled.pixels > 0);
+    assert.deepEqual(culled, render([sceneObject("strip", unculled)]));
+});
+
+test("each object caches its matrices and rebuilds the local matrix on change", () => {
+    const obj = sceneObject("a", facingTriangle());
+    const scene = {objects: [obj], camera: CAMERA};
+    core.buildTriangles(scene, VIEWPORT);
+    const {local, mvp} = obj.matrices;
+    assert.equal(local[12], 0);
+
+    obj.position = {x: 0.5, y: 0, z: 0};
+    const [t] = core.buildTriangles(scene, VIEWPORT);
+    assert.equal(obj.matrices.local, local);
+    assert.equal(local[12], 0.5);
+    // Triangle corners are the per-vertex transforms through the cached MVP.
+    assert.deepEqual(t.ca, core.project(t.a, VIEWPORT));
+    assert.equal(obj.matrices.mvp, mvp);
+});
@@ -0,0 +1,38 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+
+const {crc32, encodePNG} = require("../public/png.js");
+const {decodePNG} = require("./helpers/png.js");
+
+function gradient(width, height) {
+    const rgba = new Uint8Array(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        rgba[i * 4] = i % 251;
+        rgba[i * 4 + 1] = (i * 7) % 256;
+        rgba[i * 4 + 2] = 255 - (i % 256);
+        rgba[i * 4 + 3] = 255;
+    }
+    return rgba;
+}
+
+test("crc32 matches the reference check value", () => {
+    assert.equal(crc32(Buffer.from("123456789")), 0xcbf43926);
+    assert.equal(crc32(new Uint8Array(0)), 0);
+});
+
+test("stored (uncompressed) PNGs round-trip", () => {
+    // Large enough to need several stored deflate blocks.
+    const rgba = gradient(200, 120);
+    const png = decodePNG(Buffer.from(encodePNG(200, 120, rgba)));
+    assert.equal(png.width, 200);
+    assert.equal(png.height, 120);
+    assert.deepEqual(png.data, rgba);
+});
+
+test("deflated PNGs round-trip", () => {
+    const rgba = gradient(17, 9);
+    const bytes = encodePNG(17, 9, rgba, {deflate: (raw) => zlib.deflateSync(raw)});
+    assert.deepEqual([...bytes.subarray(0, 8)], [137, 80, 78, 71, 13, 10, 26, 10]);
+    assert.deepEqual(decodePNG(Buffer.from(bytes)).data, rgba);
+});
@@ -0,0 +1,133 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const core = require("../public/core.js");
+const project = require("../public/project.js");
+const ops = require("../public/meshops.js");
+const {loadScene} = require("../bin/render.js");
+const {loadAsset, sceneObject} = require("./helpers/scene.js");
+
+test("meshes survive serializeMesh/deserializeMesh", () => {
+    const mesh = core.normalizeMesh(core.parseOBJ([
+        "v 0 0 0", "v 1 0 0", "v 0 1 0", "v 1 1 0",
+        "vt 0 0", "vt 1 0", "vt 0 1",
+        "vn 0 0 1",
+        "usemtl red",
+        "f 1/1/1 2/2/1 3/3/1",
+        "f 2 4 3",
+    ].join("\n")));
+    const back = project.deserializeMesh(JSON.parse(JSON.stringify(project.serializeMesh(mesh))));
+    assert.deepEqual(back.vs, mesh.vs);
+    assert.deepEqual(back.fs, mesh.fs);
+    assert.deepEqual(back.fns, mesh.fns);
+    assert.deepEqual(back.fts, [[0, 1, 2], null]);
+    assert.deepEqual(back.materialNames, ["red"]);
+    assert.deepEqual(back.fms, mesh.fms);
+    assert.deepEqual(back.bounds, core.computeBounds(mesh.vs));
+    assert.deepEqual(back.normalization, mesh.normalization);
+});
+
+test("projects round-trip objects, hierarchy, textures and settings", () => {
+    const checker = core.createCheckerTexture(8, 2);
+    const image = {name: "tiny.png", width: 1, height: 2, data: new Uint8ClampedArray([1, 2, 3, 255, 4, 5, 6, 128])};
+    const cube = loadAsset("cube.obj");
+    cube.source = "assets/cube.obj";
+    const tri = {vs: [{x: 0, y: 0, z: 0}, {x: 1, y: 0, z: 0}, {x: 0, y: 1, z: 0}], fs: [[0, 1, 2]]};
+
+    const group = sceneObject("group", null, {id: 1, parentId: null});
+    const a = sceneObject("a", cube, {id: 2, parentId: 1, texture: checker, color: {r: 1, g: 2, b: 3}, receiveShadows: false});
+    const b = sceneObject("b", tri, {id: 3, parentId: 1, quaternion: {x: 0, y: 0.6, z: 0, w: 0.8}, materials: [{...core.createMaterial("m"), texture: image}]});
+    const lamp = sceneObject("lamp", null, {id: 4, parentId: null, light: core.createLight("spot", {intensity: 2})});
+    const camera = {position: {x: 1, y: 2, z: 3}, yaw: 0.5, pitch: -0.25};
+    const animation = {fps: 30, start: 0, end: 60, loop: false, tracks: [
+        {target: 2, property: "color", keys: [{frame: 0, value: {r: 1, g: 2, b: 3}, interpolation: "bezier", handles: [0.5, 0, 0.5, 1]}]},
+    ]};
+    const orbit = {...camera, mode: "orbit", pivot: {x: 0, y: 1, z: 0}, distance: 4, fov: 60, projection: "orthographic", orthoHeight: 3};
+    const saved = JSON.parse(JSON.stringify(project.serializeProject({
+        objects: [group, a, b, lamp], camera, render: {shading: "gouraud", wireframe: true},
+        lighting: {...core.DEFAULT_LIGHTING, hemisphere: true},
+        bookmarks: [{name: "View 1", camera: orbit}],
+        animation,
+    }, {checker})));
+
+    assert.equal(saved.version, project.PROJECT_VERSION);
+    assert.deepEqual(saved.meshes[0], {source: "assets/cube.obj"});
+    assert.deepEqual(project.projectMeshSources(saved), ["assets/cube.obj"]);
+
+    const loaded = project.restoreProject(saved, {checker, resolveMesh: () => ({mesh: cube, materials: []})});
+    assert.deepEqual(loaded.objects.map(o => [o.id, o.parentId, o.name]), [[1, null, "group"], [2, 1, "a"], [3, 1, "b"], [4, null, "lamp"]]);
+    assert.equal(loaded.objects[0].mesh, null);
+    assert.equal(loaded.objects[1].mesh, cube);
+    assert.equal(loaded.objects[1].texture, checker);
+    assert.deepEqual(loaded.objects[1].color, {r: 1, g: 2, b: 3});
+    assert.equal(loaded.objects[1].receiveShadows, false);
+    assert.equal(loaded.objects[1].castShadows, undefined);
+    assert.deepEqual(loaded.objects[2].mesh.vs, tri.vs);
+    assert.deepEqual(loaded.objects[2].quaternion, b.quaternion);
+    const tex = loaded.objects[2].materials[0].texture;
+    assert.deepEqual([tex.width, tex.height, Array.from(tex.data)], [1, 2, Array.from(image.data)]);
+    assert.deepEqual(loaded.camera, camera);
+    assert.equal(loaded.render.shading, "gouraud");
+    assert.equal(loaded.bookmarks[0].name, "View 1");
+    assert.deepEqual(loaded.bookmarks[0].camera, orbit);
+    assert.deepEqual(loaded.objects[3].light, lamp.light);
+    assert.equal(loaded.objects[0].light, undefined);
+    assert.equal(loaded.lighting.hemisphere, true);
+    assert.deepEqual(loaded.animation, animation);
+});
+
+test("levels of detail survive a save/open round trip", () => {
+    const penguin = loadAsset("penguin.obj");
+    penguin.source = "assets/penguin.obj";
+    const lod = ops.createLevelsOfDetail(penguin, [0.5, 0.25], {preserveBoundary: false, distance: 3});
+    const near = sceneObject("near", penguin, {id: 1, lod});
+    const far = sceneObject("far", lod.meshes[2], {id: 2, lod: {...lod, level: 2, auto: true}});
+    const saved = JSON.parse(JSON.stringify(project.serializeProject({objects: [near, far], camera: {position: {x: 0, y: 0, z: -3}}})));
+    assert.deepEqual(saved.meshes, [{source: "assets/penguin.obj"}]);
+    assert.deepEqual(saved.objects[1].lod, {ratios: [0.5, 0.25], preserveBoundary: false, level: 2, auto: true, distance: 3});
+
+    const loaded = project.restoreProject(saved, {resolveMesh: () => ({mesh: penguin, materials: []})});
+    const [a, b] = loaded.objects;
+    assert.deepEqual(a.lod.meshes.map(m => m.fs.length), lod.meshes.map(m => m.fs.length));
+    assert.equal(a.lod.meshes[0], penguin);
+    assert.equal(b.lod.meshes, a.lod.meshes); // regenerated once, shared
+    assert.equal(a.mesh, penguin);
+    assert.equal(b.mesh, b.lod.meshes[2]);
+    assert.deepEqual([b.lod.level, b.lod.auto, b.lod.distance, b.lod.preserveBoundary], [2, true, 3, false]);
+    assert.deepEqual(JSON.parse(JSON.stringify(project.serializeProject({objects: loaded.objects, camera: loaded.camera}))).objects, saved.objects);
+});
+
+test("version 1 scenes are migrated; newer versions are rejected", () => {
+    const v1 = {
+        objects: [
+            {name: "a", mesh: "m.obj", scale: 2, texture: "checker"},
+            {mesh: "dir/m.obj"},
+            {mesh: "m.obj", parent: 1, id: 5},
+        ],
+    };
+    const migrated = project.migrateProject(v1);
+    assert.equal(migrated.version, 2);
+    assert.deepEqual(migrated.meshes, [{source: "m.obj"}, {source: "dir/m.obj"}]);
+    assert.deepEqual(migrated.objects.map(o => o.mesh), [0, 1, 0]);
+    assert.deepEqual(migrated.objects[0].scale, {x: 2, y: 2, z: 2});
+    assert.equal(migrated.objects[1].name, "m.obj");
+    assert.equal(v1.objects[0].scale, 2); // input left alone
+
+    assert.throws(() => project.migrateProject({version: 99}), /newer/);
+    assert.throws(() => project.migrateProject([]), /JSON object/);
+});
+
+test("the CLI renders projects with embedded meshes", (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "project-"));
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+    const file = path.join(dir, "scene.json");
+    const tri = {vs: [{x: 0, y: 0, z: 0}, {x: 1, y: 0, z: 0}, {x: 0, y: 1, z: 0}], fs: [[0, 1, 2]]};
+    fs.writeFileSync(file, JSON.stringify(project.serializeProject({objects: [sceneObject("tri", tri, {id: 1})]})));
+
+    const {scene} = loadScene(file);
+    assert.equal(scene.objects[0].name, "tri");
+    assert.deepEqual(scene.objects[0].mesh.fs, [[0, 1, 2]]);
+});
@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {createFramebuffer, clearFramebuffer, packRGBA, rasterizeTriangle} = require("../public/core.js");
+
+const RED = packRGBA(255, 0, 0, 255);
+const BLUE = packRGBA(0, 0, 255, 255);
+
+function pt(x, y, z = 0.5) {
+    return {x, y, z, invW: 1};
+}
+
+function blankFramebuffer(w, h) {
+    const fb = createFramebuffer(w, h);
+    clearFramebuffer(fb, {r: 0, g: 0, b: 0});
+    return fb;
+}
+
+test("a screen-aligned square split in two covers every pixel exactly once", () => {
+    const hits = new Uint8Array(64);
+    for (const [A, B, C] of [[pt(0, 0), pt(8, 0), pt(8, 8)], [pt(0, 0), pt(8, 8), pt(0, 8)]]) {
+        const fb = blankFramebuffer(8, 8);
+        rasterizeTriangle(fb, A, B, C, RED);
+        for (let i = 0; i < 64; i++) if (fb.color32[i] === RED) hits[i]++;
+    }
+    assert.deepEqual([...hits], new Array(64).fill(1));
+});
+
+test("shared diagonal edges are not drawn twice", () => {
+    // Translucent triangles blend every covered pixel; double coverage along
+    // the shared edge would show up as a brighter diagonal.
+    const fb = blankFramebuffer(16, 16);
+    const w = 16;
+    const n1 = rasterizeTriangle(fb, pt(1, 1), pt(15, 3), pt(4, 14), RED, 0.5);
+    const n2 = rasterizeTriangle(fb, pt(15, 3), pt(14, 15), pt(4, 14), RED, 0.5);
+    assert.ok(n1 > 0 && n2 > 0);
+    const values = new Set();
+    for (let i = 0; i < w * w; i++) values.add(fb.color[i * 4]);
+    assert.deepEqual([...values].sort((a, b) => a - b), [0, 127]);
+});
+
+test("winding order does not matter", () => {
+    const fb1 = blankFramebuffer(10, 10);
+    const fb2 = blankFramebuffer(10, 10);
+    const count1 = rasterizeTriangle(fb1, pt(1, 1), pt(9, 2), pt(3, 9), RED);
+    const count2 = rasterizeTriangle(fb2, pt(1, 1), pt(3, 9), pt(9, 2), RED);
+    assert.equal(count1, count2);
+    assert.deepEqual(fb1.color32, fb2.color32);
+});
+
+test("degenerate and off-screen triangles write nothing", () => {
+    const fb = blankFramebuffer(10, 10);
+    assert.equal(rasterizeTriangle(fb, pt(1, 1), pt(5, 5), pt(9, 9), RED), 0);
+    assert.equal(rasterizeTriangle(fb, pt(20, 20), pt(30, 20), pt(20, 30), RED), 0);
+});
+
+test("the depth test keeps the nearest surface regardless of draw order", () => {
+    const far = [pt(0, 0, 0.8), pt(10, 0, 0.8), pt(0, 10, 0.8)];
+    const near = [pt(0, 0, 0.2), pt(10, 0, 0.2), pt(0, 10, 0.2)];
+
+    const fb1 = blankFramebuffer(10, 10);
+    rasterizeTriangle(fb1, ...far, RED);
+    rasterizeTriangle(fb1, ...near, BLUE);
+
+    const fb2 = blankFramebuffer(10, 10);
+    rasterizeTriangle(fb2, ...near, BLUE);
+    assert.equal(rasterizeTriangle(fb2, ...far, RED), 0);
+
+    assert.deepEqual(fb1.color32, fb2.color32);
+    assert.equal(fb1.color32[0], BLUE);
+    assert.ok(Math.abs(fb1.depth[0] - 0.2) < 1e-6);
+});
+
+test("varyings are interpolated perspective-correctly", () => {
+    // B is ten times further away than A and C, so halfway across the
+    // screen the attribute is still close to its value at the near edge.
+    const fb = blankFramebuffer(64, 1);
+    const A = {x: 0, y: -1, z: 0, invW: 1, vary: [0]};
+    const B = {x: 64, y: -1, z: 0, invW: 0.1, vary: [1]};
+    const C = {x: 0, y: 2, z: 0, invW: 1, vary: [0]};
+    const seen = [];
+    rasterizeTriangle(fb, A, B, C, (v) => {
+        seen.push(v[0]);
+        return RED;
+    });
+    const mid = seen[31];
+    const t = 31.5 / 64;
+    assert.ok(Math.abs(mid - t * 0.1 / ((1 - t) + t * 0.1)) < 1e-3, `got ${mid}`);
+});
@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const core = require("../public/core.js");
+const {near} = require("./helpers/assert.js");
+const {sceneObject} = require("./helpers/scene.js");
+
+function node(id, parentId, props = {}) {
+    return sceneObject(`n${id}`, null, {id, parentId, ...props});
+}
+
+test("children inherit their parent's transform", () => {
+    const parent = node(1, null, {position: {x: 2, y: 0, z: 0}, rotation: {x: 0, y: 0, z: Math.PI / 2}, scale: {x: 2, y: 2, z: 2}});
+    const child = node(2, 1, {position: {x: 1, y: 0, z: 0}});
+    const objects = [child, parent]; // child first: order must not matter
+    near(core.applyModel({x: 0, y: 0, z: 0}, child, objects), {x: 2, y: 2, z: 0});
+
+    core.updateSceneMatrices(objects, core.cameraViewMatrix({position: {x: 0, y: 0, z: 0}, yaw: 0, pitch: 0}), core.createViewport(4, 4).projection);
+    assert.ok(Math.abs(child.matrices.world[12] - 2) < 1e-12);
+    assert.ok(Math.abs(child.matrices.world[13] - 2) < 1e-12);
+
+    // Moving the parent moves the child.
+    parent.position = {x: 0, y: 5, z: 0};
+    near(core.applyModel({x: 0, y: 0, z: 0}, child, objects), {x: 0, y: 7, z: 0});
+});
+
+test("tree queries", () => {
+    const objects = [node(1, null), node(2, 1), node(3, 2), node(4, null), node(5, 1)];
+    assert.deepEqual(core.childrenOf(objects, null).map(o => o.id), [1, 4]);
+    assert.deepEqual(core.childrenOf(objects, 1).map(o => o.id), [2, 5]);
+    assert.deepEqual(core.subtreeOf(objects, objects[0]).map(o => o.id), [1, 2, 3, 5]);
+    assert.ok(core.isAncestor(objects, objects[0], objects[2]));
+    assert.ok(!core.isAncestor(objects, objects[2], objects[0]));
+    // Dangling parent ids are treated as roots.
+    assert.deepEqual(core.childrenOf([node(7, 99)], null).map(o => o.id), [7]);
+});
+
+test("reparenting keeps the world transform and rejects cycles", () => {
+    const group = node(1, null, {position: {x: 1, y: 2, z: 3}, rotation: {x: 0.3, y: 1.1, z: 0}, scale: {x: 2, y: 2, z: 2}});
+    const obj = node(2, null, {position: {x: -1, y: 0.5, z: 4}, rotation: {x: 0, y: 0, z: 0.7}});
+    const objects = [group, obj];
+    const probe = {x: 0.2, y: -0.4, z: 0.9};
+    const before = core.applyModel(probe, obj, objects);
+
+    assert.ok(core.reparentObject(objects, obj, 1));
+    assert.equal(obj.parentId, 1);
+    near(core.applyModel(probe, obj, objects), before, 1e-9);
+    near(obj.scale, {x: 0.5, y: 0.5, z: 0.5});
+
+    assert.ok(!core.reparentObject(objects, group, 2)); // group under its own child
+    assert.ok(!core.reparentObject(objects, obj, 2));   // under itself
+    assert.equal(group.parentId, null);
+
+    assert.ok(core.reparentObject(objects, obj, null));
+    near(core.applyModel(probe, obj, objects), before, 1e-9);
+    near(obj.position, {x: -1, y: 0.5, z: 4});
+});
+
+test("setWorldTransform places an object in world space under a parent", () => {
+    const group = node(1, null, {position: {x: 5, y: 0, z: 0}, rotation: {x: 0, y: Math.PI / 2, z: 0}});
+    const obj = node(2, 1);
+    const objects = [group, obj];
+    core.setWorldTransform(obj, objects, {
+        position: {x: 0, y: 1, z: 0},
+        quaternion: {x: 0, y: 0, z: 0, w: 1},
+        scale: {x: 3, y: 3, z: 3},
+    });
+    const world = core.getWorldTransform(obj, objects);
+    near(world.position, {x: 0, y: 1, z: 0});
+    near(world.scale, {x: 3, y: 3, z: 3});
+    near(world.quaternion, {x: 0, y: 0, z: 0, w: 1});
+});
+
+test("groups are not drawn but their children are", () => {
+    const tri = {vs: [{x: -1, y: -1, z: 0}, {x: 0, y: 1, z: 0}, {x: 1, y: -1, z: 0}], fs: [[0, 1, 2]]};
+    const objects = [node(1, null, {position: {x: 100, y: 0, z: 0}}), node(2, 1, {mesh: tri, position: {x: -100, y: 0, z: 0}})];
+    const scene = {objects, camera: {position: {x: 0, y: 0, z: -3}, yaw: 0, pitch: 0}};
+    const tris = core.buildTriangles(scene, core.createViewport(32, 32));
+    assert.equal(tris.length, 1);
+    assert.equal(tris[0].objIndex, 1);
+    near(tris[0].b, {x: 0, y: 1, z: 3});
+});
@@ -0,0 +1,160 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const core = require("../public/core.js");
+const tiles = require("../public/tiles.js");
+const {loadAsset, sceneObject} = require("./helpers/scene.js");
+
+const BACKGROUND = {r: 0x10, g: 0x10, b: 0x10};
+
+// In-process stand-in for a Worker running render-worker.js: messages are
+// structured-cloned (so anything a real worker couldn't receive throws) and
+// answered asynchronously.
+function fakeWorker(log = []) {
+    const renderer = tiles.createTileRenderer();
+    const worker = {
+        postMessage(data, transfer) {
+            const job = structuredClone(data, {transfer});
+            log.push(job);
+            setImmediate(() => {
+                try {
+                    const {reply, transfer} = tiles.renderTileJob(renderer, job);
+                    worker.onmessage({data: structuredClone(reply, {transfer})});
+                } catch (err) {
+                    worker.onerror(err);
+                }
+            });
+        },
+    };
+    return worker;
+}
+
+function quad(z, half) {
+    const mesh = {vs: [{x: -half, y: -half, z}, {x: half, y: -half, z}, {x: half, y: half, z}, {x: -half, y: half, z}], fs: [[0, 2, 1], [0, 3, 2]]};
+    mesh.bounds = core.computeBounds(mesh.vs);
+    return mesh;
+}
+
+// Textured, smooth-shaded, translucent, shadowed and culled geometry together.
+function scene() {
+    const glass = loadAsset("penguin.obj");
+    glass.fms = glass.fs.map(() => 0);
+    return {
+        objects: [
+            sceneObject("wall", quad(4, 3), {color: {r: 200, g: 200, b: 200}}),
+            sceneObject("cube", loadAsset("cube.obj"), {
+                rotation: {x: 0.4, y: 0.6, z: 0}, texture: core.createCheckerTexture(16, 4), color: {r: 255, g: 255, b: 255},
+            }),
+            sceneObject("penguin", glass, {position: {x: 1, y: 0, z: -1}, materials: [{...core.createMaterial("glass"), d: 0.5}]}),
+            sceneObject("behind", quad(-10, 1)), // culled
+            sceneObject("sun", null, {rotation: {x: 0.3, y: 0.2, z: 0}, light: core.createLight("directional", {castShadows: true})}),
+        ],
+        camera: {position: {x: 0, y: 0.3, z: -5}, yaw: 0, pitch: 0},
+    };
+}
+
+test("triangles are binned into every tile their bounds touch", () => {
+    const tri = (pts) => ({A: pts[0], B: pts[1], C: pts[2]});
+    const list = [
+        tri([{x: 10, y: 10}, {x: 20, y: 10}, {x: 10, y: 20}]),   // first tile only
+        tri([{x: 60, y: 60}, {x: 70, y: 60}, {x: 60, y: 70}]),   // across four tiles
+        tri([{x: -50, y: 5}, {x: -10, y: 5}, {x: -30, y: 9}]),   // off screen
+    ];
+    const bins = tiles.binTriangles(list, 100, 70, 64);
+    assert.deepEqual(bins.map(t => [t.x0, t.y0, t.width, t.height]), [[0, 0, 64, 64], [64, 0, 36, 64], [0, 64, 64, 6], [64, 64, 36, 6]]);
+    assert.deepEqual(bins.map(t => t.tris), [[0, 1], [1], [1], [1]]);
+});
+
+// Whether a (cloned) job carries a Float32Array anywhere, e.g. a shadow map.
+function hasFloat32(value) {
+    if (value instanceof Float32Array) return true;
+    if (!value || typeof value !== "object" || ArrayBuffer.isView(value)) return false;
+    return Object.values(value).some(hasFloat32);
+}
+
+test("meshes survive the trip to a worker", () => {
+    const mesh = {
+        vs: [{x: 0, y: 0, z: 0}, {x: 1, y: 0.1, z: 0}, {x: 0, y: 1, z: 1 / 3}, {x: 1, y: 1, z: 0}],
+        fs: [[0, 1, 2], [1, 3, 2]],
+        ns: [{x: 0, y: 0, z: -1}],
+        fns: [[0, 0, 0], null],
+        uvs: [{u: 0, v: 0}, {u: 1, v: 0.5}],
+        fts: [[0, 1, 1], [1, 0, 0]],
+        cs: [{r: 1, g: 0, b: 0}, null, {r: 0, g: 0, b: 1}, {r: 1, g: 1, b: 1}],
+        fms: ["red", undefined],
+        bounds: core.computeBounds([{x: 0, y: 0, z: 0}, {x: 1, y: 1, z: 1 / 3}]),
+    };
+    const {packed, transfer} = tiles.packMesh(mesh);
+    const received = tiles.unpackMesh(structuredClone(packed, {transfer}));
+    assert.deepEqual(received, mesh);
+    assert.equal(packed.vs.length, 0); // transferred, not copied
+});
+
+test("the worker pool renders the same image as the main thread", async () => {
+    const width = 150;
+    const height = 200;
+    const options = {shading: "phong", specular: true, background: BACKGROUND};
+
+    const expected = core.createFramebuffer(width, height);
+    const {tris} = core.renderScene(expected, scene(), options);
+
+    const log = [];
+    const pool = tiles.createRenderPool(() => fakeWorker(log), 3);
+    const s = scene();
+    const viewport = core.createViewport(width, height, s.camera);
+    const fb = core.createFramebuffer(width, height);
+    for (let frame = 0; frame < 2; frame++) {
+        const rendered = tiles.renderPoolFrame(pool, s, viewport, options);
+        assert.equal(pool.busy, true);
+        await assert.rejects(tiles.renderPoolFrame(pool, s, viewport, options), /busy/);
+        core.clearFramebuffer(fb, BACKGROUND);
+        const {tiles: done, stats} = await rendered;
+        for (const tile of done) tiles.compositeTile(fb, tile);
+        assert.equal(pool.busy, false);
+        assert.deepEqual(fb.color, expected.color);
+        assert.equal(stats.drawn, tris.filter(t => t.visible).length);
+        const counts = {};
+        core.buildTriangles(scene(), core.createViewport(width, height, s.camera), {...options, stats: counts});
+        assert.equal(counts.culledObjects, 1);
+        assert.deepEqual(stats, {objects: counts.objects, culledObjects: counts.culledObjects, submitted: counts.submitted, drawn: stats.drawn});
+    }
+    assert.equal(log.length, 6);
+    // Meshes and the checker texture went to each worker with the first
+    // frame only; shadow maps are built in the workers, never sent.
+    assert.deepEqual(log.map(job => job.meshes.length), [4, 4, 4, 0, 0, 0]);
+    assert.deepEqual(log.map(job => job.textures.length), [1, 1, 1, 0, 0, 0]);
+    assert.ok(log.every(job => !hasFloat32(job)));
+    assert.ok(s.objects.every(obj => !obj.mesh || obj.mesh.vs.length)); // the scene keeps its meshes
+
+    // A mesh whose arrays were replaced is sent again.
+    s.objects[0].mesh = {...s.objects[0].mesh, vs: s.objects[0].mesh.vs.map(v => ({...v, z: 3}))};
+    await tiles.renderPoolFrame(pool, s, viewport, options);
+    assert.deepEqual(log.slice(6).map(job => job.meshes.length), [1, 1, 1]);
+});
+
+test("a band builds only the triangles that reach into it", () => {
+    const s = {objects: [sceneObject("penguin", loadAsset("penguin.obj"))], camera: {position: {x: 0, y: 0.3, z: -2}, yaw: 0, pitch: 0}};
+    const viewport = core.createViewport(150, 200, s.camera);
+    const all = core.buildTriangles(s, viewport, {});
+    const band = core.buildTriangles(s, viewport, {rows: [128, 200]});
+    assert.ok(band.length > 0 && band.length < all.length);
+    assert.equal(core.buildTriangles(s, viewport, {rows: [0, 64]}).length, 0);
+    const key = (t) => `${t.avgZ} ${t.nn.x}`;
+    const built = new Set(band.map(key));
+    for (const t of all) {
+        const ys = core.clipTriangleToScreen(t, viewport).map(p => p.y);
+        if (ys.length && Math.max(...ys) > 128) assert.ok(built.has(key(t)));
+    }
+});
+
+test("a failing worker marks the pool failed", async () => {
+    const pool = tiles.createRenderPool(() => {
+        const worker = {postMessage: () => setImmediate(() => worker.onerror({message: "importScripts failed"}))};
+        return worker;
+    }, 2);
+    const s = scene();
+    const viewport = core.createViewport(64, 64, s.camera);
+    await assert.rejects(tiles.renderPoolFrame(pool, s, viewport, {shading: "flat"}), /importScripts failed/);
+    assert.equal(pool.failed, true);
+    await assert.rejects(tiles.renderPoolFrame(pool, s, viewport, {shading: "flat"}), /failed/);
+});
@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {createZip} = require("../public/zip.js");
+const {crc32} = require("../public/png.js");
+
+// Walk the central directory back to each entry's stored bytes.
+function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const end = bytes.length - 22;
+    assert.equal(view.getUint32(end, true), 0x06054b50);
+    const count = view.getUint16(end + 10, true);
+    let o = view.getUint32(end + 16, true);
+    const files = [];
+    for (let i = 0; i < count; i++) {
+        assert.equal(view.getUint32(o, true), 0x02014b50);
+        const crc = view.getUint32(o + 16, true);
+        const size = view.getUint32(o + 24, true);
+        const nameLength = view.getUint16(o + 28, true);
+        const local = view.getUint32(o + 42, true);
+        const name = new TextDecoder().decode(bytes.subarray(o + 46, o + 46 + nameLength));
+        assert.equal(view.getUint32(local, true), 0x04034b50);
+        const start = local + 30 + view.getUint16(local + 26, true);
+        files.push({name, crc, data: bytes.subarray(start, start + size)});
+        o += 46 + nameLength;
+    }
+    return files;
+}
+
+test("createZip stores files with their CRCs, the same way every time", () => {
+    const files = [
+        {name: "frame_0000.png", data: new Uint8Array([1, 2, 3])},
+        {name: "dir/ünïcode.txt", data: new TextEncoder().encode("hello")},
+        {name: "empty", data: new Uint8Array(0)},
+    ];
+    const zip = createZip(files);
+    const back = readZip(zip);
+    assert.deepEqual(back.map(f => f.name), files.map(f => f.name));
+    back.forEach((f, i) => {
+        assert.deepEqual(Array.from(f.data), Array.from(files[i].data));
+        assert.equal(f.crc, crc32(files[i].data));
+    });
+    assert.deepEqual(createZip(files), zip);
+});